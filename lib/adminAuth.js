@@ -0,0 +1,380 @@
+// ========================================
+// AUTENTICAÇÃO DE ADMINISTRADORES
+// ========================================
+// Login com usuário/senha (scrypt) emite um JWT enviado em
+// "Authorization: Bearer <token>". Todas as rotas /api/admin passam por
+// authenticateAdmin; cada rota exige o papel mínimo com requireRole.
+//
+// A antiga chave ADMIN_SECRET_KEY (adminKey no body ou x-admin-key) só é
+// aceita com ADMIN_LEGACY_KEY_ENABLED=true, para criar o primeiro usuário.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+const { apiError } = require('./i18n');
+const { getClientIP } = require('./clientIP');
+const { logger } = require('./logger');
+
+const MAX_FAILED_LOGINS = parseInt(process.env.ADMIN_MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.ADMIN_LOCKOUT_MINUTES) || 15;
+// Janela em que as falhas de um IP se somam; depois disso recomeça do zero
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.ADMIN_FAILURE_WINDOW_MINUTES) || 15;
+const TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '8h';
+
+const SCRYPT_KEYLEN = 64;
+
+// Política de senha (rotas de usuários e scripts/create-admin-user.js)
+const MIN_PASSWORD_LENGTH = 10;
+
+// Falhas de autenticação por IP (memória do processo)
+// ip -> { count, windowStart, lockedUntil }; entradas vencidas são podadas
+const failuresByIP = new Map();
+const PRUNE_INTERVAL_MS = 60 * 1000;
+let lastPruneAt = 0;
+
+// ========================================
+// SENHAS
+// ========================================
+
+/**
+ * Gera o hash da senha no formato scrypt$<salt>$<hash>
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derived) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt.toString('hex')}$${derived.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Senha nova aceitável?
+ */
+function isValidPassword(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+}
+
+// Hash usado quando o usuário não existe, para manter o mesmo tempo de resposta
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEYLEN * 2)}`;
+
+/**
+ * Confere a senha em tempo constante
+ */
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+    crypto.scrypt(String(password), Buffer.from(salt, 'hex'), SCRYPT_KEYLEN, (err, derived) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+    });
+  });
+}
+
+/**
+ * Compara duas strings em tempo constante (independente do tamanho)
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// ========================================
+// TOKENS
+// ========================================
+
+function getJwtSecret() {
+  const secret = process.env.ADMIN_JWT_SECRET;
+  if (!secret || secret.length < 32) {
+    throw new Error('ADMIN_JWT_SECRET ausente ou curto demais (mínimo 32 caracteres)');
+  }
+  return secret;
+}
+
+/**
+ * Emite o token de acesso de um usuário
+ */
+function issueToken(user) {
+  return jwt.sign(
+    { sub: String(user._id), username: user.username, role: user.role, tv: user.tokenVersion },
+    getJwtSecret(),
+    { algorithm: 'HS256', expiresIn: TOKEN_TTL }
+  );
+}
+
+// ========================================
+// BLOQUEIO POR IP
+// ========================================
+
+/**
+ * Entrada sem efeito: bloqueio vencido ou falhas fora da janela
+ */
+function isExpired(entry, now) {
+  if (entry.lockedUntil) return entry.lockedUntil <= now;
+  return entry.windowStart + FAILURE_WINDOW_MINUTES * 60 * 1000 <= now;
+}
+
+/**
+ * Remove as entradas vencidas (no máximo uma varredura por minuto)
+ */
+function pruneIPFailures(now) {
+  if (now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = now;
+  for (const [ip, entry] of failuresByIP) {
+    if (isExpired(entry, now)) failuresByIP.delete(ip);
+  }
+}
+
+/**
+ * Segundos restantes de bloqueio do IP (0 = liberado)
+ */
+function ipLockRemaining(ip) {
+  const entry = failuresByIP.get(ip);
+  if (!entry || !entry.lockedUntil) return 0;
+
+  const remaining = entry.lockedUntil - Date.now();
+  if (remaining <= 0) {
+    failuresByIP.delete(ip);
+    return 0;
+  }
+  return Math.ceil(remaining / 1000);
+}
+
+function registerIPFailure(ip) {
+  const now = Date.now();
+  pruneIPFailures(now);
+
+  let entry = failuresByIP.get(ip);
+  if (!entry || isExpired(entry, now)) {
+    entry = { count: 0, windowStart: now, lockedUntil: null };
+  }
+  entry.count++;
+  if (entry.count >= MAX_FAILED_LOGINS) {
+    entry.lockedUntil = now + LOCKOUT_MINUTES * 60 * 1000;
+    logger.warn('IP bloqueado após falhas de autenticação', { ip, failures: entry.count, lockoutMinutes: LOCKOUT_MINUTES });
+  }
+  failuresByIP.set(ip, entry);
+}
+
+/**
+ * Soma a falha na conta com $inc (logins errados simultâneos não se perdem)
+ * e bloqueia ao atingir o limite; o bloqueio só é gravado se o contador
+ * não mudou desde o $inc, então a conta é bloqueada uma vez
+ */
+async function registerAccountFailure(user) {
+  const updated = await AdminUser.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGINS) return;
+
+  const { modifiedCount } = await AdminUser.updateOne(
+    { _id: user._id, failedLoginAttempts: updated.failedLoginAttempts },
+    { $set: { lockedUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000), failedLoginAttempts: 0 } }
+  );
+  if (modifiedCount > 0) {
+    logger.warn('Conta bloqueada', { username: user.username, lockoutMinutes: LOCKOUT_MINUTES });
+  }
+}
+
+function clearIPFailures(ip) {
+  failuresByIP.delete(ip);
+}
+
+function sendIPLocked(req, res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    ...apiError(req, 'AUTH_TOO_MANY_ATTEMPTS')
+  });
+}
+
+// ========================================
+// LOGIN
+// ========================================
+
+/**
+ * POST /api/admin/login { username, password }
+ */
+async function login(req, res) {
+  const ip = getClientIP(req);
+  const retryAfter = ipLockRemaining(ip);
+  if (retryAfter > 0) return sendIPLocked(req, res, retryAfter);
+
+  try {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'AUTH_CREDENTIALS_REQUIRED')
+      });
+    }
+
+    const user = await AdminUser.findOne({ username: String(username).toLowerCase().trim() });
+    const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+    const locked = Boolean(user && user.lockedUntil && user.lockedUntil > new Date());
+
+    // Conta bloqueada só é revelada a quem acertou a senha; senão a resposta
+    // é a mesma de usuário inexistente
+    if (locked && valid) {
+      logger.warn('Login em conta bloqueada', { username: user.username, ip });
+      return res.status(423).json({
+        success: false,
+        ...apiError(req, 'AUTH_ACCOUNT_LOCKED')
+      });
+    }
+
+    if (!user || !user.isActive || !valid) {
+      registerIPFailure(ip);
+
+      if (user && !locked) await registerAccountFailure(user);
+
+      logger.warn('Login admin inválido', { username, ip });
+      return res.status(401).json({
+        success: false,
+        ...apiError(req, 'AUTH_INVALID_CREDENTIALS')
+      });
+    }
+
+    clearIPFailures(ip);
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    logger.info('Login admin', { username: user.username, role: user.role, ip });
+
+    res.json({
+      success: true,
+      token: issueToken(user),
+      expiresIn: TOKEN_TTL,
+      user: user.toPublicJSON()
+    });
+  } catch (error) {
+    logger.error('Erro no login admin', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'AUTH_ERROR')
+    });
+  }
+}
+
+// ========================================
+// MIDDLEWARES
+// ========================================
+
+/**
+ * Caminho legado (descontinuado): chave ADMIN_SECRET_KEY no body ou header
+ */
+function getLegacyKey(req) {
+  return req.headers['x-admin-key'] || req.body?.adminKey;
+}
+
+function legacyKeyEnabled() {
+  return process.env.ADMIN_LEGACY_KEY_ENABLED === 'true' && Boolean(process.env.ADMIN_SECRET_KEY);
+}
+
+/**
+ * Autentica a requisição admin e preenche req.admin = { id, username, role }
+ */
+async function authenticateAdmin(req, res, next) {
+  const ip = getClientIP(req);
+  const retryAfter = ipLockRemaining(ip);
+  if (retryAfter > 0) return sendIPLocked(req, res, retryAfter);
+
+  const authHeader = req.headers.authorization || '';
+  const [scheme, token] = authHeader.split(' ');
+
+  try {
+    if (scheme === 'Bearer' && token) {
+      let payload;
+      try {
+        payload = jwt.verify(token, getJwtSecret(), { algorithms: ['HS256'] });
+      } catch (err) {
+        registerIPFailure(ip);
+        return res.status(401).json({
+          success: false,
+          ...apiError(req, 'AUTH_TOKEN_INVALID')
+        });
+      }
+
+      const user = await AdminUser.findById(payload.sub);
+      if (!user || !user.isActive || user.tokenVersion !== payload.tv) {
+        return res.status(401).json({
+          success: false,
+          ...apiError(req, 'AUTH_TOKEN_REVOKED')
+        });
+      }
+
+      req.admin = { id: user._id, username: user.username, role: user.role };
+      return next();
+    }
+
+    const legacyKey = getLegacyKey(req);
+    if (legacyKey && legacyKeyEnabled()) {
+      if (!safeEqual(legacyKey, process.env.ADMIN_SECRET_KEY)) {
+        registerIPFailure(ip);
+        logger.warn('Tentativa de acesso admin com chave inválida', { ip });
+        return res.status(403).json({
+          success: false,
+          ...apiError(req, 'AUTH_LEGACY_KEY_INVALID')
+        });
+      }
+
+      logger.warn('Acesso admin via ADMIN_SECRET_KEY (descontinuado)', { method: req.method, path: req.path });
+      res.set('Deprecation', 'true');
+      req.admin = { id: null, username: 'legacy-admin-key', role: 'admin', legacy: true };
+      return next();
+    }
+
+    return res.status(401).json({
+      success: false,
+      ...apiError(req, 'AUTH_REQUIRED')
+    });
+  } catch (error) {
+    logger.error('Erro na autenticação admin', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'AUTH_ERROR')
+    });
+  }
+}
+
+/**
+ * Exige um papel mínimo (viewer < operator < admin)
+ */
+function requireRole(minRole) {
+  const minLevel = AdminUser.ROLES.indexOf(minRole);
+
+  return (req, res, next) => {
+    const level = req.admin ? AdminUser.ROLES.indexOf(req.admin.role) : -1;
+
+    if (level < minLevel) {
+      return res.status(403).json({
+        success: false,
+        ...apiError(req, 'AUTH_FORBIDDEN', { role: minRole })
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  isValidPassword,
+  hashPassword,
+  verifyPassword,
+  safeEqual,
+  issueToken,
+  login,
+  authenticateAdmin,
+  requireRole
+};
@@ -0,0 +1,360 @@
+// ========================================
+// ANÁLISES DE LEITURAS (AGREGAÇÕES NO MONGODB)
+// ========================================
+// Consultas usadas por routes/adminAnalytics.js. Todas recebem o mesmo
+// escopo: { from, to, timezone, batch?, uid? } — período [from, to) e,
+// opcionalmente, um lote ou uma tag.
+//
+// "Leitura" aqui é um scan aceito (authentic ou suspicious); rejeitadas
+// (replay, assinatura inválida, throttled...) aparecem só em "rejected".
+// Primeira leitura = Product.firstScanAt, gravado na primeira leitura aceita
+// (os scans expiram pelo TTL; sem o campo, produtos antigos voltariam a ter
+// "primeira leitura"). Produtos de antes do campo usam o scan aceito mais
+// antigo ainda guardado (scripts/backfill-first-scan.js preenche o campo).
+//
+// Usa $dateTrunc, $dateDiff e $lookup com pipeline: MongoDB 5.0 ou mais novo.
+
+const Scan = require('../models/Scan');
+const Product = require('../models/Product');
+
+const ACCEPTED = Scan.ACCEPTED_VERDICTS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Agrupamentos aceitos em scansBreakdown: campos do scan
+const BREAKDOWN_FIELDS = {
+  location: { location: '$location' },
+  country: { country: '$geo.country' },
+  region: { country: '$geo.country', region: '$geo.region' },
+  city: { country: '$geo.country', region: '$geo.region', city: '$geo.city' },
+  device: { device: '$device.type' },
+  os: { os: '$device.os' },
+  browser: { browser: '$device.browser' }
+};
+
+// Faixas de dias entre fabricação e primeira leitura
+const FIRST_SCAN_BUCKETS = [0, 8, 31, 91, 181, 366];
+const FIRST_SCAN_LABELS = ['0-7', '8-30', '31-90', '91-180', '181-365', '366+'];
+
+/**
+ * Filtro de scans do escopo (período, lote, tag)
+ */
+async function scopeMatch({ from, to, batch, uid }, extra = {}) {
+  const match = { timestamp: { $gte: from, $lt: to }, ...extra };
+  if (uid) match.nfcUID = uid;
+  if (batch) {
+    match.productId = { $in: await Product.find({ batchNumber: batch }).distinct('_id') };
+  }
+  return match;
+}
+
+/**
+ * Junta nome, lote e UID do produto (após agrupar por productId)
+ */
+function lookupProduct(localField) {
+  return [
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField,
+        foreignField: '_id',
+        as: 'product',
+        pipeline: [{ $project: { productId: 1, productName: 1, batchNumber: 1, nfcUID: 1, manufacturingDate: 1, isActive: 1 } }]
+      }
+    },
+    { $unwind: '$product' }
+  ];
+}
+
+/**
+ * Contadores por grupo: aceitas, suspeitas e rejeitadas
+ */
+const SCAN_COUNTERS = {
+  scans: { $sum: { $cond: [{ $in: ['$verdict', ACCEPTED] }, 1, 0] } },
+  suspicious: { $sum: { $cond: [{ $eq: ['$verdict', 'suspicious'] }, 1, 0] } },
+  rejected: { $sum: { $cond: [{ $in: ['$verdict', ACCEPTED] }, 0, 1] } }
+};
+
+const sumCounters = {
+  scans: { $sum: '$scans' },
+  suspicious: { $sum: '$suspicious' },
+  rejected: { $sum: '$rejected' }
+};
+
+/**
+ * Leituras por dia/semana, no total, por produto ou por lote
+ * interval: 'day' | 'week' (semana começa na segunda)
+ * groupBy: 'none' | 'product' | 'batch'
+ * Linhas: { period, [nfcUID, productId, productName,] [batchNumber,] scans, suspicious, rejected }
+ */
+async function scansTimeSeries(scope, { interval = 'day', groupBy = 'none' } = {}) {
+  const period = {
+    $dateTrunc: { date: '$timestamp', unit: interval, timezone: scope.timezone, startOfWeek: 'monday' }
+  };
+  const pipeline = [{ $match: await scopeMatch(scope) }];
+
+  if (groupBy === 'none') {
+    pipeline.push({ $group: { _id: { period }, ...SCAN_COUNTERS } });
+  } else {
+    pipeline.push(
+      { $group: { _id: { period, productId: '$productId' }, ...SCAN_COUNTERS } },
+      ...lookupProduct('_id.productId')
+    );
+    if (groupBy === 'batch') {
+      pipeline.push({ $group: { _id: { period: '$_id.period', batchNumber: '$product.batchNumber' }, ...sumCounters } });
+    }
+  }
+
+  pipeline.push(
+    {
+      $project: {
+        _id: 0,
+        period: { $dateToString: { date: '$_id.period', format: '%Y-%m-%d', timezone: scope.timezone } },
+        ...(groupBy === 'product' && {
+          nfcUID: '$product.nfcUID',
+          productId: '$product.productId',
+          productName: '$product.productName',
+          batchNumber: '$product.batchNumber'
+        }),
+        ...(groupBy === 'batch' && { batchNumber: '$_id.batchNumber' }),
+        scans: 1,
+        suspicious: 1,
+        rejected: 1
+      }
+    },
+    { $sort: { period: 1, batchNumber: 1, nfcUID: 1 } }
+  );
+
+  return Scan.aggregate(pipeline);
+}
+
+/**
+ * Estágios comuns: leituras aceitas no período agrupadas por produto, com
+ * a data da primeira leitura aceita do produto em qualquer data
+ * Saída: { _id: productId, scans, firstScanAt, isFirst }
+ */
+async function firstScanStages(scope) {
+  return [
+    { $match: await scopeMatch(scope, { verdict: { $in: ACCEPTED } }) },
+    { $group: { _id: '$productId', scans: { $sum: 1 } } },
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'stored',
+        pipeline: [{ $project: { firstScanAt: 1 } }]
+      }
+    },
+    // Só produtos sem firstScanAt procuram o scan mais antigo
+    {
+      $lookup: {
+        from: Scan.collection.name,
+        let: { productId: '$_id', stored: { $ifNull: [{ $first: '$stored.firstScanAt' }, null] } },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$$stored', null] }, { $eq: ['$productId', '$$productId'] }] }, verdict: { $in: ACCEPTED } } },
+          { $sort: { timestamp: 1 } },
+          { $limit: 1 },
+          { $project: { timestamp: 1 } }
+        ],
+        as: 'firstEver'
+      }
+    },
+    {
+      $addFields: {
+        firstScanAt: { $ifNull: [{ $first: '$stored.firstScanAt' }, { $first: '$firstEver.timestamp' }] }
+      }
+    },
+    {
+      $addFields: {
+        isFirst: { $and: [{ $gte: ['$firstScanAt', scope.from] }, { $lt: ['$firstScanAt', scope.to] }] }
+      }
+    }
+  ];
+}
+
+/**
+ * Primeiras leituras x leituras repetidas no período
+ * groupBy: 'none' | 'batch'
+ * Linhas: { [batchNumber,] products, scans, firstScans, repeatScans, firstScanRatio }
+ */
+async function firstVsRepeat(scope, { groupBy = 'none' } = {}) {
+  const pipeline = await firstScanStages(scope);
+
+  if (groupBy === 'batch') pipeline.push(...lookupProduct('_id'));
+
+  pipeline.push(
+    {
+      $group: {
+        _id: groupBy === 'batch' ? '$product.batchNumber' : null,
+        products: { $sum: 1 },
+        scans: { $sum: '$scans' },
+        firstScans: { $sum: { $cond: ['$isFirst', 1, 0] } }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        ...(groupBy === 'batch' && { batchNumber: '$_id' }),
+        products: 1,
+        scans: 1,
+        firstScans: 1,
+        repeatScans: { $subtract: ['$scans', '$firstScans'] },
+        firstScanRatio: { $round: [{ $divide: ['$firstScans', '$scans'] }, 4] }
+      }
+    },
+    { $sort: { batchNumber: 1 } }
+  );
+
+  const rows = await Scan.aggregate(pipeline);
+  if (groupBy === 'none' && rows.length === 0) {
+    return [{ products: 0, scans: 0, firstScans: 0, repeatScans: 0, firstScanRatio: null }];
+  }
+  return rows;
+}
+
+/**
+ * Leituras por local, país, região, cidade, dispositivo, sistema ou navegador
+ * Linhas: { <campos de by>, scans, suspicious, share }, mais lidas primeiro
+ */
+async function scansBreakdown(scope, { by = 'country', limit = 100 } = {}) {
+  const fields = BREAKDOWN_FIELDS[by];
+
+  const rows = await Scan.aggregate([
+    { $match: await scopeMatch(scope, { verdict: { $in: ACCEPTED } }) },
+    { $group: { _id: fields, scans: { $sum: 1 }, suspicious: SCAN_COUNTERS.suspicious } },
+    { $sort: { scans: -1 } },
+    { $limit: limit }
+  ]);
+
+  const total = rows.reduce((sum, row) => sum + row.scans, 0);
+  return rows.map(({ _id, scans, suspicious }) => ({
+    ...Object.fromEntries(Object.keys(fields).map(field => [field, _id[field] ?? null])),
+    scans,
+    suspicious,
+    share: total ? Math.round((scans / total) * 10000) / 10000 : 0
+  }));
+}
+
+/**
+ * Dias entre a fabricação e a primeira leitura do consumidor, para os
+ * produtos lidos pela primeira vez no período
+ * Retorna { summary, histogram, byBatch }
+ */
+async function timeToFirstScan(scope) {
+  const pipeline = await firstScanStages(scope);
+
+  pipeline.push(
+    { $match: { isFirst: true } },
+    ...lookupProduct('_id'),
+    { $match: { 'product.manufacturingDate': { $type: 'date' } } },
+    {
+      $project: {
+        batchNumber: '$product.batchNumber',
+        days: {
+          $dateDiff: { startDate: '$product.manufacturingDate', endDate: '$firstScanAt', unit: 'day', timezone: scope.timezone }
+        }
+      }
+    },
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              products: { $sum: 1 },
+              avgDays: { $avg: '$days' },
+              minDays: { $min: '$days' },
+              maxDays: { $max: '$days' }
+            }
+          }
+        ],
+        histogram: [
+          { $bucket: { groupBy: '$days', boundaries: [...FIRST_SCAN_BUCKETS, Number.MAX_SAFE_INTEGER], default: 'invalid', output: { products: { $sum: 1 } } } }
+        ],
+        byBatch: [
+          {
+            $group: {
+              _id: '$batchNumber',
+              products: { $sum: 1 },
+              avgDays: { $avg: '$days' },
+              minDays: { $min: '$days' },
+              maxDays: { $max: '$days' }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  );
+
+  const [result] = await Scan.aggregate(pipeline);
+  const round = value => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+  const stats = ({ products, avgDays, minDays, maxDays }) => ({
+    products,
+    avgDays: round(avgDays),
+    minDays: minDays ?? null,
+    maxDays: maxDays ?? null
+  });
+
+  // Faixas sem produtos aparecem com zero; "invalid" = primeira leitura antes da fabricação
+  const counts = new Map(result.histogram.map(bucket => [bucket._id, bucket.products]));
+  const histogram = FIRST_SCAN_BUCKETS.map((start, index) => ({
+    range: FIRST_SCAN_LABELS[index],
+    products: counts.get(start) || 0
+  }));
+  if (counts.has('invalid')) histogram.push({ range: 'invalid', products: counts.get('invalid') });
+
+  return {
+    summary: stats(result.summary[0] || { products: 0 }),
+    histogram,
+    byBatch: result.byBatch.map(({ _id, ...batch }) => ({ batchNumber: _id, ...stats(batch) }))
+  };
+}
+
+/**
+ * Tags com mais leituras suspeitas (veredito das regras de clonagem)
+ * Linhas: { nfcUID, productId, productName, batchNumber, isActive,
+ *           suspiciousScans, maxRiskScore, lastSuspiciousAt, countries }
+ */
+async function topSuspiciousTags(scope, { limit = 20 } = {}) {
+  return Scan.aggregate([
+    { $match: await scopeMatch(scope, { verdict: 'suspicious' }) },
+    {
+      $group: {
+        _id: '$productId',
+        suspiciousScans: { $sum: 1 },
+        maxRiskScore: { $max: '$riskScore' },
+        lastSuspiciousAt: { $max: '$timestamp' },
+        countries: { $addToSet: '$geo.country' }
+      }
+    },
+    { $sort: { suspiciousScans: -1, maxRiskScore: -1 } },
+    { $limit: limit },
+    ...lookupProduct('_id'),
+    {
+      $project: {
+        _id: 0,
+        nfcUID: '$product.nfcUID',
+        productId: '$product.productId',
+        productName: '$product.productName',
+        batchNumber: '$product.batchNumber',
+        isActive: '$product.isActive',
+        suspiciousScans: 1,
+        maxRiskScore: 1,
+        lastSuspiciousAt: 1,
+        countries: 1
+      }
+    },
+    { $sort: { suspiciousScans: -1, maxRiskScore: -1 } }
+  ]);
+}
+
+module.exports = {
+  DAY_MS,
+  BREAKDOWN_FIELDS,
+  scansTimeSeries,
+  firstVsRepeat,
+  scansBreakdown,
+  timeToFirstScan,
+  topSuspiciousTags
+};
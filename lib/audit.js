@@ -0,0 +1,58 @@
+// ========================================
+// AUDITORIA DE ALTERAÇÕES
+// ========================================
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Lista os campos alterados entre o estado anterior e o novo
+ * Datas são comparadas pelo valor, não pela referência
+ */
+function diffFields(before, after, fields) {
+  const changes = [];
+
+  for (const field of fields) {
+    const oldValue = before[field];
+    const newValue = after[field];
+    const oldComparable = oldValue instanceof Date ? oldValue.getTime() : oldValue;
+    const newComparable = newValue instanceof Date ? newValue.getTime() : newValue;
+
+    if (oldComparable !== newComparable) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Grava uma entrada de auditoria
+ * actor = req.admin ({ id, username }) ou string "system:<origem>"
+ */
+async function recordAudit(actor, entry) {
+  return AuditLog.create(withActor(actor, entry));
+}
+
+/**
+ * Grava várias entradas do mesmo autor de uma vez (ex.: importação em lote)
+ */
+async function recordAuditMany(actor, entries) {
+  if (entries.length === 0) return [];
+  return AuditLog.insertMany(entries.map(entry => withActor(actor, entry)));
+}
+
+function withActor(actor, entry) {
+  const isSystem = typeof actor === 'string';
+
+  return {
+    actor: isSystem ? actor : actor.username,
+    actorId: isSystem ? undefined : actor.id || undefined,
+    ...entry
+  };
+}
+
+module.exports = {
+  diffFields,
+  recordAudit,
+  recordAuditMany
+};
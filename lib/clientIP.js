@@ -0,0 +1,49 @@
+// ========================================
+// IP DO CLIENTE (PROXIES CONFIÁVEIS)
+// ========================================
+// O X-Forwarded-For pode ser forjado pelo cliente: só vale o que os
+// proxies confiáveis acrescentaram. TRUST_PROXY configura o "trust proxy"
+// do Express, e req.ip passa a ser o primeiro endereço não confiável da
+// cadeia (o cliente real):
+//   TRUST_PROXY=1                          um proxy na frente (ex.: Render, Heroku)
+//   TRUST_PROXY=loopback,10.0.0.0/8        proxies por endereço/faixa
+//   (vazio ou false)                       conexão direta, ignora X-Forwarded-For
+// TRUST_PROXY=true confia em qualquer origem e volta a aceitar IP forjado.
+
+/**
+ * Valor de TRUST_PROXY no formato aceito pelo Express
+ */
+function parseTrustProxy(value) {
+  const text = String(value ?? '').trim();
+  if (!text || text === 'false') return false;
+  if (text === 'true') {
+    // Carregado aqui: lib/logger.js depende deste módulo (getClientIP)
+    const { logger } = require('./logger');
+    logger.warn('TRUST_PROXY=true aceita qualquer X-Forwarded-For (IP forjável); prefira o número de proxies');
+    return true;
+  }
+  if (/^\d+$/.test(text)) return parseInt(text);
+  return text.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Aplica TRUST_PROXY no app Express
+ */
+function configureTrustProxy(app, value = process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(value));
+}
+
+/**
+ * IP do cliente, sem o prefixo IPv4 mapeado em IPv6 (::ffff:1.2.3.4)
+ */
+function getClientIP(req) {
+  const ip = req.ip || (req.socket && req.socket.remoteAddress);
+  if (!ip) return 'unknown';
+  return ip.startsWith('::ffff:') && ip.includes('.') ? ip.slice(7) : ip;
+}
+
+module.exports = {
+  parseTrustProxy,
+  configureTrustProxy,
+  getClientIP
+};
@@ -0,0 +1,375 @@
+// ========================================
+// MOTOR DE REGRAS DE DETECÇÃO DE CLONAGEM
+// ========================================
+// Cada regra recebe o contexto da leitura e devolve um veredito com score.
+// A soma dos scores decide se a leitura é suspeita, se gera alerta e se o
+// produto deve ser desativado automaticamente.
+//
+// Os limites podem ser ajustados com um JSON em CLONE_RULES_CONFIG
+// (caminho do arquivo), mesclado sobre DEFAULT_CONFIG.
+
+const fs = require('fs');
+const Scan = require('../models/Scan');
+const Alert = require('../models/Alert');
+const Product = require('../models/Product');
+const { recordAudit } = require('./audit');
+const webhooks = require('./webhooks');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_CONFIG = {
+  alertScore: 50,       // a partir deste score a leitura é suspeita e gera alerta
+  deactivateScore: 100, // a partir deste score o produto é desativado
+  rules: {
+    burst: { enabled: true, windowMs: 60000, maxScans: 5, score: 50 },
+    manyIPs: { enabled: true, windowMs: DAY_MS, maxIPs: 10, score: 50 },
+    impossibleTravel: { enabled: true, maxSpeedKmh: 900, minDistanceKm: 50, score: 70 },
+    counterGap: { enabled: true, maxGap: 20, score: 40 },
+    afterExpiry: { enabled: true, graceDays: 0, score: 20 },
+    manyUserAgents: { enabled: true, windowMs: DAY_MS, maxUserAgents: 5, score: 30 },
+    throttled: { enabled: true, windowMs: DAY_MS, maxThrottled: 0, score: 30 },
+    manyCountries: { enabled: true, windowMs: DAY_MS, maxCountries: 2, score: 50 }
+  }
+};
+
+// Leituras que contam como uso real da tag nas regras. Rejeitadas (assinatura
+// inválida, replay, inativo, throttled) ficam de fora: quem conhece o UID não
+// pode forjar leituras para desativar o produto verdadeiro.
+const ACCEPTED_VERDICTS = Scan.ACCEPTED_VERDICTS;
+
+/**
+ * Distância em km entre dois pontos (fórmula de haversine)
+ */
+function distanceKm(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// ========================================
+// REGRAS
+// ========================================
+// context: { product, scan, counter, previousCounter, now }
+// Retorno: { triggered, reason } — o score vem da configuração da regra
+
+const rules = {
+  /**
+   * Muitas leituras em uma janela curta
+   */
+  async burst(context, options) {
+    const count = await Scan.countDocuments({
+      productId: context.product._id,
+      verdict: { $in: ACCEPTED_VERDICTS },
+      timestamp: { $gte: new Date(context.now - options.windowMs) }
+    });
+
+    // +1 = leitura atual, ainda não gravada
+    if (count + 1 > options.maxScans) {
+      return { triggered: true, reason: `${count + 1} scans em ${Math.round(options.windowMs / 1000)}s` };
+    }
+    return { triggered: false };
+  },
+
+  /**
+   * Muitos IPs diferentes na janela
+   */
+  async manyIPs(context, options) {
+    const ips = await Scan.distinct('ipAddress', {
+      productId: context.product._id,
+      verdict: { $in: ACCEPTED_VERDICTS },
+      timestamp: { $gte: new Date(context.now - options.windowMs) }
+    });
+
+    const uniqueIPs = new Set([...ips, context.scan.ipAddress].filter(Boolean));
+    if (uniqueIPs.size > options.maxIPs) {
+      return { triggered: true, reason: `${uniqueIPs.size} IPs diferentes em ${Math.round(options.windowMs / HOUR_MS)}h` };
+    }
+    return { triggered: false };
+  },
+
+  /**
+   * Deslocamento impossível entre a leitura anterior e a atual
+   */
+  async impossibleTravel(context, options) {
+    const current = context.scan.coordinates;
+    if (!current) return { triggered: false };
+
+    const previous = await Scan.findOne({
+      productId: context.product._id,
+      verdict: { $in: ACCEPTED_VERDICTS },
+      'coordinates.lat': { $exists: true }
+    }).sort({ timestamp: -1 });
+
+    if (!previous) return { triggered: false };
+
+    const km = distanceKm(previous.coordinates, current);
+    if (km < options.minDistanceKm) return { triggered: false };
+
+    const hours = Math.max((context.now - previous.timestamp.getTime()) / HOUR_MS, 1 / 3600);
+    const speed = km / hours;
+
+    if (speed > options.maxSpeedKmh) {
+      return { triggered: true, reason: `${Math.round(km)} km em ${hours.toFixed(1)}h (${Math.round(speed)} km/h)` };
+    }
+    return { triggered: false };
+  },
+
+  /**
+   * Salto grande no contador autenticado: a tag foi lida em outro lugar
+   */
+  async counterGap(context, options) {
+    if (context.counter === null || context.counter === undefined) return { triggered: false };
+    if (!context.previousCounter) return { triggered: false };
+
+    const gap = context.counter - context.previousCounter;
+    if (gap > options.maxGap) {
+      return { triggered: true, reason: `Contador saltou ${gap} leituras (${context.previousCounter} → ${context.counter})` };
+    }
+    return { triggered: false };
+  },
+
+  /**
+   * Leitura após a validade
+   */
+  async afterExpiry(context, options) {
+    const expiry = context.product.expiryDate;
+    if (!expiry) return { triggered: false };
+
+    if (context.now > expiry.getTime() + options.graceDays * DAY_MS) {
+      return { triggered: true, reason: 'Leitura após a data de validade' };
+    }
+    return { triggered: false };
+  },
+
+  /**
+   * Muitos dispositivos (user agents) diferentes na janela
+   */
+  async manyUserAgents(context, options) {
+    const agents = await Scan.distinct('userAgent', {
+      productId: context.product._id,
+      verdict: { $in: ACCEPTED_VERDICTS },
+      timestamp: { $gte: new Date(context.now - options.windowMs) }
+    });
+
+    const uniqueAgents = new Set([...agents, context.scan.userAgent].filter(ua => ua && ua !== 'Unknown'));
+    if (uniqueAgents.size > options.maxUserAgents) {
+      return { triggered: true, reason: `${uniqueAgents.size} dispositivos diferentes em ${Math.round(options.windowMs / HOUR_MS)}h` };
+    }
+    return { triggered: false };
+  },
+
+  /**
+   * Tag barrada pelo rate limit por UID na janela (enxurrada de leituras).
+   * Só leituras autenticadas geram scan 'throttled' (lib/verification.js):
+   * quem conhece apenas o UID não consegue disparar esta regra.
+   */
+  async throttled(context, options) {
+    const count = await Scan.countDocuments({
+      productId: context.product._id,
+      verdict: 'throttled',
+      timestamp: { $gte: new Date(context.now - options.windowMs) }
+    });
+
+    if (count > options.maxThrottled) {
+      return { triggered: true, reason: `Rate limit por UID atingido ${count}x em ${Math.round(options.windowMs / HOUR_MS)}h` };
+    }
+    return { triggered: false };
+  },
+
+  /**
+   * Leituras aceitas em muitos países (GeoIP do IP) na janela
+   */
+  async manyCountries(context, options) {
+    const countries = await Scan.distinct('geo.country', {
+      productId: context.product._id,
+      verdict: { $in: ACCEPTED_VERDICTS },
+      timestamp: { $gte: new Date(context.now - options.windowMs) }
+    });
+
+    const current = context.scan.geo && context.scan.geo.country;
+    const uniqueCountries = new Set([...countries, current].filter(Boolean));
+    if (uniqueCountries.size > options.maxCountries) {
+      return { triggered: true, reason: `Lido em ${uniqueCountries.size} países (${[...uniqueCountries].join(', ')}) em ${Math.round(options.windowMs / HOUR_MS)}h` };
+    }
+    return { triggered: false };
+  }
+};
+
+// ========================================
+// CONFIGURAÇÃO
+// ========================================
+
+/**
+ * Carrega a configuração (padrão + CLONE_RULES_CONFIG)
+ */
+function loadConfig() {
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  const file = process.env.CLONE_RULES_CONFIG;
+  if (!file) return config;
+
+  const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (custom.alertScore !== undefined) config.alertScore = custom.alertScore;
+  if (custom.deactivateScore !== undefined) config.deactivateScore = custom.deactivateScore;
+
+  for (const [name, options] of Object.entries(custom.rules || {})) {
+    config.rules[name] = { ...(config.rules[name] || {}), ...options };
+  }
+
+  return config;
+}
+
+let config = loadConfig();
+
+/**
+ * Substitui a configuração em tempo de execução
+ */
+function setConfig(newConfig) {
+  config = newConfig;
+}
+
+function getConfig() {
+  return config;
+}
+
+/**
+ * Registra uma regra adicional (plugin)
+ * options = limites padrão da regra; CLONE_RULES_CONFIG tem precedência
+ */
+function registerRule(name, evaluate, options = {}) {
+  rules[name] = evaluate;
+  config.rules[name] = { enabled: true, score: 0, ...options, ...(config.rules[name] || {}) };
+}
+
+// ========================================
+// AVALIAÇÃO
+// ========================================
+
+/**
+ * Executa todas as regras habilitadas e soma os scores
+ */
+async function evaluate(context) {
+  const ctx = { now: Date.now(), ...context };
+  const verdicts = [];
+
+  for (const [name, options] of Object.entries(config.rules)) {
+    if (!options.enabled || !rules[name]) continue;
+
+    try {
+      const result = await rules[name](ctx, options);
+      verdicts.push({
+        rule: name,
+        triggered: Boolean(result.triggered),
+        score: result.triggered ? options.score : 0,
+        reason: result.reason
+      });
+    } catch (error) {
+      logger.error('Erro na regra de clonagem', { rule: name, error });
+    }
+  }
+
+  const triggered = verdicts.filter(v => v.triggered);
+  const score = triggered.reduce((sum, v) => sum + v.score, 0);
+
+  return {
+    score,
+    suspicious: score >= config.alertScore,
+    shouldDeactivate: score >= config.deactivateScore,
+    reason: triggered.map(v => v.reason).join('; ') || undefined,
+    verdicts
+  };
+}
+
+/**
+ * Soma a ocorrência no alerta em andamento do produto, ou abre um
+ */
+async function upsertOpenAlert(product, evaluation, triggered) {
+  const filter = { productId: product._id, status: { $in: Alert.OPEN_STATUSES } };
+  const update = {
+    $setOnInsert: { nfcUID: product.nfcUID },
+    $max: { score: evaluation.score },
+    $inc: { occurrences: 1 },
+    $push: { rules: { $each: triggered, $slice: -100 } }, // mantém só as últimas
+    $set: { updatedAt: new Date() }
+  };
+
+  try {
+    return await Alert.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    // Outra leitura simultânea abriu o alerta primeiro (índice único de
+    // Alert): agora o documento existe e a ocorrência é somada nele
+    if (error.code !== 11000) throw error;
+    return Alert.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  }
+}
+
+/**
+ * Grava o alerta da leitura suspeita e desativa o produto se necessário
+ */
+async function recordAlert(product, evaluation, scanId) {
+  const triggered = evaluation.verdicts
+    .filter(v => v.triggered)
+    .map(v => ({ rule: v.rule, score: v.score, reason: v.reason, scanId }));
+
+  const alert = await upsertOpenAlert(product, evaluation, triggered);
+
+  metrics.recordCloneAlert({
+    opened: alert.occurrences === 1,
+    rules: triggered.map(v => v.rule),
+    deactivated: evaluation.shouldDeactivate
+  });
+
+  webhooks.emit('clone.suspected', {
+    product: webhooks.productSummary(product),
+    scanId,
+    score: evaluation.score,
+    reason: evaluation.reason,
+    rules: triggered.map(({ rule, score, reason }) => ({ rule, score, reason })),
+    alert: { alertId: alert._id, status: alert.status, occurrences: alert.occurrences },
+    willDeactivate: evaluation.shouldDeactivate
+  });
+
+  if (evaluation.shouldDeactivate) {
+    const reason = `Score de clonagem ${evaluation.score} >= ${config.deactivateScore}`;
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { isActive: false, deactivationReason: reason, updatedBy: 'system:clone-rules', updatedAt: new Date() } }
+    );
+    alert.autoDeactivated = true;
+    await alert.save();
+
+    await recordAudit('system:clone-rules', {
+      action: 'product.deactivate',
+      entity: 'Product',
+      entityId: product._id,
+      nfcUID: product.nfcUID,
+      changes: [{ field: 'isActive', before: true, after: false }],
+      reason
+    });
+    logger.warn('Produto desativado automaticamente', { nfcUID: product.nfcUID, score: evaluation.score, alertId: alert._id });
+
+    webhooks.emit('product.deactivated', {
+      product: webhooks.productSummary(product),
+      reason,
+      deactivatedBy: 'system:clone-rules',
+      alertId: alert._id
+    });
+  }
+
+  return alert;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  distanceKm,
+  evaluate,
+  recordAlert,
+  registerRule,
+  setConfig,
+  getConfig
+};
@@ -0,0 +1,31 @@
+// ========================================
+// GERAÇÃO DE CSV
+// ========================================
+
+/**
+ * Escapa um valor (aspas quando há vírgula, aspas ou quebra de linha)
+ * Datas em ISO, listas separadas por ";"; null/undefined viram célula vazia
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString()
+    : Array.isArray(value) ? value.join(';')
+      : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Linhas (objetos) → CSV com cabeçalho, na ordem de columns
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(csvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvValue(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  csvValue,
+  toCsv
+};
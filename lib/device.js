@@ -0,0 +1,33 @@
+// ========================================
+// DISPOSITIVO A PARTIR DO USER AGENT
+// ========================================
+// Tipo de dispositivo, sistema e navegador extraídos do User-Agent
+// (ua-parser-js), gravados estruturados no scan para análises e regras.
+
+const UAParser = require('ua-parser-js');
+
+/**
+ * { type, vendor, model, os, osVersion, browser, browserVersion }
+ * type: mobile, tablet, desktop, bot... (sem tipo informado = desktop)
+ * Retorna undefined para user agent ausente
+ */
+function parseUserAgent(userAgent) {
+  if (!userAgent || userAgent === 'Unknown') return undefined;
+
+  const { browser, os, device } = new UAParser(userAgent).getResult();
+  const isBot = /bot|crawler|spider|curl|wget|python-requests|httpclient/i.test(userAgent);
+
+  return {
+    type: isBot ? 'bot' : device.type || 'desktop',
+    vendor: device.vendor,
+    model: device.model,
+    os: os.name,
+    osVersion: os.version,
+    browser: browser.name,
+    browserVersion: browser.major
+  };
+}
+
+module.exports = {
+  parseUserAgent
+};
@@ -0,0 +1,85 @@
+// ========================================
+// GEOLOCALIZAÇÃO POR IP (OFFLINE)
+// ========================================
+// Consulta um arquivo MaxMind .mmdb local (GeoLite2-City ou GeoIP2-City,
+// GeoLite2-Country também serve, só sem região/cidade) — nenhuma chamada
+// de rede. Caminho em GEOIP_DATABASE; sem o arquivo, os scans ficam sem geo.
+//
+// O arquivo é lido uma vez, na primeira consulta. Para atualizar a base,
+// troque o arquivo e reinicie o processo.
+
+const fs = require('fs');
+const { Reader } = require('maxmind');
+const { logger } = require('./logger');
+
+let reader;          // undefined = ainda não carregado; null = indisponível
+let loadedPath;
+
+/**
+ * Carrega a base (uma vez por caminho); null se não configurada ou inválida
+ */
+function getReader() {
+  const file = process.env.GEOIP_DATABASE;
+  if (reader !== undefined && loadedPath === file) return reader;
+
+  loadedPath = file;
+  reader = null;
+  if (!file) return reader;
+
+  try {
+    reader = new Reader(fs.readFileSync(file));
+    logger.info('Base GeoIP carregada', { file, databaseType: reader.metadata.databaseType });
+  } catch (error) {
+    logger.error('Base GeoIP indisponível', { file, error });
+  }
+  return reader;
+}
+
+/**
+ * Nome no idioma preferido (pt-BR, senão inglês)
+ */
+function pickName(names) {
+  if (!names) return undefined;
+  return names['pt-BR'] || names.en;
+}
+
+/**
+ * País/região/cidade do IP
+ * Retorna { country, countryName, region, city, lat, lng } ou undefined
+ * (IP privado, não encontrado ou base ausente)
+ */
+function lookup(ip) {
+  const db = getReader();
+  if (!db || !ip || ip === 'unknown') return undefined;
+
+  let record;
+  try {
+    record = db.get(ip);
+  } catch (error) {
+    return undefined; // endereço em formato inválido
+  }
+  if (!record || !record.country) return undefined;
+
+  const subdivision = (record.subdivisions || [])[0];
+  return {
+    country: record.country.iso_code,
+    countryName: pickName(record.country.names),
+    region: subdivision ? subdivision.iso_code || pickName(subdivision.names) : undefined,
+    city: record.city ? pickName(record.city.names) : undefined,
+    lat: record.location ? record.location.latitude : undefined,
+    lng: record.location ? record.location.longitude : undefined
+  };
+}
+
+/**
+ * Troca a base em uso (ex.: um Reader montado nos testes); null desliga
+ */
+function setReader(newReader) {
+  reader = newReader;
+  loadedPath = process.env.GEOIP_DATABASE;
+}
+
+module.exports = {
+  lookup,
+  setReader
+};
@@ -0,0 +1,220 @@
+// ========================================
+// SAÚDE E PRONTIDÃO DO SERVIDOR
+// ========================================
+// Usado por server.js:
+//   GET /livez  - processo vivo (sem tocar no banco)
+//   GET /readyz - pronto para receber tráfego: ping no MongoDB, índices
+//                 criados e idade da última sincronização
+//   GET /health - resumo com as contagens de produtos (em cache)
+//
+// Variáveis de ambiente:
+//   HEALTH_PING_TIMEOUT_MS         limite do ping no MongoDB (padrão 2000)
+//   HEALTH_COUNTS_TTL_SECONDS      cache das contagens de produtos (padrão 60)
+//   HEALTH_INDEX_CHECK_TTL_SECONDS cache da conferência de índices (padrão 300)
+//   HEALTH_SYNC_MAX_AGE_MINUTES    sincronização mais antiga que isso tira o
+//                                  servidor de "pronto" (padrão 0 = só informa)
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const SyncRun = require('../models/SyncRun');
+
+const DB_STATES = {
+  0: 'Disconnected',
+  1: 'Connected',
+  2: 'Connecting',
+  3: 'Disconnecting'
+};
+
+function getConfig() {
+  return {
+    pingTimeoutMs: parseInt(process.env.HEALTH_PING_TIMEOUT_MS) || 2000,
+    countsTtlMs: (parseInt(process.env.HEALTH_COUNTS_TTL_SECONDS) || 60) * 1000,
+    indexTtlMs: (parseInt(process.env.HEALTH_INDEX_CHECK_TTL_SECONDS) || 300) * 1000,
+    syncMaxAgeMinutes: parseInt(process.env.HEALTH_SYNC_MAX_AGE_MINUTES) || 0
+  };
+}
+
+// ========================================
+// ENCERRAMENTO
+// ========================================
+
+let shuttingDown = false;
+
+/**
+ * Marca o servidor como encerrando: /readyz passa a responder 503 para o
+ * balanceador parar de mandar tráfego enquanto as requisições terminam
+ */
+function setShuttingDown(value = true) {
+  shuttingDown = value;
+}
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+// ========================================
+// CACHE
+// ========================================
+// Guarda a promessa: chamadas simultâneas compartilham a mesma consulta
+
+const cache = new Map();
+
+function cached(name, ttlMs, load, { keep = () => true } = {}) {
+  const entry = cache.get(name);
+  if (entry && (!entry.expiresAt || entry.expiresAt > Date.now())) return entry.promise;
+
+  const current = { promise: null, expiresAt: null };
+  current.promise = load().then(
+    value => {
+      if (cache.get(name) === current) {
+        if (keep(value)) current.expiresAt = Date.now() + ttlMs;
+        else cache.delete(name);
+      }
+      return value;
+    },
+    error => {
+      if (cache.get(name) === current) cache.delete(name);
+      throw error;
+    }
+  );
+  cache.set(name, current);
+  return current.promise;
+}
+
+/**
+ * Limpa os caches (testes)
+ */
+function resetCache() {
+  cache.clear();
+}
+
+// ========================================
+// CONFERÊNCIAS
+// ========================================
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Sem resposta em ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Conexão e ping no MongoDB
+ */
+async function checkMongo() {
+  const state = mongoose.connection.readyState;
+  const result = { status: DB_STATES[state] || 'Unknown', ok: false };
+  if (state !== 1) return result;
+
+  const started = Date.now();
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping(), getConfig().pingTimeoutMs);
+    result.ok = true;
+    result.latencyMs = Date.now() - started;
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+}
+
+/**
+ * Índices declarados nos schemas e ausentes no banco (syncIndexes pendente).
+ * Sem eles, buscas por UID viram varredura e o índice único de nfcUID não
+ * impede duplicatas. O resultado só fica em cache quando está tudo certo.
+ */
+function checkIndexes() {
+  return cached('indexes', getConfig().indexTtlMs, async () => {
+    const missing = [];
+    for (const name of mongoose.modelNames()) {
+      const { toCreate } = await mongoose.model(name).diffIndexes();
+      for (const keys of toCreate) missing.push({ model: name, keys });
+    }
+    return { ok: missing.length === 0, missing };
+  }, { keep: result => result.ok });
+}
+
+/**
+ * Última sincronização concluída com a planilha
+ */
+async function checkSync() {
+  const { syncMaxAgeMinutes } = getConfig();
+  const last = await SyncRun.findOne({ status: 'completed' })
+    .sort({ startedAt: -1 })
+    .select('finishedAt startedAt sourceType trigger');
+
+  if (!last) {
+    return { ok: syncMaxAgeMinutes === 0, lastCompletedAt: null, maxAgeMinutes: syncMaxAgeMinutes || null };
+  }
+
+  const finishedAt = last.finishedAt || last.startedAt;
+  const ageMinutes = Math.floor((Date.now() - finishedAt.getTime()) / 60000);
+  return {
+    ok: syncMaxAgeMinutes === 0 || ageMinutes <= syncMaxAgeMinutes,
+    lastCompletedAt: finishedAt,
+    ageMinutes,
+    maxAgeMinutes: syncMaxAgeMinutes || null,
+    sourceType: last.sourceType,
+    trigger: last.trigger
+  };
+}
+
+/**
+ * Roda uma conferência; exceção vira { ok: false, error }
+ */
+async function runCheck(check) {
+  try {
+    return await check();
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Prontidão: { ready, status, checks }
+ * Sem MongoDB as demais conferências nem rodam.
+ */
+async function readiness() {
+  if (shuttingDown) {
+    return { ready: false, status: 'shutting_down', checks: {} };
+  }
+
+  const checks = { mongo: await checkMongo() };
+  if (checks.mongo.ok) {
+    const [indexes, sync] = await Promise.all([runCheck(checkIndexes), runCheck(checkSync)]);
+    checks.indexes = indexes;
+    checks.sync = sync;
+  }
+
+  const ready = Object.values(checks).every(check => check.ok);
+  return { ready, status: ready ? 'ready' : 'not_ready', checks };
+}
+
+// ========================================
+// CONTAGENS
+// ========================================
+
+/**
+ * Total de produtos e ativos, recontados no máximo a cada
+ * HEALTH_COUNTS_TTL_SECONDS
+ */
+function getProductCounts() {
+  return cached('productCounts', getConfig().countsTtlMs, async () => {
+    const [totalProducts, activeProducts] = await Promise.all([
+      Product.estimatedDocumentCount(),
+      Product.countDocuments({ isActive: true })
+    ]);
+    return { totalProducts, activeProducts, countedAt: new Date() };
+  });
+}
+
+module.exports = {
+  DB_STATES,
+  setShuttingDown,
+  isShuttingDown,
+  resetCache,
+  checkMongo,
+  readiness,
+  getProductCounts
+};
@@ -0,0 +1,700 @@
+// ========================================
+// MENSAGENS DA API (i18n)
+// ========================================
+// Catálogo de mensagens por código estável. As respostas levam o código
+// (para o front-end decidir o que fazer) e o texto no idioma pedido:
+//   ?lang=en (ou "lang" no body) > Accept-Language > português.
+//
+// Parâmetros no texto: "{field}" é trocado por params.field.
+
+const LANGUAGES = ['pt', 'en', 'es'];
+const DEFAULT_LANGUAGE = 'pt';
+
+const MESSAGES = {
+  // ---------- Verificação ----------
+  UID_REQUIRED: {
+    pt: 'UID da tag NFC é obrigatório',
+    en: 'NFC tag UID is required',
+    es: 'El UID de la etiqueta NFC es obligatorio'
+  },
+  'UID_REQUIRED.details': {
+    pt: 'Por favor, forneça o UID do produto.',
+    en: 'Please provide the product UID.',
+    es: 'Por favor, indique el UID del producto.'
+  },
+  UID_INVALID: {
+    pt: 'Formato de UID inválido',
+    en: 'Invalid UID format',
+    es: 'Formato de UID no válido'
+  },
+  'UID_INVALID.details': {
+    pt: 'O UID fornecido não está no formato correto.',
+    en: 'The UID provided is not in the correct format.',
+    es: 'El UID indicado no tiene el formato correcto.'
+  },
+  TAG_NOT_FOUND: {
+    pt: 'Tag NFC não registrada no sistema Make Beauty',
+    en: 'NFC tag not registered in the Make Beauty system',
+    es: 'Etiqueta NFC no registrada en el sistema Make Beauty'
+  },
+  'TAG_NOT_FOUND.details': {
+    pt: 'Este produto não foi encontrado em nossa base de dados. Verifique se a tag foi registrada corretamente.',
+    en: 'This product was not found in our database. Check that the tag was registered correctly.',
+    es: 'Este producto no se encontró en nuestra base de datos. Verifique que la etiqueta se haya registrado correctamente.'
+  },
+  BATCH_RECALLED: {
+    pt: 'Lote do produto recolhido',
+    en: 'Product batch recalled',
+    es: 'Lote del producto retirado'
+  },
+  PRODUCT_INACTIVE: {
+    pt: 'Produto foi bloqueado ou recolhido',
+    en: 'Product has been blocked or recalled',
+    es: 'El producto fue bloqueado o retirado'
+  },
+  'PRODUCT_INACTIVE.details': {
+    pt: 'Este produto foi marcado como inativo em nosso sistema. Entre em contato com o suporte.',
+    en: 'This product has been marked as inactive in our system. Please contact support.',
+    es: 'Este producto fue marcado como inactivo en nuestro sistema. Póngase en contacto con soporte.'
+  },
+  SIGNATURE_INVALID: {
+    pt: 'Assinatura criptográfica inválida',
+    en: 'Invalid cryptographic signature',
+    es: 'Firma criptográfica no válida'
+  },
+  'SIGNATURE_INVALID.details': {
+    pt: 'A assinatura digital desta tag não confere. Produto possivelmente falsificado.',
+    en: 'The digital signature of this tag does not match. The product may be counterfeit.',
+    es: 'La firma digital de esta etiqueta no coincide. Posible producto falsificado.'
+  },
+  COUNTER_REPLAY: {
+    pt: 'Leitura repetida - este link de verificação já foi utilizado',
+    en: 'Repeated scan - this verification link has already been used',
+    es: 'Lectura repetida - este enlace de verificación ya fue utilizado'
+  },
+  'COUNTER_REPLAY.details': {
+    pt: 'Aproxime o celular da tag novamente para gerar uma nova verificação. Se o erro persistir, a tag pode ter sido clonada.',
+    en: 'Tap your phone on the tag again to generate a new verification. If the error persists, the tag may have been cloned.',
+    es: 'Acerque el teléfono a la etiqueta de nuevo para generar una nueva verificación. Si el error persiste, la etiqueta puede haber sido clonada.'
+  },
+  PRODUCT_AUTHENTIC: {
+    pt: 'Produto autêntico',
+    en: 'Authentic product',
+    es: 'Producto auténtico'
+  },
+  CLONE_SUSPECTED: {
+    pt: 'Padrão de leituras suspeito para esta tag',
+    en: 'Suspicious scan pattern for this tag',
+    es: 'Patrón de lecturas sospechoso para esta etiqueta'
+  },
+  PRODUCT_STATUS_VALID: {
+    pt: 'Válido',
+    en: 'Valid',
+    es: 'Válido'
+  },
+  PRODUCT_STATUS_EXPIRED: {
+    pt: 'Vencido',
+    en: 'Expired',
+    es: 'Caducado'
+  },
+
+  // ---------- Página pública de verificação (/v) ----------
+  PAGE_LANGUAGE_NAME: {
+    pt: 'Português',
+    en: 'English',
+    es: 'Español'
+  },
+  PAGE_TITLE: {
+    pt: 'Verificação Make Beauty',
+    en: 'Make Beauty Verification',
+    es: 'Verificación Make Beauty'
+  },
+  PAGE_AUTHENTIC_DETAILS: {
+    pt: 'Esta tag foi verificada com a assinatura Make Beauty.',
+    en: 'This tag was verified with the Make Beauty signature.',
+    es: 'Esta etiqueta fue verificada con la firma Make Beauty.'
+  },
+  PAGE_NOT_VERIFIED: {
+    pt: 'Não foi possível confirmar a autenticidade',
+    en: 'We could not confirm authenticity',
+    es: 'No fue posible confirmar la autenticidad'
+  },
+  PAGE_RECALLED: {
+    pt: 'Produto recolhido',
+    en: 'Product recalled',
+    es: 'Producto retirado'
+  },
+  PAGE_RECALLED_DETAILS: {
+    pt: 'Este lote foi recolhido. Não utilize o produto.',
+    en: 'This batch has been recalled. Do not use the product.',
+    es: 'Este lote fue retirado. No utilice el producto.'
+  },
+  PAGE_REPLAY: {
+    pt: 'Link já utilizado',
+    en: 'Link already used',
+    es: 'Enlace ya utilizado'
+  },
+  PAGE_FIRST_SCAN: {
+    pt: 'Primeira leitura',
+    en: 'First scan',
+    es: 'Primera lectura'
+  },
+  PAGE_SCAN_COUNT: {
+    pt: 'Lido {count} vezes',
+    en: 'Scanned {count} times',
+    es: 'Leído {count} veces'
+  },
+  PAGE_EXPIRED: {
+    pt: 'Produto vencido',
+    en: 'Expired product',
+    es: 'Producto caducado'
+  },
+  PAGE_SUSPICIOUS: {
+    pt: 'Detectamos leituras incomuns desta tag. Se você comprou o produto agora, fale com o nosso suporte.',
+    en: 'We detected unusual scans of this tag. If you just bought this product, please contact our support.',
+    es: 'Detectamos lecturas inusuales de esta etiqueta. Si acaba de comprar el producto, contacte con nuestro soporte.'
+  },
+  PAGE_PRODUCT: {
+    pt: 'Produto',
+    en: 'Product',
+    es: 'Producto'
+  },
+  PAGE_BATCH: {
+    pt: 'Lote',
+    en: 'Batch',
+    es: 'Lote'
+  },
+  PAGE_MANUFACTURED: {
+    pt: 'Fabricação',
+    en: 'Manufactured',
+    es: 'Fabricación'
+  },
+  PAGE_EXPIRY: {
+    pt: 'Validade',
+    en: 'Expiry',
+    es: 'Caducidad'
+  },
+  PAGE_LOCATION: {
+    pt: 'Local de fabricação',
+    en: 'Made in',
+    es: 'Lugar de fabricación'
+  },
+  PAGE_RECALL_DATE: {
+    pt: 'Recolhido desde',
+    en: 'Recalled since',
+    es: 'Retirado desde'
+  },
+  PAGE_SUPPORT: {
+    pt: 'Dúvidas? Entre em contato com o suporte Make Beauty.',
+    en: 'Questions? Contact Make Beauty support.',
+    es: '¿Dudas? Contacte con el soporte de Make Beauty.'
+  },
+  PAGE_REASON_MISSING_UID: {
+    pt: 'Não recebemos a identificação da tag. Aproxime o celular novamente.',
+    en: 'We did not receive the tag identification. Tap your phone again.',
+    es: 'No recibimos la identificación de la etiqueta. Acerque el teléfono de nuevo.'
+  },
+  PAGE_REASON_INVALID_UID: {
+    pt: 'A identificação desta tag não é válida.',
+    en: 'This tag identification is not valid.',
+    es: 'La identificación de esta etiqueta no es válida.'
+  },
+  PAGE_REASON_NOT_FOUND: {
+    pt: 'Esta tag não está registrada no sistema Make Beauty.',
+    en: 'This tag is not registered in the Make Beauty system.',
+    es: 'Esta etiqueta no está registrada en el sistema Make Beauty.'
+  },
+  PAGE_REASON_INACTIVE: {
+    pt: 'Este produto foi bloqueado em nosso sistema. Entre em contato com o suporte.',
+    en: 'This product has been blocked in our system. Please contact support.',
+    es: 'Este producto fue bloqueado en nuestro sistema. Póngase en contacto con soporte.'
+  },
+  PAGE_REASON_REPLAY: {
+    pt: 'Este link de verificação já foi utilizado. Aproxime o celular da tag novamente.',
+    en: 'This verification link has already been used. Tap your phone on the tag again.',
+    es: 'Este enlace de verificación ya fue utilizado. Acerque el teléfono a la etiqueta de nuevo.'
+  },
+  PAGE_REASON_THROTTLED: {
+    pt: 'Recebemos muitas verificações em pouco tempo. Aguarde alguns minutos e aproxime o celular novamente.',
+    en: 'We received too many verifications in a short time. Wait a few minutes and tap your phone again.',
+    es: 'Recibimos demasiadas verificaciones en poco tiempo. Espere unos minutos y acerque el teléfono de nuevo.'
+  },
+  PAGE_REASON_ERROR: {
+    pt: 'Ocorreu um erro ao verificar. Tente novamente em instantes.',
+    en: 'Something went wrong while verifying. Please try again shortly.',
+    es: 'Ocurrió un error al verificar. Inténtelo de nuevo en unos instantes.'
+  },
+
+  // ---------- Geral ----------
+  INTERNAL_ERROR: {
+    pt: 'Erro interno do servidor',
+    en: 'Internal server error',
+    es: 'Error interno del servidor'
+  },
+  'INTERNAL_ERROR.details': {
+    pt: 'Ocorreu um erro ao processar sua solicitação. Tente novamente em instantes.',
+    en: 'An error occurred while processing your request. Please try again shortly.',
+    es: 'Ocurrió un error al procesar su solicitud. Inténtelo de nuevo en unos instantes.'
+  },
+  ENDPOINT_NOT_FOUND: {
+    pt: 'Endpoint não encontrado',
+    en: 'Endpoint not found',
+    es: 'Endpoint no encontrado'
+  },
+  INVALID_DATE: {
+    pt: 'Data inválida em {field}',
+    en: 'Invalid date in {field}',
+    es: 'Fecha no válida en {field}'
+  },
+  RATE_LIMITED: {
+    pt: 'Muitas requisições',
+    en: 'Too many requests',
+    es: 'Demasiadas solicitudes'
+  },
+  'RATE_LIMITED.details': {
+    pt: 'Aguarde {seconds} segundos antes de tentar novamente.',
+    en: 'Please wait {seconds} seconds before trying again.',
+    es: 'Espere {seconds} segundos antes de volver a intentarlo.'
+  },
+  REASON_REQUIRED: {
+    pt: 'Motivo (reason) é obrigatório',
+    en: 'Reason (reason) is required',
+    es: 'El motivo (reason) es obligatorio'
+  },
+
+  // ---------- Autenticação admin ----------
+  AUTH_TOO_MANY_ATTEMPTS: {
+    pt: 'Muitas tentativas de autenticação. Tente novamente mais tarde.',
+    en: 'Too many authentication attempts. Please try again later.',
+    es: 'Demasiados intentos de autenticación. Inténtelo de nuevo más tarde.'
+  },
+  AUTH_CREDENTIALS_REQUIRED: {
+    pt: 'Usuário e senha são obrigatórios',
+    en: 'Username and password are required',
+    es: 'Usuario y contraseña son obligatorios'
+  },
+  AUTH_ACCOUNT_LOCKED: {
+    pt: 'Conta bloqueada temporariamente após tentativas inválidas',
+    en: 'Account temporarily locked after failed attempts',
+    es: 'Cuenta bloqueada temporalmente tras intentos fallidos'
+  },
+  AUTH_INVALID_CREDENTIALS: {
+    pt: 'Usuário ou senha inválidos',
+    en: 'Invalid username or password',
+    es: 'Usuario o contraseña no válidos'
+  },
+  AUTH_ERROR: {
+    pt: 'Erro ao autenticar',
+    en: 'Authentication error',
+    es: 'Error al autenticar'
+  },
+  AUTH_TOKEN_INVALID: {
+    pt: 'Token inválido ou expirado',
+    en: 'Invalid or expired token',
+    es: 'Token no válido o caducado'
+  },
+  AUTH_TOKEN_REVOKED: {
+    pt: 'Token revogado',
+    en: 'Token revoked',
+    es: 'Token revocado'
+  },
+  AUTH_LEGACY_KEY_INVALID: {
+    pt: 'Chave de administrador inválida',
+    en: 'Invalid administrator key',
+    es: 'Clave de administrador no válida'
+  },
+  AUTH_REQUIRED: {
+    pt: 'Autenticação de administrador obrigatória',
+    en: 'Administrator authentication required',
+    es: 'Se requiere autenticación de administrador'
+  },
+  AUTH_FORBIDDEN: {
+    pt: 'Permissão insuficiente (requer {role})',
+    en: 'Insufficient permission (requires {role})',
+    es: 'Permiso insuficiente (requiere {role})'
+  },
+
+  // ---------- Produtos ----------
+  PRODUCT_REGISTERED: {
+    pt: 'Produto registrado com sucesso!',
+    en: 'Product registered successfully!',
+    es: '¡Producto registrado con éxito!'
+  },
+  TAG_ALREADY_REGISTERED: {
+    pt: 'Tag NFC já registrada no sistema',
+    en: 'NFC tag already registered',
+    es: 'Etiqueta NFC ya registrada en el sistema'
+  },
+  PRODUCT_REGISTER_ERROR: {
+    pt: 'Erro ao registrar produto',
+    en: 'Error registering product',
+    es: 'Error al registrar el producto'
+  },
+  PRODUCT_NOT_FOUND: {
+    pt: 'Produto não encontrado',
+    en: 'Product not found',
+    es: 'Producto no encontrado'
+  },
+  PRODUCTS_LIST_ERROR: {
+    pt: 'Erro ao listar produtos',
+    en: 'Error listing products',
+    es: 'Error al listar productos'
+  },
+  PRODUCT_FETCH_ERROR: {
+    pt: 'Erro ao buscar produto',
+    en: 'Error fetching product',
+    es: 'Error al buscar el producto'
+  },
+  AUDIT_FETCH_ERROR: {
+    pt: 'Erro ao buscar auditoria',
+    en: 'Error fetching audit log',
+    es: 'Error al buscar la auditoría'
+  },
+  SCAN_VERDICT_INVALID: {
+    pt: 'Veredito inválido. Use: {accepted}',
+    en: 'Invalid verdict. Use: {accepted}',
+    es: 'Veredicto no válido. Use: {accepted}'
+  },
+  PRODUCT_INSPECT_ERROR: {
+    pt: 'Erro ao inspecionar produto',
+    en: 'Error inspecting product',
+    es: 'Error al inspeccionar el producto'
+  },
+  FIELDS_NOT_EDITABLE: {
+    pt: 'Campos não editáveis: {fields}',
+    en: 'Fields not editable: {fields}',
+    es: 'Campos no editables: {fields}'
+  },
+  PRODUCT_UPDATE_ERROR: {
+    pt: 'Erro ao atualizar produto',
+    en: 'Error updating product',
+    es: 'Error al actualizar el producto'
+  },
+  IS_ACTIVE_REQUIRED: {
+    pt: 'isActive (true/false) é obrigatório',
+    en: 'isActive (true/false) is required',
+    es: 'isActive (true/false) es obligatorio'
+  },
+  PRODUCT_STATUS_ERROR: {
+    pt: 'Erro ao alterar status do produto',
+    en: 'Error changing product status',
+    es: 'Error al cambiar el estado del producto'
+  },
+  PRODUCT_DELETE_ERROR: {
+    pt: 'Erro ao excluir produto',
+    en: 'Error deleting product',
+    es: 'Error al eliminar el producto'
+  },
+
+  // ---------- Importação em lote ----------
+  IMPORT_FILE_REQUIRED: {
+    pt: 'Envie o arquivo CSV ou XLSX no corpo da requisição',
+    en: 'Send the CSV or XLSX file in the request body',
+    es: 'Envíe el archivo CSV o XLSX en el cuerpo de la solicitud'
+  },
+  IMPORT_UID_COLUMN_MISSING: {
+    pt: 'Coluna UID não encontrada',
+    en: 'UID column not found',
+    es: 'Columna UID no encontrada'
+  },
+  IMPORT_TOO_MANY_ROWS: {
+    pt: 'Arquivo com {rows} linhas excede o limite de {max}',
+    en: 'File with {rows} rows exceeds the limit of {max}',
+    es: 'El archivo con {rows} filas supera el límite de {max}'
+  },
+  IMPORT_ERROR: {
+    pt: 'Erro na importação em lote',
+    en: 'Bulk import error',
+    es: 'Error en la importación masiva'
+  },
+  IMPORT_KEYS_NOT_FOUND: {
+    pt: 'Arquivo de chaves não encontrado, expirado ou já baixado',
+    en: 'Key file not found, expired or already downloaded',
+    es: 'Archivo de claves no encontrado, caducado o ya descargado'
+  },
+
+  // ---------- Alertas de clonagem ----------
+  ALERTS_LIST_ERROR: {
+    pt: 'Erro ao listar alertas',
+    en: 'Error listing alerts',
+    es: 'Error al listar alertas'
+  },
+  ALERT_STATUS_INVALID: {
+    pt: 'Status inválido. Use: {allowed}',
+    en: 'Invalid status. Use: {allowed}',
+    es: 'Estado no válido. Use: {allowed}'
+  },
+  ALERT_NOT_FOUND: {
+    pt: 'Alerta não encontrado',
+    en: 'Alert not found',
+    es: 'Alerta no encontrada'
+  },
+  ALERT_UPDATE_ERROR: {
+    pt: 'Erro ao atualizar alerta',
+    en: 'Error updating alert',
+    es: 'Error al actualizar la alerta'
+  },
+  ALERT_ALREADY_OPEN: {
+    pt: 'O produto já tem outro alerta em andamento',
+    en: 'The product already has another alert in progress',
+    es: 'El producto ya tiene otra alerta en curso'
+  },
+
+  // ---------- Recolhimentos ----------
+  RECALLS_LIST_ERROR: {
+    pt: 'Erro ao listar recolhimentos',
+    en: 'Error listing recalls',
+    es: 'Error al listar retiradas'
+  },
+  BATCH_FETCH_ERROR: {
+    pt: 'Erro ao buscar lote',
+    en: 'Error fetching batch',
+    es: 'Error al buscar el lote'
+  },
+  PUBLIC_MESSAGE_REQUIRED: {
+    pt: 'Mensagem ao consumidor (publicMessage) é obrigatória',
+    en: 'Consumer message (publicMessage) is required',
+    es: 'El mensaje al consumidor (publicMessage) es obligatorio'
+  },
+  BATCH_ALREADY_RECALLED: {
+    pt: 'Lote já está recolhido',
+    en: 'Batch is already recalled',
+    es: 'El lote ya está retirado'
+  },
+  RECALL_ERROR: {
+    pt: 'Erro ao recolher lote',
+    en: 'Error recalling batch',
+    es: 'Error al retirar el lote'
+  },
+  RECALL_NOT_ACTIVE: {
+    pt: 'Nenhum recolhimento ativo para este lote',
+    en: 'No active recall for this batch',
+    es: 'No hay retirada activa para este lote'
+  },
+  RECALL_LIFT_ERROR: {
+    pt: 'Erro ao reverter recolhimento',
+    en: 'Error lifting recall',
+    es: 'Error al revertir la retirada'
+  },
+
+  // ---------- Sincronização com a planilha ----------
+  SYNC_RUN_NOT_FOUND: {
+    pt: 'Execução de sincronização não encontrada',
+    en: 'Sync run not found',
+    es: 'Ejecución de sincronización no encontrada'
+  },
+  SYNC_RUNS_LIST_ERROR: {
+    pt: 'Erro ao listar sincronizações',
+    en: 'Error listing sync runs',
+    es: 'Error al listar sincronizaciones'
+  },
+  SYNC_RUN_FETCH_ERROR: {
+    pt: 'Erro ao buscar sincronização',
+    en: 'Error fetching sync run',
+    es: 'Error al buscar la sincronización'
+  },
+  SYNC_RUN_IN_PROGRESS: {
+    pt: 'Execução ainda em andamento',
+    en: 'Run still in progress',
+    es: 'Ejecución aún en curso'
+  },
+  SYNC_RUN_ALREADY_ROLLED_BACK: {
+    pt: 'Execução já foi revertida',
+    en: 'Run has already been rolled back',
+    es: 'La ejecución ya fue revertida'
+  },
+  SYNC_ROLLBACK_ERROR: {
+    pt: 'Erro ao reverter sincronização',
+    en: 'Error rolling back sync run',
+    es: 'Error al revertir la sincronización'
+  },
+  QUARANTINE_LIST_ERROR: {
+    pt: 'Erro ao listar quarentena',
+    en: 'Error listing quarantine',
+    es: 'Error al listar la cuarentena'
+  },
+  QUARANTINE_STATUS_INVALID: {
+    pt: 'status deve ser "discarded" ou "pending"',
+    en: 'status must be "discarded" or "pending"',
+    es: 'status debe ser "discarded" o "pending"'
+  },
+  QUARANTINE_ROW_NOT_FOUND: {
+    pt: 'Linha em quarentena não encontrada',
+    en: 'Quarantined row not found',
+    es: 'Fila en cuarentena no encontrada'
+  },
+  QUARANTINE_UPDATE_ERROR: {
+    pt: 'Erro ao atualizar quarentena',
+    en: 'Error updating quarantine',
+    es: 'Error al actualizar la cuarentena'
+  },
+
+  // ---------- Análises ----------
+  ANALYTICS_RANGE_INVALID: {
+    pt: 'Período inválido: "from" deve ser anterior a "to", com no máximo {maxDays} dias',
+    en: 'Invalid range: "from" must be before "to", spanning at most {maxDays} days',
+    es: 'Período no válido: "from" debe ser anterior a "to", con un máximo de {maxDays} días'
+  },
+  ANALYTICS_PARAM_INVALID: {
+    pt: 'Valor inválido para {param}. Aceitos: {accepted}',
+    en: 'Invalid value for {param}. Accepted: {accepted}',
+    es: 'Valor no válido para {param}. Aceptados: {accepted}'
+  },
+  ANALYTICS_ERROR: {
+    pt: 'Erro ao gerar análise',
+    en: 'Error generating analytics',
+    es: 'Error al generar el análisis'
+  },
+
+  // ---------- Usuários admin ----------
+  USERS_LIST_ERROR: {
+    pt: 'Erro ao listar usuários',
+    en: 'Error listing users',
+    es: 'Error al listar usuarios'
+  },
+  USERNAME_INVALID: {
+    pt: 'Nome de usuário inválido (3-64 caracteres: letras, números, . _ -)',
+    en: 'Invalid username (3-64 characters: letters, numbers, . _ -)',
+    es: 'Nombre de usuario no válido (3-64 caracteres: letras, números, . _ -)'
+  },
+  PASSWORD_TOO_SHORT: {
+    pt: 'A senha deve ter pelo menos {min} caracteres',
+    en: 'Password must be at least {min} characters long',
+    es: 'La contraseña debe tener al menos {min} caracteres'
+  },
+  ROLE_INVALID: {
+    pt: 'Papel inválido. Use: {allowed}',
+    en: 'Invalid role. Use: {allowed}',
+    es: 'Rol no válido. Use: {allowed}'
+  },
+  USER_ALREADY_EXISTS: {
+    pt: 'Usuário já existe',
+    en: 'User already exists',
+    es: 'El usuario ya existe'
+  },
+  USER_CREATE_ERROR: {
+    pt: 'Erro ao criar usuário',
+    en: 'Error creating user',
+    es: 'Error al crear el usuario'
+  },
+  USER_NOT_FOUND: {
+    pt: 'Usuário não encontrado',
+    en: 'User not found',
+    es: 'Usuario no encontrado'
+  },
+  USER_UPDATE_ERROR: {
+    pt: 'Erro ao atualizar usuário',
+    en: 'Error updating user',
+    es: 'Error al actualizar el usuario'
+  },
+
+  // ---------- Webhooks ----------
+  WEBHOOK_URL_INVALID: {
+    pt: 'URL do webhook inválida (use https; http só para localhost)',
+    en: 'Invalid webhook URL (use https; http only for localhost)',
+    es: 'URL del webhook no válida (use https; http solo para localhost)'
+  },
+  WEBHOOK_EVENTS_INVALID: {
+    pt: 'Informe ao menos um evento válido: {accepted}',
+    en: 'Provide at least one valid event: {accepted}',
+    es: 'Indique al menos un evento válido: {accepted}'
+  },
+  WEBHOOK_NOT_FOUND: {
+    pt: 'Webhook não encontrado',
+    en: 'Webhook not found',
+    es: 'Webhook no encontrado'
+  },
+  WEBHOOK_DELIVERY_NOT_FOUND: {
+    pt: 'Entrega de webhook não encontrada',
+    en: 'Webhook delivery not found',
+    es: 'Entrega de webhook no encontrada'
+  },
+  WEBHOOKS_LIST_ERROR: {
+    pt: 'Erro ao listar webhooks',
+    en: 'Error listing webhooks',
+    es: 'Error al listar los webhooks'
+  },
+  WEBHOOK_SAVE_ERROR: {
+    pt: 'Erro ao salvar webhook',
+    en: 'Error saving webhook',
+    es: 'Error al guardar el webhook'
+  },
+  WEBHOOK_DELETE_ERROR: {
+    pt: 'Erro ao remover webhook',
+    en: 'Error deleting webhook',
+    es: 'Error al eliminar el webhook'
+  },
+  WEBHOOK_DELIVERIES_ERROR: {
+    pt: 'Erro ao buscar entregas do webhook',
+    en: 'Error fetching webhook deliveries',
+    es: 'Error al buscar las entregas del webhook'
+  },
+  WEBHOOK_SEND_ERROR: {
+    pt: 'Erro ao enviar webhook',
+    en: 'Error sending webhook',
+    es: 'Error al enviar el webhook'
+  }
+};
+
+/**
+ * Texto da mensagem no idioma (cai para português; código se não existir)
+ */
+function translate(key, lang = DEFAULT_LANGUAGE, params = {}) {
+  const entry = MESSAGES[key];
+  if (!entry) return key;
+
+  const text = entry[lang] || entry[DEFAULT_LANGUAGE];
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Idioma da requisição: ?lang / body.lang > Accept-Language > português
+ */
+function resolveLanguage(req) {
+  const requested = String((req.query && req.query.lang) || (req.body && req.body.lang) || '')
+    .toLowerCase()
+    .slice(0, 2);
+  if (LANGUAGES.includes(requested)) return requested;
+
+  return (req.acceptsLanguages && req.acceptsLanguages(...LANGUAGES)) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Middleware: define req.lang e o cabeçalho Content-Language
+ */
+function languageMiddleware(req, res, next) {
+  req.lang = resolveLanguage(req);
+  res.set('Content-Language', req.lang);
+  next();
+}
+
+/**
+ * Campos de erro no idioma: { code, error } (e details, se houver)
+ */
+function localizedError(code, lang = DEFAULT_LANGUAGE, params = {}) {
+  const fields = { code, error: translate(code, lang, params) };
+
+  if (MESSAGES[`${code}.details`]) {
+    fields.details = translate(`${code}.details`, lang, params);
+  }
+  return fields;
+}
+
+/**
+ * Campos de erro no idioma da requisição
+ * Uso: res.status(404).json({ success: false, ...apiError(req, 'PRODUCT_NOT_FOUND') })
+ */
+function apiError(req, code, params = {}) {
+  return localizedError(code, req.lang || resolveLanguage(req), params);
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  MESSAGES,
+  translate,
+  resolveLanguage,
+  languageMiddleware,
+  localizedError,
+  apiError
+};
@@ -0,0 +1,99 @@
+// ========================================
+// COFRE DE CHAVES DAS TAGS (criptografia em repouso)
+// ========================================
+// As chaves AES das tags ficam no MongoDB criptografadas com AES-256-GCM
+// sob uma chave mestra (KEY_ENCRYPTION_KEY). Formato armazenado:
+//   v<versão>:<iv>:<authTag>:<ciphertext>   (todos em hex)
+
+const crypto = require('crypto');
+
+const TAG_KEY_BYTES = 16; // AES-128 (NTAG 424 DNA)
+
+/**
+ * Versão atual da chave mestra (KEY_ENCRYPTION_KEY_VERSION, padrão 1)
+ */
+function currentKeyVersion() {
+  return parseInt(process.env.KEY_ENCRYPTION_KEY_VERSION) || 1;
+}
+
+/**
+ * Retorna a chave mestra de uma versão
+ * Versões antigas ficam em KEY_ENCRYPTION_KEY_V<n> para permitir rotação
+ */
+function getMasterKey(version = currentKeyVersion()) {
+  const hex = version === currentKeyVersion()
+    ? process.env.KEY_ENCRYPTION_KEY
+    : process.env[`KEY_ENCRYPTION_KEY_V${version}`];
+
+  if (!hex || !/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error(`Chave mestra v${version} ausente ou inválida (esperado 64 caracteres hex)`);
+  }
+
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Gera uma nova chave AES-128 para uma tag
+ */
+function generateTagKey() {
+  return crypto.randomBytes(TAG_KEY_BYTES);
+}
+
+/**
+ * Criptografa a chave da tag com a chave mestra atual
+ */
+function encryptTagKey(tagKey) {
+  const version = currentKeyVersion();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getMasterKey(version), iv);
+  const ciphertext = Buffer.concat([cipher.update(tagKey), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return {
+    encryptedKey: `v${version}:${iv.toString('hex')}:${authTag.toString('hex')}:${ciphertext.toString('hex')}`,
+    keyVersion: version
+  };
+}
+
+/**
+ * Recupera a chave da tag a partir do valor armazenado
+ */
+function decryptTagKey(encryptedKey) {
+  const match = /^v(\d+):([0-9a-f]{24}):([0-9a-f]{32}):([0-9a-f]+)$/.exec(encryptedKey || '');
+  if (!match) {
+    throw new Error('Formato de chave criptografada inválido');
+  }
+
+  const [, version, iv, authTag, ciphertext] = match;
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    getMasterKey(parseInt(version)),
+    Buffer.from(iv, 'hex')
+  );
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+}
+
+/**
+ * Criptografa outro segredo (ex.: segredo de webhook) no mesmo formato
+ */
+function encryptSecret(secret) {
+  return encryptTagKey(Buffer.from(String(secret), 'utf8')).encryptedKey;
+}
+
+/**
+ * Recupera um segredo gravado com encryptSecret
+ */
+function decryptSecret(encrypted) {
+  return decryptTagKey(encrypted).toString('utf8');
+}
+
+module.exports = {
+  currentKeyVersion,
+  generateTagKey,
+  encryptTagKey,
+  decryptTagKey,
+  encryptSecret,
+  decryptSecret
+};
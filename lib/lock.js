@@ -0,0 +1,70 @@
+// ========================================
+// LOCK DISTRIBUÍDO (MongoDB)
+// ========================================
+// O dono renova o expiresAt enquanto segura o lock (a cada ttl/3), então o
+// TTL só vence quando o processo morre ou trava, não porque a tarefa demorou.
+
+const os = require('os');
+const crypto = require('crypto');
+const Lock = require('../models/Lock');
+const { logger } = require('./logger');
+
+// host:pid e um sufixo aleatório: em contêiner o pid (e às vezes o host) se
+// repete entre reinícios, e o dono precisa identificar este processo
+const OWNER = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Tenta obter o lock; retorna uma função release() ou null se estiver ocupado
+ * O lock é renovado em segundo plano até release()
+ */
+async function acquireLock(name, ttlMs, { renewEveryMs = Math.floor(ttlMs / 3) } = {}) {
+  const now = new Date();
+
+  try {
+    await Lock.findOneAndUpdate(
+      { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner: OWNER }] },
+      { $set: { owner: OWNER, acquiredAt: now, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // 11000 = documento existe e está válido para outro dono (upsert colidiu)
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const renewal = setInterval(async () => {
+    try {
+      const { matchedCount } = await Lock.updateOne(
+        { _id: name, owner: OWNER },
+        { $set: { expiresAt: new Date(Date.now() + ttlMs) } }
+      );
+      if (matchedCount === 0) {
+        clearInterval(renewal);
+        logger.warn('Lock perdido (expirou ou foi tomado por outro processo)', { lock: name, owner: OWNER });
+      }
+    } catch (error) {
+      logger.error('Erro ao renovar o lock', { lock: name, error });
+    }
+  }, renewEveryMs);
+  renewal.unref(); // não segura o processo aberto
+
+  return async function release() {
+    clearInterval(renewal);
+    await Lock.deleteOne({ _id: name, owner: OWNER });
+  };
+}
+
+/**
+ * Situação atual do lock (ou null se livre)
+ */
+async function getLock(name) {
+  const lock = await Lock.findById(name);
+  if (!lock || lock.expiresAt <= new Date()) return null;
+  return lock;
+}
+
+module.exports = {
+  OWNER,
+  acquireLock,
+  getLock
+};
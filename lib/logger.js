@@ -0,0 +1,146 @@
+// ========================================
+// LOG ESTRUTURADO (JSON POR LINHA)
+// ========================================
+// Cada evento vira uma linha JSON: { time, level, msg, requestId, ...campos }.
+// O requestId vem do contexto da requisição (requestContext, montado no
+// início do server.js), então lib/* não precisa receber o req para
+// correlacionar os logs.
+//
+// Variáveis de ambiente:
+//   LOG_LEVEL       debug | info (padrão) | warn | error | silent
+//   LOG_REDACT_IPS  true mascara IPs (último octeto / últimos grupos do IPv6)
+//
+// Segredos (senha, token, chaves, CMAC...) nunca saem: viram [REDACTED].
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getClientIP } = require('./clientIP');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Campos sempre omitidos (comparação sem maiúsculas)
+const SECRET_FIELDS = new Set([
+  'password', 'passwordhash', 'token', 'secret', 'secretkey', 'encryptedkey',
+  'encryptedsecret', 'authorization', 'cookie', 'cmac', 'piccdata', 'picc_data', 'key'
+]);
+
+// Campos com IP (mascarados com LOG_REDACT_IPS=true)
+const IP_FIELDS = new Set(['ip', 'ipaddress', 'clientip']);
+
+const MAX_DEPTH = 5;
+
+// X-Request-Id aceito do cliente/proxy; fora disso gera um novo
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+function getLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+}
+
+/**
+ * Mascara um IP: 203.0.113.7 → 203.0.113.0; 2001:db8:1:2::7 → 2001:db8:1::
+ */
+function maskIP(ip) {
+  if (typeof ip !== 'string' || !ip) return ip;
+  if (ip.includes('.')) return ip.replace(/\.\d+$/, '.0');
+  return ip.split(':').slice(0, 3).join(':') + '::';
+}
+
+/**
+ * Copia os campos do evento omitindo segredos (e IPs, se configurado)
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[...]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  if (typeof value.toJSON === 'function') return redact(value.toJSON(), depth + 1);
+
+  const redactIPs = process.env.LOG_REDACT_IPS === 'true';
+  const out = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    const name = field.toLowerCase();
+    if (SECRET_FIELDS.has(name)) {
+      out[field] = '[REDACTED]';
+    } else if (redactIPs && IP_FIELDS.has(name)) {
+      out[field] = maskIP(fieldValue);
+    } else {
+      out[field] = redact(fieldValue, depth + 1);
+    }
+  }
+  return out;
+}
+
+/**
+ * Cria um logger; bindings = campos fixos de todas as linhas (ex.: component)
+ */
+function createLogger(bindings = {}) {
+  function write(level, msg, fields) {
+    if (LEVELS[level] < getLevel()) return;
+
+    const context = storage.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(context && { requestId: context.requestId }),
+      ...redact({ ...bindings, ...fields })
+    };
+
+    const line = JSON.stringify(entry);
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: extra => createLogger({ ...bindings, ...extra })
+  };
+}
+
+const logger = createLogger();
+
+/**
+ * Middleware: ID da requisição (X-Request-Id, recebido ou gerado), contexto
+ * para os logs e uma linha "request" ao terminar a resposta
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    logger.info('request', {
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      ip: getClientIP(req),
+      userAgent: req.get('User-Agent')
+    });
+  });
+
+  storage.run({ requestId }, next);
+}
+
+module.exports = {
+  LEVELS,
+  logger,
+  createLogger,
+  requestContext,
+  redact,
+  maskIP
+};
@@ -0,0 +1,198 @@
+// ========================================
+// MÉTRICAS (PROMETHEUS)
+// ========================================
+// Registro único do processo, exposto em GET /metrics (server.js) e, no
+// daemon de sincronização, em SYNC_METRICS_PORT (sync-sheets.js).
+//
+// METRICS_TOKEN (opcional): exige "Authorization: Bearer <token>" na coleta.
+//
+// Labels só com valores de lista fechada (resultado, regra, rota declarada):
+// UID, IP e URL com parâmetros não viram label.
+
+const crypto = require('crypto');
+const http = require('http');
+const client = require('prom-client');
+
+const PREFIX = 'truetouch_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// Segundos: verificação leva milissegundos; sincronização, minutos
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const SYNC_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800];
+
+const httpRequestDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'Duração das requisições HTTP por rota',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const verifications = new client.Counter({
+  name: `${PREFIX}verifications_total`,
+  help: 'Verificações de tag por resultado (authentic, suspicious, not_found, replay...)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const verificationDuration = new client.Histogram({
+  name: `${PREFIX}verification_duration_seconds`,
+  help: 'Duração da verificação de tag (API e página pública) por resultado',
+  labelNames: ['outcome'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const cloneAlertsOpened = new client.Counter({
+  name: `${PREFIX}clone_alerts_opened_total`,
+  help: 'Alertas de clonagem abertos (primeira leitura suspeita do produto)',
+  registers: [register]
+});
+
+const cloneRuleTriggers = new client.Counter({
+  name: `${PREFIX}clone_rule_triggers_total`,
+  help: 'Regras de clonagem disparadas em leituras suspeitas',
+  labelNames: ['rule'],
+  registers: [register]
+});
+
+const productsAutoDeactivated = new client.Counter({
+  name: `${PREFIX}products_auto_deactivated_total`,
+  help: 'Produtos desativados automaticamente pelo score de clonagem',
+  registers: [register]
+});
+
+const syncRuns = new client.Counter({
+  name: `${PREFIX}sync_runs_total`,
+  help: 'Execuções aplicadas da sincronização com a planilha',
+  labelNames: ['source_type', 'trigger', 'status'],
+  registers: [register]
+});
+
+const syncRunDuration = new client.Histogram({
+  name: `${PREFIX}sync_run_duration_seconds`,
+  help: 'Duração das execuções da sincronização',
+  labelNames: ['source_type', 'status'],
+  buckets: SYNC_BUCKETS,
+  registers: [register]
+});
+
+const syncRows = new client.Counter({
+  name: `${PREFIX}sync_rows_total`,
+  help: 'Linhas processadas pela sincronização por resultado',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+// ========================================
+// REGISTRO DE EVENTOS
+// ========================================
+
+/**
+ * Resultado de verifyProduct (ver lib/verification.js)
+ */
+function recordVerification(outcome, durationSeconds) {
+  verifications.inc({ outcome });
+  verificationDuration.observe({ outcome }, durationSeconds);
+}
+
+/**
+ * Alerta de clonagem gravado (ver cloneRules.recordAlert)
+ */
+function recordCloneAlert({ opened, rules, deactivated }) {
+  if (opened) cloneAlertsOpened.inc();
+  for (const rule of rules) cloneRuleTriggers.inc({ rule });
+  if (deactivated) productsAutoDeactivated.inc();
+}
+
+/**
+ * Execução da sincronização encerrada (SyncRun salvo)
+ */
+function recordSyncRun(run) {
+  const sourceType = run.sourceType || 'unknown';
+  syncRuns.inc({ source_type: sourceType, trigger: run.trigger || 'unknown', status: run.status });
+  syncRunDuration.observe({ source_type: sourceType, status: run.status }, (run.durationMs || 0) / 1000);
+
+  for (const [result, count] of Object.entries(run.counts || {})) {
+    if (result !== 'total' && count > 0) syncRows.inc({ result }, count);
+  }
+}
+
+// ========================================
+// HTTP
+// ========================================
+
+/**
+ * Rota declarada da requisição (ex.: /api/admin/products/:uid); sem rota
+ * casada fica "unmatched" para não criar uma série por URL
+ */
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  return `${req.baseUrl}${req.route.path}`;
+}
+
+/**
+ * Middleware: mede a duração de cada requisição
+ */
+function httpMetrics(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    endTimer({ method: req.method, route: routeLabel(req), status: res.statusCode });
+  });
+  next();
+}
+
+function isAuthorized(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return true;
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Handler de GET /metrics (Express ou http puro)
+ */
+async function metricsHandler(req, res) {
+  if (!isAuthorized(req)) {
+    res.statusCode = 401;
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.end();
+  }
+
+  res.setHeader('Content-Type', register.contentType);
+  res.end(await register.metrics());
+}
+
+/**
+ * Servidor HTTP só com GET /metrics, para processos sem Express (daemon de
+ * sincronização). Não segura o processo aberto.
+ */
+function startMetricsServer(port) {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+      return metricsHandler(req, res).catch(() => {
+        res.statusCode = 500;
+        res.end();
+      });
+    }
+    res.statusCode = 404;
+    res.end();
+  });
+  server.listen(port);
+  server.unref();
+  return server;
+}
+
+module.exports = {
+  register,
+  recordVerification,
+  recordCloneAlert,
+  recordSyncRun,
+  httpMetrics,
+  metricsHandler,
+  startMetricsServer
+};
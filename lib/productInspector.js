@@ -0,0 +1,211 @@
+// ========================================
+// INSPETOR DE PRODUTO (ADMIN)
+// ========================================
+// Visão completa de uma tag para investigação, usada por
+// GET /api/admin/products/:uid/inspect: produto, leituras paginadas,
+// avaliações das regras de clonagem, origem (sincronização ou cadastro
+// manual) e a versão da chave. Substitui o antigo /api/debug/product/:uid.
+//
+// Material de chave nunca sai daqui: só o esquema e a versão da chave mestra.
+
+const Scan = require('../models/Scan');
+const Alert = require('../models/Alert');
+const AuditLog = require('../models/AuditLog');
+const SyncRun = require('../models/SyncRun');
+const keyVault = require('./keyVault');
+const cloneRules = require('./cloneRules');
+const { getCounterPolicy } = require('./verification');
+
+const MAX_ALERTS = 20;
+
+/**
+ * Produto sem chaves, com os campos internos úteis na investigação
+ */
+function productDetails(product) {
+  const obj = product.toObject({ flattenMaps: true });
+  delete obj.secretKey;
+  delete obj.encryptedKey;
+  delete obj.__v;
+  return obj;
+}
+
+/**
+ * Esquema e versão da chave (nunca a chave)
+ * - aes: chave AES da tag criptografada (SUN/SDM)
+ * - legacy: só o hash antigo/placeholder (Sheets, Demo); sem SUN
+ */
+function keyInfo(product) {
+  const current = keyVault.currentKeyVersion();
+
+  if (product.encryptedKey) {
+    const version = product.keyVersion || parseInt((/^v(\d+):/.exec(product.encryptedKey) || [])[1]) || null;
+    return {
+      scheme: 'aes',
+      keyVersion: version,
+      currentKeyVersion: current,
+      needsRotation: version !== current,
+      counterPolicy: getCounterPolicy(product, false)
+    };
+  }
+
+  return {
+    scheme: product.secretKey ? 'legacy' : 'none',
+    keyVersion: null,
+    currentKeyVersion: current,
+    needsRotation: false,
+    counterPolicy: 'server'
+  };
+}
+
+/**
+ * Leituras paginadas (mais recentes primeiro) e resumo por veredito
+ */
+async function scanHistory(product, { page, limit, verdict }) {
+  const filter = { productId: product._id };
+  if (verdict) filter.verdict = verdict;
+
+  const [items, total, byVerdict] = await Promise.all([
+    Scan.find(filter).sort({ timestamp: -1 }).skip((page - 1) * limit).limit(limit),
+    Scan.countDocuments(filter),
+    Scan.aggregate([
+      { $match: { productId: product._id } },
+      {
+        $group: {
+          _id: '$verdict',
+          count: { $sum: 1 },
+          first: { $min: '$timestamp' },
+          last: { $max: '$timestamp' },
+          maxRiskScore: { $max: '$riskScore' }
+        }
+      }
+    ])
+  ]);
+
+  const summary = { total: 0, byVerdict: {}, firstScanAt: null, lastScanAt: null, maxRiskScore: null };
+  for (const group of byVerdict) {
+    summary.total += group.count;
+    summary.byVerdict[group._id] = group.count;
+    if (!summary.firstScanAt || group.first < summary.firstScanAt) summary.firstScanAt = group.first;
+    if (!summary.lastScanAt || group.last > summary.lastScanAt) summary.lastScanAt = group.last;
+    if (group.maxRiskScore != null && (summary.maxRiskScore === null || group.maxRiskScore > summary.maxRiskScore)) {
+      summary.maxRiskScore = group.maxRiskScore;
+    }
+  }
+
+  return {
+    summary,
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+    items
+  };
+}
+
+/**
+ * Alertas do produto e regras disparadas, com os limites em vigor
+ */
+async function cloneEvaluations(product) {
+  const alerts = await Alert.find({ productId: product._id }).sort({ createdAt: -1 }).limit(MAX_ALERTS);
+  const { alertScore, deactivateScore } = cloneRules.getConfig();
+
+  // Contagem por regra em todos os alertas listados
+  const rules = {};
+  for (const alert of alerts) {
+    for (const trigger of alert.rules) {
+      const entry = rules[trigger.rule] || (rules[trigger.rule] = { rule: trigger.rule, triggers: 0, lastAt: null, lastReason: null });
+      entry.triggers++;
+      if (!entry.lastAt || trigger.timestamp > entry.lastAt) {
+        entry.lastAt = trigger.timestamp;
+        entry.lastReason = trigger.reason;
+      }
+    }
+  }
+
+  return {
+    thresholds: { alertScore, deactivateScore },
+    rules: Object.values(rules).sort((a, b) => b.triggers - a.triggers),
+    alerts
+  };
+}
+
+/**
+ * Entrada de auditoria resumida, com a execução e a linha da planilha
+ */
+function provenanceEntry(entry, runs) {
+  if (!entry) return null;
+
+  const result = {
+    action: entry.action,
+    actor: entry.actor,
+    at: entry.timestamp,
+    fields: entry.changes.map(change => change.field),
+    reason: entry.reason
+  };
+
+  if (entry.syncRunId) {
+    const run = runs.get(String(entry.syncRunId));
+    result.sync = {
+      runId: entry.syncRunId,
+      source: run && run.source,
+      sourceType: run && run.sourceType,
+      trigger: run && run.trigger,
+      status: run && run.status,
+      startedAt: run && run.startedAt,
+      tab: entry.syncRow && entry.syncRow.tab,
+      row: entry.syncRow && entry.syncRow.row
+    };
+  }
+  return result;
+}
+
+/**
+ * Quem criou e quem alterou por último (admin ou sincronização)
+ * Entradas antigas da sincronização não têm a linha da planilha (syncRow).
+ */
+async function provenance(product) {
+  const [created, lastChanged, lastSync] = await Promise.all([
+    AuditLog.findOne({ entity: 'Product', entityId: product._id }).sort({ timestamp: 1 }),
+    AuditLog.findOne({ entity: 'Product', entityId: product._id }).sort({ timestamp: -1 }),
+    AuditLog.findOne({ entity: 'Product', entityId: product._id, syncRunId: { $exists: true } }).sort({ timestamp: -1 })
+  ]);
+
+  const runIds = [created, lastChanged, lastSync].filter(entry => entry && entry.syncRunId).map(entry => entry.syncRunId);
+  const runs = new Map(
+    (await SyncRun.find({ _id: { $in: runIds } }).select('source sourceType trigger status startedAt'))
+      .map(run => [String(run._id), run])
+  );
+
+  return {
+    origin: product.syncedFromSheets ? 'sheets' : 'manual',
+    updatedBy: product.updatedBy,
+    created: provenanceEntry(created, runs),
+    lastChanged: provenanceEntry(lastChanged, runs),
+    lastSync: provenanceEntry(lastSync, runs)
+  };
+}
+
+/**
+ * Monta a inspeção completa
+ * options = { page, limit, verdict } das leituras
+ */
+async function inspectProduct(product, options) {
+  const [scans, clone, origin] = await Promise.all([
+    scanHistory(product, options),
+    cloneEvaluations(product),
+    provenance(product)
+  ]);
+
+  return {
+    product: productDetails(product),
+    key: keyInfo(product),
+    scans,
+    cloneRules: clone,
+    provenance: origin
+  };
+}
+
+module.exports = {
+  keyInfo,
+  inspectProduct
+};
@@ -0,0 +1,141 @@
+// ========================================
+// DOMÍNIO DO PRODUTO
+// ========================================
+// Ponto único para criar produtos: normalização/validação do UID, campos
+// aceitos, productId padrão e chave da tag. Usado por server.js (cadastro
+// manual), routes/adminImport.js (importação em lote) e sync-sheets.js.
+
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const keyVault = require('./keyVault');
+const { normalizeUID, isValidUID } = require('./uid');
+
+// Campos que quem cria o produto pode informar
+const PRODUCT_FIELDS = [
+  'productId',
+  'productName',
+  'batchNumber',
+  'manufacturingDate',
+  'manufacturingDateTime',
+  'expiryDate',
+  'manufacturingLocation',
+  'attributes'
+];
+
+/**
+ * Erro de domínio com código estável (UID_INVALID, TAG_ALREADY_REGISTERED)
+ * Os códigos são os do catálogo de mensagens (lib/i18n.js)
+ */
+class ProductError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ProductError';
+    this.code = code;
+  }
+}
+
+/**
+ * ID padrão do produto: MB-<lote>-<UID>
+ */
+function buildProductId(batchNumber, nfcUID) {
+  return `MB-${batchNumber}-${nfcUID}`;
+}
+
+/**
+ * Normaliza e valida o UID, lançando ProductError se inválido
+ */
+function requireValidUID(uid) {
+  const nfcUID = normalizeUID(uid);
+  if (!isValidUID(nfcUID)) {
+    throw new ProductError('Formato de UID inválido', 'UID_INVALID');
+  }
+  return nfcUID;
+}
+
+/**
+ * Monta o documento de um produto novo (sem gravar)
+ *
+ * options.key:
+ *   'generate'    gera a chave AES da tag (guardada criptografada); a chave
+ *                 em claro volta em secretKey para ser gravada na tag
+ *   'placeholder' hash aleatório legado (produtos da planilha, sem SUN)
+ * options.updatedBy / options.syncedFromSheets: origem do cadastro
+ *
+ * Retorna { doc, secretKey }
+ */
+function buildProductDocument(fields, { key = 'generate', updatedBy, syncedFromSheets = false } = {}) {
+  const nfcUID = requireValidUID(fields.nfcUID);
+  const doc = { nfcUID };
+
+  for (const field of PRODUCT_FIELDS) {
+    if (fields[field] !== undefined) doc[field] = fields[field];
+  }
+
+  if (!doc.manufacturingDate && doc.manufacturingDateTime) {
+    doc.manufacturingDate = new Date(new Date(doc.manufacturingDateTime).toDateString());
+  }
+
+  if (!doc.productId) {
+    doc.productId = buildProductId(doc.batchNumber, nfcUID);
+  }
+
+  let secretKey = null;
+
+  if (key === 'generate') {
+    const tagKey = keyVault.generateTagKey();
+    Object.assign(doc, keyVault.encryptTagKey(tagKey));
+    secretKey = tagKey.toString('hex').toUpperCase();
+  } else if (key === 'placeholder') {
+    // Chave secreta (mesmo que não seja usada)
+    doc.secretKey = crypto.createHash('sha256').update(crypto.randomBytes(32)).digest('hex');
+  }
+
+  if (updatedBy) doc.updatedBy = updatedBy;
+  doc.syncedFromSheets = syncedFromSheets;
+
+  return { doc, secretKey };
+}
+
+/**
+ * Cria e grava um produto
+ * Lança ProductError UID_INVALID / TAG_ALREADY_REGISTERED
+ * Retorna { product, secretKey } (ver buildProductDocument)
+ */
+async function createProduct(fields, options = {}) {
+  const { doc, secretKey } = buildProductDocument(fields, options);
+
+  if (await Product.exists({ nfcUID: doc.nfcUID })) {
+    throw new ProductError('Tag NFC já registrada no sistema', 'TAG_ALREADY_REGISTERED');
+  }
+
+  try {
+    const product = await Product.create(doc);
+    return { product, secretKey };
+  } catch (error) {
+    // Corrida com outro cadastro do mesmo UID (ou productId repetido)
+    if (error.code === 11000) {
+      throw new ProductError('Tag NFC já registrada no sistema', 'TAG_ALREADY_REGISTERED');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Busca produto pelo UID em qualquer formato (com ":", espaços, "-")
+ */
+function findProductByUID(uid) {
+  const nfcUID = normalizeUID(uid);
+  return nfcUID ? Product.findOne({ nfcUID }) : Promise.resolve(null);
+}
+
+module.exports = {
+  Product,
+  PRODUCT_FIELDS,
+  ProductError,
+  normalizeUID,
+  isValidUID,
+  buildProductId,
+  buildProductDocument,
+  createProduct,
+  findProductByUID
+};
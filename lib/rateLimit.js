@@ -0,0 +1,254 @@
+// ========================================
+// RATE LIMIT (POR IP E POR UID)
+// ========================================
+// Janela fixa: cada chave ("verifyIp:1.2.3.4", "verifyUid:04A1...") conta
+// as requisições da janela atual; passou do máximo, a resposta é 429 com
+// Retry-After até a janela virar.
+//
+// Políticas (máximo/segundos), ajustáveis por variável de ambiente:
+//   RATE_LIMIT_VERIFY_IP=30/60         verificações por IP
+//   RATE_LIMIT_VERIFY_UID=10/60        verificações por UID (qualquer IP se a
+//                                      leitura SUN é autenticada; senão IP+UID)
+//   RATE_LIMIT_VERIFY_NOT_FOUND=10/600 UIDs inexistentes por IP (enumeração)
+//   RATE_LIMIT_ADMIN=20/60             rotas /api/admin por IP
+//   RATE_LIMIT_ADMIN_LOGIN=10/900      tentativas de login por IP
+//   RATE_LIMIT_ENABLED=false           desliga tudo
+//
+// Store: memória do processo (padrão) ou RATE_LIMIT_STORE=mongo para
+// compartilhar os contadores entre instâncias. Outro store pode ser
+// plugado com setStore(): basta implementar increment(key, windowMs) e
+// get(key, windowMs), ambos devolvendo { count, resetAt }.
+
+const { apiError } = require('./i18n');
+const { logger } = require('./logger');
+
+const DEFAULT_POLICIES = {
+  verifyIp: '30/60',
+  verifyUid: '10/60',
+  verifyNotFound: '10/600',
+  admin: '20/60',
+  adminLogin: '10/900'
+};
+
+// verifyIp → RATE_LIMIT_VERIFY_IP
+const envName = name => `RATE_LIMIT_${name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`;
+
+/**
+ * "30/60" → { max: 30, windowMs: 60000 }
+ */
+function parsePolicy(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(value || ''));
+  if (!match || parseInt(match[1]) < 1 || parseInt(match[2]) < 1) return null;
+  return { max: parseInt(match[1]), windowMs: parseInt(match[2]) * 1000 };
+}
+
+/**
+ * Política pelo nome (variável de ambiente ou padrão)
+ */
+function getPolicy(name) {
+  const fromEnv = process.env[envName(name)];
+  const policy = parsePolicy(fromEnv);
+  if (fromEnv && !policy) {
+    logger.warn('Política de rate limit inválida (use máximo/segundos)', {
+      variable: envName(name),
+      value: fromEnv,
+      fallback: DEFAULT_POLICIES[name]
+    });
+  }
+  return policy || parsePolicy(DEFAULT_POLICIES[name]);
+}
+
+function isEnabled() {
+  return process.env.RATE_LIMIT_ENABLED !== 'false';
+}
+
+// ========================================
+// STORES
+// ========================================
+
+/**
+ * Início da janela fixa atual
+ */
+function windowStart(windowMs, now = Date.now()) {
+  return Math.floor(now / windowMs) * windowMs;
+}
+
+/**
+ * Contadores em memória (um processo)
+ */
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  // Remove janelas vencidas de tempos em tempos (sem timer)
+  sweep(now) {
+    if (now - this.lastSweep < 60000) return;
+    this.lastSweep = now;
+    for (const [key, entry] of this.counters) {
+      if (entry.resetAt <= now) this.counters.delete(key);
+    }
+  }
+
+  entry(key, windowMs, now) {
+    const start = windowStart(windowMs, now);
+    const current = this.counters.get(key);
+    if (current && current.start === start) return current;
+    return { start, count: 0, resetAt: start + windowMs };
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+    const entry = this.entry(key, windowMs, now);
+    entry.count++;
+    this.counters.set(key, entry);
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async get(key, windowMs) {
+    const entry = this.entry(key, windowMs, Date.now());
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  reset() {
+    this.counters.clear();
+  }
+}
+
+/**
+ * Contadores no MongoDB (compartilhados entre instâncias)
+ */
+class MongoStore {
+  constructor() {
+    // Carregado só quando usado: o store em memória não depende do MongoDB
+    this.RateLimitCounter = require('../models/RateLimitCounter');
+  }
+
+  async increment(key, windowMs) {
+    const start = windowStart(windowMs);
+    const resetAt = start + windowMs;
+    const counter = await this.RateLimitCounter.findOneAndUpdate(
+      { _id: `${key}:${start}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+      { upsert: true, new: true }
+    );
+    return { count: counter.count, resetAt };
+  }
+
+  async get(key, windowMs) {
+    const start = windowStart(windowMs);
+    const counter = await this.RateLimitCounter.findById(`${key}:${start}`);
+    return { count: counter ? counter.count : 0, resetAt: start + windowMs };
+  }
+
+  async reset() {
+    await this.RateLimitCounter.deleteMany({});
+  }
+}
+
+let store = process.env.RATE_LIMIT_STORE === 'mongo' ? new MongoStore() : new MemoryStore();
+
+/**
+ * Troca o store (ex.: Redis) — increment/get devolvem { count, resetAt }
+ */
+function setStore(newStore) {
+  store = newStore;
+}
+
+function getStore() {
+  return store;
+}
+
+// ========================================
+// MIDDLEWARE
+// ========================================
+
+/**
+ * Conta a requisição na política; devolve null se liberada ou os segundos
+ * de espera (Retry-After) se passou do limite
+ */
+async function hit(policyName, key) {
+  if (!isEnabled() || !key) return null;
+
+  const policy = getPolicy(policyName);
+  const { count, resetAt } = await store.increment(`${policyName}:${key}`, policy.windowMs);
+  if (count <= policy.max) return null;
+
+  return {
+    retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1),
+    count,
+    max: policy.max,
+    first: count === policy.max + 1 // primeira requisição barrada na janela
+  };
+}
+
+/**
+ * Já passou do limite? (consulta sem contar)
+ */
+async function isOverLimit(policyName, key) {
+  if (!isEnabled() || !key) return null;
+
+  const policy = getPolicy(policyName);
+  const { count, resetAt } = await store.get(`${policyName}:${key}`, policy.windowMs);
+  if (count < policy.max) return null;
+
+  return { retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1), count, max: policy.max };
+}
+
+/**
+ * Resposta 429 padrão da API
+ */
+function sendRateLimited(req, res, info) {
+  return res.status(429).json({
+    success: false,
+    ...apiError(req, 'RATE_LIMITED', { seconds: info.retryAfter }),
+    retryAfter: info.retryAfter
+  });
+}
+
+/**
+ * Middleware de rate limit
+ * options.policies = [{ name, key: req => string | null }]; a chave é o IP
+ * do cliente e vai para o log no campo ip (mascarado com LOG_REDACT_IPS)
+ * options.onLimit(req, res, info) responde o 429 (info.policy, info.key,
+ * info.retryAfter, info.first); Retry-After já vem definido
+ *
+ * Erro no store não bloqueia a requisição (falha aberta, com log).
+ */
+function rateLimit({ policies, onLimit = sendRateLimited }) {
+  return async (req, res, next) => {
+    try {
+      for (const { name, key } of policies) {
+        const value = key(req);
+        const limited = await hit(name, value);
+        if (limited) {
+          // Um log por chave e janela, não um por requisição barrada
+          if (limited.first) {
+            logger.warn('Rate limit atingido', { policy: name, ip: value, max: limited.max, retryAfter: limited.retryAfter });
+          }
+          res.set('Retry-After', String(limited.retryAfter));
+          return onLimit(req, res, { policy: name, key: value, ...limited });
+        }
+      }
+    } catch (error) {
+      logger.error('Erro no rate limit (requisição liberada)', { error });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICIES,
+  parsePolicy,
+  getPolicy,
+  MemoryStore,
+  MongoStore,
+  setStore,
+  getStore,
+  hit,
+  isOverLimit,
+  sendRateLimited,
+  rateLimit
+};
@@ -0,0 +1,192 @@
+// ========================================
+// NTAG 424 DNA - SECURE UNIQUE NFC (SUN / SDM)
+// ========================================
+// Referência: NXP AN12196 (NTAG 424 DNA features and hints)
+
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 16;
+const ZERO_IV = Buffer.alloc(BLOCK_SIZE, 0);
+
+// Constante do Session Vector 2 (SV2) para a chave de sessão de MAC
+const SV2_PREFIX = Buffer.from('3CC300010080', 'hex');
+
+/**
+ * Converte uma string hex em Buffer de tamanho exato (ou null se inválida)
+ */
+function hexToBuffer(hex, expectedLength) {
+  if (typeof hex !== 'string') return null;
+  const clean = hex.trim();
+  if (!/^[0-9a-fA-F]*$/.test(clean) || clean.length !== expectedLength * 2) {
+    return null;
+  }
+  return Buffer.from(clean, 'hex');
+}
+
+/**
+ * AES-128 em modo ECB sobre um único bloco
+ */
+function aesEncryptBlock(key, block) {
+  const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(block), cipher.final()]);
+}
+
+/**
+ * Desloca um bloco de 16 bytes 1 bit para a esquerda
+ */
+function shiftLeft(buffer) {
+  const out = Buffer.alloc(buffer.length);
+  let overflow = 0;
+  for (let i = buffer.length - 1; i >= 0; i--) {
+    out[i] = ((buffer[i] << 1) & 0xff) | overflow;
+    overflow = (buffer[i] & 0x80) ? 1 : 0;
+  }
+  return out;
+}
+
+/**
+ * Gera as subchaves K1/K2 do AES-CMAC (RFC 4493)
+ */
+function generateSubkeys(key) {
+  const L = aesEncryptBlock(key, Buffer.alloc(BLOCK_SIZE, 0));
+
+  const K1 = shiftLeft(L);
+  if (L[0] & 0x80) K1[BLOCK_SIZE - 1] ^= 0x87;
+
+  const K2 = shiftLeft(K1);
+  if (K1[0] & 0x80) K2[BLOCK_SIZE - 1] ^= 0x87;
+
+  return { K1, K2 };
+}
+
+/**
+ * AES-128-CMAC completo (16 bytes) conforme RFC 4493
+ */
+function aesCmac(key, message) {
+  const { K1, K2 } = generateSubkeys(key);
+  const blockCount = Math.max(1, Math.ceil(message.length / BLOCK_SIZE));
+  const isComplete = message.length > 0 && message.length % BLOCK_SIZE === 0;
+
+  const lastBlock = Buffer.alloc(BLOCK_SIZE, 0);
+  const lastOffset = (blockCount - 1) * BLOCK_SIZE;
+  message.copy(lastBlock, 0, lastOffset);
+
+  if (isComplete) {
+    for (let i = 0; i < BLOCK_SIZE; i++) lastBlock[i] ^= K1[i];
+  } else {
+    lastBlock[message.length - lastOffset] = 0x80;
+    for (let i = 0; i < BLOCK_SIZE; i++) lastBlock[i] ^= K2[i];
+  }
+
+  let X = Buffer.alloc(BLOCK_SIZE, 0);
+  for (let b = 0; b < blockCount - 1; b++) {
+    const block = message.subarray(b * BLOCK_SIZE, (b + 1) * BLOCK_SIZE);
+    for (let i = 0; i < BLOCK_SIZE; i++) X[i] ^= block[i];
+    X = aesEncryptBlock(key, X);
+  }
+
+  for (let i = 0; i < BLOCK_SIZE; i++) X[i] ^= lastBlock[i];
+  return aesEncryptBlock(key, X);
+}
+
+/**
+ * MAC truncado do NTAG 424 DNA: bytes de índice ímpar do CMAC (8 bytes)
+ */
+function truncateMac(fullMac) {
+  const out = Buffer.alloc(8);
+  for (let i = 0; i < 8; i++) out[i] = fullMac[i * 2 + 1];
+  return out;
+}
+
+/**
+ * Descriptografa o PICCData (UID + contador de leituras) com a SDMMetaReadKey
+ * Retorna { uid, counter, counterBytes } ou null se o conteúdo não for válido
+ */
+function decryptPiccData(piccDataHex, metaReadKey) {
+  const encrypted = hexToBuffer(piccDataHex, BLOCK_SIZE);
+  if (!encrypted) return null;
+
+  const decipher = crypto.createDecipheriv('aes-128-cbc', metaReadKey, ZERO_IV);
+  decipher.setAutoPadding(false);
+  const plain = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+
+  // PICCDataTag: bit7 = UID espelhado, bit6 = contador espelhado, bits 0-3 = tamanho do UID
+  const tag = plain[0];
+  const hasUID = (tag & 0x80) !== 0;
+  const hasCounter = (tag & 0x40) !== 0;
+  const uidLength = tag & 0x0f;
+
+  if (!hasUID || !hasCounter || uidLength !== 7) return null;
+
+  const uidBytes = plain.subarray(1, 1 + uidLength);
+  const counterBytes = plain.subarray(1 + uidLength, 1 + uidLength + 3);
+
+  return {
+    uid: uidBytes.toString('hex').toUpperCase(),
+    uidBytes,
+    counter: counterBytes.readUIntLE(0, 3),
+    counterBytes
+  };
+}
+
+/**
+ * Deriva a chave de sessão KSesSDMFileReadMAC a partir da SDMFileReadKey
+ */
+function deriveSessionMacKey(fileReadKey, uidBytes, counterBytes) {
+  const sv2 = Buffer.concat([SV2_PREFIX, uidBytes, counterBytes]);
+  return aesCmac(fileReadKey, sv2);
+}
+
+/**
+ * Calcula o SDMMAC esperado (8 bytes, hex maiúsculo)
+ * macInput = dados cobertos pelo MAC (vazio quando SDMMACInputOffset == SDMMACOffset)
+ */
+function computeSdmMac(fileReadKey, uidBytes, counterBytes, macInput = '') {
+  const sessionKey = deriveSessionMacKey(fileReadKey, uidBytes, counterBytes);
+  const mac = aesCmac(sessionKey, Buffer.from(macInput, 'ascii'));
+  return truncateMac(mac).toString('hex').toUpperCase();
+}
+
+/**
+ * Verifica o CMAC recebido na URL em tempo constante
+ */
+function verifySdmMac(cmacHex, fileReadKey, uidBytes, counterBytes, macInput = '') {
+  const received = hexToBuffer(cmacHex, 8);
+  if (!received) return false;
+
+  const expected = Buffer.from(computeSdmMac(fileReadKey, uidBytes, counterBytes, macInput), 'hex');
+  return crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Chave global usada para descriptografar o PICCData (SDM_META_READ_KEY)
+ * O PICCData precisa ser aberto antes de sabermos qual produto foi lido,
+ * por isso essa chave não pode ser por produto.
+ */
+function getMetaReadKey() {
+  return hexToBuffer(process.env.SDM_META_READ_KEY || '', BLOCK_SIZE);
+}
+
+/**
+ * Monta os dados cobertos pelo MAC conforme a configuração da tag (SDM_MAC_INPUT)
+ * - 'none' (padrão): MAC sem dados de entrada
+ * - 'picc_data': MAC cobre "<picc_data>&cmac=" como aparece na URL
+ */
+function buildMacInput(piccDataHex) {
+  const mode = process.env.SDM_MAC_INPUT || 'none';
+  if (mode === 'picc_data') return `${piccDataHex}&cmac=`;
+  return '';
+}
+
+module.exports = {
+  hexToBuffer,
+  aesCmac,
+  truncateMac,
+  decryptPiccData,
+  deriveSessionMacKey,
+  computeSdmMac,
+  verifySdmMac,
+  getMetaReadKey,
+  buildMacInput
+};
@@ -0,0 +1,175 @@
+// ========================================
+// MAPEAMENTO CONFIGURÁVEL DE COLUNAS (MULTIABAS)
+// ========================================
+// Um JSON (SYNC_MAPPING_CONFIG ou --mapping) declara, por aba, o intervalo
+// e quais colunas viram quais campos do produto. Exemplo:
+//
+// {
+//   "spreadsheetId": "1AbC...",                  (opcional)
+//   "tabs": [{
+//     "name": "Fabrica SP",
+//     "range": "'Fabrica SP'!A:H",               (padrão: aba inteira, A:Z)
+//     "location": "São Paulo, Brasil",           (padrão de manufacturingLocation)
+//     "columns": { "nfcUID": "UID", "batchNumber": "Lote", "manufacturingLocation": "Local" },
+//     "attributes": { "line": "Linha", "sku": "SKU", "imageUrl": "Imagem" },
+//     "required": ["nfcUID", "batchNumber"],
+//     "writeBackColumn": "J"                     (opcional, ver sheetWriteBack.js)
+//   }]
+// }
+//
+// Campos fora de "columns" continuam sendo achados pelos apelidos de
+// sheetRows.js. "attributes" vão para product.attributes.
+
+const fs = require('fs');
+const { COLUMN_ALIASES, normalizeHeader, findColumn } = require('./sheetRows');
+
+// Campo do produto → chave do registro usada por parseProductRow
+const PRODUCT_FIELDS = {
+  nfcUID: 'UID',
+  manufacturingDateTime: 'Data_Hora',
+  productName: 'Nome',
+  batchNumber: 'Lote',
+  expiryDate: 'Validade',
+  manufacturingLocation: 'Local'
+};
+
+const ATTRIBUTE_NAME = /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/;
+
+/**
+ * Intervalo padrão de uma aba ("Aba!A:Z", com aspas se preciso)
+ */
+function defaultRange(tabName) {
+  const quoted = /^[A-Za-z0-9_]+$/.test(tabName) ? tabName : `'${tabName.replace(/'/g, "''")}'`;
+  return `${quoted}!A:Z`;
+}
+
+/**
+ * Valida e normaliza a configuração; erros citam a aba e o campo
+ */
+function validateMappingConfig(config) {
+  const fail = message => { throw new Error(`Configuração de mapeamento inválida: ${message}`); };
+
+  if (!config || !Array.isArray(config.tabs) || config.tabs.length === 0) {
+    fail('"tabs" deve ser uma lista com pelo menos uma aba');
+  }
+
+  const names = new Set();
+
+  const tabs = config.tabs.map((tab, index) => {
+    const name = tab && typeof tab.name === 'string' ? tab.name.trim() : '';
+    if (!name) fail(`aba #${index + 1} sem "name"`);
+    if (names.has(name)) fail(`aba "${name}" repetida`);
+    names.add(name);
+
+    const columns = tab.columns || {};
+    for (const [field, header] of Object.entries(columns)) {
+      if (!PRODUCT_FIELDS[field]) {
+        fail(`aba "${name}": campo desconhecido "${field}" em columns (use: ${Object.keys(PRODUCT_FIELDS).join(', ')})`);
+      }
+      if (typeof header !== 'string' || !header.trim()) {
+        fail(`aba "${name}": coluna de "${field}" deve ser o nome do cabeçalho`);
+      }
+    }
+
+    const attributes = tab.attributes || {};
+    for (const [attribute, header] of Object.entries(attributes)) {
+      if (!ATTRIBUTE_NAME.test(attribute) || PRODUCT_FIELDS[attribute]) {
+        fail(`aba "${name}": nome de atributo inválido "${attribute}"`);
+      }
+      if (typeof header !== 'string' || !header.trim()) {
+        fail(`aba "${name}": coluna do atributo "${attribute}" deve ser o nome do cabeçalho`);
+      }
+    }
+
+    const required = tab.required || ['nfcUID'];
+    if (!Array.isArray(required)) fail(`aba "${name}": "required" deve ser uma lista`);
+    for (const field of required) {
+      if (!PRODUCT_FIELDS[field] && !attributes[field]) {
+        fail(`aba "${name}": campo obrigatório desconhecido "${field}"`);
+      }
+    }
+
+    return {
+      name,
+      range: tab.range || defaultRange(name),
+      location: tab.location || null,
+      writeBackColumn: tab.writeBackColumn || null,
+      columns,
+      attributes,
+      required: [...new Set(['nfcUID', ...required])]
+    };
+  });
+
+  return { spreadsheetId: config.spreadsheetId || null, tabs };
+}
+
+/**
+ * Carrega o arquivo de mapeamento (JSON)
+ */
+function loadMappingConfig(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Não foi possível ler o mapeamento ${filePath}: ${error.message}`);
+  }
+  return validateMappingConfig(config);
+}
+
+/**
+ * Resolve o mapeamento da aba contra o cabeçalho lido
+ * Retorna { columns, attributes, errors, ignored }:
+ *   columns    = { UID: 'cabeçalho', Lote: ..., Local: ... } (formato de rowsToRecords)
+ *   attributes = { sku: 'cabeçalho', ... }
+ *   errors     = colunas configuradas ausentes ou obrigatórias não encontradas
+ *   ignored    = cabeçalhos da planilha que não viram nenhum campo
+ */
+function resolveTabMapping(headers, tab) {
+  const errors = [];
+  const columns = {};
+  const attributes = {};
+  const headerSet = new Set(headers.map(h => normalizeHeader(String(h))));
+
+  for (const [field, key] of Object.entries(PRODUCT_FIELDS)) {
+    const configured = tab.columns[field];
+
+    if (configured) {
+      if (!headerSet.has(normalizeHeader(configured))) {
+        errors.push(`coluna "${configured}" (${field}) não existe no cabeçalho`);
+        columns[key] = null;
+      } else {
+        columns[key] = findColumn(headers, [configured]);
+      }
+    } else {
+      columns[key] = COLUMN_ALIASES[key] ? findColumn(headers, COLUMN_ALIASES[key]) : null;
+    }
+  }
+
+  for (const [attribute, configured] of Object.entries(tab.attributes)) {
+    if (!headerSet.has(normalizeHeader(configured))) {
+      errors.push(`coluna "${configured}" (atributo ${attribute}) não existe no cabeçalho`);
+    } else {
+      attributes[attribute] = findColumn(headers, [configured]);
+    }
+  }
+
+  for (const field of tab.required) {
+    const found = PRODUCT_FIELDS[field] ? columns[PRODUCT_FIELDS[field]] : attributes[field];
+    const alreadyReported = tab.columns[field] || tab.attributes[field];
+    if (!found && !alreadyReported) {
+      errors.push(`coluna obrigatória de ${field} não encontrada`);
+    }
+  }
+
+  const used = new Set([...Object.values(columns), ...Object.values(attributes)].filter(Boolean));
+  const ignored = headers.filter(h => h && !used.has(h));
+
+  return { columns, attributes, errors, ignored };
+}
+
+module.exports = {
+  PRODUCT_FIELDS,
+  validateMappingConfig,
+  loadMappingConfig,
+  resolveTabMapping
+};
@@ -0,0 +1,303 @@
+// ========================================
+// LEITURA DE LINHAS DE PLANILHA (Sheets, CSV, XLSX)
+// ========================================
+// Compartilhado por sync-sheets.js e pela importação em lote do admin:
+// mapeamento de colunas por apelidos, conversão de datas e montagem
+// dos campos do produto a partir de uma linha.
+
+const { normalizeUID, isValidUID } = require('./uid');
+
+// Apelidos aceitos para cada coluna (comparados via normalizeHeader)
+const COLUMN_ALIASES = {
+  UID: ['UID', 'uid', 'Uid', 'ID', 'id'],
+  Data_Hora: ['Data_Hora', 'DataHora', 'data_hora', 'Data', 'data', 'Fabricacao', 'fabricacao'],
+  Nome: ['Nome', 'nome', 'Produto', 'produto', 'Descricao', 'descricao'],
+  Lote: ['Lote', 'lote', 'Batch', 'batch'],
+  Validade: ['Validade', 'validade', 'Expiry', 'expiry', 'Vencimento', 'vencimento'],
+  Local: ['Local', 'local', 'Localizacao', 'localizacao', 'Location', 'location']
+};
+
+/**
+ * Normaliza cabeçalhos de colunas
+ */
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Encontra coluna por múltiplos nomes possíveis
+ */
+function findColumn(headers, possibleNames) {
+  const normalizedHeaders = headers.map(h => ({
+    original: h,
+    normalized: normalizeHeader(h)
+  }));
+
+  for (const name of possibleNames) {
+    const normalized = normalizeHeader(name);
+    const found = normalizedHeaders.find(h => h.normalized === normalized);
+    if (found) return found.original;
+  }
+  
+  return null;
+}
+
+// Formatos de data (mesma gramática na conversão e na validação estrita):
+//   YYYY-MM-DD [HH:MM[:SS]]  (separador espaço ou "T")
+//   DD/MM/YYYY [HH:MM[:SS]]
+//   MM/AA ou MM/AAAA         (somente validade: último dia do mês, 23:59:59)
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const BR_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const MONTH_YEAR = /^(\d{1,2})\/(\d{2}|\d{4})$/;
+
+/**
+ * Lê a data num dos formatos aceitos, em hora local
+ * Retorna o Date, ou null se o texto não segue os formatos ou a data não
+ * existe (31/02, 25:00...) em vez de "rolar" para o mês seguinte
+ */
+function parseKnownDate(value, isExpiry = false) {
+  const text = String(value ?? '').trim();
+  let year, month, day, hour = 0, minute = 0, second = 0;
+
+  let match = ISO_DATE.exec(text);
+  if (match) {
+    [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  } else if ((match = BR_DATE.exec(text))) {
+    [, day, month, year, hour = 0, minute = 0, second = 0] = match;
+  } else if (isExpiry && (match = MONTH_YEAR.exec(text))) {
+    month = Number(match[1]);
+    year = Number(match[2].length === 2 ? '20' + match[2] : match[2]);
+    if (month < 1 || month > 12) return null;
+    // Dia 0 do mês seguinte = último dia do mês
+    return new Date(year, month, 0, 23, 59, 59);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  const exists = date.getFullYear() === Number(year) &&
+                 date.getMonth() === Number(month) - 1 &&
+                 date.getDate() === Number(day) &&
+                 date.getHours() === Number(hour) &&
+                 date.getMinutes() === Number(minute) &&
+                 date.getSeconds() === Number(second);
+  return exists ? date : null;
+}
+
+/**
+ * Converte string de data para objeto Date
+ * Formatos de parseKnownDate; fora deles tenta o parse do Date (só a
+ * política "defaults" do sync chega aqui com esses valores)
+ */
+function parseDate(dateString, isExpiry = false) {
+  if (!dateString || dateString.trim() === '') return null;
+
+  const known = parseKnownDate(dateString, isExpiry);
+  if (known) return known;
+
+  // Fallback: tentar parse direto
+  const parsed = new Date(dateString);
+  if (!isNaN(parsed.getTime())) {
+    return parsed;
+  }
+  
+  return null;
+}
+
+/**
+ * Descobre as colunas conhecidas a partir do cabeçalho
+ * Retorna { UID: 'cabeçalho original' | null, ... }
+ */
+function mapColumns(headers) {
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    columns[field] = findColumn(headers, aliases);
+  }
+  return columns;
+}
+
+/**
+ * Converte linhas (primeira = cabeçalho) em objetos { UID, Data_Hora, ... }
+ * Cada registro guarda rowNumber (número da linha na planilha, 1 = cabeçalho)
+ *
+ * mapping (opcional, ver sheetMapping.resolveTabMapping) substitui os
+ * apelidos: { columns, attributes }. Atributos vão em record.attributes.
+ */
+function rowsToRecords(rows, mapping = null) {
+  const headers = (rows[0] || []).map(h => String(h));
+  const columns = mapping ? mapping.columns : mapColumns(headers);
+  const attributes = mapping ? mapping.attributes : {};
+  const records = [];
+
+  const cell = (row, header) => {
+    const value = header ? row[headers.indexOf(header)] : null;
+    return value === undefined || value === '' ? null : value;
+  };
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const record = { rowNumber: i + 1 };
+
+    for (const [field, header] of Object.entries(columns)) {
+      record[field] = cell(row, header);
+    }
+
+    record.attributes = {};
+    for (const [attribute, header] of Object.entries(attributes)) {
+      const value = cell(row, header);
+      if (value !== null) record.attributes[attribute] = String(value);
+    }
+
+    records.push(record);
+  }
+
+  return { headers, columns, records };
+}
+
+/**
+ * Linha com algum valor preenchido (linhas totalmente vazias são ignoradas
+ * pela sincronização e pela importação em lote)
+ */
+function hasAnyValue(record) {
+  const { rowNumber, attributes, ...fields } = record;
+  return Object.values(fields).some(value => value !== null) || Object.keys(attributes).length > 0;
+}
+
+/**
+ * Monta os campos do produto a partir de uma linha já mapeada
+ * Retorna { nfcUID, productId, productName, batchNumber, manufacturingDateTime,
+ *           expiryDate, manufacturingLocation, attributes, warnings }
+ * ou null se a linha não tiver UID (manufacturingLocation = null sem coluna)
+ */
+function parseProductRow(row) {
+  const nfcUID = normalizeUID(row.UID);
+  if (!nfcUID) return null;
+
+  const warnings = [];
+  const dataHora = row.Data_Hora;
+  const productName = row.Nome || 'Produto Make Beauty';
+  const lote = row.Lote;
+  const validade = row.Validade;
+
+  // Converter data de fabricação
+  let manufacturingDateTime;
+  if (dataHora) {
+    manufacturingDateTime = parseDate(dataHora);
+  } else {
+    manufacturingDateTime = new Date();
+    warnings.push('Sem data, usando data atual');
+  }
+
+  if (!manufacturingDateTime || isNaN(manufacturingDateTime.getTime())) {
+    warnings.push(`Data inválida: ${dataHora}`);
+    manufacturingDateTime = new Date();
+  }
+
+  // Converter data de validade
+  let expiryDate = null;
+  if (validade && validade.trim() !== '') {
+    expiryDate = parseDate(validade, true);
+
+    if (expiryDate && !isNaN(expiryDate.getTime())) {
+      if (!validade.includes(':')) {
+        expiryDate.setHours(23, 59, 59);
+      }
+    } else {
+      warnings.push('Validade inválida, calculando +2 anos');
+      expiryDate = new Date(manufacturingDateTime);
+      expiryDate.setFullYear(expiryDate.getFullYear() + 2);
+    }
+  } else {
+    // Validade padrão: +2 anos (a validação estrita rejeita antes de chegar aqui)
+    warnings.push('Sem validade, calculando +2 anos');
+    expiryDate = new Date(manufacturingDateTime);
+    expiryDate.setFullYear(expiryDate.getFullYear() + 2);
+  }
+
+  // Gerar lote se não informado
+  const batchNumber = lote || ('LT' + manufacturingDateTime.toISOString().slice(0,10).replace(/-/g,''));
+
+  return {
+    nfcUID,
+    productId: `MB-${batchNumber}-${nfcUID}`,
+    productName,
+    batchNumber,
+    manufacturingDateTime,
+    expiryDate,
+    manufacturingLocation: row.Local || null,
+    attributes: row.attributes || {},
+    warnings
+  };
+}
+
+// ========================================
+// VALIDAÇÃO ESTRITA
+// ========================================
+// Sem valores padrão: cada problema vira um motivo de rejeição com código
+// estável (usado no relatório e na quarentena do sync-sheets.js).
+
+const FUTURE_TOLERANCE_MS = (parseInt(process.env.SYNC_FUTURE_TOLERANCE_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Data num dos formatos aceitos e existente de fato (ver parseKnownDate)
+ */
+function isStrictDate(value, isExpiry = false) {
+  return parseKnownDate(value, isExpiry) !== null;
+}
+
+/**
+ * Valida uma linha já mapeada sem aplicar valores padrão
+ * Retorna a lista de motivos [{ code, message }] (vazia = linha válida)
+ *
+ * UID repetido na planilha é verificado por quem tem todas as linhas
+ * (ver sync-sheets.js), com o código DUPLICATE_UID.
+ */
+function validateProductRow(row, { now = new Date(), futureToleranceMs = FUTURE_TOLERANCE_MS } = {}) {
+  const reasons = [];
+  const reject = (code, message) => reasons.push({ code, message });
+
+  if (!row.UID) {
+    reject('UID_MISSING', 'UID ausente');
+  } else if (!isValidUID(row.UID)) {
+    reject('UID_INVALID', `UID inválido: ${row.UID} (esperado hexadecimal com 14 a 20 caracteres)`);
+  }
+
+  if (!row.Data_Hora) {
+    reject('MANUFACTURE_DATE_MISSING', 'Data de fabricação ausente');
+  } else if (!isStrictDate(row.Data_Hora)) {
+    reject('MANUFACTURE_DATE_INVALID', `Data de fabricação inválida: ${row.Data_Hora}`);
+  }
+
+  if (!row.Validade) {
+    reject('EXPIRY_DATE_MISSING', 'Validade ausente');
+  } else if (!isStrictDate(row.Validade, true)) {
+    reject('EXPIRY_DATE_INVALID', `Validade inválida: ${row.Validade}`);
+  }
+
+  if (reasons.length > 0) return reasons;
+
+  const parsed = parseProductRow(row);
+
+  if (parsed.manufacturingDateTime.getTime() > now.getTime() + futureToleranceMs) {
+    reject('MANUFACTURE_DATE_FUTURE', `Data de fabricação no futuro: ${row.Data_Hora}`);
+  }
+
+  if (parsed.expiryDate.getTime() <= parsed.manufacturingDateTime.getTime()) {
+    reject('EXPIRY_BEFORE_MANUFACTURE', `Validade (${row.Validade}) não é posterior à fabricação (${row.Data_Hora})`);
+  }
+
+  return reasons;
+}
+
+module.exports = {
+  COLUMN_ALIASES,
+  normalizeHeader,
+  findColumn,
+  parseDate,
+  mapColumns,
+  rowsToRecords,
+  hasAnyValue,
+  parseProductRow,
+  isStrictDate,
+  validateProductRow
+};
@@ -0,0 +1,209 @@
+// ========================================
+// FONTES DE PLANILHA PARA A SINCRONIZAÇÃO
+// ========================================
+// Toda fonte expõe { type, label, readRows() } e devolve a planilha como
+// matriz de strings (primeira linha = cabeçalho). Assim o mesmo pipeline
+// de sync-sheets.js serve para Google Sheets, arquivo local ou pasta vigiada.
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const SUPPORTED_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+/**
+ * Data de célula XLSX → "YYYY-MM-DD HH:MM:SS" (formato aceito por parseDate)
+ */
+function formatCellDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+         `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Lê um arquivo CSV ou XLSX em memória como matriz de strings
+ * format = 'csv' | 'xlsx'; sem format, detecta pela assinatura ZIP do XLSX
+ */
+function readSpreadsheetBuffer(buffer, { format, sheetName } = {}) {
+  const isXlsx = format === 'xlsx' ||
+                 (format !== 'csv' && buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b);
+
+  const workbook = isXlsx
+    ? XLSX.read(buffer, { type: 'buffer', cellDates: true })
+    : XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true });
+
+  const sheet = workbook.Sheets[sheetName || workbook.SheetNames[0]];
+  if (!sheet) {
+    if (sheetName) throw new Error(`Aba "${sheetName}" não encontrada`);
+    return [];
+  }
+
+  // Números vêm como o texto exibido na célula (rawNumbers: false): UID
+  // numérico formatado mantém os zeros à esquerda e não vira notação científica
+  return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, rawNumbers: false, defval: '' })
+    .map(row => row.map(cell => (cell instanceof Date ? formatCellDate(cell) : String(cell).trim())));
+}
+
+// ========================================
+// GOOGLE SHEETS
+// ========================================
+
+/**
+ * Cliente autenticado da API do Google Sheets
+ * readOnly = false pede escopo de escrita (escrita de status na planilha)
+ *
+ * Com GOOGLE_SHEETS_API_URL (ex.: http://localhost:8089/), usa esse endereço
+ * sem autenticação: é como os testes falam com o stub local da API
+ * (scripts/sheets-api-stub.js).
+ */
+async function getGoogleSheetsClient({ readOnly = true } = {}) {
+  // Carregado sob demanda: fábricas offline não precisam da API do Google
+  const { google } = require('googleapis');
+
+  if (process.env.GOOGLE_SHEETS_API_URL) {
+    return google.sheets({ version: 'v4', rootUrl: process.env.GOOGLE_SHEETS_API_URL });
+  }
+
+  const auth = new google.auth.GoogleAuth({
+    keyFile: './credentials.json',
+    scopes: [readOnly
+      ? 'https://www.googleapis.com/auth/spreadsheets.readonly'
+      : 'https://www.googleapis.com/auth/spreadsheets'],
+  });
+
+  const client = await auth.getClient();
+  const sheets = google.sheets({ version: 'v4', auth: client });
+
+  return sheets;
+}
+
+/**
+ * Fonte: planilha no Google Sheets
+ */
+function createGoogleSheetsSource({ spreadsheetId, range = 'Sheet1!A:E', getClient = getGoogleSheetsClient }) {
+  return {
+    type: 'google',
+    label: `Google Sheets (${spreadsheetId})`,
+    spreadsheetId,
+    range,
+    getClient,
+    async readRows() {
+      const sheets = await getClient();
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range,
+      });
+      return response.data.values || [];
+    }
+  };
+}
+
+// ========================================
+// ARQUIVO LOCAL
+// ========================================
+
+/**
+ * Fonte: arquivo XLSX/CSV local (sem rede)
+ */
+function createFileSource({ filePath, sheetName }) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+    throw new Error(`Formato não suportado: ${extension} (use ${SUPPORTED_EXTENSIONS.join(', ')})`);
+  }
+
+  return {
+    type: 'file',
+    label: `arquivo ${path.basename(filePath)}`,
+    filePath,
+    async readRows() {
+      const buffer = await fs.promises.readFile(filePath);
+      return readSpreadsheetBuffer(buffer, {
+        format: extension === '.csv' ? 'csv' : 'xlsx',
+        sheetName
+      });
+    }
+  };
+}
+
+// ========================================
+// PASTA VIGIADA
+// ========================================
+
+/**
+ * Vigia uma pasta e entrega cada planilha nova a onFile(source)
+ *
+ * Um arquivo só é processado quando o tamanho fica estável entre duas
+ * varreduras (evita ler arquivo pela metade). Depois de processado, vai
+ * para <pasta>/processados ou <pasta>/erros, conforme o resultado.
+ * Retorna { stop() }.
+ */
+function watchDirectory(dir, { intervalMs = 10000, sheetName, onFile }) {
+  const processedDir = path.join(dir, 'processados');
+  const failedDir = path.join(dir, 'erros');
+  fs.mkdirSync(processedDir, { recursive: true });
+  fs.mkdirSync(failedDir, { recursive: true });
+
+  const lastSizes = new Map();
+  let running = false;
+
+  async function moveTo(targetDir, filePath) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await fs.promises.rename(filePath, path.join(targetDir, `${stamp}_${path.basename(filePath)}`));
+  }
+
+  async function scan() {
+    if (running) return;
+    running = true;
+
+    try {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+      for (const entry of entries) {
+        if (!entry.isFile()) continue;
+        if (!SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) continue;
+        if (entry.name.startsWith('~$') || entry.name.startsWith('.')) continue; // temporários
+
+        const filePath = path.join(dir, entry.name);
+        const { size } = await fs.promises.stat(filePath);
+
+        if (lastSizes.get(filePath) !== size) {
+          lastSizes.set(filePath, size);
+          continue; // aguarda a próxima varredura
+        }
+
+        lastSizes.delete(filePath);
+
+        try {
+          await onFile(createFileSource({ filePath, sheetName }));
+          await moveTo(processedDir, filePath);
+        } catch (error) {
+          console.error(`❌ Erro ao processar ${entry.name}:`, error.message);
+          await moveTo(failedDir, filePath);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Erro ao varrer pasta vigiada:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  scan();
+  const timer = setInterval(scan, intervalMs);
+
+  return {
+    scan,
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  readSpreadsheetBuffer,
+  getGoogleSheetsClient,
+  createGoogleSheetsSource,
+  createFileSource,
+  watchDirectory
+};
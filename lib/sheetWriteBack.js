@@ -0,0 +1,219 @@
+// ========================================
+// ESCRITA DE STATUS DE VOLTA NA PLANILHA (GOOGLE SHEETS)
+// ========================================
+// Fase opcional do sync-sheets.js: para cada linha com UID, preenche colunas
+// de status dedicadas (leituras, última leitura, situação, alerta de clone).
+//
+// As colunas de status ficam logo depois das colunas lidas (ou a partir de
+// SYNC_WRITEBACK_COLUMN) e nunca se sobrepõem às colunas de origem. Se o
+// cabeçalho dessas colunas tiver outro conteúdo, nada é escrito.
+//
+// Só linhas com valores diferentes vão para a API, em lotes de
+// values.batchUpdate, respeitando um intervalo mínimo entre requisições.
+
+const { rowsToRecords, parseProductRow } = require('./sheetRows');
+const { resolveTabMapping } = require('./sheetMapping');
+
+const STATUS_HEADERS = ['Leituras', 'Última leitura', 'Situação', 'Alerta de clone'];
+
+const BATCH_SIZE = parseInt(process.env.SYNC_WRITEBACK_BATCH_SIZE) || 200;
+const MIN_INTERVAL_MS = parseInt(process.env.SYNC_WRITEBACK_MIN_INTERVAL_MS) || 1100;
+const MAX_ATTEMPTS = 4;
+
+/**
+ * Letra(s) da coluna → índice (A = 0)
+ */
+function columnToIndex(column) {
+  let index = 0;
+  for (const char of column.toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Índice → letra(s) da coluna (0 = A)
+ */
+function indexToColumn(index) {
+  let column = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    column = String.fromCharCode(65 + ((n - 1) % 26)) + column;
+  }
+  return column;
+}
+
+/**
+ * Separa "Aba!A2:E" em { prefix: "Aba!", startColumn: 0, startRow: 2 }
+ */
+function parseRange(range) {
+  const bang = range.lastIndexOf('!');
+  const prefix = bang >= 0 ? range.slice(0, bang + 1) : '';
+  const match = /^([A-Za-z]+)(\d+)?/.exec(range.slice(bang + 1));
+
+  return {
+    prefix,
+    startColumn: match ? columnToIndex(match[1]) : 0,
+    startRow: match && match[2] ? parseInt(match[2]) : 1
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Limitador simples: garante o intervalo mínimo entre chamadas à API
+ * e repete em 429/5xx com espera exponencial
+ */
+function createRateLimiter(minIntervalMs) {
+  let lastCall = 0;
+
+  return async function limited(fn) {
+    for (let attempt = 1; ; attempt++) {
+      const wait = lastCall + minIntervalMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastCall = Date.now();
+
+      try {
+        return await fn();
+      } catch (error) {
+        const status = error.code || error.status || error.response?.status;
+        const retryable = status === 429 || (status >= 500 && status < 600);
+        if (!retryable || attempt >= MAX_ATTEMPTS) throw error;
+
+        const backoff = minIntervalMs * 2 ** attempt;
+        console.log(`⏳ API do Sheets respondeu ${status}, nova tentativa em ${backoff}ms...`);
+        await sleep(backoff);
+      }
+    }
+  };
+}
+
+/**
+ * Valores das colunas de status de um UID
+ * status = { registered, scanCount, lastScan, isActive, deleted, recalled, alert }
+ */
+function statusCells(status) {
+  if (!status || !status.registered) return ['', '', 'Não cadastrado', ''];
+
+  let situacao = 'Ativo';
+  if (status.deleted) situacao = 'Excluído';
+  else if (status.recalled) situacao = 'Recolhido';
+  else if (!status.isActive) situacao = 'Inativo';
+
+  const alerta = status.alert
+    ? `${status.alert.status === 'open' ? 'Aberto' : 'Reconhecido'} (score ${status.alert.score})`
+    : '';
+
+  return [
+    status.scanCount || 0,
+    status.lastScan ? status.lastScan.toLocaleString('pt-BR') : '',
+    situacao,
+    alerta
+  ];
+}
+
+/**
+ * Escreve as colunas de status na planilha de origem
+ *
+ * getStatus(uids) deve devolver Map nfcUID → status (ver statusCells).
+ * options.column = primeira coluna de status (ex.: "H"); padrão: logo após
+ * as colunas lidas.
+ *
+ * Retorna { rowsUpdated, requests, column }
+ */
+async function writeBackStatus(source, getStatus, options = {}) {
+  if (source.type !== 'google') {
+    throw new Error('Escrita de status só é suportada para Google Sheets');
+  }
+
+  const { spreadsheetId, range } = source;
+  const { prefix, startColumn, startRow } = parseRange(range);
+  const sheets = await source.getClient({ readOnly: false });
+  const limited = createRateLimiter(options.minIntervalMs ?? MIN_INTERVAL_MS);
+  const batchSize = options.batchSize || BATCH_SIZE;
+
+  // 1) Ler a planilha para saber onde está cada UID
+  const response = await limited(() => sheets.spreadsheets.values.get({ spreadsheetId, range }));
+  const rows = response.data.values || [];
+  const mapping = source.mapping ? resolveTabMapping(rows[0] || [], source.mapping) : null;
+  const { headers, columns, records } = rowsToRecords(rows, mapping);
+
+  if (!columns.UID) {
+    throw new Error('Coluna UID não encontrada: escrita de status cancelada');
+  }
+
+  // Intervalo que já inclui as colunas de status (ex.: aba inteira): elas não
+  // contam como colunas de origem e continuam no mesmo lugar
+  const statusIndex = headers.indexOf(STATUS_HEADERS[0]);
+  const hasStatusColumns = statusIndex >= 0 &&
+    STATUS_HEADERS.every((header, i) => headers[statusIndex + i] === header);
+
+  const firstFree = startColumn + (hasStatusColumns ? statusIndex : headers.length);
+  const statusStart = options.column ? columnToIndex(options.column) : firstFree;
+  if (statusStart < firstFree) {
+    throw new Error(`Coluna ${options.column} sobrepõe as colunas de origem (primeira livre: ${indexToColumn(firstFree)})`);
+  }
+
+  const fromColumn = indexToColumn(statusStart);
+  const toColumn = indexToColumn(statusStart + STATUS_HEADERS.length - 1);
+  const lastRow = startRow + rows.length - 1;
+  const rowRange = row => `${prefix}${fromColumn}${row}:${toColumn}${row}`;
+
+  // 2) Ler as colunas de status atuais (evita reescrever o que não mudou)
+  const current = (await limited(() => sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${prefix}${fromColumn}${startRow}:${toColumn}${lastRow}`
+  }))).data.values || [];
+
+  const headerRow = current[0] || [];
+  const foreign = headerRow.some((cell, i) => cell !== '' && cell !== STATUS_HEADERS[i]);
+  if (foreign) {
+    throw new Error(`Colunas ${fromColumn}:${toColumn} já contêm outros dados: escrita de status cancelada`);
+  }
+
+  // 3) Calcular valores
+  const uidByRow = new Map();
+  for (const record of records) {
+    const parsed = record.UID ? parseProductRow(record) : null;
+    if (parsed) uidByRow.set(record.rowNumber, parsed.nfcUID);
+  }
+
+  const statusByUID = await getStatus([...new Set(uidByRow.values())]);
+  const data = [];
+
+  if (STATUS_HEADERS.some((header, i) => headerRow[i] !== header)) {
+    data.push({ range: rowRange(startRow), values: [STATUS_HEADERS] });
+  }
+
+  for (const [rowNumber, nfcUID] of uidByRow) {
+    const values = statusCells(statusByUID.get(nfcUID));
+    const existing = current[rowNumber - 1] || [];
+    const changed = values.some((value, i) => String(value) !== String(existing[i] ?? ''));
+
+    if (changed) {
+      data.push({ range: rowRange(startRow + rowNumber - 1), values: [values] });
+    }
+  }
+
+  // 4) Enviar em lotes
+  let requests = 0;
+  for (let start = 0; start < data.length; start += batchSize) {
+    const chunk = data.slice(start, start + batchSize);
+    await limited(() => sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: { valueInputOption: 'RAW', data: chunk }
+    }));
+    requests++;
+  }
+
+  const rowsUpdated = data.filter(item => item.values[0] !== STATUS_HEADERS).length;
+  return { rowsUpdated, requests, column: fromColumn };
+}
+
+module.exports = {
+  STATUS_HEADERS,
+  columnToIndex,
+  indexToColumn,
+  parseRange,
+  statusCells,
+  writeBackStatus
+};
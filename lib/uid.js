@@ -0,0 +1,25 @@
+// ========================================
+// UID DAS TAGS NFC
+// ========================================
+
+/**
+ * Normaliza UID removendo separadores (":", espaços, "-")
+ */
+function normalizeUID(uid) {
+  if (!uid) return null;
+  return String(uid).replace(/[:\s-]/g, '').toUpperCase().trim();
+}
+
+/**
+ * Valida se o UID tem formato válido (hex, 14 a 20 caracteres)
+ */
+function isValidUID(uid) {
+  if (!uid) return false;
+  const hexPattern = /^[0-9A-F]{14,20}$/;
+  return hexPattern.test(normalizeUID(uid));
+}
+
+module.exports = {
+  normalizeUID,
+  isValidUID
+};
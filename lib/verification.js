@@ -0,0 +1,531 @@
+// ========================================
+// VERIFICAÇÃO DE PRODUTO (SUN/SDM, CONTADOR, CLONAGEM)
+// ========================================
+// Fluxo único de verificação usado pela API (POST /api/verify-product) e
+// pela página pública (GET /v/:uid). Devolve o status HTTP e o corpo no
+// formato da resposta JSON da API; quem chama decide como apresentar.
+
+const sdm = require('./sdm');
+const keyVault = require('./keyVault');
+const cloneRules = require('./cloneRules');
+const rateLimit = require('./rateLimit');
+const geoip = require('./geoip');
+const { parseUserAgent } = require('./device');
+const { getClientIP } = require('./clientIP');
+const webhooks = require('./webhooks');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+const { Product, normalizeUID, isValidUID } = require('./products');
+const Scan = require('../models/Scan');
+const BatchRecall = require('../models/BatchRecall');
+const { DEFAULT_LANGUAGE, translate, localizedError } = require('./i18n');
+
+// Canal padrão gravado no scan (identificador, não é traduzido)
+const DEFAULT_SCAN_LOCATION = 'Web';
+const MAX_LOCATION_LENGTH = 100;
+
+// ========================================
+// FUNÇÕES AUXILIARES
+// ========================================
+
+/**
+ * 🆕 Detecta padrão suspeito de clonagem
+ * Avalia as regras configuráveis de lib/cloneRules.js para a leitura atual
+ * (ainda não gravada) e devolve o score somado e o veredito de cada regra
+ */
+function detectClonePattern(product, scanContext, counter, previousCounter) {
+  return cloneRules.evaluate({
+    product,
+    scan: scanContext,
+    counter,
+    previousCounter
+  });
+}
+
+/**
+ * 🆕 Lê coordenadas opcionais do navegador (latitude/longitude no body)
+ */
+function parseCoordinates(body) {
+  const lat = parseFloat(body.latitude);
+  const lng = parseFloat(body.longitude);
+
+  if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return undefined;
+  }
+  return { lat, lng };
+}
+
+/**
+ * 🆕 Canal informado pelo cliente (texto livre, só rótulo: o local real vem
+ * de geo/coordinates)
+ */
+function parseLocation(value) {
+  if (typeof value !== 'string' || !value.trim()) return DEFAULT_SCAN_LOCATION;
+  return value.trim().slice(0, MAX_LOCATION_LENGTH);
+}
+
+/**
+ * 🆕 Extrai IP, dispositivo e local da requisição para o registro do scan
+ * IP: req.ip conforme TRUST_PROXY (lib/clientIP.js), nunca o
+ * X-Forwarded-For bruto; geo pela base GeoIP offline (lib/geoip.js)
+ */
+function getScanContext(req) {
+  const body = req.body || {};
+  const ipAddress = getClientIP(req);
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+
+  return {
+    ipAddress,
+    userAgent,
+    location: parseLocation(body.location),
+    coordinates: parseCoordinates(body),
+    geo: geoip.lookup(ipAddress),
+    device: parseUserAgent(userAgent)
+  };
+}
+
+/**
+ * 🆕 Registra uma leitura rejeitada (sem interromper a resposta em caso de falha)
+ */
+async function recordRejectedScan(product, scanContext, verdict) {
+  try {
+    const scan = await Scan.create({
+      productId: product._id,
+      nfcUID: product.nfcUID,
+      ...scanContext,
+      verdict
+    });
+
+    webhooks.emit('scan.rejected', {
+      product: webhooks.productSummary(product),
+      scan: webhooks.scanSummary(scan)
+    });
+  } catch (error) {
+    logger.error('Erro ao registrar scan rejeitado', { verdict, error });
+  }
+}
+
+/**
+ * 🆕 IP que já consultou UIDs demais que não existem (enumeração pela
+ * diferença entre 404 e 403). Retorna null ou { policy, retryAfter }
+ * (falha aberta se o store der erro)
+ */
+async function checkNotFoundLimit(clientIP) {
+  try {
+    const notFound = await rateLimit.isOverLimit('verifyNotFound', clientIP);
+    return notFound ? { policy: 'verifyNotFound', retryAfter: notFound.retryAfter } : null;
+  } catch (error) {
+    logger.error('Erro no rate limit da verificação (liberado)', { error });
+    return null;
+  }
+}
+
+/**
+ * 🆕 Rate limit por UID (verifyUid), depois da assinatura:
+ * - leitura autenticada (CMAC válido e contador ainda não usado): conta no
+ *   UID, vinda de qualquer IP; a primeira barrada na janela vira um scan
+ *   'throttled', sinal para cloneRules
+ * - demais leituras (produto sem chave, contador repetido): contam em
+ *   IP + UID e não geram scan. Quem só conhece o UID não gasta a cota da
+ *   tag verdadeira nem cria sinal de clonagem contra ela.
+ * Retorna null ou { policy, retryAfter } (falha aberta se o store der erro)
+ */
+async function checkUidLimit(product, scanContext, clientIP, authenticated) {
+  try {
+    const key = authenticated ? product.nfcUID : `${clientIP}:${product.nfcUID}`;
+    const limited = await rateLimit.hit('verifyUid', key);
+    if (!limited) return null;
+
+    if (limited.first) {
+      logger.warn('Rate limit atingido', { policy: 'verifyUid', nfcUID: product.nfcUID, authenticated, max: limited.max });
+      if (authenticated) await recordRejectedScan(product, scanContext, 'throttled');
+    }
+    return { policy: 'verifyUid', retryAfter: limited.retryAfter };
+  } catch (error) {
+    logger.error('Erro no rate limit da verificação (liberado)', { error });
+    return null;
+  }
+}
+
+/**
+ * 🆕 Resposta 429 da verificação
+ */
+function throttledResult(throttled, lang) {
+  return {
+    status: 429,
+    outcome: 'throttled',
+    retryAfter: throttled.retryAfter,
+    body: {
+      success: false,
+      authentic: false,
+      ...localizedError('RATE_LIMITED', lang, { seconds: throttled.retryAfter }),
+      retryAfter: throttled.retryAfter
+    }
+  };
+}
+
+/**
+ * 🆕 Conta um UID inexistente para o IP (ver checkVerifyLimits)
+ */
+async function countNotFound(clientIP) {
+  try {
+    const limited = await rateLimit.hit('verifyNotFound', clientIP);
+    if (limited && limited.first) {
+      logger.warn('Rate limit atingido', { policy: 'verifyNotFound', clientIP, max: limited.max });
+    }
+  } catch (error) {
+    logger.error('Erro no rate limit da verificação', { error });
+  }
+}
+
+/**
+ * 🆕 Política de contador de leituras do produto
+ * - 'sun': contador autenticado pelo CMAC da tag; precisa ser estritamente
+ *   maior que o último aceito, senão a leitura é tratada como replay
+ * - 'server': produto sem chave AES (Demo, Sheets ou legado); o contador
+ *   enviado pelo cliente é ignorado e o servidor incrementa o próprio
+ */
+function getCounterPolicy(product, isDemoUID) {
+  if (!isDemoUID && product.encryptedKey) return 'sun';
+  return 'server';
+}
+
+/**
+ * 🆕 Consome o contador numa única operação condicional no MongoDB
+ * Retorna o produto atualizado, ou null se o contador já foi usado (replay)
+ */
+async function consumeScanCounter(product, counter) {
+  if (counter === null) {
+    return Product.findOneAndUpdate(
+      { _id: product._id },
+      { $inc: { scanCount: 1 }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  return Product.findOneAndUpdate(
+    { _id: product._id, scanCount: { $lt: counter } },
+    { $set: { scanCount: counter, updatedAt: new Date() } },
+    { new: true }
+  );
+}
+
+// ========================================
+// VERIFICAR
+// ========================================
+
+/**
+ * Verifica a leitura de uma tag
+ * input = { uid, piccData, cmac } (mensagem SUN tem precedência sobre o uid)
+ * scanContext = getScanContext(req)
+ * lang = idioma das mensagens (ver lib/i18n.js)
+ * options.clientIP = IP usado no rate limit (ver lib/rateLimit.js)
+ * Retorna { status, outcome, body }: status HTTP, resultado (missing_uid,
+ * invalid_uid, throttled, not_found, recalled, inactive, invalid_signature,
+ * replay, suspicious, authentic) e corpo da resposta da API. Em throttled
+ * vem também retryAfter (segundos, para o header Retry-After).
+ * Duração e resultado vão para as métricas (lib/metrics.js) e para o log.
+ */
+async function verifyProduct(input, scanContext, lang = DEFAULT_LANGUAGE, options = {}) {
+  const start = process.hrtime.bigint();
+  let outcome = 'error';
+
+  try {
+    const result = await runVerification(input, scanContext, lang, options);
+    outcome = result.outcome;
+
+    const product = result.body.product || {};
+    logger.info('Verificação concluída', {
+      outcome,
+      status: result.status,
+      productId: product.productId,
+      scanCount: product.scanCount,
+      riskScore: result.body.verification && result.body.verification.riskScore,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100
+    });
+    return result;
+  } finally {
+    metrics.recordVerification(outcome, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+}
+
+/**
+ * Fluxo da verificação (ver verifyProduct)
+ */
+async function runVerification(input, scanContext, lang, { clientIP }) {
+  const { piccData, cmac } = input;
+  const isSunMessage = Boolean(piccData || cmac);
+
+  // 🆕 Mensagem SUN: UID e contador vêm do PICCData criptografado, não do cliente
+  let uid = input.uid;
+  let sun = null;
+
+  if (isSunMessage) {
+    const metaReadKey = sdm.getMetaReadKey();
+    if (!metaReadKey) {
+      throw new Error('SDM_META_READ_KEY ausente ou inválida');
+    }
+
+    sun = piccData && cmac ? sdm.decryptPiccData(piccData, metaReadKey) : null;
+
+    if (!sun) {
+      return {
+        status: 403,
+        outcome: 'invalid_signature',
+        body: {
+          success: false,
+          authentic: false,
+          ...localizedError('SIGNATURE_INVALID', lang)
+        }
+      };
+    }
+
+    uid = sun.uid;
+  }
+  
+  // 🆕 Validação de entrada
+  if (!uid) {
+    return {
+      status: 400,
+      outcome: 'missing_uid',
+      body: {
+        success: false,
+        authentic: false,
+        ...localizedError('UID_REQUIRED', lang)
+      }
+    };
+  }
+  
+  // 🆕 Validar formato do UID
+  if (!isValidUID(uid)) {
+    return {
+      status: 400,
+      outcome: 'invalid_uid',
+      body: {
+        success: false,
+        authentic: false,
+        ...localizedError('UID_INVALID', lang)
+      }
+    };
+  }
+
+  // Normalizar UID - remover ":", espaços e "-"
+  const normalizedUID = normalizeUID(uid);
+
+  // 🆕 IP em enumeração de UIDs é barrado antes de tocar no produto
+  const notFoundLimited = await checkNotFoundLimit(clientIP);
+  if (notFoundLimited) return throttledResult(notFoundLimited, lang);
+
+  // Buscar produto
+  const product = await Product.findOne({ nfcUID: normalizedUID });
+  
+  if (!product) {
+    await countNotFound(clientIP);
+    return {
+      status: 404,
+      outcome: 'not_found',
+      body: {
+        success: false,
+        authentic: false,
+        ...localizedError('TAG_NOT_FOUND', lang)
+      }
+    };
+  }
+
+  // Validar assinatura (pular validação para UIDs de DEMO e produtos sem chave AES, ex.: planilha)
+  const isDemoUID = normalizedUID.includes('AABBCCDDDEEFF') || 
+                    normalizedUID.includes('112233445566') ||
+                    normalizedUID.includes('DEMO'); // 🆕 adicional
+  const isFromSheets = product.syncedFromSheets === true;
+  const counterPolicy = getCounterPolicy(product, isDemoUID);
+  const requiresSun = counterPolicy === 'sun';
+  
+  logger.debug('Tipo de validação', { nfcUID: normalizedUID, isDemoUID, isFromSheets, counterPolicy });
+  
+  // 🆕 Produtos com chave AES só são aceitos via mensagem SUN autenticada
+  let counter = null;
+  if (requiresSun) {
+    const fileReadKey = sun ? keyVault.decryptTagKey(product.encryptedKey) : null;
+    const macInput = sun ? sdm.buildMacInput(piccData) : '';
+
+    if (!sun || !sdm.verifySdmMac(cmac, fileReadKey, sun.uidBytes, sun.counterBytes, macInput)) {
+      await recordRejectedScan(product, scanContext, 'invalid_signature');
+      return {
+        status: 403,
+        outcome: 'invalid_signature',
+        body: {
+          success: false,
+          authentic: false,
+          ...localizedError('SIGNATURE_INVALID', lang)
+        }
+      };
+    }
+
+    counter = sun.counter;
+  }
+
+  // 🆕 Rate limit por UID antes do contador: enxurrada de leituras não
+  // infla o contador nem dispara alertas de clonagem falsos
+  const authenticated = requiresSun && counter > product.scanCount;
+  const throttled = await checkUidLimit(product, scanContext, clientIP, authenticated);
+  if (throttled) return throttledResult(throttled, lang);
+
+  // 🆕 Recolhimento do lote tem prioridade sobre o bloqueio: o consumidor
+  // precisa ver o aviso. Só depois da assinatura: leitura forjada nunca é
+  // "autêntica" nem descobre o recolhimento.
+  const recall = await BatchRecall.findActive(product.batchNumber);
+  if (recall) {
+    await recordRejectedScan(product, scanContext, 'recalled');
+    return {
+      status: 410,
+      outcome: 'recalled',
+      body: {
+        success: false,
+        authentic: true,
+        status: 'recalled',
+        ...localizedError('BATCH_RECALLED', lang),
+        details: recall.publicMessage,
+        recall: {
+          batchNumber: recall.batchNumber,
+          effectiveDate: recall.effectiveDate,
+          message: recall.publicMessage
+        }
+      }
+    };
+  }
+
+  if (!product.isActive) {
+    await recordRejectedScan(product, scanContext, 'inactive');
+    return {
+      status: 403,
+      outcome: 'inactive',
+      body: {
+        success: false,
+        authentic: false,
+        ...localizedError('PRODUCT_INACTIVE', lang)
+      }
+    };
+  }
+
+  // 🆕 Validar e consumir o contador de forma atômica: duas leituras
+  // simultâneas com o mesmo contador nunca passam as duas
+  const updatedProduct = await consumeScanCounter(product, counter);
+
+  if (!updatedProduct) {
+    await recordRejectedScan(product, scanContext, 'replay');
+    return {
+      status: 409,
+      outcome: 'replay',
+      body: {
+        success: false,
+        authentic: false,
+        verdict: 'replay',
+        ...localizedError('COUNTER_REPLAY', lang)
+      }
+    };
+  }
+
+  const previousCounter = product.scanCount;
+  product.scanCount = updatedProduct.scanCount;
+
+  // 🆕 Detectar padrão de clonagem
+  const cloneCheck = await detectClonePattern(product, scanContext, counter, previousCounter);
+  if (cloneCheck.suspicious) {
+    logger.warn('Padrão suspeito de clonagem', {
+      nfcUID: normalizedUID,
+      score: cloneCheck.score,
+      rules: cloneCheck.verdicts.filter(v => v.triggered).map(v => v.rule),
+      reason: cloneCheck.reason
+    });
+  }
+
+  // Scan registrado só depois que o contador foi consumido com sucesso
+  const scan = await Scan.create({
+    productId: product._id,
+    nfcUID: product.nfcUID,
+    timestamp: new Date(),
+    ...scanContext,
+    counter: product.scanCount,
+    riskScore: cloneCheck.score,
+    verdict: cloneCheck.suspicious ? 'suspicious' : 'authentic'
+  });
+
+  // 🆕 Primeira leitura aceita fica no produto (análises e selo de primeira
+  // leitura). Quem grava firstScanAt é a primeira; scanCount não serve: em
+  // tags SUN é o contador da tag, que raramente é 1 no primeiro toque.
+  let isFirstScan = false;
+  if (!product.firstScanAt) {
+    const { modifiedCount } = await Product.updateOne(
+      { _id: product._id, firstScanAt: { $exists: false } },
+      { $set: { firstScanAt: scan.timestamp } }
+    );
+    isFirstScan = modifiedCount === 1;
+  }
+
+  // 🆕 Persistir alerta (e desativar o produto se passar do limite)
+  if (cloneCheck.suspicious) {
+    await cloneRules.recordAlert(product, cloneCheck, scan._id);
+  }
+
+  // 🆕 Webhook (sem aguardar: não atrasa a resposta ao consumidor)
+  webhooks.emit('scan.verified', {
+    product: { ...webhooks.productSummary(product), scanCount: product.scanCount },
+    scan: webhooks.scanSummary(scan),
+    counterPolicy
+  });
+
+  // Retornar sucesso
+  const ageInDays = product.manufacturingDate ? 
+    Math.floor((Date.now() - product.manufacturingDate.getTime()) / (1000 * 60 * 60 * 24)) : 
+    null;
+
+  const isExpired = product.expiryDate ? 
+    Date.now() > product.expiryDate.getTime() : 
+    false;
+
+  const statusCode = isExpired ? 'PRODUCT_STATUS_EXPIRED' : 'PRODUCT_STATUS_VALID';
+  const status = translate(statusCode, lang);
+
+  const response = {
+    success: true,
+    authentic: true,
+    code: 'PRODUCT_AUTHENTIC',
+    message: translate('PRODUCT_AUTHENTIC', lang),
+    product: {
+      productId: product.productId,
+      name: product.productName,
+      batchNumber: product.batchNumber,
+      manufacturingDate: product.manufacturingDate,
+      expiryDate: product.expiryDate,
+      manufacturingLocation: product.manufacturingLocation,
+      ageInDays: ageInDays,
+      scanCount: product.scanCount,
+      isFirstScan,
+      status: status,
+      statusCode, // 🆕 PRODUCT_STATUS_VALID | PRODUCT_STATUS_EXPIRED
+      isExpired: isExpired // 🆕
+    },
+    verification: { // 🆕 informações adicionais
+      timestamp: new Date().toISOString(),
+      suspicious: cloneCheck.suspicious || false,
+      riskScore: cloneCheck.score, // 🆕
+      counterPolicy // 🆕 'sun' (contador autenticado) ou 'server'
+    }
+  };
+
+  if (cloneCheck.suspicious) {
+    response.warningCode = 'CLONE_SUSPECTED';
+    response.warning = translate('CLONE_SUSPECTED', lang);
+    // Motivo das regras (limites, IPs, países) fica no alerta e no log: na
+    // resposta pública ensinaria o falsificador a ficar abaixo dos limites
+  }
+
+  return { status: 200, outcome: cloneCheck.suspicious ? 'suspicious' : 'authentic', body: response };
+
+}
+
+module.exports = {
+  getScanContext,
+  getCounterPolicy,
+  verifyProduct
+};
@@ -0,0 +1,196 @@
+// ========================================
+// PÁGINA PÚBLICA DE VERIFICAÇÃO (HTML)
+// ========================================
+// Monta a página exibida ao consumidor a partir do resultado de
+// verifyProduct (lib/verification.js). HTML único, CSS embutido, sem
+// JavaScript nem recursos externos: abre rápido no celular após o toque.
+
+const { LANGUAGES, DEFAULT_LANGUAGE, translate, resolveLanguage } = require('./i18n');
+
+// Textos no catálogo de lib/i18n.js (chaves PAGE_*); aqui só o que não é texto
+const PAGE_LANGUAGES = LANGUAGES;
+const HTML_LANG = { pt: 'pt-BR', en: 'en', es: 'es' };
+const DATE_LOCALE = { pt: 'pt-BR', en: 'en-US', es: 'es-ES' };
+
+// Motivo exibido para cada resultado sem produto autenticado
+const REASONS = {
+  missing_uid: 'PAGE_REASON_MISSING_UID',
+  invalid_uid: 'PAGE_REASON_INVALID_UID',
+  not_found: 'PAGE_REASON_NOT_FOUND',
+  inactive: 'PAGE_REASON_INACTIVE',
+  invalid_signature: 'SIGNATURE_INVALID.details',
+  replay: 'PAGE_REASON_REPLAY',
+  throttled: 'PAGE_REASON_THROTTLED',
+  error: 'PAGE_REASON_ERROR'
+};
+
+/**
+ * Idioma da página: ?lang, senão Accept-Language, senão português
+ */
+function resolvePageLanguage(req) {
+  return resolveLanguage(req);
+}
+
+/**
+ * Escapa texto para HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[char]));
+}
+
+function formatDate(value, lang) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toLocaleDateString(DATE_LOCALE[lang]);
+}
+
+/**
+ * Linhas "rótulo: valor" (pula valores vazios)
+ */
+function detailRows(rows) {
+  const items = rows
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<div class="row"><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`);
+  return items.length ? `<dl>${items.join('')}</dl>` : '';
+}
+
+/**
+ * Conteúdo principal conforme o resultado da verificação
+ */
+function renderResult(result, lang) {
+  const { outcome, body } = result;
+  const t = (key, params) => translate(key, lang, params);
+
+  if (outcome === 'authentic' || outcome === 'suspicious') {
+    const product = body.product;
+    const badge = product.isFirstScan
+      ? `<span class="badge first">${escapeHtml(t('PAGE_FIRST_SCAN'))}</span>`
+      : `<span class="badge">${escapeHtml(t('PAGE_SCAN_COUNT', { count: product.scanCount }))}</span>`;
+
+    const notices = [
+      product.isExpired ? `<p class="notice warn">${escapeHtml(t('PAGE_EXPIRED'))}</p>` : '',
+      outcome === 'suspicious' ? `<p class="notice warn">${escapeHtml(t('PAGE_SUSPICIOUS'))}</p>` : ''
+    ].join('');
+
+    return {
+      tone: 'ok',
+      html: `
+      <div class="icon">✓</div>
+      <h1>${escapeHtml(t('PRODUCT_AUTHENTIC'))}</h1>
+      <p>${escapeHtml(t('PAGE_AUTHENTIC_DETAILS'))}</p>
+      ${badge}
+      ${notices}
+      ${detailRows([
+        [t('PAGE_PRODUCT'), product.name],
+        [t('PAGE_BATCH'), product.batchNumber],
+        [t('PAGE_MANUFACTURED'), formatDate(product.manufacturingDate, lang)],
+        [t('PAGE_EXPIRY'), formatDate(product.expiryDate, lang)],
+        [t('PAGE_LOCATION'), product.manufacturingLocation]
+      ])}`
+    };
+  }
+
+  if (outcome === 'recalled') {
+    const recall = body.recall || {};
+    return {
+      tone: 'alert',
+      html: `
+      <div class="icon">!</div>
+      <h1>${escapeHtml(t('PAGE_RECALLED'))}</h1>
+      <p>${escapeHtml(t('PAGE_RECALLED_DETAILS'))}</p>
+      ${recall.message ? `<p class="notice alert">${escapeHtml(recall.message)}</p>` : ''}
+      ${detailRows([
+        [t('PAGE_BATCH'), recall.batchNumber],
+        [t('PAGE_RECALL_DATE'), formatDate(recall.effectiveDate, lang)]
+      ])}`
+    };
+  }
+
+  const reason = t(REASONS[outcome] || REASONS.error);
+  return {
+    tone: outcome === 'replay' || outcome === 'throttled' ? 'warn' : 'alert',
+    html: `
+      <div class="icon">${outcome === 'replay' ? '↻' : '✕'}</div>
+      <h1>${escapeHtml(t(outcome === 'replay' ? 'PAGE_REPLAY' : 'PAGE_NOT_VERIFIED'))}</h1>
+      <p>${escapeHtml(reason)}</p>`
+  };
+}
+
+/**
+ * Bloco de um idioma (cartão + rodapé)
+ */
+function renderLanguageBlock(result, lang, otherLang, className) {
+  const { tone, html } = renderResult(result, lang);
+
+  return `<div class="lang ${className}" lang="${HTML_LANG[lang]}">
+  <section class="card ${tone}">${html}
+  </section>
+  <footer>
+    <p>${escapeHtml(translate('PAGE_SUPPORT', lang))}</p>
+    <label for="lang-toggle">${escapeHtml(translate('PAGE_LANGUAGE_NAME', otherLang))}</label>
+  </footer>
+</div>`;
+}
+
+/**
+ * Página completa
+ * result = { outcome, body } de verifyProduct (ou { outcome: 'error' })
+ *
+ * Dois idiomas vão na mesma página (o pedido e o português, ou o inglês se o
+ * pedido já é português) e a troca é só CSS: recarregar o link repetiria a
+ * verificação e a mensagem SUN já estaria consumida (replay).
+ */
+function renderVerifyPage(result, lang) {
+  const primary = PAGE_LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+  const secondary = primary === DEFAULT_LANGUAGE ? 'en' : DEFAULT_LANGUAGE;
+
+  return `<!DOCTYPE html>
+<html lang="${HTML_LANG[primary]}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(translate('PAGE_TITLE', primary))}</title>
+<style>
+  *{box-sizing:border-box}
+  body{margin:0;font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;background:#faf7f5;color:#2b2b2b}
+  main{max-width:480px;margin:0 auto;padding:24px 16px}
+  .brand{text-align:center;letter-spacing:.2em;font-size:.8rem;color:#8a6f64;margin-bottom:16px}
+  .card{background:#fff;border-radius:16px;padding:24px 20px;box-shadow:0 2px 12px rgba(0,0,0,.06);text-align:center}
+  .icon{width:64px;height:64px;line-height:64px;margin:0 auto 12px;border-radius:50%;font-size:32px;color:#fff}
+  .ok .icon{background:#2e9e5b}.warn .icon{background:#d99a1e}.alert .icon{background:#c9362c}
+  h1{font-size:1.4rem;margin:0 0 8px}
+  p{margin:0 0 12px;line-height:1.4}
+  .badge{display:inline-block;padding:4px 12px;border-radius:999px;background:#eee;font-size:.85rem;margin-bottom:12px}
+  .badge.first{background:#e3f4ea;color:#1f6e3f;font-weight:600}
+  .notice{padding:10px 12px;border-radius:8px;text-align:left}
+  .notice.warn{background:#fff4dd}.notice.alert{background:#fde8e6}
+  dl{margin:16px 0 0;text-align:left}
+  .row{display:flex;justify-content:space-between;gap:12px;padding:8px 0;border-top:1px solid #f0ebe8}
+  dt{color:#777}dd{margin:0;font-weight:600;text-align:right}
+  footer{text-align:center;font-size:.8rem;color:#777;margin-top:16px}
+  footer label{color:#8a6f64;text-decoration:underline;cursor:pointer}
+  .secondary,#lang-toggle:checked~.primary{display:none}
+  #lang-toggle:checked~.secondary{display:block}
+</style>
+</head>
+<body>
+<main>
+  <div class="brand">MAKE BEAUTY · TRUETOUCH™</div>
+  <input type="checkbox" id="lang-toggle" hidden>
+  ${renderLanguageBlock(result, primary, secondary, 'primary')}
+  ${renderLanguageBlock(result, secondary, primary, 'secondary')}
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  PAGE_LANGUAGES,
+  resolvePageLanguage,
+  escapeHtml,
+  renderVerifyPage
+};
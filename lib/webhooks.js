@@ -0,0 +1,415 @@
+// ========================================
+// WEBHOOKS DE SAÍDA
+// ========================================
+// Notifica sistemas externos (ex.: proteção de marca) sobre leituras,
+// suspeitas de clonagem, desativações e sincronizações. Eventos em
+// models/Webhook.js (Webhook.EVENTS).
+//
+// Cada entrega é um POST JSON:
+//   { id, event, createdAt, data }
+// com os cabeçalhos
+//   X-Webhook-Event       nome do evento
+//   X-Webhook-Id          id do evento (igual em reenvios: use para deduplicar)
+//   X-Webhook-Delivery    id da entrega
+//   X-Webhook-Signature   t=<unix>,v1=<hex>
+// v1 = HMAC-SHA256 com o segredo da assinatura sobre "<t>.<corpo bruto>"
+// (ver verifySignature).
+//
+// Falha (sem resposta 2xx) → nova tentativa com espera crescente
+// (WEBHOOK_RETRY_BASE_SECONDS × 4^n, até WEBHOOK_MAX_ATTEMPTS tentativas).
+// As entregas ficam no MongoDB (WebhookDelivery): o worker iniciado pelo
+// servidor reenvia as vencidas, inclusive as criadas por sync-sheets.js.
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const keyVault = require('./keyVault');
+const { logger } = require('./logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WORKER_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 15000;
+const SUBSCRIPTIONS_CACHE_MS = 30000;
+const MAX_ATTEMPTS_KEPT = 20;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Hosts aceitos com http:// (receptor local em desenvolvimento e testes)
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// ========================================
+// ASSINATURA
+// ========================================
+
+/**
+ * Novo segredo de assinatura (mostrado uma única vez ao admin)
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * HMAC-SHA256 de "<timestamp>.<corpo>" em hex
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Confere o cabeçalho X-Webhook-Signature (para receptores e testes)
+ * Rejeita assinaturas com mais de toleranceSeconds (replay)
+ */
+function verifySignature(secret, header, body, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * URL de destino aceita? https, ou http só para localhost
+ * (WEBHOOK_ALLOW_HTTP=true libera http para qualquer host)
+ */
+function isValidWebhookURL(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol === 'https:') return true;
+  if (url.protocol !== 'http:') return false;
+  return process.env.WEBHOOK_ALLOW_HTTP === 'true' || LOCAL_HOSTS.includes(url.hostname);
+}
+
+// ========================================
+// ENVIO
+// ========================================
+
+/**
+ * Espera antes da próxima tentativa (após attemptCount tentativas)
+ */
+function retryDelayMs(attemptCount) {
+  return Math.min(RETRY_BASE_SECONDS * 4 ** (attemptCount - 1), MAX_RETRY_SECONDS) * 1000;
+}
+
+/**
+ * POST assinado para o receptor; devolve { statusCode?, error? }
+ */
+async function post(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signPayload(keyVault.decryptSecret(webhook.encryptedSecret), timestamp, body);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MakeBeauty-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Signature': `t=${timestamp},v1=${signature}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    await response.arrayBuffer().catch(() => {}); // libera a conexão
+    return response.ok
+      ? { statusCode: response.status }
+      : { statusCode: response.status, error: `HTTP ${response.status}` };
+  } catch (error) {
+    return { error: error.name === 'TimeoutError' ? `Sem resposta em ${TIMEOUT_MS}ms` : error.message };
+  }
+}
+
+/**
+ * Faz uma tentativa de uma entrega já reservada (status 'sending')
+ * Grava o resultado e agenda a próxima tentativa se falhar
+ */
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhookId);
+  const startedAt = Date.now();
+
+  const result = webhook && webhook.isActive
+    ? await post(webhook, delivery)
+    : { error: 'Assinatura removida ou desativada' };
+
+  const succeeded = !result.error;
+  const attemptCount = delivery.attemptCount + 1;
+  const giveUp = !succeeded && (attemptCount >= MAX_ATTEMPTS || !webhook || !webhook.isActive);
+  const status = succeeded ? 'succeeded' : giveUp ? 'failed' : 'pending';
+
+  const $set = { status, attemptCount };
+  if (status === 'pending') $set.nextAttemptAt = new Date(Date.now() + retryDelayMs(attemptCount));
+  if (succeeded) $set.deliveredAt = new Date();
+
+  const updated = await WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    {
+      $set,
+      $unset: { lockedUntil: 1 },
+      $push: {
+        attempts: {
+          $each: [{ at: new Date(startedAt), statusCode: result.statusCode, error: result.error, durationMs: Date.now() - startedAt }],
+          $slice: -MAX_ATTEMPTS_KEPT
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (webhook) {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: succeeded ? 'succeeded' : 'failed' } }
+    );
+  }
+
+  if (succeeded) {
+    logger.info('Webhook entregue', { event: delivery.event, deliveryId: delivery._id, url: webhook?.url });
+  } else {
+    logger.warn(status === 'pending' ? 'Webhook falhou' : 'Webhook falhou, desistindo', {
+      event: delivery.event,
+      deliveryId: delivery._id,
+      url: webhook?.url,
+      attempt: attemptCount,
+      maxAttempts: MAX_ATTEMPTS,
+      error: result.error
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Reserva a entrega para este processo (evita envio duplicado entre
+ * instâncias); null se outra instância já pegou
+ */
+function claimDelivery(filter) {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + TIMEOUT_MS * 3) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+/**
+ * Envia agora uma entrega pendente (criação, teste ou reenvio)
+ */
+async function sendNow(deliveryId) {
+  const delivery = await claimDelivery({ _id: deliveryId });
+  return delivery ? attemptDelivery(delivery) : WebhookDelivery.findById(deliveryId);
+}
+
+/**
+ * Envia as entregas vencidas (novas tentativas e órfãs de processos que caíram)
+ * Retorna quantas foram processadas
+ */
+async function processDueDeliveries(limit = 50) {
+  let processed = 0;
+  while (processed < limit) {
+    const delivery = await claimDelivery({});
+    if (!delivery) break;
+    await attemptDelivery(delivery);
+    processed++;
+  }
+  return processed;
+}
+
+// ========================================
+// EVENTOS
+// ========================================
+
+let subscriptionsCache = null;
+
+/**
+ * Assinaturas ativas (cache curto: evita uma consulta por leitura)
+ */
+async function getActiveSubscriptions() {
+  if (subscriptionsCache && subscriptionsCache.expiresAt > Date.now()) {
+    return subscriptionsCache.webhooks;
+  }
+  const webhooks = await Webhook.find({ isActive: true }).select('_id events').lean();
+  subscriptionsCache = { webhooks, expiresAt: Date.now() + SUBSCRIPTIONS_CACHE_MS };
+  return webhooks;
+}
+
+/**
+ * Descarta o cache após criar/alterar/remover assinaturas
+ */
+function invalidateSubscriptions() {
+  subscriptionsCache = null;
+}
+
+/**
+ * Cria as entregas de um evento para uma lista de assinaturas e tenta enviar
+ */
+async function createDeliveries(event, data, webhookIds) {
+  const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+  const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+
+  const deliveries = await WebhookDelivery.insertMany(
+    webhookIds.map(webhookId => ({ webhookId, event, eventId, payload }))
+  );
+  return Promise.all(deliveries.map(delivery => sendNow(delivery._id)));
+}
+
+// Publicações e rodadas do worker em andamento (aguardadas em drain)
+const pending = new Set();
+
+function track(work) {
+  const done = () => pending.delete(work);
+  pending.add(work);
+  work.then(done, done);
+  return work;
+}
+
+/**
+ * Publica um evento para as assinaturas interessadas
+ * Nunca lança: falha de webhook não pode derrubar a verificação nem a
+ * sincronização. Quem está no caminho da requisição não precisa aguardar.
+ */
+function emit(event, data) {
+  return track(publish(event, data));
+}
+
+async function publish(event, data) {
+  try {
+    const webhooks = (await getActiveSubscriptions()).filter(webhook => webhook.events.includes(event));
+    if (webhooks.length === 0) return [];
+    return await createDeliveries(event, data, webhooks.map(webhook => webhook._id));
+  } catch (error) {
+    logger.error('Erro ao publicar webhook', { event, error });
+    return [];
+  }
+}
+
+/**
+ * Evento de teste para uma assinatura (ignora a lista de eventos dela)
+ */
+async function sendTest(webhook, admin) {
+  const [delivery] = await createDeliveries('webhook.test', { webhookId: webhook._id, requestedBy: admin.username }, [webhook._id]);
+  return delivery;
+}
+
+/**
+ * Reenvia uma entrega (mesmo evento e corpo, nova entrega no histórico)
+ */
+async function replayDelivery(original, admin) {
+  const delivery = await WebhookDelivery.create({
+    webhookId: original.webhookId,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    replayOf: original._id,
+    replayedBy: admin.username
+  });
+  return sendNow(delivery._id);
+}
+
+// ========================================
+// DADOS DOS EVENTOS
+// ========================================
+
+/**
+ * Resumo do produto enviado nos eventos
+ */
+function productSummary(product) {
+  return {
+    nfcUID: product.nfcUID,
+    productId: product.productId,
+    productName: product.productName,
+    batchNumber: product.batchNumber
+  };
+}
+
+/**
+ * Resumo da leitura (sem IP: dado pessoal não sai do sistema)
+ */
+function scanSummary(scan) {
+  return {
+    scanId: scan._id,
+    timestamp: scan.timestamp,
+    verdict: scan.verdict,
+    riskScore: scan.riskScore,
+    location: scan.location,
+    geo: scan.geo,
+    device: scan.device
+  };
+}
+
+// ========================================
+// WORKER DE NOVAS TENTATIVAS
+// ========================================
+
+let workerTimer = null;
+
+/**
+ * Inicia o envio periódico das entregas vencidas (servidor)
+ */
+function startDeliveryWorker(intervalMs = WORKER_INTERVAL_MS) {
+  if (workerTimer) return;
+  let running = false;
+
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await track(processDueDeliveries());
+    } catch (error) {
+      logger.error('Erro no worker de webhooks', { error });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  workerTimer.unref();
+}
+
+function stopDeliveryWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+/**
+ * Aguarda publicações e envios em andamento (encerramento do servidor,
+ * antes de fechar o MongoDB)
+ */
+async function drain() {
+  while (pending.size > 0) {
+    await Promise.allSettled([...pending]);
+  }
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  isValidWebhookURL,
+  retryDelayMs,
+  processDueDeliveries,
+  invalidateSubscriptions,
+  emit,
+  sendTest,
+  replayDelivery,
+  productSummary,
+  scanSummary,
+  startDeliveryWorker,
+  stopDeliveryWorker,
+  drain
+};
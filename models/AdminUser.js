@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DO USUÁRIO ADMIN
+// ========================================
+// Papéis em ordem crescente de permissão:
+//   viewer   - apenas leitura (produtos, alertas)
+//   operator - registra e altera produtos, trata alertas
+//   admin    - tudo, inclusive gerenciar usuários
+
+const ADMIN_ROLES = ['viewer', 'operator', 'admin'];
+
+const AdminUserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ADMIN_ROLES, default: 'viewer' },
+  isActive: { type: Boolean, default: true },
+  tokenVersion: { type: Number, default: 0 }, // incrementar invalida tokens emitidos
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: Date,
+  lastLoginAt: Date,
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+AdminUserSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Nunca expor hash de senha nem dados de bloqueio nas respostas
+AdminUserSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    role: this.role,
+    isActive: this.isActive,
+    lockedUntil: this.lockedUntil,
+    lastLoginAt: this.lastLoginAt,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
+const AdminUser = mongoose.model('AdminUser', AdminUserSchema);
+
+AdminUser.ROLES = ADMIN_ROLES;
+
+module.exports = AdminUser;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DO ALERTA DE CLONAGEM
+// ========================================
+// Um alerta aberto por produto: novas leituras suspeitas do mesmo produto
+// somam ocorrências no alerta aberto em vez de criar outro.
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+// Alerta ainda em andamento (recebe as novas ocorrências do produto)
+const OPEN_STATUSES = ['open', 'acknowledged'];
+
+const AlertSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  nfcUID: { type: String, required: true },
+  status: { type: String, enum: ALERT_STATUSES, default: 'open' },
+  score: Number, // maior score observado
+  occurrences: Number, // leituras suspeitas somadas a este alerta
+  rules: [{
+    _id: false,
+    rule: String,
+    score: Number,
+    reason: String,
+    scanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan' },
+    timestamp: { type: Date, default: Date.now }
+  }],
+  autoDeactivated: { type: Boolean, default: false },
+  note: String,
+  acknowledgedAt: Date,
+  resolvedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+AlertSchema.index({ status: 1, createdAt: -1 });
+AlertSchema.index({ productId: 1, status: 1 });
+// Um único alerta em andamento por produto (leituras suspeitas simultâneas:
+// o upsert que perder falha com chave duplicada). $in no filtro parcial
+// exige MongoDB 6.0+.
+AlertSchema.index(
+  { productId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } }
+);
+
+const Alert = mongoose.model('Alert', AlertSchema);
+
+Alert.STATUSES = ALERT_STATUSES;
+Alert.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = Alert;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DO LOG DE AUDITORIA
+// ========================================
+// Registro imutável de quem alterou o quê e quando
+
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: String, required: true }, // usuário admin ou "system:<origem>"
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  action: { type: String, required: true }, // ex.: product.update, product.deactivate
+  entity: { type: String, required: true }, // ex.: Product
+  entityId: mongoose.Schema.Types.ObjectId,
+  nfcUID: String,
+  batchNumber: String,
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  reason: String,
+  syncRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'SyncRun' }, // alteração feita pela sincronização
+  syncRow: { // linha da planilha que originou a alteração
+    tab: String,
+    row: Number
+  },
+  timestamp: { type: Date, default: Date.now }
+});
+
+AuditLogSchema.index({ entity: 1, entityId: 1, timestamp: -1 });
+AuditLogSchema.index({ actor: 1, timestamp: -1 });
+AuditLogSchema.index({ syncRunId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DO RECOLHIMENTO DE LOTE
+// ========================================
+// O recolhimento vale para o lote (batchNumber), não para tags específicas:
+// a verificação consulta o lote a cada leitura, então tags importadas depois
+// (ex.: sync-sheets.js) também são afetadas.
+
+const RECALL_STATUSES = ['active', 'lifted'];
+
+const BatchRecallSchema = new mongoose.Schema({
+  batchNumber: { type: String, required: true },
+  status: { type: String, enum: RECALL_STATUSES, default: 'active' },
+  reason: { type: String, required: true }, // motivo interno
+  publicMessage: { type: String, required: true }, // mensagem exibida ao consumidor
+  effectiveDate: { type: Date, default: Date.now },
+  affectedCount: Number, // tags no lote quando o recolhimento foi criado
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  liftedAt: Date,
+  liftedBy: String,
+  liftReason: String
+});
+
+BatchRecallSchema.index({ batchNumber: 1, status: 1 });
+// Um único recolhimento ativo por lote (dois pedidos simultâneos: o segundo
+// falha com chave duplicada)
+BatchRecallSchema.index(
+  { batchNumber: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+/**
+ * Recolhimento ativo e já em vigor para o lote (ou null)
+ */
+BatchRecallSchema.statics.findActive = function(batchNumber, at = new Date()) {
+  if (!batchNumber) return Promise.resolve(null);
+  return this.findOne({
+    batchNumber,
+    status: 'active',
+    effectiveDate: { $lte: at }
+  });
+};
+
+const BatchRecall = mongoose.model('BatchRecall', BatchRecallSchema);
+
+BatchRecall.STATUSES = RECALL_STATUSES;
+
+module.exports = BatchRecall;
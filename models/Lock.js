@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DE LOCK ENTRE PROCESSOS
+// ========================================
+// Um documento por recurso (_id = nome do lock). O lock expira sozinho em
+// expiresAt, para que um processo morto não bloqueie os próximos para sempre.
+
+const LockSchema = new mongoose.Schema({
+  _id: String,
+  owner: String, // host:pid:sufixo do processo que detém o lock (lib/lock.js)
+  acquiredAt: Date,
+  expiresAt: Date
+}, { versionKey: false });
+
+module.exports = mongoose.model('Lock', LockSchema);
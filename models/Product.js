@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DO PRODUTO
+// ========================================
+const ProductSchema = new mongoose.Schema({
+  nfcUID: { type: String, required: true, unique: true, index: true }, // 🆕 index
+  productId: { type: String, required: true, unique: true },
+  productName: String,
+  batchNumber: String,
+  manufacturingDate: Date,
+  manufacturingDateTime: Date, // 🆕 campo adicional
+  expiryDate: Date,
+  manufacturingLocation: String,
+  attributes: { type: Map, of: String }, // atributos extras da planilha (linha, SKU, imagem...)
+  secretKey: String, // legado: hash SHA-256, não permite validar assinaturas
+  encryptedKey: String, // chave AES da tag (SDMFileReadKey) criptografada com a chave mestra
+  keyVersion: Number, // versão da chave mestra usada em encryptedKey
+  scanCount: { type: Number, default: 0 },
+  firstScanAt: Date, // primeira leitura aceita (fica mesmo depois que o scan expira pelo TTL)
+  isActive: { type: Boolean, default: true },
+  deactivationReason: String, // motivo do último bloqueio/recolhimento
+  deletedAt: Date, // exclusão lógica (soft-delete)
+  deletedBy: String,
+  updatedBy: String, // último admin que alterou o produto
+  syncedFromSheets: { type: Boolean, default: false },
+  // Histórico de scans fica na coleção Scan (ver models/Scan.js)
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now } // 🆕 campo de atualização
+});
+
+// 🆕 Middleware para atualizar updatedAt
+ProductSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Product', ProductSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DE LINHA EM QUARENTENA
+// ========================================
+// Linha da planilha rejeitada pela validação do sync-sheets.js (modo
+// --invalid-rows quarantine). Fica aqui, fora da coleção de produtos,
+// até ser corrigida na planilha ou descartada pelo painel admin.
+//
+// Uma linha pendente por fonte/aba/UID (ou número da linha, sem UID): a
+// cada execução ela é atualizada; se deixar de ser rejeitada, é resolvida.
+
+const QUARANTINE_STATUSES = ['pending', 'resolved', 'discarded'];
+
+const QuarantinedRowSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  tab: String,
+  rowKey: { type: String, required: true }, // UID normalizado ou "linha:<n>"
+  row: Number,
+  nfcUID: String,
+  data: mongoose.Schema.Types.Mixed, // valores lidos da planilha
+  reasons: [{
+    _id: false,
+    code: String,
+    message: String
+  }],
+  status: { type: String, enum: QUARANTINE_STATUSES, default: 'pending' },
+  occurrences: Number,
+  firstSyncRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'SyncRun' },
+  lastSyncRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'SyncRun' },
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  resolvedAt: Date,
+  resolvedBy: String, // admin ou "system:sync-sheets"
+  note: String
+});
+
+QuarantinedRowSchema.index({ source: 1, tab: 1, rowKey: 1, status: 1 });
+QuarantinedRowSchema.index({ status: 1, lastSeenAt: -1 });
+
+const QuarantinedRow = mongoose.model('QuarantinedRow', QuarantinedRowSchema);
+
+QuarantinedRow.STATUSES = QUARANTINE_STATUSES;
+
+module.exports = QuarantinedRow;
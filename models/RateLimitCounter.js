@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DE CONTADOR DE RATE LIMIT
+// ========================================
+// Usado só com RATE_LIMIT_STORE=mongo (várias instâncias atrás de um
+// balanceador). Um documento por chave e janela (_id = "<chave>:<janela>");
+// o índice TTL apaga as janelas vencidas.
+
+const RateLimitCounterSchema = new mongoose.Schema({
+  _id: String,
+  count: { type: Number, default: 0 },
+  expiresAt: Date
+}, { versionKey: false });
+
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DO SCAN (histórico de leituras)
+// ========================================
+// Cada leitura de tag é um documento próprio, fora do Product, para que o
+// histórico não cresça dentro do produto (limite de 16MB do MongoDB).
+
+// Retenção em dias (TTL). 0 desativa a expiração automática.
+// Alterar o valor exige recriar o índice TTL no MongoDB.
+const SCAN_RETENTION_DAYS = process.env.SCAN_RETENTION_DAYS !== undefined
+  ? parseInt(process.env.SCAN_RETENTION_DAYS)
+  : 365;
+
+const SCAN_VERDICTS = [
+  'authentic',          // leitura aceita
+  'suspicious',         // leitura aceita, mas com padrão de clonagem
+  'inactive',           // produto bloqueado ou recolhido
+  'recalled',           // lote recolhido (BatchRecall)
+  'invalid_signature',  // CMAC/assinatura não confere
+  'replay',             // contador menor ou igual ao último aceito
+  'throttled'           // barrado pelo rate limit por UID (lib/rateLimit.js)
+];
+
+// Leituras que contam como uso real da tag (regras de clonagem e análises)
+const ACCEPTED_VERDICTS = ['authentic', 'suspicious'];
+
+const ScanSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  nfcUID: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now },
+  ipAddress: String, // IP do cliente conforme TRUST_PROXY (lib/clientIP.js)
+  userAgent: String,
+  location: String, // canal informado pelo cliente (ex.: "Web", "Web /v")
+  coordinates: { // geolocalização informada pelo navegador (opcional)
+    lat: Number,
+    lng: Number
+  },
+  geo: { // 🆕 local pelo IP, base GeoIP offline (lib/geoip.js)
+    country: String, // ISO 3166-1 (BR, US...)
+    countryName: String,
+    region: String,  // ISO 3166-2 sem o país (SP, RJ...)
+    city: String,
+    lat: Number,
+    lng: Number
+  },
+  device: { // 🆕 extraído do User-Agent (lib/device.js)
+    type: { type: String }, // mobile, tablet, desktop, bot...
+    vendor: String,
+    model: String,
+    os: String,
+    osVersion: String,
+    browser: String,
+    browserVersion: String
+  },
+  counter: Number, // contador de leituras aceito neste scan
+  riskScore: Number, // score das regras de clonagem (lib/cloneRules.js)
+  verdict: { type: String, enum: SCAN_VERDICTS, default: 'authentic' }
+});
+
+// Consultas de detecção de clonagem: por produto em janela de tempo
+ScanSchema.index({ productId: 1, timestamp: -1 });
+ScanSchema.index({ nfcUID: 1, timestamp: -1 });
+// Análises por período (routes/adminAnalytics.js)
+ScanSchema.index({ verdict: 1, timestamp: -1 });
+
+if (SCAN_RETENTION_DAYS > 0) {
+  ScanSchema.index({ timestamp: 1 }, { expireAfterSeconds: SCAN_RETENTION_DAYS * 24 * 60 * 60 });
+}
+
+const Scan = mongoose.model('Scan', ScanSchema);
+
+Scan.VERDICTS = SCAN_VERDICTS;
+Scan.ACCEPTED_VERDICTS = ACCEPTED_VERDICTS;
+Scan.RETENTION_DAYS = SCAN_RETENTION_DAYS;
+
+module.exports = Scan;
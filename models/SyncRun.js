@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DE EXECUÇÃO DA SINCRONIZAÇÃO
+// ========================================
+// Uma execução aplicada de sync-sheets.js (dry-run não grava). Os valores
+// anteriores de cada campo alterado ficam no AuditLog (syncRunId), o que
+// permite reverter a execução inteira pelo painel admin.
+
+const SYNC_RUN_STATUSES = ['running', 'completed', 'failed', 'rolled_back'];
+
+const MAX_ERRORS = 500;
+
+// Lock que protege as execuções aplicadas (lib/lock.js). Uma execução
+// "running" só está abandonada quando o dono (owner) não detém mais o lock;
+// o dono renova o lock enquanto roda, então execuções longas não contam.
+const LOCK_NAME = 'sync-sheets';
+
+// TTL do lock (SYNC_LOCK_TTL_MINUTES). Também é o critério para execuções
+// antigas, gravadas antes do campo owner: mais velhas que isso = abandonadas
+const STALE_AFTER_MS = (parseInt(process.env.SYNC_LOCK_TTL_MINUTES) || 30) * 60 * 1000;
+
+const SyncRunSchema = new mongoose.Schema({
+  source: { type: String, required: true }, // ex.: Google Sheets (ID), arquivo tags.xlsx
+  sourceType: String, // google | file
+  trigger: String, // comando da CLI: sync, daemon
+  status: { type: String, enum: SYNC_RUN_STATUSES, default: 'running' },
+  owner: String, // processo que detém o lock durante a execução (lib/lock.js OWNER)
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+  durationMs: Number,
+  counts: {
+    novos: { type: Number, default: 0 },
+    atualizados: { type: Number, default: 0 },
+    erros: { type: Number, default: 0 },
+    rejeitados: { type: Number, default: 0 }, // linhas reprovadas na validação
+    total: { type: Number, default: 0 }
+  },
+  rowErrors: [{ // linhas que falharam (até MAX_ERRORS)
+    _id: false,
+    tab: String, // aba (arquivo de mapeamento)
+    row: Number,
+    nfcUID: String,
+    message: String
+  }],
+  rejections: [{ // linhas rejeitadas pela validação (até MAX_ERRORS)
+    _id: false,
+    tab: String,
+    row: Number,
+    nfcUID: String,
+    reasons: [{ _id: false, code: String, message: String }]
+  }],
+  invalidRows: String, // política aplicada: reject | quarantine | defaults
+  failure: String, // erro que interrompeu a execução (status failed)
+  writeBack: { // escrita de status na planilha (--write-back)
+    rowsUpdated: Number,
+    requests: Number,
+    column: String,
+    error: String
+  },
+  rolledBackAt: Date,
+  rolledBackBy: String,
+  rollbackReason: String,
+  rollbackSummary: {
+    reverted: Number,
+    skipped: Number
+  }
+});
+
+SyncRunSchema.index({ startedAt: -1 });
+
+/**
+ * Fecha como "failed" execuções ainda "running" (processo interrompido)
+ */
+SyncRunSchema.statics.markInterrupted = function(filter, failure) {
+  const now = new Date();
+  return this.updateMany(
+    { ...filter, status: 'running' },
+    [{
+      $set: {
+        status: 'failed',
+        failure,
+        finishedAt: now,
+        durationMs: { $subtract: [now, '$startedAt'] }
+      }
+    }]
+  );
+};
+
+/**
+ * Fecha como "failed" as execuções "running" abandonadas: dono diferente do
+ * dono atual do lock (lock = getLock(LOCK_NAME), null se livre) ou, sem
+ * dono registrado, mais antigas que STALE_AFTER_MS
+ */
+SyncRunSchema.statics.markAbandoned = function(lock, failure) {
+  return this.markInterrupted({
+    $or: [
+      { owner: { $exists: true, $ne: lock ? lock.owner : null } },
+      { owner: { $exists: false }, startedAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } }
+    ]
+  }, failure);
+};
+
+const SyncRun = mongoose.model('SyncRun', SyncRunSchema);
+
+SyncRun.STATUSES = SYNC_RUN_STATUSES;
+SyncRun.MAX_ERRORS = MAX_ERRORS;
+SyncRun.STALE_AFTER_MS = STALE_AFTER_MS;
+SyncRun.LOCK_NAME = LOCK_NAME;
+
+/**
+ * Execução "running" que ninguém mais vai fechar (mesmo critério de
+ * markAbandoned; lock = getLock(LOCK_NAME))
+ */
+SyncRun.isAbandoned = function(run, lock, now = Date.now()) {
+  if (run.status !== 'running') return false;
+  if (run.owner) return !lock || lock.owner !== run.owner;
+  return now - run.startedAt.getTime() > STALE_AFTER_MS;
+};
+
+module.exports = SyncRun;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DE ASSINATURA DE WEBHOOK
+// ========================================
+// Sistema externo que recebe eventos (POST JSON assinado com HMAC, ver
+// lib/webhooks.js). O segredo fica criptografado pelo keyVault e só é
+// mostrado ao criar ou trocar.
+
+const WEBHOOK_EVENTS = [
+  'scan.verified',       // leitura aceita (autêntica ou suspeita)
+  'scan.rejected',       // leitura recusada: recolhido, inativo, assinatura, replay, throttled
+  'clone.suspected',     // regras de clonagem passaram do alertScore
+  'product.deactivated', // produto desativado (painel ou regras de clonagem)
+  'sync.completed',      // sincronização com a planilha concluída
+  'sync.failed'          // sincronização com a planilha falhou
+];
+
+const WebhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  description: String,
+  events: [{ type: String, enum: WEBHOOK_EVENTS }],
+  encryptedSecret: { type: String, required: true },
+  isActive: { type: Boolean, default: true },
+  createdBy: String,
+  updatedBy: String,
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: String, // succeeded | failed (última tentativa)
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+WebhookSchema.index({ isActive: 1, events: 1 });
+
+// Nunca expor o segredo nas respostas da API
+WebhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.encryptedSecret;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+
+Webhook.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
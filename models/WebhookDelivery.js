@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SCHEMA DE ENTREGA DE WEBHOOK
+// ========================================
+// Uma entrega por evento e assinatura, com o corpo enviado e cada
+// tentativa. Funciona como fila: pending com nextAttemptAt vencido é
+// (re)enviado pelo worker de lib/webhooks.js.
+
+// Retenção em dias (TTL). 0 desativa a expiração automática.
+const DELIVERY_RETENTION_DAYS = process.env.WEBHOOK_DELIVERY_RETENTION_DAYS !== undefined
+  ? parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS)
+  : 30;
+
+const DELIVERY_STATUSES = [
+  'pending',   // aguardando envio (primeira tentativa ou nova tentativa)
+  'sending',   // em envio; volta a pending se o processo cair (lockedUntil)
+  'succeeded', // receptor respondeu 2xx
+  'failed'     // tentativas esgotadas ou assinatura removida
+];
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  eventId: { type: String, required: true }, // igual para todas as assinaturas do mesmo evento
+  payload: mongoose.Schema.Types.Mixed, // corpo JSON enviado
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  attemptCount: { type: Number, default: 0 },
+  attempts: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: Date,
+  deliveredAt: Date,
+  replayOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' },
+  replayedBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Fila: entregas a enviar por ordem de vencimento
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+if (DELIVERY_RETENTION_DAYS > 0) {
+  WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+}
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+WebhookDelivery.STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
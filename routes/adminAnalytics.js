@@ -0,0 +1,189 @@
+// ========================================
+// ROTAS ADMIN: ANÁLISES DE LEITURAS
+// ========================================
+// Montado em /api/admin/analytics, depois de authenticateAdmin. Agregações
+// em lib/analytics.js.
+//
+// Parâmetros comuns (query):
+//   from, to    período [from, to); datas ISO. "to" só com a data inclui o
+//               dia inteiro. Padrão: últimos 30 dias
+//   tz          fuso dos dias/semanas (padrão ANALYTICS_TIMEZONE ou
+//               America/Sao_Paulo)
+//   batch, uid  restringe a um lote ou a uma tag
+//   format      json (padrão) ou csv
+//
+//   curl -H "Authorization: Bearer ..." \
+//        "/api/admin/analytics/scans/timeseries?from=2025-01-01&interval=week&groupBy=batch&format=csv"
+
+const express = require('express');
+const analytics = require('../lib/analytics');
+const { normalizeUID } = require('../lib/products');
+const { requireRole } = require('../lib/adminAuth');
+const { toCsv } = require('../lib/csv');
+const { apiError } = require('../lib/i18n');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = parseInt(process.env.ANALYTICS_MAX_RANGE_DAYS) || 731;
+const DEFAULT_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'America/Sao_Paulo';
+
+/**
+ * Parâmetro inválido (vira 400 com o código do catálogo)
+ */
+class QueryError extends Error {
+  constructor(code, params = {}) {
+    super(code);
+    this.name = 'QueryError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+/**
+ * Data da query; "YYYY-MM-DD" em "to" avança um dia (dia inteiro incluído)
+ */
+function parseDateParam(req, field, fallback) {
+  const value = req.query[field];
+  if (!value) return fallback;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new QueryError('INVALID_DATE', { field });
+
+  if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(date.getTime() + analytics.DAY_MS);
+  }
+  return date;
+}
+
+/**
+ * Valor entre os aceitos (ou o padrão, se ausente)
+ */
+function parseChoice(req, param, accepted, fallback) {
+  const value = req.query[param];
+  if (value === undefined || value === '') return fallback;
+  if (!accepted.includes(value)) {
+    throw new QueryError('ANALYTICS_PARAM_INVALID', { param, accepted: accepted.join(', ') });
+  }
+  return value;
+}
+
+/**
+ * Período, fuso e filtros comuns a todas as análises
+ */
+function parseScope(req) {
+  const to = parseDateParam(req, 'to', new Date());
+  const from = parseDateParam(req, 'from', new Date(to.getTime() - DEFAULT_RANGE_DAYS * analytics.DAY_MS));
+
+  if (from >= to || to - from > MAX_RANGE_DAYS * analytics.DAY_MS) {
+    throw new QueryError('ANALYTICS_RANGE_INVALID', { maxDays: MAX_RANGE_DAYS });
+  }
+
+  const timezone = req.query.tz || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+  } catch (error) {
+    throw new QueryError('ANALYTICS_PARAM_INVALID', { param: 'tz', accepted: 'IANA (America/Sao_Paulo, UTC...)' });
+  }
+
+  return {
+    from,
+    to,
+    timezone,
+    batch: req.query.batch || undefined,
+    uid: req.query.uid ? normalizeUID(req.query.uid) : undefined
+  };
+}
+
+/**
+ * Rota de análise: valida a query, roda build(req, scope) e responde em
+ * JSON ou CSV. build devolve { rows, columns, ...extras }; o CSV traz só rows.
+ */
+function analyticsRoute(name, build) {
+  return async (req, res) => {
+    try {
+      const format = parseChoice(req, 'format', ['json', 'csv'], 'json');
+      const scope = parseScope(req);
+      const { rows, columns, ...extras } = await build(req, scope);
+
+      if (format === 'csv') {
+        const day = date => date.toISOString().slice(0, 10);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${name}-${day(scope.from)}-${day(scope.to)}.csv"`);
+        return res.send(toCsv(rows, columns));
+      }
+
+      res.json({
+        success: true,
+        range: { from: scope.from, to: scope.to, timezone: scope.timezone },
+        filters: { batch: scope.batch, uid: scope.uid },
+        ...extras,
+        rows
+      });
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return res.status(400).json({
+          success: false,
+          ...apiError(req, error.code, error.params)
+        });
+      }
+      logger.error('Erro na análise', { analysis: name, error });
+      res.status(500).json({
+        success: false,
+        ...apiError(req, 'ANALYTICS_ERROR')
+      });
+    }
+  };
+}
+
+// Leituras por dia/semana (?interval=day|week&groupBy=none|product|batch)
+router.get('/scans/timeseries', requireRole('viewer'), analyticsRoute('leituras-por-periodo', async (req, scope) => {
+  const interval = parseChoice(req, 'interval', ['day', 'week'], 'day');
+  const groupBy = parseChoice(req, 'groupBy', ['none', 'product', 'batch'], 'none');
+  const rows = await analytics.scansTimeSeries(scope, { interval, groupBy });
+
+  const keys = { none: [], product: ['nfcUID', 'productId', 'productName', 'batchNumber'], batch: ['batchNumber'] }[groupBy];
+  return { interval, groupBy, rows, columns: ['period', ...keys, 'scans', 'suspicious', 'rejected'] };
+}));
+
+// Primeiras leituras x repetidas (?groupBy=none|batch)
+router.get('/scans/first-vs-repeat', requireRole('viewer'), analyticsRoute('primeira-leitura', async (req, scope) => {
+  const groupBy = parseChoice(req, 'groupBy', ['none', 'batch'], 'none');
+  const rows = await analytics.firstVsRepeat(scope, { groupBy });
+
+  return {
+    groupBy,
+    rows,
+    columns: [...(groupBy === 'batch' ? ['batchNumber'] : []), 'products', 'scans', 'firstScans', 'repeatScans', 'firstScanRatio']
+  };
+}));
+
+// Leituras por local/país/região/cidade/dispositivo/sistema/navegador (?by=)
+router.get('/scans/breakdown', requireRole('viewer'), analyticsRoute('leituras-por-origem', async (req, scope) => {
+  const by = parseChoice(req, 'by', Object.keys(analytics.BREAKDOWN_FIELDS), 'country');
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+  const rows = await analytics.scansBreakdown(scope, { by, limit });
+
+  return { by, rows, columns: [...Object.keys(analytics.BREAKDOWN_FIELDS[by]), 'scans', 'suspicious', 'share'] };
+}));
+
+// Dias entre fabricação e primeira leitura (produtos lidos pela 1ª vez no período)
+router.get('/products/time-to-first-scan', requireRole('viewer'), analyticsRoute('tempo-ate-primeira-leitura', async (req, scope) => {
+  const { summary, histogram, byBatch } = await analytics.timeToFirstScan(scope);
+
+  return { summary, histogram, rows: byBatch, columns: ['batchNumber', 'products', 'avgDays', 'minDays', 'maxDays'] };
+}));
+
+// Tags com mais leituras suspeitas (?limit=20)
+router.get('/tags/suspicious', requireRole('viewer'), analyticsRoute('tags-suspeitas', async (req, scope) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 500);
+  const rows = await analytics.topSuspiciousTags(scope, { limit });
+
+  return {
+    rows: rows.map(row => ({ ...row, countries: row.countries.filter(Boolean) })),
+    columns: ['nfcUID', 'productId', 'productName', 'batchNumber', 'isActive', 'suspiciousScans', 'maxRiskScore', 'lastSuspiciousAt', 'countries']
+  };
+}));
+
+module.exports = router;
@@ -0,0 +1,279 @@
+// ========================================
+// ROTAS ADMIN: IMPORTAÇÃO EM LOTE DE TAGS (CSV / XLSX)
+// ========================================
+// Montado em /api/admin/products, antes das rotas /:uid.
+//
+// O arquivo vai no corpo da requisição (sem multipart):
+//   curl -X POST -H "Authorization: Bearer ..." -H "Content-Type: text/csv" \
+//        --data-binary @tags.csv "/api/admin/products/bulk-import?dryRun=true"
+//
+// As chaves AES geradas nunca são gravadas em claro: ficam disponíveis para
+// um único download (arquivo CSV) e são descartadas em seguida.
+
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const { Product, isValidUID, buildProductDocument } = require('../lib/products');
+const { rowsToRecords, hasAnyValue, parseProductRow } = require('../lib/sheetRows');
+const { readSpreadsheetBuffer } = require('../lib/sheetSources');
+const { requireRole } = require('../lib/adminAuth');
+const { recordAudit, recordAuditMany } = require('../lib/audit');
+const { toCsv } = require('../lib/csv');
+const { apiError } = require('../lib/i18n');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const MAX_ROWS = parseInt(process.env.BULK_IMPORT_MAX_ROWS) || 20000;
+const MAX_UPLOAD = process.env.BULK_IMPORT_MAX_UPLOAD || '20mb';
+const INSERT_BATCH_SIZE = 500;
+const KEYS_DOWNLOAD_TTL_MS = 15 * 60 * 1000;
+
+// Arquivos de chaves aguardando o download único (memória do processo)
+const pendingKeyFiles = new Map();
+
+/**
+ * Remove arquivos de chaves expirados
+ */
+function purgeExpiredKeyFiles() {
+  const now = Date.now();
+  for (const [token, file] of pendingKeyFiles) {
+    if (file.expiresAt <= now) pendingKeyFiles.delete(token);
+  }
+}
+
+/**
+ * Monta o CSV de chaves (uma linha por tag criada). Lote e productId vêm da
+ * planilha: escapados, senão uma vírgula estragaria o único download
+ */
+function buildKeysCsv(created) {
+  return toCsv(created, ['nfcUID', 'productId', 'secretKey']);
+}
+
+/**
+ * Insere os produtos em lotes; falhas de chave duplicada (corrida com outro
+ * cadastro) viram "duplicate" na linha correspondente
+ */
+async function insertInBatches(pending) {
+  for (let start = 0; start < pending.length; start += INSERT_BATCH_SIZE) {
+    const chunk = pending.slice(start, start + INSERT_BATCH_SIZE);
+
+    try {
+      await Product.insertMany(chunk.map(item => item.doc), { ordered: false });
+      chunk.forEach(item => { item.result.status = 'created'; });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+
+      const failed = new Map(error.writeErrors.map(e => [e.index, e]));
+      chunk.forEach((item, index) => {
+        const writeError = failed.get(index);
+        if (!writeError) {
+          item.result.status = 'created';
+        } else if (writeError.code === 11000) {
+          item.result.status = 'duplicate';
+          item.result.error = 'Tag NFC já registrada no sistema';
+        } else {
+          item.result.status = 'invalid';
+          item.result.error = writeError.errmsg || 'Erro ao gravar';
+        }
+      });
+    }
+  }
+}
+
+// Importar tags em lote
+router.post(
+  '/bulk-import',
+  requireRole('operator'),
+  express.raw({ type: () => true, limit: MAX_UPLOAD }),
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      // Coluna Local da planilha (se houver) tem precedência sobre ?location
+      const location = req.query.location || 'São Paulo, Brasil';
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          ...apiError(req, 'IMPORT_FILE_REQUIRED')
+        });
+      }
+
+      const rows = readSpreadsheetBuffer(req.body, { format: req.query.format });
+      const mapped = rowsToRecords(rows);
+      const columns = mapped.columns;
+      // Linhas totalmente vazias (ex.: fim da planilha) não entram no resultado
+      const records = mapped.records.filter(hasAnyValue);
+
+      if (!columns.UID) {
+        return res.status(400).json({
+          success: false,
+          ...apiError(req, 'IMPORT_UID_COLUMN_MISSING'),
+          columns
+        });
+      }
+
+      if (records.length > MAX_ROWS) {
+        return res.status(413).json({
+          success: false,
+          ...apiError(req, 'IMPORT_TOO_MANY_ROWS', { rows: records.length, max: MAX_ROWS })
+        });
+      }
+
+      const results = [];
+      const candidates = [];
+      const seenInFile = new Set();
+
+      // 1) Validar cada linha
+      for (const record of records) {
+        const result = { row: record.rowNumber, uid: record.UID };
+        results.push(result);
+
+        if (!record.UID || !isValidUID(record.UID)) {
+          result.status = 'invalid';
+          result.error = record.UID ? 'Formato de UID inválido' : 'UID ausente';
+          continue;
+        }
+
+        const parsed = parseProductRow(record);
+        result.uid = parsed.nfcUID;
+        if (parsed.warnings.length > 0) result.warnings = parsed.warnings;
+
+        if (seenInFile.has(parsed.nfcUID)) {
+          result.status = 'duplicate';
+          result.error = 'UID repetido no arquivo';
+          continue;
+        }
+
+        seenInFile.add(parsed.nfcUID);
+        candidates.push({ parsed, result });
+      }
+
+      // 2) Descartar UIDs já cadastrados
+      const existing = new Set();
+      const uids = candidates.map(c => c.parsed.nfcUID);
+      for (let start = 0; start < uids.length; start += INSERT_BATCH_SIZE) {
+        const found = await Product.find(
+          { nfcUID: { $in: uids.slice(start, start + INSERT_BATCH_SIZE) } },
+          { nfcUID: 1 }
+        );
+        found.forEach(p => existing.add(p.nfcUID));
+      }
+
+      const pending = [];
+      for (const { parsed, result } of candidates) {
+        result.productId = parsed.productId;
+
+        if (existing.has(parsed.nfcUID)) {
+          result.status = 'duplicate';
+          result.error = 'Tag NFC já registrada no sistema';
+          continue;
+        }
+
+        if (dryRun) {
+          result.status = 'created';
+          continue;
+        }
+
+        const { doc, secretKey } = buildProductDocument({
+          nfcUID: parsed.nfcUID,
+          productId: parsed.productId,
+          productName: parsed.productName,
+          batchNumber: parsed.batchNumber,
+          manufacturingDateTime: parsed.manufacturingDateTime,
+          expiryDate: parsed.expiryDate,
+          manufacturingLocation: parsed.manufacturingLocation || location,
+          attributes: parsed.attributes
+        }, { key: 'generate', updatedBy: req.admin.username, syncedFromSheets: false });
+        doc._id = new mongoose.Types.ObjectId(); // conhecido antes do insert, para a auditoria
+
+        pending.push({ result, secretKey, doc });
+      }
+
+      // 3) Gravar em lotes
+      if (pending.length > 0) {
+        await insertInBatches(pending);
+      }
+
+      const summary = { total: results.length, created: 0, duplicate: 0, invalid: 0 };
+      results.forEach(r => { summary[r.status]++; });
+
+      const response = { success: true, dryRun, summary, results };
+
+      // 4) Disponibilizar as chaves para um único download
+      const created = pending.filter(item => item.result.status === 'created');
+      if (created.length > 0) {
+        purgeExpiredKeyFiles();
+        const token = crypto.randomBytes(24).toString('hex');
+        const expiresAt = Date.now() + KEYS_DOWNLOAD_TTL_MS;
+
+        pendingKeyFiles.set(token, {
+          csv: buildKeysCsv(created.map(item => ({ ...item.doc, secretKey: item.secretKey }))),
+          filename: `chaves-tags-${new Date().toISOString().slice(0, 10)}-${token.slice(0, 8)}.csv`,
+          username: req.admin.username,
+          expiresAt
+        });
+
+        response.keysDownload = {
+          url: `${req.baseUrl}/bulk-import/keys/${token}`,
+          expiresAt: new Date(expiresAt).toISOString(),
+          note: 'As chaves só podem ser baixadas uma vez'
+        };
+
+        // Criação de cada tag (origem no inspetor) e o resumo da importação
+        await recordAuditMany(req.admin, created.map(item => ({
+          action: 'product.create',
+          entity: 'Product',
+          entityId: item.doc._id,
+          nfcUID: item.doc.nfcUID,
+          batchNumber: item.doc.batchNumber,
+          reason: 'Importação em lote'
+        })));
+        await recordAudit(req.admin, {
+          action: 'product.bulk_import',
+          entity: 'Product',
+          reason: `${created.length} tags criadas (${summary.duplicate} duplicadas, ${summary.invalid} inválidas)`
+        });
+      }
+
+      logger.info('Importação em lote', {
+        dryRun,
+        admin: req.admin.username,
+        created: summary.created,
+        duplicate: summary.duplicate,
+        invalid: summary.invalid
+      });
+
+      res.json(response);
+    } catch (error) {
+      logger.error('Erro na importação em lote', { error });
+      res.status(500).json({
+        success: false,
+        ...apiError(req, 'IMPORT_ERROR')
+      });
+    }
+  }
+);
+
+// Download único do arquivo de chaves
+router.get('/bulk-import/keys/:token', requireRole('operator'), (req, res) => {
+  purgeExpiredKeyFiles();
+  const file = pendingKeyFiles.get(req.params.token);
+
+  if (!file || file.username !== req.admin.username) {
+    return res.status(404).json({
+      success: false,
+      ...apiError(req, 'IMPORT_KEYS_NOT_FOUND')
+    });
+  }
+
+  pendingKeyFiles.delete(req.params.token);
+  logger.info('Arquivo de chaves baixado', { admin: req.admin.username });
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.set('Cache-Control', 'no-store');
+  res.send(file.csv);
+});
+
+module.exports = router;
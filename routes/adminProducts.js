@@ -0,0 +1,391 @@
+// ========================================
+// ROTAS ADMIN: GESTÃO DE PRODUTOS
+// ========================================
+// Montado em /api/admin/products, depois de authenticateAdmin.
+// Toda alteração grava uma entrada em AuditLog.
+
+const express = require('express');
+const Product = require('../models/Product');
+const Scan = require('../models/Scan');
+const AuditLog = require('../models/AuditLog');
+const { requireRole } = require('../lib/adminAuth');
+const { diffFields, recordAudit } = require('../lib/audit');
+const { normalizeUID, buildProductId } = require('../lib/products');
+const { inspectProduct } = require('../lib/productInspector');
+const webhooks = require('../lib/webhooks');
+const { apiError } = require('../lib/i18n');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+// Campos que podem ser alterados pelo PATCH
+const EDITABLE_FIELDS = [
+  'productName',
+  'batchNumber',
+  'manufacturingDate',
+  'manufacturingDateTime',
+  'expiryDate',
+  'manufacturingLocation'
+];
+
+const DATE_FIELDS = ['manufacturingDate', 'manufacturingDateTime', 'expiryDate'];
+
+/**
+ * Escapa texto para uso literal em RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converte "true"/"false" da query string
+ */
+function parseBooleanParam(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+/**
+ * Representação do produto para o painel admin (nunca expõe chaves)
+ */
+function toAdminJSON(product) {
+  const obj = product.toObject({ flattenMaps: true });
+  delete obj.secretKey;
+  delete obj.encryptedKey;
+  delete obj.__v;
+
+  return {
+    ...obj,
+    hasSecretKey: !!(product.encryptedKey || product.secretKey)
+  };
+}
+
+/**
+ * Monta o filtro de listagem a partir da query string
+ */
+function buildFilter(query) {
+  const filter = {};
+
+  if (query.includeDeleted !== 'true') filter.deletedAt = { $exists: false };
+  if (query.batch) filter.batchNumber = query.batch;
+  if (query.name) filter.productName = { $regex: escapeRegExp(query.name), $options: 'i' };
+
+  const active = parseBooleanParam(query.active);
+  if (active !== undefined) filter.isActive = active;
+
+  const synced = parseBooleanParam(query.syncedFromSheets);
+  if (synced !== undefined) filter.syncedFromSheets = synced;
+
+  if (query.expiryFrom || query.expiryTo) {
+    filter.expiryDate = {};
+    if (query.expiryFrom) filter.expiryDate.$gte = new Date(query.expiryFrom);
+    if (query.expiryTo) filter.expiryDate.$lte = new Date(query.expiryTo);
+  }
+
+  return filter;
+}
+
+/**
+ * Busca produto não excluído pelo UID, respondendo 404 se não existir
+ */
+async function findProductOr404(req, res) {
+  const product = await Product.findOne({
+    nfcUID: normalizeUID(req.params.uid),
+    deletedAt: { $exists: false }
+  });
+
+  if (!product) {
+    res.status(404).json({
+      success: false,
+      ...apiError(req, 'PRODUCT_NOT_FOUND')
+    });
+    return null;
+  }
+
+  return product;
+}
+
+// Listar produtos com paginação e filtros
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const filter = buildFilter(req.query);
+
+    for (const field of ['expiryFrom', 'expiryTo']) {
+      if (req.query[field] && isNaN(new Date(req.query[field]).getTime())) {
+        return res.status(400).json({
+          success: false,
+          ...apiError(req, 'INVALID_DATE', { field })
+        });
+      }
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      products: products.map(toAdminJSON)
+    });
+  } catch (error) {
+    logger.error('Erro ao listar produtos', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'PRODUCTS_LIST_ERROR')
+    });
+  }
+});
+
+// Detalhes de um produto
+router.get('/:uid', requireRole('viewer'), async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    res.json({ success: true, product: toAdminJSON(product) });
+  } catch (error) {
+    logger.error('Erro ao buscar produto', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'PRODUCT_FETCH_ERROR')
+    });
+  }
+});
+
+// Inspeção completa para investigação (?page=&limit=&verdict= das leituras)
+// Operator: inclui IP e user agent das leituras. Produtos excluídos também
+// podem ser inspecionados. Nunca devolve a chave, só a versão.
+router.get('/:uid/inspect', requireRole('operator'), async (req, res) => {
+  try {
+    const { verdict } = req.query;
+    if (verdict && !Scan.VERDICTS.includes(verdict)) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'SCAN_VERDICT_INVALID', { accepted: Scan.VERDICTS.join(', ') })
+      });
+    }
+
+    const product = await Product.findOne({ nfcUID: normalizeUID(req.params.uid) });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        ...apiError(req, 'PRODUCT_NOT_FOUND')
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    res.json({ success: true, ...(await inspectProduct(product, { page, limit, verdict })) });
+  } catch (error) {
+    logger.error('Erro ao inspecionar produto', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'PRODUCT_INSPECT_ERROR')
+    });
+  }
+});
+
+// Histórico de auditoria de um produto
+router.get('/:uid/audit', requireRole('viewer'), async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    const entries = await AuditLog.find({ entity: 'Product', entityId: product._id })
+      .sort({ timestamp: -1 })
+      .limit(200);
+
+    res.json({ success: true, audit: entries });
+  } catch (error) {
+    logger.error('Erro ao buscar auditoria', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'AUDIT_FETCH_ERROR')
+    });
+  }
+});
+
+// Atualizar campos permitidos (reason opcional vai para a auditoria)
+router.patch('/:uid', requireRole('operator'), async (req, res) => {
+  try {
+    const { reason, ...updates } = req.body || {};
+    const invalidFields = Object.keys(updates).filter(f => !EDITABLE_FIELDS.includes(f));
+
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'FIELDS_NOT_EDITABLE', { fields: invalidFields.join(', ') }),
+        editableFields: EDITABLE_FIELDS
+      });
+    }
+
+    for (const field of DATE_FIELDS) {
+      if (updates[field] !== undefined && updates[field] !== null && isNaN(new Date(updates[field]).getTime())) {
+        return res.status(400).json({
+          success: false,
+          ...apiError(req, 'INVALID_DATE', { field })
+        });
+      }
+    }
+
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    const before = product.toObject();
+    product.set(updates);
+
+    // productId gerado no cadastro (MB-<lote>-<UID>) acompanha a troca de
+    // lote; um productId informado no cadastro fica como está
+    if (product.batchNumber !== before.batchNumber &&
+        before.productId === buildProductId(before.batchNumber, product.nfcUID)) {
+      product.productId = buildProductId(product.batchNumber, product.nfcUID);
+    }
+
+    const changes = diffFields(before, product, [...Object.keys(updates), 'productId']);
+
+    if (changes.length === 0) {
+      return res.json({ success: true, changed: false, product: toAdminJSON(product) });
+    }
+
+    product.updatedBy = req.admin.username;
+    await product.save();
+
+    await recordAudit(req.admin, {
+      action: 'product.update',
+      entity: 'Product',
+      entityId: product._id,
+      nfcUID: product.nfcUID,
+      changes,
+      reason
+    });
+
+    logger.info('Produto atualizado', { nfcUID: product.nfcUID, admin: req.admin.username, fields: changes.map(c => c.field) });
+
+    res.json({ success: true, changed: true, changes, product: toAdminJSON(product) });
+  } catch (error) {
+    logger.error('Erro ao atualizar produto', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'PRODUCT_UPDATE_ERROR')
+    });
+  }
+});
+
+// Ativar/desativar (bloquear ou recolher) com motivo obrigatório
+router.post('/:uid/status', requireRole('operator'), async (req, res) => {
+  try {
+    const { isActive, reason } = req.body || {};
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'IS_ACTIVE_REQUIRED')
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'REASON_REQUIRED')
+      });
+    }
+
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    if (product.isActive === isActive) {
+      return res.json({ success: true, changed: false, product: toAdminJSON(product) });
+    }
+
+    const before = product.isActive;
+    product.isActive = isActive;
+    product.deactivationReason = isActive ? undefined : String(reason).trim();
+    product.updatedBy = req.admin.username;
+    await product.save();
+
+    await recordAudit(req.admin, {
+      action: isActive ? 'product.activate' : 'product.deactivate',
+      entity: 'Product',
+      entityId: product._id,
+      nfcUID: product.nfcUID,
+      changes: [{ field: 'isActive', before, after: isActive }],
+      reason: String(reason).trim()
+    });
+
+    logger.info(isActive ? 'Produto reativado' : 'Produto desativado', { nfcUID: product.nfcUID, admin: req.admin.username, reason });
+
+    if (!isActive) {
+      webhooks.emit('product.deactivated', {
+        product: webhooks.productSummary(product),
+        reason: product.deactivationReason,
+        deactivatedBy: req.admin.username
+      });
+    }
+
+    res.json({ success: true, changed: true, product: toAdminJSON(product) });
+  } catch (error) {
+    logger.error('Erro ao alterar status do produto', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'PRODUCT_STATUS_ERROR')
+    });
+  }
+});
+
+// Exclusão lógica: some das listagens e deixa de ser aceito na verificação
+router.delete('/:uid', requireRole('admin'), async (req, res) => {
+  try {
+    const reason = req.body?.reason || req.query.reason;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'REASON_REQUIRED')
+      });
+    }
+
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    const wasActive = product.isActive;
+    product.deletedAt = new Date();
+    product.deletedBy = req.admin.username;
+    product.isActive = false;
+    product.deactivationReason = String(reason).trim();
+    product.updatedBy = req.admin.username;
+    await product.save();
+
+    await recordAudit(req.admin, {
+      action: 'product.delete',
+      entity: 'Product',
+      entityId: product._id,
+      nfcUID: product.nfcUID,
+      changes: [
+        { field: 'deletedAt', before: null, after: product.deletedAt },
+        { field: 'isActive', before: wasActive, after: false }
+      ],
+      reason: String(reason).trim()
+    });
+
+    logger.info('Produto excluído', { nfcUID: product.nfcUID, admin: req.admin.username, reason });
+
+    res.json({ success: true, product: toAdminJSON(product) });
+  } catch (error) {
+    logger.error('Erro ao excluir produto', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'PRODUCT_DELETE_ERROR')
+    });
+  }
+});
+
+module.exports = router;
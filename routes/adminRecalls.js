@@ -0,0 +1,195 @@
+// ========================================
+// ROTAS ADMIN: RECOLHIMENTO DE LOTES
+// ========================================
+// Montado em /api/admin, depois de authenticateAdmin
+
+const express = require('express');
+const Product = require('../models/Product');
+const BatchRecall = require('../models/BatchRecall');
+const { requireRole } = require('../lib/adminAuth');
+const { recordAudit } = require('../lib/audit');
+const { apiError } = require('../lib/i18n');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+/**
+ * Quantidade de tags (não excluídas) no lote
+ */
+function countBatchProducts(batchNumber) {
+  return Product.countDocuments({ batchNumber, deletedAt: { $exists: false } });
+}
+
+// Listar recolhimentos
+router.get('/recalls', requireRole('viewer'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.batch) filter.batchNumber = req.query.batch;
+
+    const recalls = await BatchRecall.find(filter).sort({ createdAt: -1 }).limit(200);
+    res.json({ success: true, recalls });
+  } catch (error) {
+    logger.error('Erro ao listar recolhimentos', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'RECALLS_LIST_ERROR')
+    });
+  }
+});
+
+// Situação de um lote
+router.get('/batches/:batchNumber', requireRole('viewer'), async (req, res) => {
+  try {
+    const { batchNumber } = req.params;
+
+    const [totalProducts, activeProducts, recall] = await Promise.all([
+      countBatchProducts(batchNumber),
+      Product.countDocuments({ batchNumber, isActive: true, deletedAt: { $exists: false } }),
+      BatchRecall.findOne({ batchNumber, status: 'active' })
+    ]);
+
+    res.json({
+      success: true,
+      batchNumber,
+      totalProducts,
+      activeProducts,
+      recalled: Boolean(recall),
+      recall
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar lote', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'BATCH_FETCH_ERROR')
+    });
+  }
+});
+
+// Recolher lote
+router.post('/batches/:batchNumber/recall', requireRole('operator'), async (req, res) => {
+  try {
+    const { batchNumber } = req.params;
+    const { reason, publicMessage, effectiveDate } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'REASON_REQUIRED')
+      });
+    }
+
+    if (!publicMessage || !String(publicMessage).trim()) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'PUBLIC_MESSAGE_REQUIRED')
+      });
+    }
+
+    const effective = effectiveDate ? new Date(effectiveDate) : new Date();
+    if (isNaN(effective.getTime())) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'INVALID_DATE', { field: 'effectiveDate' })
+      });
+    }
+
+    const alreadyRecalled = existing => res.status(409).json({
+      success: false,
+      ...apiError(req, 'BATCH_ALREADY_RECALLED'),
+      recall: existing
+    });
+
+    const existing = await BatchRecall.findOne({ batchNumber, status: 'active' });
+    if (existing) return alreadyRecalled(existing);
+
+    const affectedCount = await countBatchProducts(batchNumber);
+
+    let recall;
+    try {
+      recall = await BatchRecall.create({
+        batchNumber,
+        reason: String(reason).trim(),
+        publicMessage: String(publicMessage).trim(),
+        effectiveDate: effective,
+        affectedCount,
+        createdBy: req.admin.username
+      });
+    } catch (error) {
+      // Outro pedido recolheu o lote entre a consulta e a gravação
+      if (error.code !== 11000) throw error;
+      return alreadyRecalled(await BatchRecall.findOne({ batchNumber, status: 'active' }));
+    }
+
+    await recordAudit(req.admin, {
+      action: 'batch.recall',
+      entity: 'BatchRecall',
+      entityId: recall._id,
+      batchNumber,
+      changes: [{ field: 'status', before: null, after: 'active' }],
+      reason: recall.reason
+    });
+
+    logger.warn('Lote recolhido', { batchNumber, affectedCount, admin: req.admin.username });
+
+    res.status(201).json({ success: true, affectedCount, recall });
+  } catch (error) {
+    logger.error('Erro ao recolher lote', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'RECALL_ERROR')
+    });
+  }
+});
+
+// Reverter recolhimento
+router.post('/batches/:batchNumber/reactivate', requireRole('operator'), async (req, res) => {
+  try {
+    const { batchNumber } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'REASON_REQUIRED')
+      });
+    }
+
+    const recall = await BatchRecall.findOne({ batchNumber, status: 'active' });
+    if (!recall) {
+      return res.status(404).json({
+        success: false,
+        ...apiError(req, 'RECALL_NOT_ACTIVE')
+      });
+    }
+
+    recall.status = 'lifted';
+    recall.liftedAt = new Date();
+    recall.liftedBy = req.admin.username;
+    recall.liftReason = String(reason).trim();
+    await recall.save();
+
+    const affectedCount = await countBatchProducts(batchNumber);
+
+    await recordAudit(req.admin, {
+      action: 'batch.reactivate',
+      entity: 'BatchRecall',
+      entityId: recall._id,
+      batchNumber,
+      changes: [{ field: 'status', before: 'active', after: 'lifted' }],
+      reason: recall.liftReason
+    });
+
+    logger.info('Recolhimento revertido', { batchNumber, affectedCount, admin: req.admin.username });
+
+    res.json({ success: true, affectedCount, recall });
+  } catch (error) {
+    logger.error('Erro ao reverter recolhimento', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'RECALL_LIFT_ERROR')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,393 @@
+// ========================================
+// ROTAS ADMIN: EXECUÇÕES DA SINCRONIZAÇÃO COM A PLANILHA
+// ========================================
+// Montado em /api/admin/sync, depois de authenticateAdmin.
+//
+// Cada execução aplicada de sync-sheets.js gera um SyncRun e, por produto
+// criado/alterado, uma entrada no AuditLog com syncRunId e os valores
+// antes/depois. O rollback usa essas entradas para desfazer a execução.
+//
+// Linhas rejeitadas com --invalid-rows quarantine ficam em /quarantine.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const AuditLog = require('../models/AuditLog');
+const SyncRun = require('../models/SyncRun');
+const QuarantinedRow = require('../models/QuarantinedRow');
+const { requireRole } = require('../lib/adminAuth');
+const { recordAudit } = require('../lib/audit');
+const { getLock } = require('../lib/lock');
+const { apiError } = require('../lib/i18n');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const MAX_CHANGES_LISTED = 1000;
+
+/**
+ * Compara valores do AuditLog com os atuais (datas pelo valor)
+ */
+function sameValue(a, b) {
+  const comparableA = a instanceof Date ? a.getTime() : a;
+  const comparableB = b instanceof Date ? b.getTime() : b;
+  return (comparableA ?? null) === (comparableB ?? null);
+}
+
+/**
+ * Desfaz a alteração de um produto registrada na execução
+ * Retorna { nfcUID, status: 'reverted' | 'skipped', reason? }
+ *
+ * Produtos alterados depois da execução (por outra sincronização ou pelo
+ * painel) são pulados, a menos que force = true.
+ */
+async function revertEntry(entry, { admin, reason, force, run }) {
+  const result = { nfcUID: entry.nfcUID, action: entry.action };
+  const product = await Product.findById(entry.entityId);
+
+  if (!product || product.deletedAt) {
+    return { ...result, status: 'skipped', reason: 'Produto não existe mais' };
+  }
+
+  const rollbackReason = `Rollback da sincronização ${run._id}: ${reason}`;
+
+  if (entry.action === 'product.sync_create') {
+    if (!force && product.scanCount > 0) {
+      return { ...result, status: 'skipped', reason: 'Produto já foi lido por consumidores' };
+    }
+
+    const wasActive = product.isActive;
+    product.deletedAt = new Date();
+    product.deletedBy = admin.username;
+    product.isActive = false;
+    product.deactivationReason = rollbackReason;
+    product.updatedBy = admin.username;
+    await product.save();
+
+    await recordAudit(admin, {
+      action: 'product.sync_rollback',
+      entity: 'Product',
+      entityId: product._id,
+      nfcUID: product.nfcUID,
+      batchNumber: product.batchNumber,
+      changes: [
+        { field: 'deletedAt', before: null, after: product.deletedAt },
+        { field: 'isActive', before: wasActive, after: false }
+      ],
+      reason: rollbackReason,
+      syncRunId: run._id
+    });
+
+    return { ...result, status: 'reverted' };
+  }
+
+  // get/set aceitam caminhos como "attributes.sku"
+  const conflicts = entry.changes.filter(change => !sameValue(product.get(change.field), change.after));
+  if (!force && conflicts.length > 0) {
+    return {
+      ...result,
+      status: 'skipped',
+      reason: `Alterado depois da sincronização: ${conflicts.map(c => c.field).join(', ')}`
+    };
+  }
+
+  const changes = [];
+  for (const change of entry.changes) {
+    const current = product.get(change.field);
+    if (!sameValue(current, change.before)) {
+      changes.push({ field: change.field, before: current ?? null, after: change.before });
+      product.set(change.field, change.before ?? undefined);
+    }
+  }
+
+  if (changes.length === 0) {
+    return { ...result, status: 'skipped', reason: 'Valores já eram os anteriores' };
+  }
+
+  product.updatedBy = admin.username;
+  await product.save();
+
+  await recordAudit(admin, {
+    action: 'product.sync_rollback',
+    entity: 'Product',
+    entityId: product._id,
+    nfcUID: product.nfcUID,
+    batchNumber: product.batchNumber,
+    changes,
+    reason: rollbackReason,
+    syncRunId: run._id
+  });
+
+  return { ...result, status: 'reverted' };
+}
+
+/**
+ * Busca a execução pelo id, respondendo 404 se não existir
+ */
+async function findRunOr404(req, res) {
+  const run = mongoose.isValidObjectId(req.params.id)
+    ? await SyncRun.findById(req.params.id)
+    : null;
+
+  if (!run) {
+    res.status(404).json({
+      success: false,
+      ...apiError(req, 'SYNC_RUN_NOT_FOUND')
+    });
+    return null;
+  }
+
+  return run;
+}
+
+// Listar execuções
+router.get('/runs', requireRole('viewer'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const [runs, total] = await Promise.all([
+      SyncRun.find(filter)
+        .select('-rowErrors')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SyncRun.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      runs
+    });
+  } catch (error) {
+    logger.error('Erro ao listar sincronizações', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'SYNC_RUNS_LIST_ERROR')
+    });
+  }
+});
+
+// Detalhes de uma execução, com as alterações campo a campo
+router.get('/runs/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const run = await findRunOr404(req, res);
+    if (!run) return;
+
+    const changes = await AuditLog.find({ syncRunId: run._id })
+      .sort({ timestamp: 1 })
+      .limit(MAX_CHANGES_LISTED);
+
+    res.json({ success: true, run, changes });
+  } catch (error) {
+    logger.error('Erro ao buscar sincronização', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'SYNC_RUN_FETCH_ERROR')
+    });
+  }
+});
+
+// Desfazer uma execução: restaura os valores anteriores e exclui (lógico)
+// os produtos criados por ela. { reason, force? }
+router.post('/runs/:id/rollback', requireRole('admin'), async (req, res) => {
+  try {
+    const { reason, force = false } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'REASON_REQUIRED')
+      });
+    }
+
+    const run = await findRunOr404(req, res);
+    if (!run) return;
+
+    // Execução "running" cujo dono perdeu o lock é de um processo morto:
+    // pode ser desfeita
+    if (run.status === 'running' && !SyncRun.isAbandoned(run, await getLock(SyncRun.LOCK_NAME))) {
+      return res.status(409).json({
+        success: false,
+        ...apiError(req, 'SYNC_RUN_IN_PROGRESS')
+      });
+    }
+
+    if (run.status === 'rolled_back') {
+      return res.status(409).json({
+        success: false,
+        ...apiError(req, 'SYNC_RUN_ALREADY_ROLLED_BACK'),
+        run
+      });
+    }
+
+    // Reivindica a execução antes de reverter: de dois pedidos simultâneos,
+    // só o que trocar o status primeiro segue
+    const previousStatus = run.status;
+    const claimed = await SyncRun.findOneAndUpdate(
+      { _id: run._id, status: previousStatus },
+      {
+        $set: {
+          status: 'rolled_back',
+          rolledBackAt: new Date(),
+          rolledBackBy: req.admin.username,
+          rollbackReason: String(reason).trim()
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        ...apiError(req, 'SYNC_RUN_ALREADY_ROLLED_BACK'),
+        run: await SyncRun.findById(run._id)
+      });
+    }
+
+    const entries = await AuditLog.find({
+      syncRunId: run._id,
+      action: { $in: ['product.sync_create', 'product.sync_update'] }
+    }).sort({ timestamp: -1 });
+
+    const results = [];
+    try {
+      for (const entry of entries) {
+        results.push(await revertEntry(entry, {
+          admin: req.admin,
+          reason: claimed.rollbackReason,
+          force: force === true,
+          run: claimed
+        }));
+      }
+    } catch (error) {
+      // Libera a execução para nova tentativa; o que já foi revertido é
+      // pulado ("Valores já eram os anteriores" / "Produto não existe mais")
+      await SyncRun.updateOne(
+        { _id: run._id, status: 'rolled_back' },
+        { $set: { status: previousStatus }, $unset: { rolledBackAt: 1, rolledBackBy: 1, rollbackReason: 1 } }
+      );
+      throw error;
+    }
+
+    const reverted = results.filter(r => r.status === 'reverted').length;
+    const skipped = results.length - reverted;
+
+    claimed.rollbackSummary = { reverted, skipped };
+    await claimed.save();
+
+    await recordAudit(req.admin, {
+      action: 'sync.rollback',
+      entity: 'SyncRun',
+      entityId: run._id,
+      changes: [{ field: 'status', before: previousStatus, after: 'rolled_back' }],
+      reason: claimed.rollbackReason,
+      syncRunId: run._id
+    });
+
+    logger.info('Sincronização revertida', { runId: run._id, admin: req.admin.username, reverted, skipped });
+
+    res.json({ success: true, reverted, skipped, results, run: claimed });
+  } catch (error) {
+    logger.error('Erro ao reverter sincronização', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'SYNC_ROLLBACK_ERROR')
+    });
+  }
+});
+
+// ========================================
+// QUARENTENA
+// ========================================
+
+// Listar linhas em quarentena (padrão: pendentes)
+router.get('/quarantine', requireRole('viewer'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const filter = { status: req.query.status || 'pending' };
+    if (req.query.tab) filter.tab = req.query.tab;
+    if (req.query.code) filter['reasons.code'] = req.query.code;
+
+    const [rows, total] = await Promise.all([
+      QuarantinedRow.find(filter)
+        .sort({ lastSeenAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      QuarantinedRow.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      rows
+    });
+  } catch (error) {
+    logger.error('Erro ao listar quarentena', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'QUARANTINE_LIST_ERROR')
+    });
+  }
+});
+
+// Descartar (ou voltar a pendente) uma linha em quarentena { status, note }
+router.patch('/quarantine/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+
+    if (!['pending', 'discarded'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'QUARANTINE_STATUS_INVALID')
+      });
+    }
+
+    const row = mongoose.isValidObjectId(req.params.id)
+      ? await QuarantinedRow.findById(req.params.id)
+      : null;
+
+    if (!row) {
+      return res.status(404).json({
+        success: false,
+        ...apiError(req, 'QUARANTINE_ROW_NOT_FOUND')
+      });
+    }
+
+    const before = row.status;
+    row.status = status;
+    row.note = note;
+    row.resolvedAt = status === 'discarded' ? new Date() : undefined;
+    row.resolvedBy = status === 'discarded' ? req.admin.username : undefined;
+    await row.save();
+
+    await recordAudit(req.admin, {
+      action: 'sync.quarantine_update',
+      entity: 'QuarantinedRow',
+      entityId: row._id,
+      nfcUID: row.nfcUID,
+      changes: [{ field: 'status', before, after: status }],
+      reason: note
+    });
+
+    res.json({ success: true, row });
+  } catch (error) {
+    logger.error('Erro ao atualizar quarentena', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'QUARANTINE_UPDATE_ERROR')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+// ========================================
+// ROTAS ADMIN: USUÁRIOS E SESSÃO
+// ========================================
+// Montado em /api/admin, depois de authenticateAdmin
+
+const express = require('express');
+const mongoose = require('mongoose');
+const AdminUser = require('../models/AdminUser');
+const { MIN_PASSWORD_LENGTH, isValidPassword, hashPassword, requireRole } = require('../lib/adminAuth');
+const { apiError } = require('../lib/i18n');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+function sendPasswordTooShort(req, res) {
+  return res.status(400).json({
+    success: false,
+    ...apiError(req, 'PASSWORD_TOO_SHORT', { min: MIN_PASSWORD_LENGTH })
+  });
+}
+
+// Usuário autenticado
+router.get('/me', (req, res) => {
+  res.json({ success: true, admin: req.admin });
+});
+
+// Listar usuários
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await AdminUser.find().sort({ username: 1 });
+    res.json({ success: true, users: users.map(u => u.toPublicJSON()) });
+  } catch (error) {
+    logger.error('Erro ao listar usuários admin', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'USERS_LIST_ERROR')
+    });
+  }
+});
+
+// Criar usuário
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body || {};
+
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9._-]{3,64}$/.test(username)) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'USERNAME_INVALID')
+      });
+    }
+
+    if (!isValidPassword(password)) return sendPasswordTooShort(req, res);
+
+    if (!AdminUser.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'ROLE_INVALID', { allowed: AdminUser.ROLES.join(', ') })
+      });
+    }
+
+    const exists = await AdminUser.findOne({ username: username.toLowerCase() });
+    if (exists) {
+      return res.status(409).json({
+        success: false,
+        ...apiError(req, 'USER_ALREADY_EXISTS')
+      });
+    }
+
+    const user = await AdminUser.create({
+      username,
+      passwordHash: await hashPassword(password),
+      role,
+      createdBy: req.admin.username
+    });
+
+    logger.info('Usuário admin criado', { username: user.username, role: user.role, admin: req.admin.username });
+
+    res.status(201).json({ success: true, user: user.toPublicJSON() });
+  } catch (error) {
+    logger.error('Erro ao criar usuário admin', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'USER_CREATE_ERROR')
+    });
+  }
+});
+
+// Alterar papel, ativar/desativar, trocar senha ou desbloquear
+router.patch('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { role, isActive, password, unlock } = req.body || {};
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        ...apiError(req, 'IS_ACTIVE_REQUIRED')
+      });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id) ? await AdminUser.findById(req.params.id) : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        ...apiError(req, 'USER_NOT_FOUND')
+      });
+    }
+
+    if (role !== undefined) {
+      if (!AdminUser.ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          ...apiError(req, 'ROLE_INVALID', { allowed: AdminUser.ROLES.join(', ') })
+        });
+      }
+      user.role = role;
+    }
+
+    if (password !== undefined) {
+      if (!isValidPassword(password)) return sendPasswordTooShort(req, res);
+      user.passwordHash = await hashPassword(password);
+    }
+
+    if (isActive !== undefined) user.isActive = isActive;
+
+    if (unlock) {
+      user.lockedUntil = undefined;
+      user.failedLoginAttempts = 0;
+    }
+
+    // Qualquer mudança de credencial ou permissão invalida os tokens emitidos
+    if (role !== undefined || password !== undefined || isActive === false) {
+      user.tokenVersion++;
+    }
+
+    await user.save();
+
+    logger.info('Usuário admin atualizado', { username: user.username, admin: req.admin.username });
+
+    res.json({ success: true, user: user.toPublicJSON() });
+  } catch (error) {
+    logger.error('Erro ao atualizar usuário admin', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'USER_UPDATE_ERROR')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,307 @@
+// ========================================
+// ROTAS ADMIN: WEBHOOKS
+// ========================================
+// Montado em /api/admin/webhooks, depois de authenticateAdmin. Envio,
+// assinatura e novas tentativas em lib/webhooks.js.
+//
+// O segredo de assinatura só aparece na resposta da criação e da troca
+// (rotate-secret); guarde-o no sistema receptor.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const keyVault = require('../lib/keyVault');
+const webhooks = require('../lib/webhooks');
+const { requireRole } = require('../lib/adminAuth');
+const { diffFields, recordAudit } = require('../lib/audit');
+const { apiError } = require('../lib/i18n');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+/**
+ * Valida url/events do body; devolve o código de erro ou null
+ * partial = true (PATCH): campos ausentes não são exigidos
+ */
+function validateWebhookBody({ url, events }, partial = false) {
+  if ((!partial || url !== undefined) && !webhooks.isValidWebhookURL(url)) {
+    return 'WEBHOOK_URL_INVALID';
+  }
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !Webhook.EVENTS.includes(event))) {
+      return 'WEBHOOK_EVENTS_INVALID';
+    }
+  }
+  return null;
+}
+
+function sendValidationError(req, res, code) {
+  return res.status(400).json({
+    success: false,
+    ...apiError(req, code, { accepted: Webhook.EVENTS.join(', ') })
+  });
+}
+
+/**
+ * Busca pelo id do parâmetro, respondendo 404 se não existir
+ */
+async function findOr404(Model, id, req, res, code) {
+  const doc = mongoose.isValidObjectId(id) ? await Model.findById(id) : null;
+  if (!doc) {
+    res.status(404).json({
+      success: false,
+      ...apiError(req, code)
+    });
+    return null;
+  }
+  return doc;
+}
+
+// Listar assinaturas
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const list = await Webhook.find().sort({ createdAt: -1 });
+    res.json({ success: true, events: Webhook.EVENTS, webhooks: list });
+  } catch (error) {
+    logger.error('Erro ao listar webhooks', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'WEBHOOKS_LIST_ERROR')
+    });
+  }
+});
+
+// Criar assinatura { url, events, description? } — devolve o segredo uma vez
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateWebhookBody(body);
+    if (invalid) return sendValidationError(req, res, invalid);
+
+    const secret = webhooks.generateSecret();
+    const webhook = await Webhook.create({
+      url: body.url,
+      events: [...new Set(body.events)],
+      description: body.description,
+      encryptedSecret: keyVault.encryptSecret(secret),
+      createdBy: req.admin.username
+    });
+    webhooks.invalidateSubscriptions();
+
+    await recordAudit(req.admin, {
+      action: 'webhook.create',
+      entity: 'Webhook',
+      entityId: webhook._id,
+      changes: [
+        { field: 'url', before: null, after: webhook.url },
+        { field: 'events', before: null, after: webhook.events }
+      ]
+    });
+
+    logger.info('Webhook criado', { webhookId: webhook._id, url: webhook.url, events: webhook.events, admin: req.admin.username });
+
+    res.status(201).json({ success: true, webhook, secret });
+  } catch (error) {
+    logger.error('Erro ao criar webhook', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'WEBHOOK_SAVE_ERROR')
+    });
+  }
+});
+
+// Alterar assinatura { url?, events?, description?, isActive? }
+router.patch('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateWebhookBody(body, true);
+    if (invalid) return sendValidationError(req, res, invalid);
+
+    const webhook = await findOr404(Webhook, req.params.id, req, res, 'WEBHOOK_NOT_FOUND');
+    if (!webhook) return;
+
+    const before = webhook.toObject();
+    if (body.url !== undefined) webhook.url = body.url;
+    if (body.events !== undefined) webhook.events = [...new Set(body.events)];
+    if (body.description !== undefined) webhook.description = body.description;
+    if (typeof body.isActive === 'boolean') webhook.isActive = body.isActive;
+
+    // events é lista: compara pelo conteúdo
+    const changes = diffFields(before, webhook.toObject(), ['url', 'events', 'description', 'isActive'])
+      .filter(change => change.field !== 'events' || String(change.before) !== String(change.after));
+    if (changes.length > 0) {
+      webhook.updatedBy = req.admin.username;
+      webhook.updatedAt = new Date();
+      await webhook.save();
+      webhooks.invalidateSubscriptions();
+
+      await recordAudit(req.admin, {
+        action: 'webhook.update',
+        entity: 'Webhook',
+        entityId: webhook._id,
+        changes
+      });
+    }
+
+    res.json({ success: true, changed: changes.length > 0, webhook });
+  } catch (error) {
+    logger.error('Erro ao alterar webhook', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'WEBHOOK_SAVE_ERROR')
+    });
+  }
+});
+
+// Remover assinatura (o histórico de entregas fica até expirar)
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await findOr404(Webhook, req.params.id, req, res, 'WEBHOOK_NOT_FOUND');
+    if (!webhook) return;
+
+    await webhook.deleteOne();
+    webhooks.invalidateSubscriptions();
+
+    await recordAudit(req.admin, {
+      action: 'webhook.delete',
+      entity: 'Webhook',
+      entityId: webhook._id,
+      changes: [{ field: 'url', before: webhook.url, after: null }]
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Erro ao remover webhook', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'WEBHOOK_DELETE_ERROR')
+    });
+  }
+});
+
+// Trocar o segredo de assinatura (o anterior deixa de valer na hora)
+router.post('/:id/rotate-secret', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await findOr404(Webhook, req.params.id, req, res, 'WEBHOOK_NOT_FOUND');
+    if (!webhook) return;
+
+    const secret = webhooks.generateSecret();
+    webhook.encryptedSecret = keyVault.encryptSecret(secret);
+    webhook.updatedBy = req.admin.username;
+    webhook.updatedAt = new Date();
+    await webhook.save();
+
+    await recordAudit(req.admin, {
+      action: 'webhook.rotate_secret',
+      entity: 'Webhook',
+      entityId: webhook._id
+    });
+
+    res.json({ success: true, webhook, secret });
+  } catch (error) {
+    logger.error('Erro ao trocar segredo do webhook', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'WEBHOOK_SAVE_ERROR')
+    });
+  }
+});
+
+// Enviar um evento webhook.test agora e devolver o resultado da tentativa
+router.post('/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await findOr404(Webhook, req.params.id, req, res, 'WEBHOOK_NOT_FOUND');
+    if (!webhook) return;
+
+    const delivery = await webhooks.sendTest(webhook, req.admin);
+    res.json({ success: true, delivered: delivery.status === 'succeeded', delivery });
+  } catch (error) {
+    logger.error('Erro ao testar webhook', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'WEBHOOK_SEND_ERROR')
+    });
+  }
+});
+
+// Histórico de entregas de uma assinatura (?status=&event=&page=&limit=)
+router.get('/:id/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await findOr404(Webhook, req.params.id, req, res, 'WEBHOOK_NOT_FOUND');
+    if (!webhook) return;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      deliveries
+    });
+  } catch (error) {
+    logger.error('Erro ao listar entregas de webhook', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'WEBHOOK_DELIVERIES_ERROR')
+    });
+  }
+});
+
+// Detalhes de uma entrega, com o corpo enviado e as tentativas
+router.get('/deliveries/:deliveryId', requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await findOr404(WebhookDelivery, req.params.deliveryId, req, res, 'WEBHOOK_DELIVERY_NOT_FOUND');
+    if (!delivery) return;
+
+    res.json({ success: true, delivery });
+  } catch (error) {
+    logger.error('Erro ao buscar entrega de webhook', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'WEBHOOK_DELIVERIES_ERROR')
+    });
+  }
+});
+
+// Reenviar manualmente (mesmo evento e corpo; nova entrega no histórico)
+router.post('/deliveries/:deliveryId/replay', requireRole('admin'), async (req, res) => {
+  try {
+    const original = await findOr404(WebhookDelivery, req.params.deliveryId, req, res, 'WEBHOOK_DELIVERY_NOT_FOUND');
+    if (!original) return;
+
+    const delivery = await webhooks.replayDelivery(original, req.admin);
+
+    await recordAudit(req.admin, {
+      action: 'webhook.replay',
+      entity: 'WebhookDelivery',
+      entityId: original._id,
+      changes: [{ field: 'replayedAs', before: null, after: delivery._id }]
+    });
+
+    res.json({ success: true, delivered: delivery.status === 'succeeded', delivery });
+  } catch (error) {
+    logger.error('Erro ao reenviar webhook', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'WEBHOOK_SEND_ERROR')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// ========================================
+// PÁGINA PÚBLICA DE VERIFICAÇÃO
+// ========================================
+// Montado em /v. URL gravada na tag (NTAG 424 DNA com SUN/SDM):
+//   /v/04A1B2C3D4E5F6?picc_data=<hex>&cmac=<hex>
+//   /v?picc_data=<hex>&cmac=<hex>       (UID vem do PICCData)
+//   /v/04A1B2C3D4E5F6                   (tags sem SUN: planilha, demo)
+// Idioma: ?lang=pt|en|es ou Accept-Language (padrão: português).
+//
+// A verificação é a mesma da API (lib/verification.js): cada abertura conta
+// como uma leitura e consome o contador da mensagem SUN. Rate limit também é
+// o mesmo (por IP, por UID e por UIDs inexistentes), respondido em HTML.
+
+const express = require('express');
+const { getScanContext, verifyProduct } = require('../lib/verification');
+const { resolvePageLanguage, renderVerifyPage } = require('../lib/verifyPage');
+const { rateLimit } = require('../lib/rateLimit');
+const { getClientIP } = require('../lib/clientIP');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+/**
+ * Cabeçalhos comuns da página (link de uso único: sem cache nem indexação)
+ */
+function setPageHeaders(res) {
+  res.set('Cache-Control', 'no-store');
+  res.set('X-Robots-Tag', 'noindex');
+  res.type('html');
+}
+
+router.use(rateLimit({
+  policies: [{ name: 'verifyIp', key: getClientIP }],
+  onLimit: (req, res) => {
+    setPageHeaders(res);
+    res.status(429).send(renderVerifyPage({ outcome: 'throttled' }, resolvePageLanguage(req)));
+  }
+}));
+
+/**
+ * Verifica e responde a página HTML com o mesmo status HTTP da API
+ */
+async function handleVerifyPage(req, res) {
+  const lang = resolvePageLanguage(req);
+
+  setPageHeaders(res);
+
+  try {
+    const { picc_data: piccData, cmac } = req.query;
+    const uid = req.params.uid;
+
+    const result = await verifyProduct(
+      { uid, piccData, cmac },
+      { ...getScanContext(req), location: 'Web /v' },
+      lang,
+      { clientIP: getClientIP(req) }
+    );
+
+    if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+    res.status(result.status).send(renderVerifyPage(result, lang));
+  } catch (error) {
+    logger.error('Erro na página de verificação', { error });
+    res.status(500).send(renderVerifyPage({ outcome: 'error' }, lang));
+  }
+}
+
+router.get('/', handleVerifyPage);
+router.get('/:uid', handleVerifyPage);
+
+module.exports = router;
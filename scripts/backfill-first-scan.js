@@ -0,0 +1,57 @@
+// ========================================
+// MIGRAÇÃO: preencher Product.firstScanAt
+// ========================================
+// Uso: node scripts/backfill-first-scan.js [--dry-run]
+//
+// Produtos lidos antes do campo existir recebem a data do scan aceito mais
+// antigo ainda guardado. Rodar antes que esses scans expirem pelo TTL
+// (Scan.RETENTION_DAYS). Pode ser executada mais de uma vez.
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Product = require('../models/Product');
+const Scan = require('../models/Scan');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function backfill() {
+  const cursor = Scan.aggregate([
+    { $match: { verdict: { $in: Scan.ACCEPTED_VERDICTS } } },
+    { $group: { _id: '$productId', first: { $min: '$timestamp' } } }
+  ]).cursor();
+
+  let produtos = 0;
+  let preenchidos = 0;
+
+  for await (const { _id, first } of cursor) {
+    produtos++;
+    if (DRY_RUN) {
+      if (await Product.exists({ _id, firstScanAt: null })) preenchidos++;
+      continue;
+    }
+
+    const { modifiedCount } = await Product.updateOne({ _id, firstScanAt: null }, { $set: { firstScanAt: first } });
+    preenchidos += modifiedCount;
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`📊 RESUMO${DRY_RUN ? ' (DRY-RUN)' : ''}:`);
+  console.log('='.repeat(60));
+  console.log(`📦 Produtos com leituras aceitas: ${produtos}`);
+  console.log(`✅ firstScanAt ${DRY_RUN ? 'a preencher' : 'preenchido'}: ${preenchidos}`);
+  console.log('='.repeat(60) + '\n');
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(async () => {
+    console.log('✅ Conectado ao MongoDB!');
+    await backfill();
+    await mongoose.connection.close();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Erro na migração:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
@@ -0,0 +1,59 @@
+// ========================================
+// CRIAR USUÁRIO ADMIN (bootstrap)
+// ========================================
+// Uso: ADMIN_PASSWORD=... node scripts/create-admin-user.js <usuario> [papel]
+// Papel padrão: admin. A senha vem do ambiente para não ficar no histórico do shell
+// e segue a mesma regra da API (MIN_PASSWORD_LENGTH, lib/adminAuth.js).
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const AdminUser = require('../models/AdminUser');
+const { MIN_PASSWORD_LENGTH, isValidPassword, hashPassword } = require('../lib/adminAuth');
+const { translate } = require('../lib/i18n');
+
+const [username, role = 'admin'] = process.argv.slice(2);
+const password = process.env.ADMIN_PASSWORD;
+
+if (!username || !password) {
+  console.error('❌ Erro: informe o usuário e a variável ADMIN_PASSWORD');
+  console.log('Uso: ADMIN_PASSWORD=... node scripts/create-admin-user.js USUARIO [viewer|operator|admin]');
+  process.exit(1);
+}
+
+// Mesma regra de POST /api/admin/users
+if (!isValidPassword(password)) {
+  console.error(`❌ PASSWORD_TOO_SHORT: ${translate('PASSWORD_TOO_SHORT', 'pt', { min: MIN_PASSWORD_LENGTH })}`);
+  process.exit(1);
+}
+
+if (!AdminUser.ROLES.includes(role)) {
+  console.error(`❌ Papel inválido. Use: ${AdminUser.ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(async () => {
+    const exists = await AdminUser.findOne({ username: username.toLowerCase() });
+    if (exists) {
+      console.error(`❌ Usuário já existe: ${exists.username}`);
+      await mongoose.connection.close();
+      process.exit(1);
+    }
+
+    const user = await AdminUser.create({
+      username,
+      passwordHash: await hashPassword(password),
+      role,
+      createdBy: 'bootstrap-script'
+    });
+
+    console.log(`✅ Usuário admin criado: ${user.username} (${user.role})`);
+    await mongoose.connection.close();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Erro ao criar usuário admin:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
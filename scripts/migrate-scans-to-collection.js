@@ -0,0 +1,95 @@
+// ========================================
+// MIGRAÇÃO: Product.scans (embutido) → coleção Scan
+// ========================================
+// Uso: node scripts/migrate-scans-to-collection.js [--dry-run]
+//
+// Reaproveita o _id de cada scan embutido como _id do documento Scan,
+// então a migração pode ser executada mais de uma vez sem duplicar dados.
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Product = require('../models/Product');
+const Scan = require('../models/Scan');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+/**
+ * Converte um scan embutido no formato da coleção Scan
+ */
+function toScanDocument(product, embedded) {
+  return {
+    _id: embedded._id || new mongoose.Types.ObjectId(),
+    productId: product._id,
+    nfcUID: product.nfcUID,
+    timestamp: embedded.timestamp || product.updatedAt || new Date(),
+    ipAddress: embedded.ipAddress,
+    userAgent: embedded.userAgent,
+    location: embedded.location,
+    verdict: 'authentic' // só leituras aceitas eram gravadas no array
+  };
+}
+
+async function migrate() {
+  // Acesso direto à coleção: o campo scans não existe mais no schema
+  const cursor = Product.collection.find(
+    { 'scans.0': { $exists: true } },
+    { projection: { nfcUID: 1, scans: 1, updatedAt: 1 } }
+  );
+
+  let produtos = 0;
+  let migrados = 0;
+  let existentes = 0;
+
+  for await (const product of cursor) {
+    const docs = product.scans.map(scan => toScanDocument(product, scan));
+    produtos++;
+
+    if (DRY_RUN) {
+      console.log(`🔎 ${product.nfcUID}: ${docs.length} scans seriam migrados`);
+      migrados += docs.length;
+      continue;
+    }
+
+    try {
+      const inserted = await Scan.insertMany(docs, { ordered: false });
+      migrados += inserted.length;
+    } catch (error) {
+      // 11000 = scan já migrado em execução anterior
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.some(e => e.code !== 11000) || writeErrors.length === 0) {
+        throw error;
+      }
+      existentes += writeErrors.length;
+      migrados += docs.length - writeErrors.length;
+    }
+
+    await Product.collection.updateOne({ _id: product._id }, { $unset: { scans: '' } });
+    console.log(`✅ ${product.nfcUID}: ${docs.length} scans migrados`);
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`📊 RESUMO DA MIGRAÇÃO${DRY_RUN ? ' (DRY-RUN)' : ''}:`);
+  console.log('='.repeat(60));
+  console.log(`📦 Produtos com scans embutidos: ${produtos}`);
+  console.log(`✅ Scans migrados: ${migrados}`);
+  console.log(`↩️  Já existentes: ${existentes}`);
+  if (Scan.RETENTION_DAYS > 0) {
+    console.log(`⏳ Scans com mais de ${Scan.RETENTION_DAYS} dias serão removidos pelo TTL`);
+  }
+  console.log('='.repeat(60) + '\n');
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(async () => {
+    console.log('✅ Conectado ao MongoDB!');
+    await Scan.init(); // garante os índices antes de inserir
+    await migrate();
+    await mongoose.connection.close();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Erro na migração:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
@@ -0,0 +1,160 @@
+// ========================================
+// STUB LOCAL DA API DO GOOGLE SHEETS
+// ========================================
+// Servidor HTTP com o mínimo da API v4 usado pelo sync-sheets.js:
+//   GET  /v4/spreadsheets/:id/values/:range
+//   POST /v4/spreadsheets/:id/values:batchUpdate
+//
+// A planilha fica em memória, carregada de um CSV/XLSX local. Uso:
+//   node scripts/sheets-api-stub.js tags.csv [--port 8089] [--sheet Sheet1]
+//   GOOGLE_SHEETS_API_URL=http://localhost:8089/ \
+//     node sync-sheets.js sync --spreadsheet-id stub --write-back
+
+const fs = require('fs');
+const http = require('http');
+const { parseArgs } = require('util');
+const { readSpreadsheetBuffer } = require('../lib/sheetSources');
+const { columnToIndex } = require('../lib/sheetWriteBack');
+
+/**
+ * "Aba!B2:D10" → { sheet, startRow, startCol, endRow, endCol } (índices 0)
+ */
+function parseA1(range, defaultSheet) {
+  const bang = range.lastIndexOf('!');
+  const sheet = bang >= 0 ? range.slice(0, bang).replace(/^'|'$/g, '') : defaultSheet;
+  const [from, to = from] = range.slice(bang + 1).split(':');
+
+  const cell = ref => {
+    const match = /^([A-Za-z]*)(\d*)$/.exec(ref) || [];
+    return {
+      col: match[1] ? columnToIndex(match[1]) : null,
+      row: match[2] ? parseInt(match[2]) - 1 : null
+    };
+  };
+
+  const start = cell(from);
+  const end = cell(to);
+
+  return {
+    sheet,
+    startRow: start.row ?? 0,
+    startCol: start.col ?? 0,
+    endRow: end.row ?? Infinity,
+    endCol: end.col ?? Infinity
+  };
+}
+
+/**
+ * Cria o servidor do stub
+ * sheets = { NomeDaAba: [[...linha], ...] } (alterado em memória)
+ */
+function createSheetsApiStub(sheets) {
+  const defaultSheet = Object.keys(sheets)[0];
+  const requests = [];
+
+  function readRange(range) {
+    const { sheet, startRow, startCol, endRow, endCol } = parseA1(range, defaultSheet);
+    const grid = sheets[sheet];
+    if (!grid) return null;
+
+    const values = [];
+    for (let r = startRow; r < Math.min(grid.length, endRow + 1); r++) {
+      const row = (grid[r] || []).slice(startCol, endCol === Infinity ? undefined : endCol + 1);
+      while (row.length > 0 && (row[row.length - 1] === '' || row[row.length - 1] === undefined)) row.pop();
+      values.push(row.map(v => (v === undefined ? '' : String(v))));
+    }
+
+    // Como a API: linhas vazias no fim não são devolvidas
+    while (values.length > 0 && values[values.length - 1].length === 0) values.pop();
+    return values;
+  }
+
+  function writeRange(range, values) {
+    const { sheet, startRow, startCol } = parseA1(range, defaultSheet);
+    const grid = sheets[sheet];
+    if (!grid) return false;
+
+    values.forEach((row, i) => {
+      grid[startRow + i] = grid[startRow + i] || [];
+      row.forEach((value, j) => { grid[startRow + i][startCol + j] = value; });
+    });
+    return true;
+  }
+
+  function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname });
+
+      const batchMatch = /^\/v4\/spreadsheets\/([^/]+)\/values:batchUpdate$/.exec(url.pathname);
+      if (req.method === 'POST' && batchMatch) {
+        const { data = [] } = JSON.parse(body || '{}');
+        for (const item of data) {
+          if (!writeRange(item.range, item.values)) {
+            return send(res, 400, { error: { code: 400, message: `Unable to parse range: ${item.range}` } });
+          }
+        }
+        return send(res, 200, {
+          spreadsheetId: decodeURIComponent(batchMatch[1]),
+          totalUpdatedRows: data.reduce((n, item) => n + item.values.length, 0)
+        });
+      }
+
+      const getMatch = /^\/v4\/spreadsheets\/([^/]+)\/values\/(.+)$/.exec(url.pathname);
+      if (req.method === 'GET' && getMatch) {
+        const range = decodeURIComponent(getMatch[2]);
+        const values = readRange(range);
+        if (!values) {
+          return send(res, 400, { error: { code: 400, message: `Unable to parse range: ${range}` } });
+        }
+        return send(res, 200, { range, majorDimension: 'ROWS', ...(values.length ? { values } : {}) });
+      }
+
+      send(res, 404, { error: { code: 404, message: 'Not found' } });
+    });
+  });
+
+  server.sheets = sheets;
+  server.requests = requests;
+  return server;
+}
+
+// ========================================
+// EXECUTAR
+// ========================================
+if (require.main === module) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      port: { type: 'string', default: process.env.SHEETS_STUB_PORT || '8089' },
+      sheet: { type: 'string', default: 'Sheet1' }
+    }
+  });
+
+  if (!positionals[0]) {
+    console.error('Uso: node scripts/sheets-api-stub.js <arquivo.csv|xlsx> [--port 8089] [--sheet Sheet1]');
+    process.exit(2);
+  }
+
+  const rows = readSpreadsheetBuffer(fs.readFileSync(positionals[0]));
+  const server = createSheetsApiStub({ [values.sheet]: rows });
+
+  server.listen(parseInt(values.port), () => {
+    console.log(`🧪 Stub da API do Sheets em http://localhost:${values.port}/ (${rows.length} linhas em ${values.sheet})`);
+  });
+
+  process.on('SIGINT', () => {
+    console.log('\n📋 Planilha final:');
+    for (const row of server.sheets[values.sheet]) console.log((row || []).join(' | '));
+    process.exit(0);
+  });
+}
+
+module.exports = { createSheetsApiStub };
@@ -1,436 +1,319 @@
 const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
-const crypto = require('crypto');
 require('dotenv').config();
 
+const sdm = require('./lib/sdm');
+const { Product, ProductError, normalizeUID, createProduct } = require('./lib/products');
+const { getScanContext, verifyProduct } = require('./lib/verification');
+const Scan = require('./models/Scan');
+const Alert = require('./models/Alert');
+const { login, authenticateAdmin, requireRole } = require('./lib/adminAuth');
+const adminUsersRoutes = require('./routes/adminUsers');
+const adminProductsRoutes = require('./routes/adminProducts');
+const adminImportRoutes = require('./routes/adminImport');
+const adminRecallsRoutes = require('./routes/adminRecalls');
+const adminSyncRoutes = require('./routes/adminSync');
+const adminAnalyticsRoutes = require('./routes/adminAnalytics');
+const adminWebhooksRoutes = require('./routes/adminWebhooks');
+const webhooks = require('./lib/webhooks');
+const verifyPageRoutes = require('./routes/verifyPage');
+const { recordAudit } = require('./lib/audit');
+const { languageMiddleware, translate, apiError } = require('./lib/i18n');
+const { rateLimit } = require('./lib/rateLimit');
+const { configureTrustProxy, getClientIP } = require('./lib/clientIP');
+const { logger, requestContext } = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const health = require('./lib/health');
+
 const app = express();
+configureTrustProxy(app); // 🆕 req.ip = cliente real atrás dos proxies confiáveis (TRUST_PROXY)
 
 // ========================================
 // MIDDLEWARES
 // ========================================
-app.use(cors());
+// 🆕 Primeiro: X-Request-Id e log JSON de cada requisição (lib/logger.js),
+// duração por rota para o Prometheus (lib/metrics.js)
+app.use(requestContext);
+app.use(metrics.httpMetrics);
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After'] }));
 app.use(express.json());
+app.use(languageMiddleware); // 🆕 req.lang: ?lang, body.lang ou Accept-Language
 
-// 🆕 Middleware de log detalhado
+// 🆕 Durante o encerramento, conexões keep-alive são fechadas ao fim da
+// resposta para o servidor conseguir parar (ver shutdown)
 app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path}`);
+  if (health.isShuttingDown()) res.set('Connection', 'close');
   next();
 });
 
 // ========================================
-// CONECTAR AO MONGODB
+// ENDPOINT: VERIFICAR PRODUTO
 // ========================================
-mongoose.connect(process.env.MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-}).then(() => {
-  console.log('✅ Conectado ao MongoDB!');
-}).catch((err) => {
-  console.error('❌ Erro ao conectar MongoDB:', err);
-  process.exit(1); // 🆕 Encerra se MongoDB falhar
+// O fluxo (SUN/SDM, contador, recolhimento, clonagem) fica em
+// lib/verification.js, compartilhado com a página pública /v/:uid
+// 🆕 Rate limit por IP aqui; por UID e por UIDs inexistentes no fluxo
+const verifyIpLimit = rateLimit({
+  policies: [{ name: 'verifyIp', key: getClientIP }],
+  onLimit: (req, res, info) => res.status(429).json({
+    success: false,
+    authentic: false,
+    ...apiError(req, 'RATE_LIMITED', { seconds: info.retryAfter }),
+    retryAfter: info.retryAfter
+  })
 });
 
-// ========================================
-// SCHEMA DO PRODUTO
-// ========================================
-const ProductSchema = new mongoose.Schema({
-  nfcUID: { type: String, required: true, unique: true, index: true }, // 🆕 index
-  productId: { type: String, required: true, unique: true },
-  productName: String,
-  batchNumber: String,
-  manufacturingDate: Date,
-  manufacturingDateTime: Date, // 🆕 campo adicional
-  expiryDate: Date,
-  manufacturingLocation: String,
-  secretKey: String,
-  scanCount: { type: Number, default: 0 },
-  isActive: { type: Boolean, default: true },
-  syncedFromSheets: { type: Boolean, default: false },
-  scans: [{
-    timestamp: { type: Date, default: Date.now },
-    location: String,
-    ipAddress: String, // 🆕 rastrear IP
-    userAgent: String  // 🆕 rastrear dispositivo
-  }],
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now } // 🆕 campo de atualização
-});
+app.post('/api/verify-product', verifyIpLimit, async (req, res) => {
+  try {
+    const { uid, picc_data: piccData, cmac } = req.body || {};
+    const { status, body, retryAfter } = await verifyProduct(
+      { uid, piccData, cmac },
+      getScanContext(req),
+      req.lang,
+      { clientIP: getClientIP(req) }
+    );
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    res.status(status).json(body);
 
-// 🆕 Middleware para atualizar updatedAt
-ProductSchema.pre('save', function(next) {
-  this.updatedAt = new Date();
-  next();
+  } catch (error) {
+    logger.error('Erro interno na verificação', { error });
+    res.status(500).json({
+      success: false,
+      authentic: false,
+      ...apiError(req, 'INTERNAL_ERROR')
+    });
+  }
 });
 
-const Product = mongoose.model('Product', ProductSchema);
+// 🆕 Página pública de verificação (link gravado na tag)
+app.use('/v', verifyPageRoutes);
 
 // ========================================
-// 🆕 FUNÇÕES AUXILIARES
+// 🆕 ROTAS ADMIN (autenticadas)
 // ========================================
+// Login é a única rota admin pública; todas as demais passam por
+// authenticateAdmin e exigem um papel mínimo (viewer < operator < admin)
+// 🆕 Rate limit por IP antes da autenticação (força bruta de senha, token
+// ou chave legada); o login tem uma política própria, mais rígida
+app.use('/api/admin', rateLimit({ policies: [{ name: 'admin', key: getClientIP }] }));
+app.post('/api/admin/login', rateLimit({ policies: [{ name: 'adminLogin', key: getClientIP }] }), login);
+app.use('/api/admin', authenticateAdmin);
+app.use('/api/admin', adminUsersRoutes);
+app.use('/api/admin/products', adminImportRoutes);
+app.use('/api/admin/products', adminProductsRoutes);
+app.use('/api/admin', adminRecallsRoutes);
+app.use('/api/admin/sync', adminSyncRoutes);
+app.use('/api/admin/analytics', adminAnalyticsRoutes); // 🆕 JSON ou CSV (?format=csv)
+app.use('/api/admin/webhooks', adminWebhooksRoutes); // 🆕
 
-/**
- * 🆕 Valida se o UID tem formato válido (hex, 14 ou 20 caracteres)
- */
-function isValidUID(uid) {
-  if (!uid) return false;
-  const normalized = uid.replace(/[:\s-]/g, '').toUpperCase().trim();
-  const hexPattern = /^[0-9A-F]{14,20}$/;
-  return hexPattern.test(normalized);
-}
-
-/**
- * 🆕 Detecta padrão suspeito de clonagem
- */
-function detectClonePattern(scans) {
-  if (scans.length < 2) return { suspicious: false };
-  
-  // Verificar múltiplos scans em curto período (< 1 minuto)
-  const recentScans = scans.filter(scan => {
-    const timeDiff = Date.now() - new Date(scan.timestamp).getTime();
-    return timeDiff < 60000; // 1 minuto
-  });
-  
-  if (recentScans.length > 5) {
-    return { suspicious: true, reason: 'Múltiplos scans em menos de 1 minuto' };
-  }
-  
-  // Verificar IPs muito diferentes em 24h
-  const last24h = scans.filter(scan => {
-    const timeDiff = Date.now() - new Date(scan.timestamp).getTime();
-    return timeDiff < 86400000; // 24 horas
-  });
-  
-  const uniqueIPs = [...new Set(last24h.map(s => s.ipAddress).filter(Boolean))];
-  if (uniqueIPs.length > 10) {
-    return { suspicious: true, reason: 'Muitos IPs diferentes em 24h' };
-  }
-  
-  return { suspicious: false };
-}
-
-// ========================================
-// ENDPOINT: VERIFICAR PRODUTO
-// ========================================
-app.post('/api/verify-product', async (req, res) => {
-  const startTime = Date.now(); // 🆕 medir tempo de resposta
-  
+// ENDPOINT: Registrar novo produto (Admin)
+app.post('/api/admin/register-product', requireRole('operator'), async (req, res) => {
   try {
-    const { uid, signature, counter } = req.body;
-    
-    // 🆕 Validação de entrada
-    if (!uid) {
-      console.log('❌ Erro: UID não fornecido');
-      return res.status(400).json({
-        success: false,
-        authentic: false,
-        error: 'UID da tag NFC é obrigatório',
-        details: 'Por favor, forneça o UID do produto.'
-      });
-    }
-    
-    // 🆕 Validar formato do UID
-    if (!isValidUID(uid)) {
-      console.log(`❌ Erro: UID inválido - ${uid}`);
-      return res.status(400).json({
-        success: false,
-        authentic: false,
-        error: 'Formato de UID inválido',
-        details: 'O UID fornecido não está no formato correto.'
-      });
-    }
-
-    // Normalizar UID - remover ":" e espaços
-    const normalizedUID = uid.replace(/[:\s]/g, '').toUpperCase();
-    console.log(`🔍 Buscando produto com UID: ${normalizedUID}`); // 🆕 log melhorado
+    const { nfcUID, productData } = req.body || {};
+
+    // 🆕 UID normalizado/validado e chave AES-128 da tag (SDMFileReadKey)
+    // gerada e guardada criptografada em lib/products.js
+    const { product: newProduct, secretKey } = await createProduct(
+      { ...productData, nfcUID },
+      { key: 'generate', updatedBy: req.admin.username, syncedFromSheets: false }
+    );
+
+    await recordAudit(req.admin, {
+      action: 'product.create',
+      entity: 'Product',
+      entityId: newProduct._id,
+      nfcUID: newProduct.nfcUID
+    });
 
-    // Buscar produto
-    const product = await Product.findOne({ nfcUID: normalizedUID });
-    
-    if (!product) {
-      console.log(`❌ UID não encontrado no banco: ${normalizedUID}`); // 🆕 log
-      return res.status(404).json({
-        success: false,
-        authentic: false,
-        error: 'Tag NFC não registrada no sistema Make Beauty',
-        details: 'Este produto não foi encontrado em nossa base de dados. Verifique se a tag foi registrada corretamente.'
-      });
-    }
+    logger.info('Produto registrado', { productId: newProduct.productId, admin: req.admin.username });
 
-    console.log(`✅ Produto encontrado: ${product.productName} (${product.productId})`); // 🆕 log
+    res.json({
+      success: true,
+      code: 'PRODUCT_REGISTERED',
+      message: translate('PRODUCT_REGISTERED', req.lang),
+      productId: newProduct.productId,
+      secretKey // 🆕 retornar apenas na criação (gravar na tag)
+    });
 
-    if (!product.isActive) {
-      console.log(`⚠️ Produto inativo: ${normalizedUID}`); // 🆕 log
-      return res.status(403).json({
+  } catch (error) {
+    if (error instanceof ProductError) {
+      return res.status(error.code === 'TAG_ALREADY_REGISTERED' ? 409 : 400).json({
         success: false,
-        authentic: false,
-        error: 'Produto foi bloqueado ou recolhido',
-        details: 'Este produto foi marcado como inativo em nosso sistema. Entre em contato com o suporte.'
+        ...apiError(req, error.code)
       });
     }
 
-    // Validar assinatura (pular validação para UIDs de DEMO e produtos da planilha)
-    const isDemoUID = normalizedUID.includes('AABBCCDDDEEFF') || 
-                      normalizedUID.includes('112233445566') ||
-                      normalizedUID.includes('DEMO'); // 🆕 adicional
-    const isFromSheets = product.syncedFromSheets === true;
-    
-    // 🆕 Log melhorado
-    console.log(`🔐 Tipo de validação:`);
-    console.log(`   - Demo UID: ${isDemoUID}`);
-    console.log(`   - Sincronizado do Sheets: ${isFromSheets}`);
-    
-    if (!isDemoUID && !isFromSheets && signature && product.secretKey) {
-      const expectedSignature = crypto
-        .createHmac('sha256', product.secretKey)
-        .update(`${uid}:${counter}`)
-        .digest('hex');
-
-      if (signature !== expectedSignature) {
-        console.log(`❌ Assinatura inválida para UID: ${normalizedUID}`); // 🆕 log
-        return res.status(403).json({
-          success: false,
-          authentic: false,
-          error: 'Assinatura criptográfica inválida',
-          details: 'A assinatura digital desta tag não confere. Produto possivelmente falsificado.'
-        });
-      }
-      console.log(`✅ Assinatura validada com sucesso`); // 🆕 log
-    } else {
-      console.log(`ℹ️ Validação de assinatura pulada (produto do Sheets ou Demo)`); // 🆕 log
-    }
-
-    // Validar contador (pular validação para produtos da planilha e DEMO)
-    if (!isDemoUID && !isFromSheets && counter) {
-      if (counter <= product.scanCount) {
-        console.log(`❌ Contador inválido para UID: ${normalizedUID}`); // 🆕 log
-        return res.status(403).json({
-          success: false,
-          authentic: false,
-          error: 'Contador de leituras inválido - tag possivelmente clonada',
-          details: 'O contador de verificações não está correto.'
-        });
-      }
-    }
-
-    // 🆕 Coletar informações do scan
-    const ipAddress = req.headers['x-forwarded-for'] || 
-                     req.headers['x-real-ip'] || 
-                     req.connection.remoteAddress || 
-                     req.socket.remoteAddress ||
-                     'Unknown';
-    
-    const userAgent = req.headers['user-agent'] || 'Unknown';
-    const location = req.body.location || 'Web';
-
-    // Atualizar produto
-    product.scanCount = counter || (product.scanCount + 1); // 🆕 incrementa se counter não fornecido
-    product.scans.push({
-      timestamp: new Date(),
-      location: location,
-      ipAddress: ipAddress, // 🆕
-      userAgent: userAgent   // 🆕
+    logger.error('Erro ao registrar produto', { error });
+    res.status(500).json({
+      success: false,
+      ...apiError(req, 'PRODUCT_REGISTER_ERROR')
     });
+  }
+});
 
-    // 🆕 Detectar padrão de clonagem
-    const cloneCheck = detectClonePattern(product.scans);
-    if (cloneCheck.suspicious) {
-      console.log(`⚠️ ALERTA: Padrão suspeito detectado - ${cloneCheck.reason}`);
-    }
-
-    await product.save();
-
-    // Retornar sucesso
-    const ageInDays = product.manufacturingDate ? 
-      Math.floor((Date.now() - product.manufacturingDate.getTime()) / (1000 * 60 * 60 * 24)) : 
-      null;
-
-    const isExpired = product.expiryDate ? 
-      Date.now() > product.expiryDate.getTime() : 
-      false;
-
-    const status = isExpired ? 'Vencido' : 'Válido';
-
-    // 🆕 Tempo de resposta
-    const responseTime = Date.now() - startTime;
-
-    const response = {
-      success: true,
-      authentic: true,
-      product: {
-        productId: product.productId,
-        name: product.productName,
-        batchNumber: product.batchNumber,
-        manufacturingDate: product.manufacturingDate,
-        expiryDate: product.expiryDate,
-        manufacturingLocation: product.manufacturingLocation,
-        ageInDays: ageInDays,
-        scanCount: product.scanCount,
-        isFirstScan: product.scanCount === 1,
-        status: status,
-        isExpired: isExpired // 🆕
-      },
-      verification: { // 🆕 informações adicionais
-        timestamp: new Date().toISOString(),
-        responseTimeMs: responseTime,
-        suspicious: cloneCheck.suspicious || false
-      }
-    };
-
-    // 🆕 Log de sucesso detalhado
-    console.log(`✅ VALIDAÇÃO CONCLUÍDA: ${product.productName}`);
-    console.log(`   Scan #${product.scanCount} | Status: ${status} | Tempo: ${responseTime}ms`);
+// 🆕 ENDPOINT: Listar alertas de clonagem (Admin)
+app.get('/api/admin/alerts', requireRole('viewer'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const filter = {};
 
-    if (cloneCheck.suspicious) {
-      response.warning = cloneCheck.reason;
-    }
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.uid) filter.nfcUID = normalizeUID(req.query.uid);
 
-    res.json(response);
+    const [alerts, total] = await Promise.all([
+      Alert.find(filter).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Alert.countDocuments(filter)
+    ]);
 
+    res.json({ success: true, page, limit, total, alerts });
   } catch (error) {
-    console.error('❌ ERRO INTERNO:', error);
+    logger.error('Erro ao listar alertas', { error });
     res.status(500).json({
       success: false,
-      authentic: false,
-      error: 'Erro interno do servidor',
-      details: 'Ocorreu um erro ao processar sua solicitação. Tente novamente em instantes.'
+      ...apiError(req, 'ALERTS_LIST_ERROR')
     });
   }
 });
 
-// ENDPOINT: Registrar novo produto (Admin)
-app.post('/api/admin/register-product', async (req, res) => {
+// 🆕 ENDPOINT: Atualizar status de um alerta (Admin)
+app.patch('/api/admin/alerts/:id', requireRole('operator'), async (req, res) => {
   try {
-    const { adminKey, nfcUID, productData } = req.body;
+    const { status, note } = req.body || {};
 
-    // Validar chave admin
-    if (!adminKey || adminKey !== process.env.ADMIN_SECRET_KEY) {
-      console.log('❌ Tentativa de acesso admin com chave inválida'); // 🆕 log
-      return res.status(403).json({
+    if (!Alert.STATUSES.includes(status)) {
+      return res.status(400).json({
         success: false,
-        error: 'Chave de administrador inválida'
+        ...apiError(req, 'ALERT_STATUS_INVALID', { allowed: Alert.STATUSES.join(', ') })
       });
     }
 
-    // 🆕 Normalizar e validar UID
-    const normalizedUID = nfcUID.replace(/[:\s]/g, '').toUpperCase();
-    
-    if (!isValidUID(normalizedUID)) {
-      return res.status(400).json({
+    const update = { status, updatedAt: new Date() };
+    if (note !== undefined) update.note = note;
+    if (status === 'acknowledged') update.acknowledgedAt = new Date();
+    if (status === 'resolved') update.resolvedAt = new Date();
+
+    const alert = mongoose.isValidObjectId(req.params.id)
+      ? await Alert.findByIdAndUpdate(req.params.id, update, { new: true })
+      : null;
+
+    if (!alert) {
+      return res.status(404).json({
         success: false,
-        error: 'Formato de UID inválido'
+        ...apiError(req, 'ALERT_NOT_FOUND')
       });
     }
 
-    // Verificar se já existe
-    const exists = await Product.findOne({ nfcUID: normalizedUID });
-    if (exists) {
+    logger.info('Alerta atualizado', { alertId: alert._id, status, admin: req.admin.username });
+    res.json({ success: true, alert });
+  } catch (error) {
+    // Reabrir um alerta resolvido com outro já em andamento para o produto
+    if (error.code === 11000) {
       return res.status(409).json({
         success: false,
-        error: 'Tag NFC já registrada no sistema'
+        ...apiError(req, 'ALERT_ALREADY_OPEN')
       });
     }
-
-    // Gerar chave secreta
-    const secretKey = crypto.randomBytes(32).toString('hex');
-
-    // Criar produto
-    const newProduct = new Product({
-      nfcUID: normalizedUID, // 🆕 usar UID normalizado
-      ...productData,
-      secretKey: crypto.createHash('sha256').update(secretKey).digest('hex'),
-      syncedFromSheets: false // 🆕 explícito
-    });
-
-    await newProduct.save();
-
-    console.log(`✅ Novo produto registrado: ${newProduct.productId}`); // 🆕 log
-
-    res.json({
-      success: true,
-      message: 'Produto registrado com sucesso!',
-      productId: newProduct.productId,
-      secretKey: secretKey // 🆕 retornar apenas na criação
-    });
-
-  } catch (error) {
-    console.error('❌ Erro ao registrar produto:', error);
+    logger.error('Erro ao atualizar alerta', { error });
     res.status(500).json({
       success: false,
-      error: 'Erro ao registrar produto'
+      ...apiError(req, 'ALERT_UPDATE_ERROR')
     });
   }
 });
 
 // ENDPOINT DE DEBUG - Ver dados do produto
-app.get('/api/debug/product/:uid', async (req, res) => {
-  try {
-    const normalizedUID = req.params.uid.replace(/[:\s]/g, '').toUpperCase();
-    const product = await Product.findOne({ nfcUID: normalizedUID });
-    
-    if (!product) {
-      return res.json({ 
-        found: false, 
-        searchedUID: normalizedUID, // 🆕 mostrar UID buscado
-        message: 'Produto não encontrado no banco de dados'
+// 🆕 Só com NODE_ENV=development: sem autenticação e expõe dados internos.
+// Em produção use o inspetor admin (GET /api/admin/products/:uid/inspect).
+const DEBUG_ENDPOINTS = process.env.NODE_ENV === 'development';
+
+if (DEBUG_ENDPOINTS) {
+  app.get('/api/debug/product/:uid', async (req, res) => {
+    try {
+      const normalizedUID = normalizeUID(req.params.uid);
+      const product = await Product.findOne({ nfcUID: normalizedUID });
+
+      if (!product) {
+        return res.json({ 
+          found: false, 
+          searchedUID: normalizedUID, // 🆕 mostrar UID buscado
+          message: 'Produto não encontrado no banco de dados'
+        });
+      }
+
+      const [totalScans, lastScan] = await Promise.all([
+        Scan.countDocuments({ productId: product._id }),
+        Scan.findOne({ productId: product._id }).sort({ timestamp: -1 })
+      ]);
+
+      // Retornar TODOS os campos (exceto secretKey completa)
+      res.json({
+        found: true,
+        uid: product.nfcUID,
+        productId: product.productId,
+        productName: product.productName,
+        batchNumber: product.batchNumber,
+        manufacturingDate: product.manufacturingDate,
+        manufacturingDateTime: product.manufacturingDateTime,
+        expiryDate: product.expiryDate,
+        manufacturingLocation: product.manufacturingLocation,
+        syncedFromSheets: product.syncedFromSheets,
+        hasSecretKey: !!(product.encryptedKey || product.secretKey),
+        scanCount: product.scanCount,
+        totalScans,
+        lastScan, // 🆕 último scan
+        isActive: product.isActive,
+        createdAt: product.createdAt,
+        updatedAt: product.updatedAt // 🆕
       });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
-    
-    // Retornar TODOS os campos (exceto secretKey completa)
-    res.json({
-      found: true,
-      uid: product.nfcUID,
-      productId: product.productId,
-      productName: product.productName,
-      batchNumber: product.batchNumber,
-      manufacturingDate: product.manufacturingDate,
-      manufacturingDateTime: product.manufacturingDateTime,
-      expiryDate: product.expiryDate,
-      manufacturingLocation: product.manufacturingLocation,
-      syncedFromSheets: product.syncedFromSheets,
-      hasSecretKey: !!product.secretKey,
-      scanCount: product.scanCount,
-      totalScans: product.scans?.length || 0,
-      lastScan: product.scans?.length > 0 ? product.scans[product.scans.length - 1] : null, // 🆕 último scan
-      isActive: product.isActive,
-      createdAt: product.createdAt,
-      updatedAt: product.updatedAt // 🆕
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  });
+}
+
+// 🆕 ENDPOINT: Métricas no formato do Prometheus (METRICS_TOKEN opcional)
+app.get('/metrics', metrics.metricsHandler);
+
+// 🆕 ENDPOINT: Liveness (processo respondendo; não consulta o banco)
+app.get('/livez', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// 🆕 ENDPOINT: Readiness (MongoDB, índices e última sincronização; ver lib/health.js)
+app.get('/readyz', async (req, res) => {
+  const result = await health.readiness();
+  res.status(result.ready ? 200 : 503).json({
+    status: result.status,
+    timestamp: new Date().toISOString(),
+    checks: result.checks
+  });
 });
 
 // 🆕 ENDPOINT: Health Check
+// 🆕 Contagens em cache (HEALTH_COUNTS_TTL_SECONDS); sem MongoDB responde
+// 503 "degraded" sem consultar
 app.get('/health', async (req, res) => {
   try {
-    // Verificar conexão MongoDB
     const dbState = mongoose.connection.readyState;
-    const dbStatus = {
-      0: 'Disconnected',
-      1: 'Connected',
-      2: 'Connecting',
-      3: 'Disconnecting'
-    };
-    
-    // Contar produtos
-    const totalProducts = await Product.countDocuments();
-    const activeProducts = await Product.countDocuments({ isActive: true });
-    
-    res.json({
-      status: 'online',
+    const connected = dbState === 1;
+    const counts = connected ? await health.getProductCounts() : {};
+
+    res.status(connected ? 200 : 503).json({
+      status: connected ? 'online' : 'degraded',
       timestamp: new Date().toISOString(),
       database: {
-        status: dbStatus[dbState],
-        connected: dbState === 1,
-        totalProducts,
-        activeProducts
+        status: health.DB_STATES[dbState],
+        connected,
+        totalProducts: counts.totalProducts,
+        activeProducts: counts.activeProducts,
+        countedAt: counts.countedAt
       },
       uptime: process.uptime(),
       version: '2.0.0'
     });
   } catch (error) {
+    logger.error('Erro no health check', { error });
     res.status(500).json({
       status: 'error',
       error: error.message
@@ -446,9 +329,21 @@ app.get('/', (req, res) => {
     version: '2.0.0', // 🆕
     endpoints: {
       verify: 'POST /api/verify-product',
+      verifyPage: 'GET /v/:uid', // 🆕 página pública
+      login: 'POST /api/admin/login', // 🆕
       register: 'POST /api/admin/register-product',
-      debug: 'GET /api/debug/product/:uid', // 🆕
-      health: 'GET /health' // 🆕
+      products: 'GET /api/admin/products', // 🆕
+      recalls: 'GET /api/admin/recalls', // 🆕
+      syncRuns: 'GET /api/admin/sync/runs',
+      analytics: 'GET /api/admin/analytics/scans/timeseries', // 🆕
+      webhooks: 'GET /api/admin/webhooks', // 🆕
+      alerts: 'GET /api/admin/alerts', // 🆕
+      inspect: 'GET /api/admin/products/:uid/inspect', // 🆕
+      debug: DEBUG_ENDPOINTS ? 'GET /api/debug/product/:uid' : undefined, // 🆕 só em development
+      metrics: 'GET /metrics', // 🆕 Prometheus
+      health: 'GET /health', // 🆕
+      livez: 'GET /livez', // 🆕
+      readyz: 'GET /readyz' // 🆕
     }
   });
 });
@@ -457,48 +352,151 @@ app.get('/', (req, res) => {
 app.use((req, res) => {
   res.status(404).json({
     success: false,
-    error: 'Endpoint não encontrado',
+    ...apiError(req, 'ENDPOINT_NOT_FOUND'),
     availableEndpoints: [
       'POST /api/verify-product',
+      'GET /v/:uid',
+      'POST /api/admin/login',
       'POST /api/admin/register-product',
-      'GET /api/debug/product/:uid',
-      'GET /health'
+      'GET /api/admin/products',
+      'POST /api/admin/products/bulk-import',
+      'GET /api/admin/products/bulk-import/keys/:token',
+      'GET /api/admin/products/:uid',
+      'GET /api/admin/products/:uid/inspect',
+      'PATCH /api/admin/products/:uid',
+      'POST /api/admin/products/:uid/status',
+      'DELETE /api/admin/products/:uid',
+      'GET /api/admin/recalls',
+      'GET /api/admin/batches/:batchNumber',
+      'POST /api/admin/batches/:batchNumber/recall',
+      'POST /api/admin/batches/:batchNumber/reactivate',
+      'GET /api/admin/sync/runs',
+      'GET /api/admin/sync/runs/:id',
+      'POST /api/admin/sync/runs/:id/rollback',
+      'GET /api/admin/sync/quarantine',
+      'PATCH /api/admin/sync/quarantine/:id',
+      'GET /api/admin/analytics/scans/timeseries',
+      'GET /api/admin/analytics/scans/first-vs-repeat',
+      'GET /api/admin/analytics/scans/breakdown',
+      'GET /api/admin/analytics/products/time-to-first-scan',
+      'GET /api/admin/analytics/tags/suspicious',
+      'GET /api/admin/webhooks',
+      'POST /api/admin/webhooks',
+      'PATCH /api/admin/webhooks/:id',
+      'DELETE /api/admin/webhooks/:id',
+      'POST /api/admin/webhooks/:id/rotate-secret',
+      'POST /api/admin/webhooks/:id/test',
+      'GET /api/admin/webhooks/:id/deliveries',
+      'GET /api/admin/webhooks/deliveries/:deliveryId',
+      'POST /api/admin/webhooks/deliveries/:deliveryId/replay',
+      'GET /api/admin/alerts',
+      'PATCH /api/admin/alerts/:id',
+      ...(DEBUG_ENDPOINTS ? ['GET /api/debug/product/:uid'] : []),
+      'GET /metrics',
+      'GET /health',
+      'GET /livez',
+      'GET /readyz'
     ]
   });
 });
 
 // 🆕 Tratamento de erros global
 app.use((err, req, res, next) => {
-  console.error('❌ ERRO NÃO TRATADO:', err);
+  logger.error('Erro não tratado', { error: err });
   res.status(500).json({
     success: false,
-    error: 'Erro interno do servidor',
+    ...apiError(req, 'INTERNAL_ERROR'),
     message: process.env.NODE_ENV === 'development' ? err.message : undefined
   });
 });
 
-// Iniciar servidor
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log('\n' + '='.repeat(50));
-  console.log('🚀 SERVIDOR TRUETOUCH™ V2.0 INICIADO');
-  console.log('='.repeat(50));
-  console.log(`📡 Porta: ${PORT}`);
-  console.log(`🌐 URL: http://localhost:${PORT}`);
-  console.log(`🗄️  MongoDB: ${mongoose.connection.readyState === 1 ? '✅ Conectado' : '⏳ Conectando...'}`);
-  console.log(`🔐 Admin Key: ${process.env.ADMIN_SECRET_KEY ? '✅ Configurada' : '❌ NÃO CONFIGURADA'}`);
-  console.log('='.repeat(50) + '\n');
-});
+// ========================================
+// INICIAR SERVIDOR
+// ========================================
+// O app é exportado sem conexão nem porta aberta (usado pelos testes em
+// tests/); "node server.js" conecta ao MongoDB e começa a escutar.
+//
+// 🆕 Encerramento (SIGTERM/SIGINT): /readyz passa a 503, a porta para de
+// aceitar conexões, as requisições em andamento (verificações) terminam,
+// os webhooks em envio são aguardados e só então o MongoDB é fechado.
+// SHUTDOWN_TIMEOUT_MS (padrão 10000) limita a espera; estourou, sai com 1.
 
-// 🆕 Tratamento de sinais de encerramento
-process.on('SIGTERM', async () => {
-  console.log('📡 Sinal SIGTERM recebido. Encerrando gracefully...');
-  await mongoose.connection.close();
-  process.exit(0);
-});
+/**
+ * Conecta ao MongoDB e abre a porta HTTP
+ */
+function start() {
+  mongoose.connect(process.env.MONGODB_URI).then(() => {
+    logger.info('Conectado ao MongoDB');
+    webhooks.startDeliveryWorker(); // 🆕 novas tentativas de webhooks pendentes
+  }).catch((err) => {
+    logger.error('Erro ao conectar MongoDB', { error: err });
+    process.exit(1); // 🆕 Encerra se MongoDB falhar
+  });
 
-process.on('SIGINT', async () => {
-  console.log('\n📡 Sinal SIGINT recebido. Encerrando gracefully...');
-  await mongoose.connection.close();
-  process.exit(0);
-});
+  const PORT = process.env.PORT || 3000;
+  const server = app.listen(PORT, () => {
+    const config = {
+      port: Number(PORT),
+      mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'connecting',
+      adminJwt: Boolean(process.env.ADMIN_JWT_SECRET),
+      adminLegacyKey: process.env.ADMIN_LEGACY_KEY_ENABLED === 'true',
+      keyEncryptionKey: Boolean(process.env.KEY_ENCRYPTION_KEY),
+      sdmMetaReadKey: Boolean(sdm.getMetaReadKey())
+    };
+    logger.info('Servidor TrueTouch iniciado', config);
+
+    if (!config.adminJwt) logger.warn('ADMIN_JWT_SECRET não configurado');
+    if (!config.keyEncryptionKey) logger.warn('KEY_ENCRYPTION_KEY não configurada');
+    if (!config.sdmMetaReadKey) logger.warn('SDM_META_READ_KEY não configurada');
+    if (config.adminLegacyKey) logger.warn('Admin Key legada habilitada (descontinuada)');
+  });
+
+  // 🆕 Tratamento de sinais de encerramento
+  process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+  process.on('SIGINT', () => shutdown(server, 'SIGINT'));
+
+  return server;
+}
+
+/**
+ * Encerramento gracioso: drena as requisições, depois fecha o banco
+ */
+async function shutdown(server, signal) {
+  if (health.isShuttingDown()) return;
+  health.setShuttingDown();
+
+  const timeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+  logger.info('Sinal recebido, encerrando', { signal, timeoutMs });
+
+  const timer = setTimeout(() => {
+    logger.error('Encerramento excedeu o tempo limite, saindo', { timeoutMs });
+    process.exit(1);
+  }, timeoutMs);
+  timer.unref();
+
+  try {
+    webhooks.stopDeliveryWorker();
+
+    // Para de aceitar conexões; resolve quando as requisições em andamento terminam
+    await new Promise((resolve, reject) => {
+      server.close(err => (err ? reject(err) : resolve()));
+      server.closeIdleConnections();
+    });
+    logger.info('Requisições em andamento concluídas');
+
+    await webhooks.drain();
+    await mongoose.connection.close();
+    logger.info('Encerrado');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Erro no encerramento', { error });
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = app;
+module.exports.start = start;
@@ -3,471 +3,1146 @@
 // VERSÃO OTIMIZADA - À prova de falhas
 // ========================================
 
-const { google } = require('googleapis');
+const fs = require('fs');
 const mongoose = require('mongoose');
-const crypto = require('crypto');
-require('dotenv').config();
+require('dotenv').config({ quiet: true }); // stdout limpo para --json
+
+const Product = require('./models/Product');
+const BatchRecall = require('./models/BatchRecall');
+const SyncRun = require('./models/SyncRun');
+const Scan = require('./models/Scan');
+const Alert = require('./models/Alert');
+const QuarantinedRow = require('./models/QuarantinedRow');
+const { diffFields, recordAudit } = require('./lib/audit');
+const { mapColumns, rowsToRecords, hasAnyValue, parseProductRow, validateProductRow } = require('./lib/sheetRows');
+const { normalizeUID, isValidUID, buildProductDocument } = require('./lib/products');
+const { createGoogleSheetsSource, createFileSource, watchDirectory } = require('./lib/sheetSources');
+const { OWNER, acquireLock, getLock } = require('./lib/lock');
+const { writeBackStatus } = require('./lib/sheetWriteBack');
+const { loadMappingConfig, resolveTabMapping } = require('./lib/sheetMapping');
+const webhooks = require('./lib/webhooks');
+const metrics = require('./lib/metrics');
 
 // ========================================
 // CONECTAR AO MONGODB
 // ========================================
-console.log('🔄 Conectando ao MongoDB...');
-
-mongoose.connect(process.env.MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-}).then(() => {
-  console.log('✅ Conectado ao MongoDB com sucesso!');
-}).catch((err) => {
-  console.error('❌ ERRO CRÍTICO: Falha ao conectar MongoDB:', err);
-  process.exit(1);
-});
+async function connectMongo() {
+  console.log('🔄 Conectando ao MongoDB...');
 
-// ========================================
-// SCHEMA DO PRODUTO
-// ========================================
-const ProductSchema = new mongoose.Schema({
-  nfcUID: { type: String, required: true, unique: true, index: true },
-  productId: { type: String, required: true },
-  productName: String,
-  batchNumber: String,
-  manufacturingDate: Date,
-  manufacturingDateTime: Date,
-  expiryDate: Date,
-  manufacturingLocation: String,
-  secretKey: String,
-  scanCount: { type: Number, default: 0 },
-  isActive: { type: Boolean, default: true },
-  scans: [],
-  createdAt: { type: Date, default: Date.now },
-  syncedFromSheets: { type: Boolean, default: true },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-const Product = mongoose.model('Product', ProductSchema);
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Conectado ao MongoDB com sucesso!');
+  } catch (err) {
+    console.error('❌ ERRO CRÍTICO: Falha ao conectar MongoDB:', err);
+    throw err;
+  }
+}
 
 // ========================================
-// FUNÇÕES AUXILIARES
+// LER DADOS DA FONTE (Google Sheets, XLSX ou CSV)
 // ========================================
+async function readSource(source) {
+  try {
+    const rows = await source.readRows();
+    
+    if (!rows || rows.length === 0) {
+      console.log('⚠️  Planilha vazia');
+      return [];
+    }
 
-/**
- * Normaliza UID removendo caracteres especiais
- */
-function normalizeUID(uid) {
-  if (!uid) return null;
-  return uid.replace(/[:\s-]/g, '').toUpperCase().trim();
+    // Primeira linha = cabeçalho
+    const headers = rows[0];
+    console.log('📋 Cabeçalhos encontrados:', headers);
+
+    // Descobrir quais colunas são quais (arquivo de mapeamento ou apelidos)
+    const mapping = source.mapping ? resolveTabMapping(headers, source.mapping) : null;
+    const columns = mapping ? mapping.columns : mapColumns(headers);
+
+    console.log(`\n🔍 Mapeamento de colunas${source.mapping ? ` (aba ${source.mapping.name})` : ''}:`);
+    console.log(`   UID: ${columns.UID || '❌ NÃO ENCONTRADA'}`);
+    console.log(`   Data/Hora: ${columns.Data_Hora || '⚠️  Opcional'}`);
+    console.log(`   Nome: ${columns.Nome || '⚠️  Opcional'}`);
+    console.log(`   Lote: ${columns.Lote || '⚠️  Opcional'}`);
+    console.log(`   Validade: ${columns.Validade || '⚠️  Opcional'}`);
+    console.log(`   Local: ${columns.Local || (source.mapping?.location ? `padrão da aba (${source.mapping.location})` : '⚠️  Opcional')}`);
+    for (const [attribute, header] of Object.entries(mapping ? mapping.attributes : {})) {
+      console.log(`   Atributo ${attribute}: ${header}`);
+    }
+    if (mapping && mapping.ignored.length > 0) {
+      console.log(`   Ignoradas: ${mapping.ignored.join(', ')}`);
+    }
+    console.log('');
+
+    if (mapping && mapping.errors.length > 0) {
+      const error = new Error(`Aba "${source.mapping.name}": ${mapping.errors.join('; ')}`);
+      error.tabErrors = mapping.errors.map(message => `Aba "${source.mapping.name}": ${message}`);
+      throw error;
+    }
+
+    if (!columns.UID) {
+      console.error('❌ ERRO: Coluna UID não encontrada!');
+      return [];
+    }
+
+    // Converter linhas em objetos (linhas totalmente vazias são ignoradas;
+    // linhas sem UID seguem para a validação, que as rejeita)
+    const data = rowsToRecords(rows, mapping).records.filter(hasAnyValue);
+
+    return data;
+  } catch (error) {
+    console.error(`❌ Erro ao ler ${source.label}:`, error.message);
+    throw error;
+  }
 }
 
 /**
- * Normaliza cabeçalhos de colunas
+ * Lê uma planilha do Google Sheets
  */
-function normalizeHeader(header) {
-  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+async function readGoogleSheet(spreadsheetId, range = 'Sheet1!A:E') {
+  return readSource(createGoogleSheetsSource({ spreadsheetId, range }));
 }
 
-/**
- * Encontra coluna por múltiplos nomes possíveis
- */
-function findColumn(headers, possibleNames) {
-  const normalizedHeaders = headers.map(h => ({
-    original: h,
-    normalized: normalizeHeader(h)
-  }));
 
-  for (const name of possibleNames) {
-    const normalized = normalizeHeader(name);
-    const found = normalizedHeaders.find(h => h.normalized === normalized);
-    if (found) return found.original;
-  }
-  
-  return null;
-}
+// Campos que a planilha controla (comparados a cada execução)
+const SYNCED_FIELDS = ['productName', 'batchNumber', 'manufacturingDateTime', 'expiryDate'];
+
+const SYNC_ACTOR = 'system:sync-sheets';
+
+// Local usado quando a linha não tem coluna de local e a aba não define um
+const DEFAULT_LOCATION = process.env.SYNC_DEFAULT_LOCATION || 'São Paulo, Brasil';
 
 /**
- * Converte string de data para objeto Date
- * Aceita múltiplos formatos
+ * Compara o produto existente com os valores da planilha
+ * Retorna a lista de campos alterados [{ field, before, after }]
+ *
+ * Local e atributos só são comparados quando a planilha os informa;
+ * atributos aparecem como "attributes.<nome>".
  */
-function parseDate(dateString, isExpiry = false) {
-  if (!dateString || dateString.trim() === '') return null;
-
-  const trimmed = dateString.trim();
+function diffProduct(existingProduct, parsed, location) {
+  const fields = diffFields(existingProduct, parsed, SYNCED_FIELDS);
 
-  // Formato ISO: YYYY-MM-DD HH:MM:SS
-  if (trimmed.match(/^\d{4}-\d{2}-\d{2}/)) {
-    const parts = trimmed.split(' ');
-    const datePart = parts[0];
-    const timePart = parts[1] || '00:00:00';
-    
-    const [year, month, day] = datePart.split('-');
-    const [hour, minute, second] = timePart.split(':');
-    
-    return new Date(
-      parseInt(year),
-      parseInt(month) - 1,
-      parseInt(day),
-      parseInt(hour || 0),
-      parseInt(minute || 0),
-      parseInt(second || 0)
-    );
+  if (location && existingProduct.manufacturingLocation !== location) {
+    fields.push({ field: 'manufacturingLocation', before: existingProduct.manufacturingLocation, after: location });
   }
 
-  // Formato: dd/mm/yyyy HH:mm:ss ou dd/mm/yyyy
-  if (trimmed.includes('/')) {
-    const parts = trimmed.split(' ');
-    const datePart = parts[0];
-    const timePart = parts[1] || '00:00:00';
-    
-    const dateSplit = datePart.split('/');
-    
-    if (dateSplit.length === 3) {
-      // dd/mm/yyyy
-      const [day, month, year] = dateSplit;
-      const [hour, minute, second] = timePart.split(':');
-      
-      return new Date(
-        parseInt(year),
-        parseInt(month) - 1,
-        parseInt(day),
-        parseInt(hour || 0),
-        parseInt(minute || 0),
-        parseInt(second || 0)
-      );
-    } else if (dateSplit.length === 2) {
-      // MM/AA ou MM/AAAA (validade)
-      let [month, year] = dateSplit;
-      
-      if (year.length === 2) {
-        year = '20' + year;
-      }
-      
-      // Último dia do mês
-      const lastDay = new Date(parseInt(year), parseInt(month), 0).getDate();
-      
-      return new Date(
-        parseInt(year),
-        parseInt(month) - 1,
-        lastDay,
-        23, 59, 59
-      );
+  for (const [attribute, value] of Object.entries(parsed.attributes)) {
+    const before = existingProduct.attributes?.get(attribute) ?? null;
+    if (before !== value) {
+      fields.push({ field: `attributes.${attribute}`, before, after: value });
     }
   }
-  
-  // Fallback: tentar parse direto
-  const parsed = new Date(dateString);
-  if (!isNaN(parsed.getTime())) {
-    return parsed;
-  }
-  
-  return null;
+
+  return fields;
 }
 
-// ========================================
-// CONFIGURAR GOOGLE SHEETS API
-// ========================================
-async function getGoogleSheetsClient() {
-  const auth = new google.auth.GoogleAuth({
-    keyFile: './credentials.json',
-    scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
+/**
+ * Abre o registro da execução (somente execuções aplicadas)
+ */
+function startSyncRun(source, trigger, invalidRows) {
+  return SyncRun.create({
+    source: source.label,
+    sourceType: source.type,
+    trigger,
+    invalidRows,
+    status: 'running',
+    owner: OWNER
   });
+}
+
+/**
+ * Fecha o registro da execução com contagens e erros
+ */
+async function finishSyncRun(run, { novos, atualizados, erros, total, rowErrors, rejections, failure }) {
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  run.status = failure ? 'failed' : 'completed';
+  run.counts = { novos, atualizados, erros, rejeitados: rejections.length, total };
+  run.rowErrors = rowErrors.slice(0, SyncRun.MAX_ERRORS);
+  run.rejections = rejections.slice(0, SyncRun.MAX_ERRORS);
+  if (failure) run.failure = failure;
+  await run.save();
+  metrics.recordSyncRun(run);
 
-  const client = await auth.getClient();
-  const sheets = google.sheets({ version: 'v4', auth: client });
-  
-  return sheets;
+  // Aguardado: o processo pode encerrar logo depois. Falhas de entrega
+  // ficam pendentes e o worker do servidor tenta de novo.
+  await webhooks.emit(failure ? 'sync.failed' : 'sync.completed', {
+    runId: run._id,
+    source: run.source,
+    trigger: run.trigger,
+    status: run.status,
+    counts: run.counts,
+    durationMs: run.durationMs,
+    failure: run.failure
+  });
 }
 
 // ========================================
-// LER DADOS DO GOOGLE SHEETS
+// VALIDAÇÃO DAS LINHAS
 // ========================================
-async function readGoogleSheet(spreadsheetId, range = 'Sheet1!A:E') {
-  try {
-    const sheets = await getGoogleSheetsClient();
-    
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range,
-    });
+// Política para linhas inválidas (--invalid-rows / SYNC_INVALID_ROWS):
+//   reject     (padrão) rejeita e lista no relatório; nada é gravado da linha
+//   quarantine como reject, e guarda a linha em QuarantinedRow para revisão
+//   defaults   comportamento antigo: aplica valores padrão com aviso
+const INVALID_ROW_POLICIES = ['reject', 'quarantine', 'defaults'];
 
-    const rows = response.data.values;
-    
-    if (!rows || rows.length === 0) {
-      console.log('⚠️  Planilha vazia');
-      return [];
-    }
+/**
+ * Separa linhas válidas das rejeitadas
+ * Retorna { valid, rejections: [{ tab, row, nfcUID, reasons, data }] }
+ */
+function validateRows(data) {
+  const now = new Date();
+  const keyOf = row => (isValidUID(row.UID) ? normalizeUID(row.UID) : null);
+  const where = row => (row.tab ? `${row.tab.name}:${row.rowNumber}` : String(row.rowNumber));
 
-    // Primeira linha = cabeçalho
-    const headers = rows[0];
-    console.log('📋 Cabeçalhos encontrados:', headers);
+  // UID repetido (inclusive entre abas): nenhuma das ocorrências é aplicada,
+  // pois não há como saber qual está certa
+  const rowsByUID = new Map();
+  for (const row of data) {
+    const uid = keyOf(row);
+    if (uid) rowsByUID.set(uid, [...(rowsByUID.get(uid) || []), row]);
+  }
 
-    // Descobrir quais colunas são quais
-    const uidCol = findColumn(headers, ['UID', 'uid', 'Uid', 'ID', 'id']);
-    const dataCol = findColumn(headers, ['Data_Hora', 'DataHora', 'data_hora', 'Data', 'data', 'Fabricacao', 'fabricacao']);
-    const nomeCol = findColumn(headers, ['Nome', 'nome', 'Produto', 'produto', 'Descricao', 'descricao']);
-    const loteCol = findColumn(headers, ['Lote', 'lote', 'Batch', 'batch']);
-    const validadeCol = findColumn(headers, ['Validade', 'validade', 'Expiry', 'expiry', 'Vencimento', 'vencimento']);
-
-    console.log('\n🔍 Mapeamento de colunas:');
-    console.log(`   UID: ${uidCol || '❌ NÃO ENCONTRADA'}`);
-    console.log(`   Data/Hora: ${dataCol || '⚠️  Opcional'}`);
-    console.log(`   Nome: ${nomeCol || '⚠️  Opcional'}`);
-    console.log(`   Lote: ${loteCol || '⚠️  Opcional'}`);
-    console.log(`   Validade: ${validadeCol || '⚠️  Opcional'}\n`);
-
-    if (!uidCol) {
-      console.error('❌ ERRO: Coluna UID não encontrada!');
-      return [];
-    }
+  const valid = [];
+  const rejections = [];
 
-    const data = [];
+  for (const row of data) {
+    const reasons = validateProductRow(row, { now });
+    const uid = keyOf(row);
+    const sameUID = uid ? rowsByUID.get(uid) : [];
 
-    // Converter linhas em objetos
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      
-      const obj = {
-        UID: uidCol ? row[headers.indexOf(uidCol)] : null,
-        Data_Hora: dataCol ? row[headers.indexOf(dataCol)] : null,
-        Nome: nomeCol ? row[headers.indexOf(nomeCol)] : null,
-        Lote: loteCol ? row[headers.indexOf(loteCol)] : null,
-        Validade: validadeCol ? row[headers.indexOf(validadeCol)] : null
-      };
-      
-      if (obj.UID) {
-        data.push(obj);
-      }
+    if (sameUID.length > 1) {
+      const others = sameUID.filter(other => other !== row).map(where);
+      reasons.push({ code: 'DUPLICATE_UID', message: `UID repetido na planilha (linha${others.length > 1 ? 's' : ''} ${others.join(', ')})` });
     }
 
-    return data;
-  } catch (error) {
-    console.error('❌ Erro ao ler Google Sheets:', error.message);
-    throw error;
+    if (reasons.length === 0) {
+      valid.push(row);
+      continue;
+    }
+
+    const { rowNumber, tab, ...values } = row;
+    rejections.push({
+      tab: tab ? tab.name : undefined,
+      row: rowNumber,
+      nfcUID: uid || row.UID || null,
+      reasons,
+      data: values
+    });
   }
+
+  return { valid, rejections };
+}
+
+/**
+ * Guarda as linhas rejeitadas em quarentena e resolve as que voltaram a
+ * ser válidas (pendentes desta fonte que não apareceram nesta execução)
+ */
+async function quarantineRejections(source, run, rejections) {
+  const now = new Date();
+
+  for (const rejection of rejections) {
+    await QuarantinedRow.findOneAndUpdate(
+      {
+        source: source.label,
+        tab: rejection.tab || null,
+        rowKey: isValidUID(rejection.nfcUID) ? normalizeUID(rejection.nfcUID) : `linha:${rejection.row}`,
+        status: 'pending'
+      },
+      {
+        $set: {
+          row: rejection.row,
+          nfcUID: rejection.nfcUID,
+          data: rejection.data,
+          reasons: rejection.reasons,
+          lastSyncRunId: run._id,
+          lastSeenAt: now
+        },
+        $setOnInsert: { firstSyncRunId: run._id, firstSeenAt: now },
+        $inc: { occurrences: 1 }
+      },
+      { upsert: true }
+    );
+  }
+
+  const resolved = await QuarantinedRow.updateMany(
+    { source: source.label, status: 'pending', lastSyncRunId: { $ne: run._id } },
+    { $set: { status: 'resolved', resolvedAt: now, resolvedBy: SYNC_ACTOR } }
+  );
+
+  console.log(`🧪 Quarentena: ${rejections.length} linhas pendentes, ${resolved.modifiedCount} resolvidas`);
 }
 
 // ========================================
 // SINCRONIZAR COM MONGODB
 // ========================================
-async function syncSheetsToMongoDB(spreadsheetId) {
+// options.dryRun = calcula tudo sem gravar nada no MongoDB
+// options.trigger = comando que disparou a execução (registrado no SyncRun)
+// options.invalidRows = reject | quarantine | defaults (ver VALIDAÇÃO)
+//
+// Execuções aplicadas gravam um SyncRun e, para cada produto criado ou
+// alterado, uma entrada no AuditLog com os valores antes/depois.
+//
+// Retorna { novos, atualizados, erros, rejeitados, total, changes, rejections,
+// runId }, onde changes lista por UID a ação (create/update) e os campos
+// alterados, e rejections as linhas reprovadas com número e motivos
+async function syncSheetsToMongoDB(source, options = {}) {
+  const { dryRun = false, trigger, invalidRows = 'reject' } = options;
+
+  if (!INVALID_ROW_POLICIES.includes(invalidRows)) {
+    throw new Error(`Política de linhas inválidas desconhecida: ${invalidRows} (use ${INVALID_ROW_POLICIES.join(', ')})`);
+  }
+
+  // Compatibilidade: um ID de planilha vira fonte Google Sheets
+  if (typeof source === 'string') {
+    source = createGoogleSheetsSource({ spreadsheetId: source, range: 'Sheet1!A:E' });
+  }
+
+  const run = dryRun ? null : await startSyncRun(source, trigger, invalidRows);
+  if (run) inProgress.run = run;
+
+  let novos = 0;
+  let atualizados = 0;
+  let erros = 0;
+  let total = 0;
+  const changes = [];
+  const rowErrors = [];
+  let rejections = [];
+
   try {
-    console.log('\n📊 Lendo Google Sheets...');
-    
-    const data = await readGoogleSheet(spreadsheetId, 'Sheet1!A:E');
+    console.log(`\n📊 Lendo ${source.label}...${dryRun ? ' (DRY-RUN: nada será gravado)' : ''}`);
+
+    // Com arquivo de mapeamento, cada aba é lida separadamente; erro de
+    // mapeamento em uma aba não impede as demais
+    const data = [];
+    for (const tabSource of source.tabs || [source]) {
+      try {
+        const records = await readSource(tabSource);
+        records.forEach(record => { record.tab = tabSource.mapping || null; });
+        data.push(...records);
+      } catch (error) {
+        if (!error.tabErrors) throw error;
+        for (const message of error.tabErrors) {
+          console.error(`❌ ${message}`);
+          rowErrors.push({ tab: tabSource.mapping.name, message });
+        }
+        erros++;
+      }
+    }
+    total = data.length;
     
-    console.log(`📋 Encontradas ${data.length} linhas válidas\n`);
+    console.log(`📋 Encontradas ${data.length} linhas com dados\n`);
 
     if (data.length === 0) {
       console.log('⚠️  Nenhum dado para sincronizar');
-      return { novos: 0, atualizados: 0, erros: 0 };
     }
 
-    let novos = 0;
-    let atualizados = 0;
-    let erros = 0;
+    // Validação estrita (exceto na política "defaults")
+    let rows = data;
+    if (invalidRows !== 'defaults') {
+      ({ valid: rows, rejections } = validateRows(data));
+
+      for (const rejection of rejections) {
+        const tab = rejection.tab ? ` (aba ${rejection.tab})` : '';
+        console.log(`🚫 Linha ${rejection.row}${tab} rejeitada: ${rejection.reasons.map(r => r.message).join('; ')}`);
+      }
+
+      if (invalidRows === 'quarantine' && !dryRun) {
+        await quarantineRejections(source, run, rejections);
+      }
+    }
 
-    for (const row of data) {
+    for (const row of rows) {
       try {
-        // Normalizar UID
-        const rawUID = row.UID;
-        const nfcUID = normalizeUID(rawUID);
+        // Normalizar UID e converter datas, lote e ID do produto
+        const parsed = parseProductRow(row);
         
-        if (!nfcUID) {
+        if (!parsed) {
           console.log('⚠️  Linha sem UID válido, pulando...');
           continue;
         }
 
-        const dataHora = row.Data_Hora;
-        const nomeProduto = row.Nome || 'Produto Make Beauty';
-        const lote = row.Lote;
-        const validade = row.Validade;
-        
-        // Converter data de fabricação
-        let manufacturingDateTime;
-        if (dataHora) {
-          manufacturingDateTime = parseDate(dataHora);
-        } else {
-          manufacturingDateTime = new Date();
-          console.log(`⚠️  UID ${nfcUID}: Sem data, usando data atual`);
-        }
-        
-        if (!manufacturingDateTime || isNaN(manufacturingDateTime.getTime())) {
-          console.log(`⚠️  Data inválida para ${nfcUID}: ${dataHora}`);
-          manufacturingDateTime = new Date();
+        const { nfcUID, productId, batchNumber, manufacturingDateTime, expiryDate, attributes } = parsed;
+        const nomeProduto = parsed.productName;
+        const location = parsed.manufacturingLocation || row.tab?.location || null;
+
+        for (const warning of parsed.warnings) {
+          console.log(`⚠️  UID ${nfcUID}: ${warning}`);
         }
 
-        // Converter data de validade
-        let expiryDate = null;
-        if (validade && validade.trim() !== '') {
-          expiryDate = parseDate(validade, true);
-          
-          if (expiryDate && !isNaN(expiryDate.getTime())) {
-            if (!validade.includes(':')) {
-              expiryDate.setHours(23, 59, 59);
-            }
-          } else {
-            console.log(`⚠️  ${nfcUID}: Validade inválida, calculando +2 anos`);
-            expiryDate = new Date(manufacturingDateTime);
-            expiryDate.setFullYear(expiryDate.getFullYear() + 2);
-          }
-        } else {
-          // Validade padrão: +2 anos
-          expiryDate = new Date(manufacturingDateTime);
-          expiryDate.setFullYear(expiryDate.getFullYear() + 2);
+        // Verificar se existe (excluídos pelo painel/rollback não voltam pela planilha)
+        const existingProduct = await Product.findOne({ nfcUID, deletedAt: null });
+        if (!existingProduct && await Product.exists({ nfcUID })) {
+          throw new Error('UID pertence a um produto excluído (a planilha não o recria nem altera)');
         }
 
-        // Gerar lote se não informado
-        const batchNumber = lote || ('LT' + manufacturingDateTime.toISOString().slice(0,10).replace(/-/g,''));
+        if (existingProduct) {
+          // Atualizar apenas se mudou
+          const fields = diffProduct(existingProduct, parsed, location);
+          
+          if (fields.length > 0) {
+            changes.push({ nfcUID, action: 'update', fields });
 
-        // ID do produto
-        const productId = `MB-${batchNumber}-${nfcUID}`;
+            if (!dryRun) {
+              // manufacturingDate acompanha a data/hora e também precisa voltar no rollback
+              const auditChanges = [...fields];
+              const manufacturingDate = new Date(manufacturingDateTime.toDateString());
+              if (existingProduct.manufacturingDate?.getTime() !== manufacturingDate.getTime()) {
+                auditChanges.push({ field: 'manufacturingDate', before: existingProduct.manufacturingDate, after: manufacturingDate });
+              }
+              // Produto cadastrado pelo painel passa a ser da planilha; o rollback devolve
+              if (existingProduct.syncedFromSheets !== true) {
+                auditChanges.push({ field: 'syncedFromSheets', before: existingProduct.syncedFromSheets ?? false, after: true });
+              }
 
-        // Chave secreta (mesmo que não seja usada)
-        const secretKey = crypto.randomBytes(32).toString('hex');
-        const secretKeyHash = crypto.createHash('sha256').update(secretKey).digest('hex');
+              for (const { field, after } of auditChanges) {
+                existingProduct.set(field, after);
+              }
+              existingProduct.updatedAt = new Date();
+              await existingProduct.save();
 
-        // Verificar se existe
-        const existingProduct = await Product.findOne({ nfcUID });
+              await recordAudit(SYNC_ACTOR, {
+                action: 'product.sync_update',
+                entity: 'Product',
+                entityId: existingProduct._id,
+                nfcUID,
+                batchNumber,
+                changes: auditChanges,
+                syncRunId: run._id,
+                syncRow: { tab: row.tab?.name, row: row.rowNumber }
+              });
+            }
 
-        if (existingProduct) {
-          // Atualizar apenas se mudou
-          let updated = false;
-          
-          if (existingProduct.productName !== nomeProduto) {
-            existingProduct.productName = nomeProduto;
-            updated = true;
-          }
-          
-          if (existingProduct.batchNumber !== batchNumber) {
-            existingProduct.batchNumber = batchNumber;
-            updated = true;
-          }
-          
-          if (existingProduct.manufacturingDateTime?.getTime() !== manufacturingDateTime.getTime()) {
-            existingProduct.manufacturingDateTime = manufacturingDateTime;
-            existingProduct.manufacturingDate = new Date(manufacturingDateTime.toDateString());
-            updated = true;
-          }
-          
-          if (existingProduct.expiryDate?.getTime() !== expiryDate?.getTime()) {
-            existingProduct.expiryDate = expiryDate;
-            updated = true;
-          }
-          
-          existingProduct.syncedFromSheets = true;
-          existingProduct.updatedAt = new Date();
-          
-          if (updated) {
-            await existingProduct.save();
             console.log(`🔄 Atualizado: ${nfcUID} - ${nomeProduto}`);
             atualizados++;
           } else {
             console.log(`✓ Sem alterações: ${nfcUID}`);
           }
         } else {
-          // Criar novo
-          const newProduct = new Product({
+          // Criar novo (chave placeholder: produto da planilha, sem SUN)
+          const { doc } = buildProductDocument({
             nfcUID,
             productId,
             productName: nomeProduto,
             batchNumber: batchNumber,
-            manufacturingDate: new Date(manufacturingDateTime.toDateString()),
             manufacturingDateTime,
             expiryDate,
-            manufacturingLocation: 'São Paulo, Brasil',
-            secretKey: secretKeyHash,
-            isActive: true,
-            syncedFromSheets: true
-          });
+            manufacturingLocation: location || DEFAULT_LOCATION,
+            attributes
+          }, { key: 'placeholder', syncedFromSheets: true });
+          const newProduct = new Product(doc);
 
-          await newProduct.save();
+          const fields = [...SYNCED_FIELDS, 'manufacturingLocation']
+            .map(field => ({ field, before: null, after: newProduct[field] }))
+            .concat(Object.entries(attributes).map(([attribute, value]) => ({ field: `attributes.${attribute}`, before: null, after: value })));
+          changes.push({ nfcUID, action: 'create', fields });
+
+          if (!dryRun) {
+            await newProduct.save();
+
+            await recordAudit(SYNC_ACTOR, {
+              action: 'product.sync_create',
+              entity: 'Product',
+              entityId: newProduct._id,
+              nfcUID,
+              batchNumber,
+              changes: fields,
+              syncRunId: run._id,
+              syncRow: { tab: row.tab?.name, row: row.rowNumber }
+            });
+          }
           
           console.log(`✅ Novo: ${nfcUID} - ${nomeProduto}`);
           console.log(`   Lote: ${batchNumber}`);
           console.log(`   Fabricação: ${manufacturingDateTime.toLocaleString('pt-BR')}`);
           console.log(`   Validade: ${expiryDate.toLocaleDateString('pt-BR')}`);
+          console.log(`   Local: ${newProduct.manufacturingLocation}`);
+
+          // O recolhimento vale pelo lote, então a tag nova já nasce recolhida
+          const recall = await BatchRecall.findActive(batchNumber);
+          if (recall) {
+            console.log(`   🚨 Lote ${batchNumber} está recolhido: verificação retornará o aviso de recolhimento`);
+          }
           
           novos++;
         }
 
       } catch (err) {
         console.error(`❌ Erro ao processar linha:`, err.message);
+        rowErrors.push({ row: row.rowNumber, nfcUID: row.UID, message: err.message });
         erros++;
       }
     }
 
     // Resumo
     console.log('\n' + '='.repeat(60));
-    console.log('📊 RESUMO DA SINCRONIZAÇÃO:');
+    console.log(`📊 RESUMO DA SINCRONIZAÇÃO${dryRun ? ' (DRY-RUN)' : ''}:`);
     console.log('='.repeat(60));
     console.log(`✅ Novos produtos: ${novos}`);
     console.log(`🔄 Atualizados: ${atualizados}`);
     console.log(`❌ Erros: ${erros}`);
+    if (invalidRows !== 'defaults') {
+      console.log(`🚫 Rejeitados: ${rejections.length}${invalidRows === 'quarantine' ? ' (em quarentena)' : ''}`);
+    }
     console.log(`📋 Total processado: ${data.length}`);
+    if (run) console.log(`🧾 Execução registrada: ${run._id}`);
     console.log('='.repeat(60) + '\n');
 
-    return { novos, atualizados, erros };
+    if (run) await finishSyncRun(run, { novos, atualizados, erros, total, rowErrors, rejections });
+
+    return {
+      novos,
+      atualizados,
+      erros,
+      rejeitados: rejections.length,
+      total,
+      changes,
+      rejections: rejections.map(({ data, ...rejection }) => rejection),
+      runId: run ? String(run._id) : null
+    };
 
   } catch (error) {
     console.error('❌ Erro na sincronização:', error);
+
+    if (run) {
+      await finishSyncRun(run, { novos, atualizados, erros, total, rowErrors, rejections, failure: error.message })
+        .catch(err => console.error('❌ Erro ao registrar falha da execução:', err.message));
+    }
+
     throw error;
+  } finally {
+    if (run) inProgress.run = null;
   }
 }
 
 // ========================================
-// EXECUTAR
+// STATUS PARA A PLANILHA (escrita de volta)
 // ========================================
-const SPREADSHEET_ID = process.env.GOOGLE_SHEETS_ID || process.argv[2];
 
-if (!SPREADSHEET_ID) {
-  console.error('❌ Erro: Forneça o ID da planilha');
-  console.log('Uso: node sync-sheets.js ID_DA_PLANILHA');
-  console.log('Ou configure GOOGLE_SHEETS_ID no .env');
-  process.exit(1);
+/**
+ * Situação atual de cada UID: leituras, última leitura, ativo/recolhido
+ * e alerta de clone em aberto. Retorna Map nfcUID → status
+ */
+async function getSheetStatus(uids) {
+  const statusByUID = new Map();
+  const CHUNK = 1000;
+
+  for (let start = 0; start < uids.length; start += CHUNK) {
+    const chunk = uids.slice(start, start + CHUNK);
+
+    const [products, scans, alerts] = await Promise.all([
+      Product.find({ nfcUID: { $in: chunk } }, { nfcUID: 1, isActive: 1, batchNumber: 1, deletedAt: 1, scanCount: 1 }),
+      // Só leituras aceitas: rejeitadas (assinatura, replay, throttled...) não são uso da tag
+      Scan.aggregate([
+        { $match: { nfcUID: { $in: chunk }, verdict: { $in: Scan.ACCEPTED_VERDICTS } } },
+        { $group: { _id: '$nfcUID', last: { $max: '$timestamp' } } }
+      ]),
+      Alert.find({ nfcUID: { $in: chunk }, status: { $in: ['open', 'acknowledged'] } }, { nfcUID: 1, status: 1, score: 1 })
+    ]);
+
+    const batches = [...new Set(products.map(p => p.batchNumber).filter(Boolean))];
+    const recalled = new Set();
+    for (const batchNumber of batches) {
+      if (await BatchRecall.findActive(batchNumber)) recalled.add(batchNumber);
+    }
+
+    const scansByUID = new Map(scans.map(s => [s._id, s]));
+    const alertByUID = new Map(alerts.map(a => [a.nfcUID, a]));
+
+    for (const product of products) {
+      const scan = scansByUID.get(product.nfcUID);
+      statusByUID.set(product.nfcUID, {
+        registered: true,
+        scanCount: product.scanCount || 0, // o mesmo número mostrado ao consumidor
+        lastScan: scan ? scan.last : null,
+        isActive: product.isActive,
+        deleted: Boolean(product.deletedAt),
+        recalled: recalled.has(product.batchNumber),
+        alert: alertByUID.get(product.nfcUID) || null
+      });
+    }
+  }
+
+  return statusByUID;
+}
+
+/**
+ * Fase de escrita de volta: falha aqui não desfaz a sincronização,
+ * apenas fica registrada no resultado e no SyncRun
+ */
+async function runWriteBack(source, { column, runId }) {
+  const writeBack = { rowsUpdated: 0, requests: 0 };
+  const errors = [];
+
+  for (const tabSource of source.tabs || [source]) {
+    const tabLabel = tabSource.mapping ? ` (aba ${tabSource.mapping.name})` : '';
+
+    try {
+      console.log(`✍️  Escrevendo status em ${tabSource.label}${tabLabel}...`);
+      const result = await writeBackStatus(tabSource, getSheetStatus, {
+        column: tabSource.mapping?.writeBackColumn || column
+      });
+      console.log(`✅ Status escrito: ${result.rowsUpdated} linhas (colunas a partir de ${result.column}, ${result.requests} requisições)`);
+
+      writeBack.rowsUpdated += result.rowsUpdated;
+      writeBack.requests += result.requests;
+      writeBack.column = result.column;
+    } catch (error) {
+      console.error(`❌ Erro ao escrever status na planilha${tabLabel}:`, error.message);
+      errors.push(`${tabLabel.trim()} ${error.message}`.trim());
+    }
+  }
+
+  if (errors.length > 0) writeBack.error = errors.join('; ');
+
+  if (runId) await SyncRun.updateOne({ _id: runId }, { $set: { writeBack } });
+  return writeBack;
 }
 
-console.log('\n🚀 SINCRONIZAÇÃO TRUETOUCH™');
-console.log('='.repeat(60));
-console.log(`📊 Planilha ID: ${SPREADSHEET_ID}`);
-console.log(`🔍 Procurando colunas: UID, Data_Hora, Nome, Lote, Validade`);
-console.log('='.repeat(60) + '\n');
-
-// Primeira sincronização
-syncSheetsToMongoDB(SPREADSHEET_ID)
-  .then((result) => {
-    console.log('✅ Sincronização inicial concluída!');
-  })
-  .catch((error) => {
-    console.error('❌ Falha na sincronização inicial:', error);
+// ========================================
+// LINHA DE COMANDO
+// ========================================
+// Uso: node sync-sheets.js <comando> [opções]
+//
+// Comandos:
+//   sync [--once]   sincroniza uma vez e encerra
+//   daemon          sincroniza agora e a cada --interval minutos
+//                   (com --watch PASTA, processa cada arquivo novo da pasta)
+//   dry-run         calcula novos/atualizados/erros e mostra, por UID, os
+//                   campos que seriam alterados, sem gravar
+//   diff            igual ao dry-run, com as alterações também no JSON
+//   status          mostra o lock e a situação dos produtos sincronizados
+//
+// Fonte (padrão: GOOGLE_SHEETS_ID):
+//   --spreadsheet-id ID   planilha do Google Sheets
+//   --range A1            intervalo no Google Sheets (padrão Sheet1!A:E)
+//   --sheet NOME          aba (Google Sheets ou XLSX)
+//   --file ARQUIVO        arquivo XLSX/CSV local, sem rede
+//   --watch PASTA         pasta vigiada (somente daemon)
+//   --mapping ARQUIVO     JSON com abas, intervalos e colunas → campos
+//                         (ver lib/sheetMapping.js; também SYNC_MAPPING_CONFIG)
+//
+// Escrita de volta (somente Google Sheets, sync/daemon):
+//   --write-back          após sincronizar, preenche colunas de status
+//                         (leituras, última leitura, situação, alerta de clone)
+//                         também ativada por SYNC_WRITEBACK=true
+//   --write-back-column C primeira coluna de status (padrão: após as lidas)
+//
+// Validação:
+//   --invalid-rows P      reject (padrão) | quarantine | defaults
+//                         (também SYNC_INVALID_ROWS; ver VALIDAÇÃO DAS LINHAS)
+//   --report ARQUIVO      grava as linhas rejeitadas em CSV (linha, UID, motivo)
+//
+// Métricas (somente daemon):
+//   --metrics-port N      serve GET /metrics (Prometheus) nesta porta
+//                         (também SYNC_METRICS_PORT)
+//
+// Saída:
+//   --json                resumo em JSON no stdout (logs vão para o stderr)
+//
+// Códigos de saída: 0 = ok, 1 = erros na sincronização, na escrita de status ou falha,
+//                   2 = uso inválido, 3 = outra sincronização em andamento,
+//                   4 = linhas rejeitadas pela validação
+//
+// Compatibilidade: "node sync-sheets.js ID_DA_PLANILHA" equivale a
+// "node sync-sheets.js daemon --spreadsheet-id ID_DA_PLANILHA".
+
+const { parseArgs } = require('util');
+
+const COMMANDS = ['sync', 'daemon', 'dry-run', 'diff', 'status'];
+
+const EXIT_OK = 0;
+const EXIT_SYNC_ERRORS = 1;
+const EXIT_USAGE = 2;
+const EXIT_LOCKED = 3;
+const EXIT_REJECTED = 4;
+
+const LOCK_NAME = SyncRun.LOCK_NAME;
+const LOCK_TTL_MS = SyncRun.STALE_AFTER_MS; // SYNC_LOCK_TTL_MINUTES (padrão 30), renovado durante a execução
+
+// Execução aplicada e lock deste processo, fechados pelos sinais de encerramento
+const inProgress = { run: null, release: null };
+
+class UsageError extends Error {}
+
+/**
+ * Interpreta comando e opções da linha de comando
+ */
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      once: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      'spreadsheet-id': { type: 'string' },
+      range: { type: 'string' },
+      sheet: { type: 'string' },
+      file: { type: 'string' },
+      watch: { type: 'string' },
+      mapping: { type: 'string' },
+      'invalid-rows': { type: 'string', default: process.env.SYNC_INVALID_ROWS || 'reject' },
+      report: { type: 'string' },
+      interval: { type: 'string' },
+      'write-back': { type: 'boolean', default: process.env.SYNC_WRITEBACK === 'true' },
+      'write-back-column': { type: 'string', default: process.env.SYNC_WRITEBACK_COLUMN },
+      'metrics-port': { type: 'string', default: process.env.SYNC_METRICS_PORT },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
   });
 
+  let command = positionals[0];
+
+  // Formato antigo: primeiro argumento é o ID da planilha
+  if (command && !COMMANDS.includes(command) && positionals.length === 1) {
+    values['spreadsheet-id'] = values['spreadsheet-id'] || command;
+    command = 'daemon';
+  }
+
+  if (!command && !values.help) command = 'daemon';
+
+  if (command && !COMMANDS.includes(command)) {
+    throw new UsageError(`Comando desconhecido: ${command}`);
+  }
+
+  return { command, options: values };
+}
+
+/**
+ * Monta a fonte de dados a partir das opções
+ */
+function buildSource(options) {
+  const mappingFile = options.mapping || process.env.SYNC_MAPPING_CONFIG;
+  if (mappingFile) {
+    let mappingConfig;
+    try {
+      mappingConfig = loadMappingConfig(mappingFile);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    return buildMappedSource(options, mappingConfig);
+  }
+
+  const filePath = options.file || process.env.SYNC_FILE;
+  if (filePath) {
+    return createFileSource({ filePath, sheetName: options.sheet });
+  }
+
+  const spreadsheetId = options['spreadsheet-id'] || process.env.GOOGLE_SHEETS_ID;
+  if (!spreadsheetId) {
+    throw new UsageError('Forneça --spreadsheet-id, --file ou configure GOOGLE_SHEETS_ID no .env');
+  }
+
+  const range = options.range || process.env.SYNC_RANGE ||
+                (options.sheet ? `${options.sheet}!A:E` : 'Sheet1!A:E');
+
+  return createGoogleSheetsSource({ spreadsheetId, range });
+}
+
+/**
+ * Fonte com várias abas, uma por entrada do arquivo de mapeamento
+ * Cada aba vira uma fonte própria com .mapping = configuração da aba
+ */
+function buildMappedSource(options, mappingConfig) {
+  const filePath = options.file || process.env.SYNC_FILE;
+  const spreadsheetId = options['spreadsheet-id'] || process.env.GOOGLE_SHEETS_ID || mappingConfig.spreadsheetId;
+
+  if (!filePath && !spreadsheetId) {
+    throw new UsageError('Forneça --spreadsheet-id, --file, GOOGLE_SHEETS_ID ou spreadsheetId no mapeamento');
+  }
+
+  const tabs = mappingConfig.tabs.map(tab => ({
+    ...(filePath
+      ? createFileSource({ filePath, sheetName: tab.name })
+      : createGoogleSheetsSource({ spreadsheetId, range: tab.range })),
+    mapping: tab
+  }));
+
+  return {
+    type: tabs[0].type,
+    label: `${tabs[0].label} [${tabs.map(t => t.mapping.name).join(', ')}]`,
+    tabs
+  };
+}
+
+/**
+ * Imprime ajuda de uso
+ */
+function printUsage() {
+  console.log('Uso: node sync-sheets.js <sync|daemon|dry-run|diff|status> [opções]');
+  console.log('  sync --once                 sincroniza uma vez e encerra');
+  console.log('  daemon [--interval MIN]     sincroniza periodicamente');
+  console.log('  daemon --watch PASTA        processa cada arquivo novo da pasta');
+  console.log('  dry-run                     resumo e diff por UID, sem gravar');
+  console.log('  diff                        campos alterados por UID, sem gravar');
+  console.log('  status                      lock e situação dos produtos sincronizados');
+  console.log('Fonte: --spreadsheet-id ID [--range A1] [--sheet ABA] | --file ARQUIVO');
+  console.log('Mapeamento: --mapping mapeamento.json (abas, intervalos, colunas e atributos)');
+  console.log('Validação: --invalid-rows reject|quarantine|defaults [--report rejeitadas.csv]');
+  console.log('Escrita de status: --write-back [--write-back-column H]');
+  console.log('Métricas (daemon): --metrics-port 9464');
+  console.log('Saída: --json');
+}
+
+/**
+ * Emite o resultado: JSON no stdout com --json, senão nada (o resumo já foi logado)
+ */
+function emitResult(options, result) {
+  if (options.json) {
+    process.stdout.write(JSON.stringify(result) + '\n');
+  }
+}
+
+/**
+ * Opções de execução vindas da linha de comando
+ */
+function syncOptions(options) {
+  return {
+    invalidRows: options['invalid-rows'],
+    writeBack: options['write-back'],
+    writeBackColumn: options['write-back-column']
+  };
+}
+
+/**
+ * Uma execução de sincronização protegida pelo lock
+ * Retorna o resultado, ou null se outra execução detém o lock
+ */
+async function runLockedSync(source, { dryRun = false, trigger, invalidRows, writeBack = false, writeBackColumn } = {}) {
+  const release = dryRun ? null : await acquireLock(LOCK_NAME, LOCK_TTL_MS);
+
+  if (!dryRun && !release) {
+    const lock = await getLock(LOCK_NAME);
+    console.log(`⏳ Sincronização já em andamento${lock ? ` (${lock.owner} desde ${lock.acquiredAt.toISOString()})` : ''}, pulando...`);
+    return null;
+  }
+
+  const startedAt = new Date();
+  inProgress.release = release;
+
+  try {
+    // Com o lock em mãos, execuções "running" de outros donos são de
+    // processos que perderam o lock (morreram ou travaram)
+    if (release) {
+      const { modifiedCount } = await SyncRun.markAbandoned(await getLock(LOCK_NAME), 'Processo encerrado sem finalizar a execução');
+      if (modifiedCount > 0) console.log(`🧹 ${modifiedCount} execução(ões) abandonada(s) marcada(s) como falha`);
+    }
+
+    const result = await syncSheetsToMongoDB(source, { dryRun, trigger, invalidRows });
+
+    let writeBackResult;
+    if (writeBack && !dryRun) {
+      writeBackResult = source.type === 'google'
+        ? await runWriteBack(source, { column: writeBackColumn, runId: result.runId })
+        : { skipped: 'Escrita de status só é suportada para Google Sheets' };
+    }
+
+    const finishedAt = new Date();
+
+    return {
+      source: source.label,
+      dryRun,
+      novos: result.novos,
+      atualizados: result.atualizados,
+      erros: result.erros,
+      rejeitados: result.rejeitados,
+      total: result.total,
+      changes: result.changes,
+      rejections: result.rejections,
+      runId: result.runId,
+      writeBack: writeBackResult,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt
+    };
+  } finally {
+    inProgress.release = null;
+    if (release) await release();
+  }
+}
+
+/**
+ * Grava o relatório de rejeições em CSV (uma linha por motivo)
+ */
+async function writeRejectionReport(filePath, rejections) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = ['aba,linha,uid,codigo,motivo'];
+  for (const rejection of rejections) {
+    for (const reason of rejection.reasons) {
+      lines.push([rejection.tab, rejection.row, rejection.nfcUID, reason.code, reason.message].map(escape).join(','));
+    }
+  }
+
+  await fs.promises.writeFile(filePath, lines.join('\n') + '\n', 'utf8');
+}
+
+/**
+ * Imprime o diff por UID
+ */
+function printDiff(changes) {
+  const format = value => (value instanceof Date ? value.toISOString() : JSON.stringify(value ?? null));
+
+  if (changes.length === 0) {
+    console.log('✓ Nenhuma diferença entre a planilha e o MongoDB');
+    return;
+  }
+
+  for (const change of changes) {
+    console.log(`${change.action === 'create' ? '➕' : '✏️ '} ${change.nfcUID} (${change.action})`);
+    for (const { field, before, after } of change.fields) {
+      console.log(`     ${field}: ${format(before)} → ${format(after)}`);
+    }
+  }
+}
+
 // ========================================
-// SINCRONIZAÇÃO AUTOMÁTICA
+// COMANDOS
 // ========================================
-const INTERVALO_MINUTOS = parseInt(process.env.SYNC_INTERVAL_MINUTES) || 2;
 
-console.log(`⏰ Modo automático ativado (a cada ${INTERVALO_MINUTOS} min)\n`);
+/**
+ * Código de saída de uma execução (null = lock ocupado por outro processo)
+ */
+function syncExitCode(result) {
+  if (!result) return EXIT_LOCKED;
+  if (result.erros > 0 || result.writeBack?.error) return EXIT_SYNC_ERRORS;
+  return result.rejeitados > 0 ? EXIT_REJECTED : EXIT_OK;
+}
+
+async function commandSync(options, { dryRun = false, diff = false } = {}) {
+  const source = buildSource(options);
+  const result = await runLockedSync(source, { dryRun, trigger: options.command, ...syncOptions(options) });
+
+  if (!result) {
+    emitResult(options, { command: options.command, locked: true });
+    return syncExitCode(result);
+  }
+
+  if (diff) printDiff(result.changes);
+
+  if (options.report) {
+    await writeRejectionReport(options.report, result.rejections);
+    console.log(`📄 Relatório de rejeições: ${options.report} (${result.rejections.length} linhas)`);
+  }
+
+  const { changes, ...summary } = result;
+  emitResult(options, { command: options.command, ...summary, ...(options.command === 'diff' ? { changes } : {}) });
+
+  return syncExitCode(result);
+}
+
+async function commandStatus(options) {
+  const [lock, total, active, lastUpdated] = await Promise.all([
+    getLock(LOCK_NAME),
+    Product.countDocuments({ syncedFromSheets: true }),
+    Product.countDocuments({ syncedFromSheets: true, isActive: true }),
+    Product.findOne({ syncedFromSheets: true }).sort({ updatedAt: -1 }).select('nfcUID updatedAt')
+  ]);
+
+  const status = {
+    command: 'status',
+    running: Boolean(lock),
+    lock: lock ? { owner: lock.owner, acquiredAt: lock.acquiredAt, expiresAt: lock.expiresAt } : null,
+    products: { total, active },
+    lastUpdated: lastUpdated ? { nfcUID: lastUpdated.nfcUID, updatedAt: lastUpdated.updatedAt } : null
+  };
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 STATUS DA SINCRONIZAÇÃO');
+  console.log('='.repeat(60));
+  console.log(`🔒 Em andamento: ${lock ? `sim (${lock.owner} desde ${lock.acquiredAt.toLocaleString('pt-BR')})` : 'não'}`);
+  console.log(`📦 Produtos sincronizados: ${total} (${active} ativos)`);
+  console.log(`🕒 Última alteração: ${lastUpdated ? `${lastUpdated.nfcUID} em ${lastUpdated.updatedAt.toLocaleString('pt-BR')}` : '-'}`);
+  console.log('='.repeat(60) + '\n');
+
+  emitResult(options, status);
+  return EXIT_OK;
+}
+
+/**
+ * Modo contínuo: não retorna; encerra pelos sinais
+ */
+async function commandDaemon(options) {
+  const watchDir = options.watch || process.env.SYNC_WATCH_DIR;
 
-setInterval(async () => {
-  const timestamp = new Date().toLocaleString('pt-BR');
-  console.log(`\n⏰ [${timestamp}] Executando sincronização agendada...`);
-  
+  // Contagens e durações das execuções (lib/metrics.js) para o Prometheus
+  if (options['metrics-port']) {
+    metrics.startMetricsServer(parseInt(options['metrics-port']));
+    console.log(`📈 Métricas em http://localhost:${options['metrics-port']}/metrics`);
+  }
+
+  if (watchDir) {
+    const INTERVALO_SEGUNDOS = parseInt(process.env.SYNC_WATCH_INTERVAL_SECONDS) || 10;
+    console.log(`👀 Vigiando ${watchDir} (a cada ${INTERVALO_SEGUNDOS}s)\n`);
+
+    watchDirectory(watchDir, {
+      intervalMs: INTERVALO_SEGUNDOS * 1000,
+      sheetName: options.sheet,
+      onFile: async (source) => {
+        const timestamp = new Date().toLocaleString('pt-BR');
+        console.log(`\n📥 [${timestamp}] Novo arquivo: ${source.label}`);
+
+        // Sem lock disponível, o arquivo vai para erros/ e pode ser reenviado
+        const result = await runLockedSync(source, { trigger: 'daemon', invalidRows: options['invalid-rows'] });
+        if (!result) throw new Error('Sincronização em andamento');
+        emitResult(options, { command: 'daemon', ...result, changes: undefined });
+      }
+    });
+    return new Promise(() => {});
+  }
+
+  const source = buildSource(options);
+  const INTERVALO_MINUTOS = parseInt(options.interval) || parseInt(process.env.SYNC_INTERVAL_MINUTES) || 2;
+  let running = false;
+
+  async function tick(label) {
+    // Sem sobreposição: se a execução anterior ainda roda, pula esta
+    if (running) {
+      console.log('⏳ Sincronização anterior ainda em andamento, pulando...');
+      return;
+    }
+
+    running = true;
+    try {
+      const result = await runLockedSync(source, { trigger: 'daemon', ...syncOptions(options) });
+      if (result) {
+        console.log(`✅ ${label} concluída!`);
+        emitResult(options, { command: 'daemon', ...result, changes: undefined });
+      }
+    } catch (error) {
+      console.error(`❌ Erro na ${label.toLowerCase()}:`, error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  console.log(`⏰ Modo automático ativado (a cada ${INTERVALO_MINUTOS} min)\n`);
+
+  // Primeira sincronização
+  await tick('Sincronização inicial');
+
+  setInterval(() => {
+    const timestamp = new Date().toLocaleString('pt-BR');
+    console.log(`\n⏰ [${timestamp}] Executando sincronização agendada...`);
+    tick('Sincronização agendada');
+  }, INTERVALO_MINUTOS * 60 * 1000);
+
+  return new Promise(() => {});
+}
+
+// ========================================
+// EXECUTAR
+// ========================================
+async function main(argv) {
+  let parsed;
   try {
-    await syncSheetsToMongoDB(SPREADSHEET_ID);
+    parsed = parseCommandLine(argv);
   } catch (error) {
-    console.error('❌ Erro na sincronização agendada:', error.message);
+    console.error(`❌ Erro: ${error.message}`);
+    printUsage();
+    return EXIT_USAGE;
+  }
+
+  const { command, options } = parsed;
+  options.command = command;
+
+  if (options.help) {
+    printUsage();
+    return EXIT_OK;
   }
-}, INTERVALO_MINUTOS * 60 * 1000);
+
+  // Com --json, o stdout fica reservado ao resultado
+  if (options.json) {
+    console.log = (...args) => console.error(...args);
+  }
+
+  console.log('\n🚀 SINCRONIZAÇÃO TRUETOUCH™');
+  console.log('='.repeat(60));
+  console.log(`⚙️  Comando: ${command}`);
+  console.log('='.repeat(60) + '\n');
+
+  try {
+    await connectMongo();
+
+    switch (command) {
+      case 'sync':
+        return await commandSync(options);
+      case 'dry-run':
+        return await commandSync(options, { dryRun: true, diff: true });
+      case 'diff':
+        return await commandSync(options, { dryRun: true, diff: true });
+      case 'status':
+        return await commandStatus(options);
+      case 'daemon':
+        return await commandDaemon(options);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ Erro: ${error.message}`);
+      printUsage();
+      return EXIT_USAGE;
+    }
+    console.error('❌ Falha na sincronização:', error);
+    return EXIT_SYNC_ERRORS;
+  }
+}
 
 // ========================================
 // TRATAMENTO DE SINAIS
 // ========================================
-process.on('SIGTERM', async () => {
-  console.log('\n📡 Sinal SIGTERM recebido. Encerrando...');
-  await mongoose.connection.close();
-  process.exit(0);
-});
+// Execução interrompida no meio: o registro é fechado como "failed" e o lock
+// liberado, para a próxima execução (e o rollback) não esperarem o TTL
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`\n📡 Sinal ${signal} recebido. Encerrando...`);
+
+  let exitCode = EXIT_OK;
+  try {
+    if (inProgress.run) {
+      exitCode = EXIT_SYNC_ERRORS;
+      await SyncRun.markInterrupted({ _id: inProgress.run._id }, `Interrompida pelo sinal ${signal}`);
+      console.log(`🧾 Execução ${inProgress.run._id} marcada como interrompida`);
+    }
+    if (inProgress.release) {
+      await inProgress.release();
+      console.log('🔓 Lock liberado');
+    }
+  } catch (error) {
+    console.error('❌ Erro ao encerrar a execução em andamento:', error.message);
+  }
 
-process.on('SIGINT', async () => {
-  console.log('\n📡 Sinal SIGINT recebido. Encerrando...');
   await mongoose.connection.close();
-  process.exit(0);
-});
+  process.exit(exitCode);
+}
+
+if (require.main === module) {
+  // Só na CLI: quem importa o módulo (testes, outros scripts) trata os
+  // próprios sinais
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  main(process.argv.slice(2)).then(async (exitCode) => {
+    await mongoose.connection.close();
+    process.exit(exitCode);
+  });
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_SYNC_ERRORS,
+  EXIT_USAGE,
+  EXIT_LOCKED,
+  EXIT_REJECTED,
+  main,
+  parseCommandLine,
+  syncExitCode,
+  syncSheetsToMongoDB,
+  validateRows,
+  readSource,
+  readGoogleSheet
+};
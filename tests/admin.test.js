@@ -0,0 +1,671 @@
+const { silenceLogs } = require('./helpers/env');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const app = require('../server');
+const AdminUser = require('../models/AdminUser');
+const AuditLog = require('../models/AuditLog');
+const Alert = require('../models/Alert');
+const BatchRecall = require('../models/BatchRecall');
+const Scan = require('../models/Scan');
+const SyncRun = require('../models/SyncRun');
+const Lock = require('../models/Lock');
+const keyVault = require('../lib/keyVault');
+const { hashPassword } = require('../lib/adminAuth');
+const { Product, createProduct } = require('../lib/products');
+const { syncSheetsToMongoDB } = require('../sync-sheets');
+const health = require('../lib/health');
+
+const PASSWORD = 'senha-de-teste-123';
+
+/**
+ * Cria o usuário e devolve o header Authorization já logado
+ */
+async function loginAs(role) {
+  await AdminUser.create({ username: role, passwordHash: await hashPassword(PASSWORD), role });
+  const res = await request(app).post('/api/admin/login').send({ username: role, password: PASSWORD });
+  expect(res.status).toBe(200);
+  return `Bearer ${res.body.token}`;
+}
+
+const register = (auth, body) => {
+  const req = request(app).post('/api/admin/register-product');
+  return (auth ? req.set('Authorization', auth) : req).send(body);
+};
+
+const productData = {
+  productName: 'Base Líquida',
+  batchNumber: 'L002',
+  manufacturingDate: '2025-04-01',
+  expiryDate: '2027-04-01'
+};
+
+beforeAll(async () => {
+  silenceLogs();
+  await db.connect();
+});
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('POST /api/admin/register-product', () => {
+  test('sem autenticação → 401', async () => {
+    const res = await register(null, { nfcUID: '04A1B2C3D4E5F6', productData });
+
+    expect(res.status).toBe(401);
+    expect(await Product.countDocuments()).toBe(0);
+  });
+
+  test('viewer não pode cadastrar → 403', async () => {
+    const auth = await loginAs('viewer');
+
+    const res = await register(auth, { nfcUID: '04A1B2C3D4E5F6', productData });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ code: 'AUTH_FORBIDDEN', error: 'Permissão insuficiente (requer operator)' });
+  });
+
+  test('mensagens de erro seguem o idioma pedido', async () => {
+    const res = await register(null, { nfcUID: '04A1B2C3D4E5F6', productData }).set('Accept-Language', 'en');
+
+    expect(res.body).toMatchObject({ code: 'AUTH_REQUIRED', error: 'Administrator authentication required' });
+  });
+
+  test('operator cadastra, recebe a chave da tag uma única vez e gera auditoria', async () => {
+    const auth = await loginAs('operator');
+
+    const res = await register(auth, { nfcUID: '04:a1:b2:c3:d4:e5:f6', productData });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, code: 'PRODUCT_REGISTERED', productId: 'MB-L002-04A1B2C3D4E5F6' });
+    expect(res.body.secretKey).toMatch(/^[0-9A-F]{32}$/);
+
+    const product = await Product.findOne({ nfcUID: '04A1B2C3D4E5F6' });
+    expect(product).toMatchObject({ productName: 'Base Líquida', updatedBy: 'operator', syncedFromSheets: false });
+    expect(keyVault.decryptTagKey(product.encryptedKey).toString('hex').toUpperCase()).toBe(res.body.secretKey);
+
+    const audit = await AuditLog.findOne({ action: 'product.create' });
+    expect(audit).toMatchObject({ actor: 'operator', nfcUID: '04A1B2C3D4E5F6' });
+  });
+
+  test('campos de estado em productData são ignorados', async () => {
+    const auth = await loginAs('operator');
+
+    await register(auth, { nfcUID: '04A1B2C3D4E5F6', productData: { ...productData, scanCount: 50, isActive: false } });
+
+    expect(await Product.findOne({ nfcUID: '04A1B2C3D4E5F6' })).toMatchObject({ scanCount: 0, isActive: true });
+  });
+
+  test('UID ausente ou inválido → 400', async () => {
+    const auth = await loginAs('operator');
+
+    for (const nfcUID of [undefined, 'XYZ']) {
+      const res = await register(auth, { nfcUID, productData });
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ code: 'UID_INVALID', error: 'Formato de UID inválido' });
+    }
+  });
+
+  test('UID já cadastrado → 409', async () => {
+    const auth = await loginAs('operator');
+    await register(auth, { nfcUID: '04A1B2C3D4E5F6', productData });
+
+    const res = await register(auth, { nfcUID: '04-A1-B2-C3-D4-E5-F6', productData });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('TAG_ALREADY_REGISTERED');
+    expect(await Product.countDocuments()).toBe(1);
+  });
+});
+
+describe('POST /api/admin/login - conta bloqueada', () => {
+  test('bloqueio só aparece para quem acerta a senha', async () => {
+    await AdminUser.create({
+      username: 'travada',
+      passwordHash: await hashPassword(PASSWORD),
+      role: 'viewer',
+      lockedUntil: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const wrong = await request(app).post('/api/admin/login').send({ username: 'travada', password: 'errada-123456' });
+    const right = await request(app).post('/api/admin/login').send({ username: 'travada', password: PASSWORD });
+
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.code).toBe('AUTH_INVALID_CREDENTIALS');
+    expect(right.status).toBe(423);
+  });
+
+  test('falhas simultâneas somam com $inc e bloqueiam a conta no limite', async () => {
+    const user = await AdminUser.create({ username: 'alvo', passwordHash: await hashPassword(PASSWORD), role: 'viewer' });
+    const attempt = password => request(app).post('/api/admin/login').send({ username: 'alvo', password });
+
+    // Abaixo do limite do IP (5); o login certo zera as falhas do IP e da conta
+    const wrong = await Promise.all([1, 2, 3, 4].map(n => attempt(`errada-${n}-123456`)));
+    expect(wrong.map(res => res.status)).toEqual([401, 401, 401, 401]);
+    expect((await AdminUser.findById(user._id)).failedLoginAttempts).toBe(4);
+
+    expect((await attempt(PASSWORD)).status).toBe(200);
+    expect((await AdminUser.findById(user._id)).failedLoginAttempts).toBe(0);
+
+    await AdminUser.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 4 } });
+    expect((await attempt('errada-5-123456')).status).toBe(401);
+
+    const locked = await AdminUser.findById(user._id);
+    expect(locked.failedLoginAttempts).toBe(0);
+    expect(locked.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect((await attempt(PASSWORD)).status).toBe(423);
+  });
+});
+
+describe('/api/admin/users - validação', () => {
+  test('sem corpo → 400; ID malformado → 404', async () => {
+    const auth = await loginAs('admin');
+
+    const create = await request(app).post('/api/admin/users').set('Authorization', auth);
+    const patch = await request(app).patch('/api/admin/users/abc').set('Authorization', auth).send({ role: 'viewer' });
+    const isActive = await request(app).patch('/api/admin/users/abc').set('Authorization', auth).send({ isActive: 'sim' });
+
+    expect(create.status).toBe(400);
+    expect(create.body.code).toBe('USERNAME_INVALID');
+    expect(patch.status).toBe(404);
+    expect(patch.body.code).toBe('USER_NOT_FOUND');
+    expect(isActive.status).toBe(400);
+    expect(isActive.body.code).toBe('IS_ACTIVE_REQUIRED');
+  });
+
+  test('senha curta → 400 com código do catálogo, traduzido', async () => {
+    const auth = await loginAs('admin');
+
+    const res = await request(app)
+      .post('/api/admin/users?lang=en')
+      .set('Authorization', auth)
+      .send({ username: 'nova', password: 'curta' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'PASSWORD_TOO_SHORT', error: 'Password must be at least 10 characters long' });
+  });
+});
+
+describe('POST /api/admin/products/bulk-import', () => {
+  test('auditoria de criação por tag; linhas vazias ignoradas', async () => {
+    const auth = await loginAs('operator');
+    const csv = 'UID,Lote\n04A1B2C3D4E5F6,L001\n,\n04A1B2C3D4E5F7,L001\n';
+
+    const res = await request(app)
+      .post('/api/admin/products/bulk-import')
+      .set('Authorization', auth)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ total: 2, created: 2, duplicate: 0, invalid: 0 });
+
+    const products = await Product.find().sort({ nfcUID: 1 });
+    const audits = await AuditLog.find({ action: 'product.create' }).sort({ nfcUID: 1 });
+    expect(audits.map(a => String(a.entityId))).toEqual(products.map(p => String(p._id)));
+    expect(audits[0]).toMatchObject({ actor: 'operator', nfcUID: '04A1B2C3D4E5F6', batchNumber: 'L001' });
+
+    const inspect = await request(app).get('/api/admin/products/04A1B2C3D4E5F6/inspect').set('Authorization', auth);
+    expect(inspect.body.provenance.created).toMatchObject({ action: 'product.create', actor: 'operator' });
+  });
+
+  test('arquivo de chaves escapa lote com vírgula e aspas', async () => {
+    const auth = await loginAs('operator');
+    const csv = 'UID,Lote\n04A1B2C3D4E5F6,"L,0""1"\n';
+
+    const res = await request(app)
+      .post('/api/admin/products/bulk-import')
+      .set('Authorization', auth)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+    const keys = await request(app).get(res.body.keysDownload.url).set('Authorization', auth);
+
+    const lines = keys.text.trim().split('\n');
+    expect(lines[0]).toBe('nfcUID,productId,secretKey');
+    expect(lines[1]).toMatch(/^04A1B2C3D4E5F6,"MB-L,0""1-04A1B2C3D4E5F6",[0-9A-F]{32}$/);
+    expect(lines).toHaveLength(2);
+  });
+});
+
+describe('/api/admin/products', () => {
+  const tag = (nfcUID, fields = {}) => createProduct({ ...productData, nfcUID, ...fields }, { key: 'placeholder' });
+
+  test('listagem: filtros por lote, nome, ativo, origem e validade; excluídos só com includeDeleted', async () => {
+    const auth = await loginAs('viewer');
+    await tag('04A1B2C3D4E5F6');
+    await tag('04A1B2C3D4E5F7', { batchNumber: 'L003', productName: 'Batom (Matte)', expiryDate: '2026-01-01' });
+    await createProduct({ ...productData, nfcUID: '04A1B2C3D4E5F8' }, { key: 'placeholder', syncedFromSheets: true });
+    const { product: inactive } = await tag('04A1B2C3D4E5F9');
+    await Product.updateOne({ _id: inactive._id }, { $set: { isActive: false } });
+    const { product: deleted } = await tag('04A1B2C3D4E5FA');
+    await Product.updateOne({ _id: deleted._id }, { $set: { deletedAt: new Date(), isActive: false } });
+
+    const list = async query => {
+      const res = await request(app).get('/api/admin/products').query(query).set('Authorization', auth);
+      expect(res.status).toBe(200);
+      return res.body.products.map(p => p.nfcUID).sort();
+    };
+
+    expect(await list({})).toEqual(['04A1B2C3D4E5F6', '04A1B2C3D4E5F7', '04A1B2C3D4E5F8', '04A1B2C3D4E5F9']);
+    expect(await list({ batch: 'L003' })).toEqual(['04A1B2C3D4E5F7']);
+    expect(await list({ name: 'batom (m' })).toEqual(['04A1B2C3D4E5F7']);
+    expect(await list({ active: 'false' })).toEqual(['04A1B2C3D4E5F9']);
+    expect(await list({ syncedFromSheets: 'true' })).toEqual(['04A1B2C3D4E5F8']);
+    expect(await list({ expiryTo: '2026-06-30' })).toEqual(['04A1B2C3D4E5F7']);
+    expect(await list({ includeDeleted: 'true', active: 'false' })).toEqual(['04A1B2C3D4E5F9', '04A1B2C3D4E5FA']);
+
+    const page = await request(app).get('/api/admin/products').query({ limit: 3, page: 2 }).set('Authorization', auth);
+    expect(page.body).toMatchObject({ page: 2, limit: 3, total: 4, pages: 2 });
+    expect(page.body.products).toHaveLength(1);
+    expect(page.body.products[0]).not.toHaveProperty('secretKey');
+
+    const badDate = await request(app).get('/api/admin/products').query({ expiryFrom: 'ontem' }).set('Authorization', auth);
+    expect(badDate.status).toBe(400);
+    expect(badDate.body.code).toBe('INVALID_DATE');
+  });
+
+  test('PATCH: altera campos permitidos com auditoria; troca de lote regenera o productId gerado', async () => {
+    const auth = await loginAs('operator');
+    await tag('04A1B2C3D4E5F6');
+    await tag('04A1B2C3D4E5F7', { productId: 'SKU-123' });
+    const patch = (uid, body) => request(app).patch(`/api/admin/products/${uid}`).set('Authorization', auth).send(body);
+
+    const res = await patch('04:a1:b2:c3:d4:e5:f6', { batchNumber: 'L020', expiryDate: '2027-06-01', reason: 'Lote digitado errado' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.changes.map(c => c.field)).toEqual(['batchNumber', 'expiryDate', 'productId']);
+    expect(res.body.product).toMatchObject({ batchNumber: 'L020', productId: 'MB-L020-04A1B2C3D4E5F6', updatedBy: 'operator' });
+    expect(await AuditLog.findOne({ action: 'product.update', nfcUID: '04A1B2C3D4E5F6' })).toMatchObject({
+      reason: 'Lote digitado errado',
+      changes: expect.arrayContaining([expect.objectContaining({ field: 'productId', before: 'MB-L002-04A1B2C3D4E5F6', after: 'MB-L020-04A1B2C3D4E5F6' })])
+    });
+
+    // productId informado no cadastro não é tocado
+    const custom = await patch('04A1B2C3D4E5F7', { batchNumber: 'L020' });
+    expect(custom.body.product.productId).toBe('SKU-123');
+
+    expect((await patch('04A1B2C3D4E5F6', { batchNumber: 'L020' })).body.changed).toBe(false);
+
+    const notEditable = await patch('04A1B2C3D4E5F6', { scanCount: 0, productId: 'X' });
+    expect(notEditable.status).toBe(400);
+    expect(notEditable.body.code).toBe('FIELDS_NOT_EDITABLE');
+
+    const badDate = await patch('04A1B2C3D4E5F6', { expiryDate: 'amanhã' });
+    expect(badDate.status).toBe(400);
+    expect(badDate.body.code).toBe('INVALID_DATE');
+
+    expect((await patch('04FFFFFFFFFFFF', { productName: 'X' })).status).toBe(404);
+  });
+
+  test('status: desativa com motivo e reativa; motivo e isActive obrigatórios', async () => {
+    const auth = await loginAs('operator');
+    await tag('04A1B2C3D4E5F6');
+    const setStatus = body => request(app).post('/api/admin/products/04A1B2C3D4E5F6/status').set('Authorization', auth).send(body);
+
+    expect((await setStatus({ isActive: 'false', reason: 'x' })).body.code).toBe('IS_ACTIVE_REQUIRED');
+    expect((await setStatus({ isActive: false, reason: ' ' })).body.code).toBe('REASON_REQUIRED');
+
+    const off = await setStatus({ isActive: false, reason: 'Tag danificada' });
+    expect(off.body).toMatchObject({ changed: true, product: { isActive: false, deactivationReason: 'Tag danificada' } });
+    expect((await setStatus({ isActive: false, reason: 'De novo' })).body.changed).toBe(false);
+
+    const on = await setStatus({ isActive: true, reason: 'Tag substituída' });
+    expect(on.body.product.isActive).toBe(true);
+    expect(on.body.product).not.toHaveProperty('deactivationReason');
+
+    const actions = (await AuditLog.find({ nfcUID: '04A1B2C3D4E5F6' }).sort({ timestamp: 1 })).map(e => e.action);
+    expect(actions).toEqual(['product.deactivate', 'product.activate']);
+  });
+
+  test('DELETE: exclusão lógica só para admin, com motivo', async () => {
+    const operator = await loginAs('operator');
+    const admin = await loginAs('admin');
+    const { product } = await tag('04A1B2C3D4E5F6');
+    const remove = (auth, body) => request(app).delete('/api/admin/products/04A1B2C3D4E5F6').set('Authorization', auth).send(body);
+
+    expect((await remove(operator, { reason: 'Duplicado' })).status).toBe(403);
+    expect((await remove(admin, {})).body.code).toBe('REASON_REQUIRED');
+
+    const res = await remove(admin, { reason: 'Duplicado' });
+    expect(res.status).toBe(200);
+    expect(await Product.findById(product._id)).toMatchObject({ isActive: false, deletedBy: 'admin', deactivationReason: 'Duplicado' });
+    expect((await Product.findById(product._id)).deletedAt).toBeInstanceOf(Date);
+
+    // Sai das rotas de produto (exceto inspect) e não é excluído de novo
+    expect((await request(app).get('/api/admin/products/04A1B2C3D4E5F6').set('Authorization', admin)).status).toBe(404);
+    expect((await remove(admin, { reason: 'Duplicado' })).status).toBe(404);
+    expect(await AuditLog.countDocuments({ action: 'product.delete', entityId: product._id })).toBe(1);
+  });
+});
+
+describe('POST /api/admin/batches/:batchNumber/recall', () => {
+  test('pedidos simultâneos → um recolhimento ativo, o outro 409', async () => {
+    const auth = await loginAs('operator');
+    const recall = () => request(app)
+      .post('/api/admin/batches/L009/recall')
+      .set('Authorization', auth)
+      .send({ reason: 'Contaminação', publicMessage: 'Não utilize este produto.' });
+
+    const responses = await Promise.all([recall(), recall(), recall()]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([201, 409, 409]);
+    expect(await BatchRecall.countDocuments({ batchNumber: 'L009', status: 'active' })).toBe(1);
+  });
+});
+
+describe('POST /api/admin/sync/runs/:id/rollback', () => {
+  test('execução "running" cujo dono detém o lock → 409; sem lock ou antiga sem dono pode ser desfeita', async () => {
+    const auth = await loginAs('admin');
+    await Lock.create({ _id: SyncRun.LOCK_NAME, owner: 'sync-a:1:aaaaaa', acquiredAt: new Date(), expiresAt: new Date(Date.now() + 60000) });
+    const [live, orphan, legacy] = await SyncRun.create([
+      // Mais velha que o TTL, mas o dono continua renovando o lock
+      { source: 'tags.xlsx', status: 'running', owner: 'sync-a:1:aaaaaa', startedAt: new Date(Date.now() - SyncRun.STALE_AFTER_MS - 60000) },
+      { source: 'tags.xlsx', status: 'running', owner: 'sync-b:1:bbbbbb' },
+      { source: 'tags.xlsx', status: 'running', startedAt: new Date(Date.now() - SyncRun.STALE_AFTER_MS - 60000) }
+    ]);
+    const rollback = run => request(app)
+      .post(`/api/admin/sync/runs/${run._id}/rollback`)
+      .set('Authorization', auth)
+      .send({ reason: 'Processo morto' });
+
+    expect((await rollback(live)).status).toBe(409);
+    expect((await rollback(orphan)).status).toBe(200);
+    expect((await rollback(legacy)).status).toBe(200);
+  });
+
+  const sheetSource = rows => ({
+    type: 'file',
+    label: 'arquivo tags.csv',
+    readRows: async () => [['UID', 'Nome', 'Lote', 'Data_Hora', 'Validade'], ...rows]
+  });
+  const sheetRow = ['04A1B2C3D4E5F6', 'Batom Matte', 'L010', '10/03/2025 08:00', '03/27'];
+
+  test('restaura syncedFromSheets de produto cadastrado pelo painel', async () => {
+    const auth = await loginAs('admin');
+    const { product } = await createProduct({ ...productData, nfcUID: '04A1B2C3D4E5F6' }, { key: 'placeholder' });
+
+    const { runId } = await syncSheetsToMongoDB(sheetSource([sheetRow]), { trigger: 'sync' });
+    expect(await Product.findById(product._id)).toMatchObject({ productName: 'Batom Matte', syncedFromSheets: true });
+
+    const res = await request(app)
+      .post(`/api/admin/sync/runs/${runId}/rollback`)
+      .set('Authorization', auth)
+      .send({ reason: 'Planilha errada' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.reverted).toBe(1);
+    expect(await Product.findById(product._id)).toMatchObject({ productName: 'Base Líquida', batchNumber: 'L002', syncedFromSheets: false });
+  });
+
+  test('pedidos simultâneos → uma reversão, o outro 409', async () => {
+    const auth = await loginAs('admin');
+    const { runId } = await syncSheetsToMongoDB(sheetSource([sheetRow, ['04A1B2C3D4E5F7', ...sheetRow.slice(1)]]), { trigger: 'sync' });
+    const rollback = () => request(app)
+      .post(`/api/admin/sync/runs/${runId}/rollback`)
+      .set('Authorization', auth)
+      .send({ reason: 'Planilha errada' });
+
+    const responses = await Promise.all([rollback(), rollback()]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 409]);
+    expect(responses.find(res => res.status === 409).body.code).toBe('SYNC_RUN_ALREADY_ROLLED_BACK');
+    expect(await AuditLog.countDocuments({ action: 'product.sync_rollback', syncRunId: runId })).toBe(2);
+    expect(await AuditLog.countDocuments({ action: 'sync.rollback', syncRunId: runId })).toBe(1);
+  });
+
+  test('sincronização não altera produto excluído', async () => {
+    const { product } = await createProduct({ ...productData, nfcUID: '04A1B2C3D4E5F6' }, { key: 'placeholder' });
+    await Product.updateOne({ _id: product._id }, { $set: { deletedAt: new Date(), isActive: false } });
+
+    const result = await syncSheetsToMongoDB(sheetSource([sheetRow]), { trigger: 'sync' });
+
+    expect(result).toMatchObject({ novos: 0, atualizados: 0, erros: 1 });
+    expect(await Product.findById(product._id)).toMatchObject({ productName: 'Base Líquida', isActive: false });
+    expect(await AuditLog.countDocuments({ syncRunId: result.runId })).toBe(0);
+  });
+
+  test('markInterrupted fecha só as execuções "running"', async () => {
+    const [running, completed] = await SyncRun.create([
+      { source: 'tags.xlsx', status: 'running' },
+      { source: 'tags.xlsx', status: 'completed' }
+    ]);
+
+    await SyncRun.markInterrupted({}, 'Interrompida pelo sinal SIGTERM');
+
+    expect(await SyncRun.findById(running._id)).toMatchObject({ status: 'failed', failure: 'Interrompida pelo sinal SIGTERM' });
+    expect((await SyncRun.findById(running._id)).durationMs).toBeGreaterThanOrEqual(0);
+    expect((await SyncRun.findById(completed._id)).status).toBe('completed');
+  });
+
+  test('markAbandoned poupa a execução do dono atual do lock', async () => {
+    const lock = { owner: 'sync-a:1:aaaaaa' };
+    const [mine, other, recentLegacy] = await SyncRun.create([
+      { source: 'tags.xlsx', status: 'running', owner: 'sync-a:1:aaaaaa' },
+      { source: 'tags.xlsx', status: 'running', owner: 'sync-b:1:bbbbbb' },
+      { source: 'tags.xlsx', status: 'running' }
+    ]);
+
+    const { modifiedCount } = await SyncRun.markAbandoned(lock, 'Processo encerrado sem finalizar a execução');
+
+    expect(modifiedCount).toBe(1);
+    expect((await SyncRun.findById(mine._id)).status).toBe('running');
+    expect((await SyncRun.findById(other._id)).status).toBe('failed');
+    expect((await SyncRun.findById(recentLegacy._id)).status).toBe('running');
+  });
+});
+
+describe('PATCH /api/admin/alerts/:id', () => {
+  test('sem corpo → 400; ID malformado → 404', async () => {
+    const auth = await loginAs('operator');
+
+    const noBody = await request(app).patch('/api/admin/alerts/abc').set('Authorization', auth);
+    const badId = await request(app).patch('/api/admin/alerts/abc').set('Authorization', auth).send({ status: 'resolved' });
+
+    expect(noBody.status).toBe(400);
+    expect(noBody.body.code).toBe('ALERT_STATUS_INVALID');
+    expect(badId.status).toBe(404);
+    expect(badId.body.code).toBe('ALERT_NOT_FOUND');
+  });
+
+  test('reabrir alerta resolvido com outro em andamento → 409', async () => {
+    const auth = await loginAs('operator');
+    const productId = (await Product.create({ nfcUID: '04A1B2C3D4E5F6', productId: 'P1' }))._id;
+    const resolved = await Alert.create({ productId, nfcUID: '04A1B2C3D4E5F6', status: 'resolved' });
+    await Alert.create({ productId, nfcUID: '04A1B2C3D4E5F6', status: 'open' });
+
+    const res = await request(app)
+      .patch(`/api/admin/alerts/${resolved._id}`)
+      .set('Authorization', auth)
+      .send({ status: 'open' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ALERT_ALREADY_OPEN');
+  });
+});
+
+describe('GET /health', () => {
+  beforeEach(() => health.resetCache());
+
+  test('informa conexão e contagem de produtos', async () => {
+    await Product.create([
+      { nfcUID: '04A1B2C3D4E5F6', productId: 'P1' },
+      { nfcUID: '04A1B2C3D4E5F7', productId: 'P2', isActive: false }
+    ]);
+
+    const res = await request(app).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'online',
+      database: { status: 'Connected', connected: true, totalProducts: 2, activeProducts: 1 }
+    });
+  });
+
+  test('contagens ficam em cache', async () => {
+    await Product.create({ nfcUID: '04A1B2C3D4E5F6', productId: 'P1' });
+    const first = await request(app).get('/health');
+
+    await Product.create({ nfcUID: '04A1B2C3D4E5F7', productId: 'P2' });
+    const second = await request(app).get('/health');
+
+    expect(second.body.database.totalProducts).toBe(1);
+    expect(second.body.database.countedAt).toBe(first.body.database.countedAt);
+  });
+});
+
+describe('GET /readyz', () => {
+  beforeEach(() => health.resetCache());
+  afterEach(() => {
+    health.setShuttingDown(false);
+    delete process.env.HEALTH_SYNC_MAX_AGE_MINUTES;
+  });
+
+  test('pronto: ping, índices e sincronização', async () => {
+    await SyncRun.create({ source: 'tags.xlsx', sourceType: 'file', status: 'completed', finishedAt: new Date() });
+
+    const res = await request(app).get('/readyz');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('ready');
+    expect(res.body.checks.mongo).toMatchObject({ ok: true, status: 'Connected' });
+    expect(res.body.checks.indexes).toEqual({ ok: true, missing: [] });
+    expect(res.body.checks.sync).toMatchObject({ ok: true, ageMinutes: 0, sourceType: 'file' });
+  });
+
+  test('sincronização antiga com HEALTH_SYNC_MAX_AGE_MINUTES → 503', async () => {
+    process.env.HEALTH_SYNC_MAX_AGE_MINUTES = '60';
+    await SyncRun.create({
+      source: 'tags.xlsx',
+      status: 'completed',
+      startedAt: new Date(Date.now() - 3 * 60 * 60 * 1000),
+      finishedAt: new Date(Date.now() - 3 * 60 * 60 * 1000)
+    });
+
+    const res = await request(app).get('/readyz');
+
+    expect(res.status).toBe(503);
+    expect(res.body.checks.sync).toMatchObject({ ok: false, ageMinutes: 180, maxAgeMinutes: 60 });
+  });
+
+  test('sem sincronização só informa quando não há limite', async () => {
+    const res = await request(app).get('/readyz');
+
+    expect(res.status).toBe(200);
+    expect(res.body.checks.sync).toMatchObject({ ok: true, lastCompletedAt: null });
+  });
+
+  test('encerrando → 503 e Connection: close', async () => {
+    health.setShuttingDown();
+
+    const res = await request(app).get('/readyz');
+
+    expect(res.status).toBe(503);
+    expect(res.body.status).toBe('shutting_down');
+    expect(res.headers.connection).toBe('close');
+  });
+});
+
+describe('GET /api/debug/product/:uid', () => {
+  test('desligado fora de development → 404', async () => {
+    await Product.create({ nfcUID: '04A1B2C3D4E5F6', productId: 'P1' });
+
+    const res = await request(app).get('/api/debug/product/04A1B2C3D4E5F6');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('ENDPOINT_NOT_FOUND');
+    expect(res.body.availableEndpoints).not.toContain('GET /api/debug/product/:uid');
+  });
+});
+
+describe('GET /api/admin/products/:uid/inspect', () => {
+  const UID = '04A1B2C3D4E5F6';
+  const inspect = (auth, query = {}) => request(app)
+    .get(`/api/admin/products/${UID}/inspect`)
+    .query(query)
+    .set('Authorization', auth);
+
+  test('produto, leituras paginadas, regras, origem e versão da chave — sem a chave', async () => {
+    const auth = await loginAs('operator');
+    const registered = await register(auth, { nfcUID: UID, productData });
+    const product = await Product.findOne({ nfcUID: UID });
+
+    await Scan.create([
+      { productId: product._id, nfcUID: UID, timestamp: new Date('2025-06-01'), verdict: 'authentic', ipAddress: '203.0.113.7' },
+      { productId: product._id, nfcUID: UID, timestamp: new Date('2025-06-02'), verdict: 'suspicious', riskScore: 70 }
+    ]);
+    await Alert.create({
+      productId: product._id,
+      nfcUID: UID,
+      score: 70,
+      occurrences: 1,
+      rules: [{ rule: 'impossibleTravel', score: 70, reason: '1200 km/h' }]
+    });
+
+    const res = await inspect(auth, { limit: 1 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.product).toMatchObject({ nfcUID: UID, productName: 'Base Líquida' });
+    expect(res.body.key).toEqual({ scheme: 'aes', keyVersion: 1, currentKeyVersion: 1, needsRotation: false, counterPolicy: 'sun' });
+    expect(res.body.scans).toMatchObject({
+      total: 2,
+      pages: 2,
+      summary: { total: 2, byVerdict: { authentic: 1, suspicious: 1 }, maxRiskScore: 70 }
+    });
+    expect(res.body.scans.items).toHaveLength(1);
+    expect(res.body.scans.items[0].verdict).toBe('suspicious');
+    expect(res.body.cloneRules.rules).toEqual([
+      expect.objectContaining({ rule: 'impossibleTravel', triggers: 1, lastReason: '1200 km/h' })
+    ]);
+    expect(res.body.provenance).toMatchObject({
+      origin: 'manual',
+      created: { action: 'product.create', actor: 'operator' }
+    });
+
+    const text = JSON.stringify(res.body);
+    expect(text).not.toContain('encryptedKey');
+    expect(text).not.toContain(registered.body.secretKey);
+    expect(text).not.toContain(product.encryptedKey.split(':')[3]);
+  });
+
+  test('origem da sincronização: execução e linha da planilha', async () => {
+    const auth = await loginAs('operator');
+    const product = await Product.create({ nfcUID: UID, productId: 'P1', syncedFromSheets: true });
+    const run = await SyncRun.create({ source: 'Google Sheets (abc)', sourceType: 'google', trigger: 'daemon', status: 'completed' });
+    await AuditLog.create({
+      actor: 'system:sync-sheets',
+      action: 'product.sync_create',
+      entity: 'Product',
+      entityId: product._id,
+      syncRunId: run._id,
+      syncRow: { tab: 'Batons', row: 12 }
+    });
+
+    const res = await inspect(auth);
+
+    expect(res.body.key).toMatchObject({ scheme: 'none', keyVersion: null });
+    expect(res.body.provenance).toMatchObject({
+      origin: 'sheets',
+      lastSync: {
+        action: 'product.sync_create',
+        sync: { source: 'Google Sheets (abc)', trigger: 'daemon', tab: 'Batons', row: 12 }
+      }
+    });
+  });
+
+  test('viewer não inspeciona (IPs das leituras) → 403', async () => {
+    const auth = await loginAs('viewer');
+
+    expect((await inspect(auth)).status).toBe(403);
+  });
+
+  test('veredito desconhecido → 400; UID inexistente → 404', async () => {
+    const auth = await loginAs('operator');
+    await Product.create({ nfcUID: UID, productId: 'P1' });
+
+    const bad = await inspect(auth, { verdict: 'talvez' });
+    expect(bad.status).toBe(400);
+    expect(bad.body.code).toBe('SCAN_VERDICT_INVALID');
+
+    const missing = await request(app).get('/api/admin/products/04FFFFFFFFFFFF/inspect').set('Authorization', auth);
+    expect(missing.status).toBe(404);
+  });
+});
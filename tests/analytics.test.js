@@ -0,0 +1,198 @@
+const { silenceLogs } = require('./helpers/env');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const app = require('../server');
+const AdminUser = require('../models/AdminUser');
+const Scan = require('../models/Scan');
+const Product = require('../models/Product');
+const { hashPassword } = require('../lib/adminAuth');
+const { createProduct } = require('../lib/products');
+
+const PASSWORD = 'senha-de-teste-123';
+
+let auth;
+
+/**
+ * Cria o usuário e devolve o header Authorization já logado
+ */
+async function loginAs(role) {
+  await AdminUser.create({ username: role, passwordHash: await hashPassword(PASSWORD), role });
+  const res = await request(app).post('/api/admin/login').send({ username: role, password: PASSWORD });
+  expect(res.status).toBe(200);
+  return `Bearer ${res.body.token}`;
+}
+
+const get = (path, query = {}) => request(app)
+  .get(`/api/admin/analytics${path}`)
+  .query({ from: '2025-06-01', to: '2025-06-30', tz: 'UTC', ...query })
+  .set('Authorization', auth);
+
+async function createTag(nfcUID, batchNumber, manufacturingDate = '2025-05-01') {
+  const { product } = await createProduct(
+    { nfcUID, productName: 'Batom Matte', batchNumber, manufacturingDate: new Date(manufacturingDate) },
+    { key: 'placeholder', syncedFromSheets: true }
+  );
+  return product;
+}
+
+function scan(product, timestamp, extra = {}) {
+  return {
+    productId: product._id,
+    nfcUID: product.nfcUID,
+    timestamp: new Date(timestamp),
+    verdict: 'authentic',
+    ...extra
+  };
+}
+
+beforeAll(async () => {
+  silenceLogs();
+  await db.connect();
+});
+beforeEach(async () => {
+  auth = await loginAs('viewer');
+
+  const a1 = await createTag('04AA000000AA01', 'L001');
+  const a2 = await createTag('04AA000000AA02', 'L001', '2025-06-01');
+  const b1 = await createTag('04BB000000BB01', 'L002');
+
+  await Scan.insertMany([
+    scan(a1, '2025-05-20T12:00:00Z'), // antes do período: a1 já tinha primeira leitura
+    scan(a1, '2025-06-02T12:00:00Z', { geo: { country: 'BR' }, device: { type: 'mobile' } }),
+    scan(a1, '2025-06-03T12:00:00Z', { geo: { country: 'BR' }, device: { type: 'mobile' }, verdict: 'suspicious', riskScore: 60 }),
+    scan(a2, '2025-06-03T15:00:00Z', { geo: { country: 'AR' }, device: { type: 'desktop' } }),
+    scan(a2, '2025-06-10T15:00:00Z', { verdict: 'replay' }),
+    scan(b1, '2025-06-11T09:00:00Z', { geo: { country: 'BR' }, verdict: 'suspicious', riskScore: 80 }),
+    scan(b1, '2025-07-05T09:00:00Z') // depois do período
+  ]);
+});
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('GET /api/admin/analytics/scans/timeseries', () => {
+  test('por dia: aceitas, suspeitas e rejeitadas', async () => {
+    const res = await get('/scans/timeseries');
+
+    expect(res.status).toBe(200);
+    expect(res.body.rows).toEqual([
+      { period: '2025-06-02', scans: 1, suspicious: 0, rejected: 0 },
+      { period: '2025-06-03', scans: 2, suspicious: 1, rejected: 0 },
+      { period: '2025-06-10', scans: 0, suspicious: 0, rejected: 1 },
+      { period: '2025-06-11', scans: 1, suspicious: 1, rejected: 0 }
+    ]);
+  });
+
+  test('por semana e lote, em CSV', async () => {
+    const res = await get('/scans/timeseries', { interval: 'week', groupBy: 'batch', format: 'csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toContain('leituras-por-periodo-2025-06-01-2025-07-01.csv');
+    expect(res.text.trim().split('\n')).toEqual([
+      'period,batchNumber,scans,suspicious,rejected',
+      '2025-06-02,L001,3,1,0',
+      '2025-06-09,L001,0,0,1',
+      '2025-06-09,L002,1,1,0'
+    ]);
+  });
+
+  test('filtro por lote', async () => {
+    const res = await get('/scans/timeseries', { batch: 'L002' });
+
+    expect(res.body.rows).toEqual([{ period: '2025-06-11', scans: 1, suspicious: 1, rejected: 0 }]);
+  });
+});
+
+describe('GET /api/admin/analytics/scans/first-vs-repeat', () => {
+  test('primeira leitura conta só se for a primeira do produto em qualquer data', async () => {
+    const res = await get('/scans/first-vs-repeat');
+
+    expect(res.body.rows).toEqual([
+      { products: 3, scans: 4, firstScans: 2, repeatScans: 2, firstScanRatio: 0.5 }
+    ]);
+  });
+
+  test('por lote', async () => {
+    const res = await get('/scans/first-vs-repeat', { groupBy: 'batch' });
+
+    expect(res.body.rows).toEqual([
+      { batchNumber: 'L001', products: 2, scans: 3, firstScans: 1, repeatScans: 2, firstScanRatio: 0.3333 },
+      { batchNumber: 'L002', products: 1, scans: 1, firstScans: 1, repeatScans: 0, firstScanRatio: 1 }
+    ]);
+  });
+
+  test('firstScanAt do produto vale mesmo quando o scan original já expirou', async () => {
+    await Product.updateOne({ nfcUID: '04BB000000BB01' }, { firstScanAt: new Date('2024-01-15T10:00:00Z') });
+
+    const res = await get('/scans/first-vs-repeat', { groupBy: 'batch' });
+
+    expect(res.body.rows).toContainEqual(
+      { batchNumber: 'L002', products: 1, scans: 1, firstScans: 0, repeatScans: 1, firstScanRatio: 0 }
+    );
+  });
+});
+
+describe('GET /api/admin/analytics/scans/breakdown', () => {
+  test('por país, mais lidos primeiro, com participação', async () => {
+    const res = await get('/scans/breakdown', { by: 'country' });
+
+    expect(res.body.rows).toEqual([
+      { country: 'BR', scans: 3, suspicious: 2, share: 0.75 },
+      { country: 'AR', scans: 1, suspicious: 0, share: 0.25 }
+    ]);
+  });
+
+  test('agrupamento desconhecido → 400', async () => {
+    const res = await get('/scans/breakdown', { by: 'planeta' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'ANALYTICS_PARAM_INVALID' });
+  });
+});
+
+describe('GET /api/admin/analytics/products/time-to-first-scan', () => {
+  test('dias da fabricação até a primeira leitura, por lote e por faixa', async () => {
+    const res = await get('/products/time-to-first-scan');
+
+    expect(res.body.summary).toEqual({ products: 2, avgDays: 21.5, minDays: 2, maxDays: 41 });
+    expect(res.body.histogram).toContainEqual({ range: '0-7', products: 1 });
+    expect(res.body.histogram).toContainEqual({ range: '31-90', products: 1 });
+    expect(res.body.rows).toEqual([
+      { batchNumber: 'L001', products: 1, avgDays: 2, minDays: 2, maxDays: 2 },
+      { batchNumber: 'L002', products: 1, avgDays: 41, minDays: 41, maxDays: 41 }
+    ]);
+  });
+});
+
+describe('GET /api/admin/analytics/tags/suspicious', () => {
+  test('tags com leituras suspeitas, com produto e lote', async () => {
+    const res = await get('/tags/suspicious');
+
+    expect(res.body.rows).toHaveLength(2);
+    expect(res.body.rows[0]).toMatchObject({ nfcUID: '04BB000000BB01', batchNumber: 'L002', suspiciousScans: 1, maxRiskScore: 80, countries: ['BR'] });
+    expect(res.body.rows[1]).toMatchObject({ nfcUID: '04AA000000AA01', maxRiskScore: 60 });
+  });
+});
+
+describe('parâmetros', () => {
+  test('período invertido → 400', async () => {
+    const res = await get('/scans/timeseries', { from: '2025-07-01', to: '2025-06-01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('ANALYTICS_RANGE_INVALID');
+  });
+
+  test('data inválida → 400', async () => {
+    const res = await get('/scans/timeseries', { from: 'ontem' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_DATE', error: 'Data inválida em from' });
+  });
+
+  test('sem autenticação → 401', async () => {
+    const res = await request(app).get('/api/admin/analytics/scans/timeseries');
+
+    expect(res.status).toBe(401);
+  });
+});
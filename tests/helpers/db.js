@@ -0,0 +1,38 @@
+// ========================================
+// MONGODB EM MEMÓRIA PARA OS TESTES
+// ========================================
+// Cada arquivo de teste sobe seu próprio mongod (mongodb-memory-server):
+//   beforeAll(db.connect); afterEach(db.clear); afterAll(db.close);
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server = null;
+
+/**
+ * Sobe o mongod em memória, conecta o mongoose e cria os índices
+ */
+async function connect() {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  await Promise.all(Object.values(mongoose.models).map(model => model.syncIndexes()));
+}
+
+/**
+ * Apaga os documentos de todas as coleções (mantém os índices)
+ */
+async function clear() {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+/**
+ * Desconecta e derruba o mongod
+ */
+async function close() {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+  server = null;
+}
+
+module.exports = { connect, clear, close };
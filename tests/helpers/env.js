@@ -0,0 +1,27 @@
+// ========================================
+// VARIÁVEIS DE AMBIENTE DOS TESTES
+// ========================================
+// Importar antes de server.js / lib/*: as chaves são lidas do ambiente.
+
+const crypto = require('crypto');
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.KEY_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+process.env.SDM_META_READ_KEY = crypto.randomBytes(16).toString('hex');
+process.env.ADMIN_JWT_SECRET = crypto.randomBytes(32).toString('hex');
+process.env.SDM_MAC_INPUT = 'none';
+delete process.env.ADMIN_LEGACY_KEY_ENABLED;
+delete process.env.CLONE_RULES_CONFIG;
+delete process.env.RATE_LIMIT_STORE;
+// Rate limit desligado: os testes fazem muitas requisições do mesmo IP.
+// tests/rateLimit.test.js (e casos específicos) religam.
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+/**
+ * Silencia os logs do servidor durante os testes (erros continuam visíveis)
+ */
+function silenceLogs() {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+}
+
+module.exports = { silenceLogs };
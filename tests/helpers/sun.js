@@ -0,0 +1,88 @@
+// ========================================
+// MENSAGENS SUN/SDM DE TESTE (NTAG 424 DNA)
+// ========================================
+// Gera picc_data + cmac como uma tag real geraria, para exercitar
+// POST /api/verify-product com assinaturas válidas e inválidas.
+//
+// O CMAC é calculado aqui, sem lib/sdm.js: se a derivação da chave de
+// sessão ou o CMAC da lib estiverem errados, os testes de verificação
+// falham em vez de concordar com o próprio erro.
+
+const crypto = require('crypto');
+const sdm = require('../../lib/sdm');
+
+/**
+ * PICCData criptografado com a SDM_META_READ_KEY do ambiente
+ * (tag 0xC7: UID de 7 bytes + contador de 3 bytes, little-endian)
+ */
+function encryptPiccData(uidHex, counter) {
+  const plain = Buffer.alloc(16);
+  plain[0] = 0xc7;
+  Buffer.from(uidHex, 'hex').copy(plain, 1);
+  plain.writeUIntLE(counter, 8, 3);
+  crypto.randomBytes(5).copy(plain, 11);
+
+  const cipher = crypto.createCipheriv('aes-128-cbc', sdm.getMetaReadKey(), Buffer.alloc(16, 0));
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(plain), cipher.final()]).toString('hex').toUpperCase();
+}
+
+// Session Vector 2 (AN12196): 3CC3 0001 0080 || UID || contador (LE)
+const SV2_PREFIX = '3CC300010080';
+
+/**
+ * AES-CMAC de referência (RFC 4493): CBC-MAC do OpenSSL sobre a mensagem
+ * com padding 10*, último bloco mascarado com K1 (completo) ou K2
+ */
+function referenceCmac(key, message) {
+  const encrypt = block => {
+    const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(block), cipher.final()]);
+  };
+  // Multiplicação por x em GF(2^128)
+  const double = block => {
+    const value = (BigInt(`0x${block.toString('hex')}`) << 1n) & ((1n << 128n) - 1n);
+    return Buffer.from((value ^ (block[0] & 0x80 ? 0x87n : 0n)).toString(16).padStart(32, '0'), 'hex');
+  };
+
+  const k1 = double(encrypt(Buffer.alloc(16)));
+  const k2 = double(k1);
+  const complete = message.length > 0 && message.length % 16 === 0;
+  const padded = complete
+    ? Buffer.from(message)
+    : Buffer.concat([message, Buffer.from([0x80]), Buffer.alloc(15 - (message.length % 16))]);
+
+  const subkey = complete ? k1 : k2;
+  const last = padded.length - 16;
+  for (let i = 0; i < 16; i++) padded[last + i] ^= subkey[i];
+
+  const cbc = crypto.createCipheriv('aes-128-cbc', key, Buffer.alloc(16, 0));
+  cbc.setAutoPadding(false);
+  const out = Buffer.concat([cbc.update(padded), cbc.final()]);
+  return out.subarray(out.length - 16);
+}
+
+/**
+ * SDMMAC de referência: CMAC com a chave de sessão, bytes ímpares (hex)
+ */
+function referenceSdmMac(tagKeyHex, uidHex, counter, macInput = '') {
+  const counterHex = Buffer.from([counter & 0xff, (counter >> 8) & 0xff, (counter >> 16) & 0xff]).toString('hex');
+  const sessionKey = referenceCmac(Buffer.from(tagKeyHex, 'hex'), Buffer.from(SV2_PREFIX + uidHex + counterHex, 'hex'));
+  const mac = referenceCmac(sessionKey, Buffer.from(macInput, 'ascii'));
+
+  return Buffer.from([1, 3, 5, 7, 9, 11, 13, 15].map(i => mac[i])).toString('hex').toUpperCase();
+}
+
+/**
+ * Monta { picc_data, cmac } para o UID, contador e chave da tag (hex)
+ * SDM_MAC_INPUT=picc_data: o MAC cobre "<picc_data>&cmac=" (como a tag)
+ */
+function buildSunMessage(uidHex, counter, tagKeyHex) {
+  const piccData = encryptPiccData(uidHex, counter);
+  const macInput = process.env.SDM_MAC_INPUT === 'picc_data' ? `${piccData}&cmac=` : '';
+
+  return { picc_data: piccData, cmac: referenceSdmMac(tagKeyHex, uidHex, counter, macInput) };
+}
+
+module.exports = { encryptPiccData, referenceCmac, referenceSdmMac, buildSunMessage };
@@ -0,0 +1,70 @@
+const { LANGUAGES, MESSAGES, translate, resolveLanguage, localizedError } = require('../lib/i18n');
+
+// Requisição mínima para resolveLanguage
+const fakeRequest = ({ query = {}, body, acceptLanguage } = {}) => ({
+  query,
+  body,
+  acceptsLanguages: (...offered) => {
+    if (!acceptLanguage) return offered[0];
+    const wanted = acceptLanguage.split(',').map(part => part.split(';')[0].trim().slice(0, 2));
+    return wanted.find(lang => offered.includes(lang)) || false;
+  }
+});
+
+describe('catálogo', () => {
+  test('toda mensagem tem todos os idiomas', () => {
+    for (const [key, entry] of Object.entries(MESSAGES)) {
+      for (const lang of LANGUAGES) {
+        expect({ key, lang, text: entry[lang] }).toEqual({ key, lang, text: expect.any(String) });
+      }
+    }
+  });
+
+  test('parâmetros aparecem nas mesmas chaves em todos os idiomas', () => {
+    for (const entry of Object.values(MESSAGES)) {
+      const params = text => (text.match(/\{\w+\}/g) || []).sort();
+      expect(params(entry.en)).toEqual(params(entry.pt));
+      expect(params(entry.es)).toEqual(params(entry.pt));
+    }
+  });
+
+  test('códigos pedidos existem', () => {
+    for (const code of ['TAG_NOT_FOUND', 'PRODUCT_INACTIVE', 'SIGNATURE_INVALID', 'COUNTER_REPLAY']) {
+      expect(MESSAGES[code]).toBeDefined();
+    }
+  });
+});
+
+describe('translate', () => {
+  test('traduz e interpola parâmetros', () => {
+    expect(translate('AUTH_FORBIDDEN', 'en', { role: 'admin' })).toBe('Insufficient permission (requires admin)');
+    expect(translate('INVALID_DATE', 'es', { field: 'expiryDate' })).toBe('Fecha no válida en expiryDate');
+  });
+
+  test('idioma desconhecido cai para português; código desconhecido volta o próprio código', () => {
+    expect(translate('PRODUCT_STATUS_EXPIRED', 'de')).toBe('Vencido');
+    expect(translate('NAO_EXISTE', 'en')).toBe('NAO_EXISTE');
+  });
+
+  test('localizedError inclui details quando o catálogo tem', () => {
+    expect(localizedError('COUNTER_REPLAY', 'en')).toEqual({
+      code: 'COUNTER_REPLAY',
+      error: MESSAGES.COUNTER_REPLAY.en,
+      details: MESSAGES['COUNTER_REPLAY.details'].en
+    });
+    expect(localizedError('PRODUCT_NOT_FOUND')).toEqual({ code: 'PRODUCT_NOT_FOUND', error: 'Produto não encontrado' });
+  });
+});
+
+describe('resolveLanguage', () => {
+  test('?lang tem precedência sobre body e Accept-Language', () => {
+    expect(resolveLanguage(fakeRequest({ query: { lang: 'ES' }, body: { lang: 'en' }, acceptLanguage: 'en' }))).toBe('es');
+    expect(resolveLanguage(fakeRequest({ body: { lang: 'en-GB' }, acceptLanguage: 'es' }))).toBe('en');
+  });
+
+  test('Accept-Language e padrão português', () => {
+    expect(resolveLanguage(fakeRequest({ acceptLanguage: 'fr-FR, es;q=0.8' }))).toBe('es');
+    expect(resolveLanguage(fakeRequest({ acceptLanguage: 'fr-FR' }))).toBe('pt');
+    expect(resolveLanguage(fakeRequest({ query: { lang: 'xx' } }))).toBe('pt');
+  });
+});
@@ -0,0 +1,49 @@
+const { silenceLogs } = require('./helpers/env');
+
+const db = require('./helpers/db');
+const Lock = require('../models/Lock');
+const { OWNER, acquireLock, getLock } = require('../lib/lock');
+
+beforeAll(silenceLogs);
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('acquireLock', () => {
+  test('segundo dono não obtém o lock válido; obtém depois de expirado', async () => {
+    await Lock.create({ _id: 'tarefa', owner: 'outro:1:abcdef', acquiredAt: new Date(), expiresAt: new Date(Date.now() + 60000) });
+    expect(await acquireLock('tarefa', 1000)).toBeNull();
+
+    await Lock.updateOne({ _id: 'tarefa' }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    const release = await acquireLock('tarefa', 1000);
+
+    expect(release).toEqual(expect.any(Function));
+    expect((await getLock('tarefa')).owner).toBe(OWNER);
+    await release();
+    expect(await getLock('tarefa')).toBeNull();
+  });
+
+  test('renova o expiresAt enquanto o dono segura o lock', async () => {
+    const release = await acquireLock('tarefa', 300, { renewEveryMs: 50 });
+
+    await wait(600); // duas vezes o TTL
+    const lock = await getLock('tarefa');
+
+    expect(lock).not.toBeNull();
+    expect(lock.owner).toBe(OWNER);
+    await release();
+  });
+
+  test('para de renovar depois de release()', async () => {
+    const release = await acquireLock('tarefa', 300, { renewEveryMs: 50 });
+    await release();
+
+    // Mesmo dono: só a renovação (se continuasse) manteria o lock vivo
+    await Lock.create({ _id: 'tarefa', owner: OWNER, acquiredAt: new Date(), expiresAt: new Date(Date.now() + 100) });
+    await wait(250);
+
+    expect(await getLock('tarefa')).toBeNull();
+  });
+});
@@ -0,0 +1,160 @@
+require('./helpers/env');
+
+const db = require('./helpers/db');
+const keyVault = require('../lib/keyVault');
+const {
+  Product,
+  ProductError,
+  normalizeUID,
+  isValidUID,
+  buildProductId,
+  buildProductDocument,
+  createProduct,
+  findProductByUID
+} = require('../lib/products');
+
+const UID = '04A1B2C3D4E5F6';
+
+const fields = (overrides = {}) => ({
+  nfcUID: UID,
+  productName: 'Batom Matte',
+  batchNumber: 'L001',
+  manufacturingDateTime: new Date('2025-03-10T14:30:00Z'),
+  expiryDate: new Date('2027-03-10'),
+  ...overrides
+});
+
+describe('UID', () => {
+  test.each([
+    ['04:a1:b2:c3:d4:e5:f6', UID],
+    ['04 A1 B2 C3 D4 E5 F6', UID],
+    ['04-a1-b2-c3-d4-e5-f6', UID],
+    [' 04a1b2c3d4e5f6 ', UID]
+  ])('normalizeUID(%j)', (input, expected) => {
+    expect(normalizeUID(input)).toBe(expected);
+  });
+
+  test('normalizeUID de valor vazio é null', () => {
+    expect(normalizeUID('')).toBeNull();
+    expect(normalizeUID(undefined)).toBeNull();
+  });
+
+  test('isValidUID aceita hex de 14 a 20 caracteres em qualquer formato', () => {
+    expect(isValidUID(UID)).toBe(true);
+    expect(isValidUID('04:A1:B2:C3:D4:E5:F6')).toBe(true);
+    expect(isValidUID('04A1B2C3D4E5F6A1B2C3')).toBe(true);
+  });
+
+  test('isValidUID rejeita curto, longo ou não-hex', () => {
+    expect(isValidUID('04A1B2')).toBe(false);
+    expect(isValidUID('04A1B2C3D4E5F6A1B2C3D4')).toBe(false);
+    expect(isValidUID('04A1B2C3D4E5ZZ')).toBe(false);
+    expect(isValidUID(null)).toBe(false);
+  });
+});
+
+describe('buildProductDocument', () => {
+  test('normaliza o UID e gera productId e data de fabricação', () => {
+    const { doc } = buildProductDocument(fields({ nfcUID: '04:a1:b2:c3:d4:e5:f6' }), { key: 'none' });
+
+    expect(doc.nfcUID).toBe(UID);
+    expect(doc.productId).toBe(buildProductId('L001', UID));
+    expect(doc.productId).toBe(`MB-L001-${UID}`);
+    expect(doc.manufacturingDate).toBeInstanceOf(Date);
+    expect(doc.syncedFromSheets).toBe(false);
+  });
+
+  test('mantém productId informado', () => {
+    const { doc } = buildProductDocument(fields({ productId: 'CUSTOM-1' }), { key: 'none' });
+    expect(doc.productId).toBe('CUSTOM-1');
+  });
+
+  test('ignora campos fora da lista (scanCount, isActive...)', () => {
+    const { doc } = buildProductDocument(fields({ scanCount: 99, isActive: false, encryptedKey: 'x' }), { key: 'none' });
+
+    expect(doc).not.toHaveProperty('scanCount');
+    expect(doc).not.toHaveProperty('isActive');
+    expect(doc).not.toHaveProperty('encryptedKey');
+  });
+
+  test('key "generate" guarda a chave criptografada e devolve a chave em claro', () => {
+    const { doc, secretKey } = buildProductDocument(fields(), { key: 'generate' });
+
+    expect(secretKey).toMatch(/^[0-9A-F]{32}$/);
+    expect(doc.encryptedKey).toBeDefined();
+    expect(doc.encryptedKey).not.toContain(secretKey);
+    expect(doc.keyVersion).toBe(1);
+    expect(keyVault.decryptTagKey(doc.encryptedKey).toString('hex').toUpperCase()).toBe(secretKey);
+  });
+
+  test('key "placeholder" grava só o hash legado', () => {
+    const { doc, secretKey } = buildProductDocument(fields(), { key: 'placeholder', syncedFromSheets: true });
+
+    expect(secretKey).toBeNull();
+    expect(doc.secretKey).toMatch(/^[0-9a-f]{64}$/);
+    expect(doc.encryptedKey).toBeUndefined();
+    expect(doc.syncedFromSheets).toBe(true);
+  });
+
+  test('UID inválido ou ausente lança UID_INVALID', () => {
+    for (const nfcUID of ['XYZ', '', undefined]) {
+      let error;
+      try {
+        buildProductDocument(fields({ nfcUID }));
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(ProductError);
+      expect(error.code).toBe('UID_INVALID');
+    }
+  });
+});
+
+describe('createProduct (MongoDB em memória)', () => {
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  test('grava o produto com os padrões do schema', async () => {
+    const { product, secretKey } = await createProduct(fields(), { updatedBy: 'admin' });
+
+    const saved = await Product.findById(product._id);
+    expect(saved.nfcUID).toBe(UID);
+    expect(saved.scanCount).toBe(0);
+    expect(saved.isActive).toBe(true);
+    expect(saved.updatedBy).toBe('admin');
+    expect(saved.syncedFromSheets).toBe(false);
+    expect(secretKey).toMatch(/^[0-9A-F]{32}$/);
+  });
+
+  test('grava atributos extras como Map', async () => {
+    const { product } = await createProduct(fields({ attributes: { sku: 'SKU-9', line: 'Matte' } }), { key: 'none' });
+
+    const saved = await Product.findById(product._id);
+    expect(saved.attributes.get('sku')).toBe('SKU-9');
+    expect(saved.toObject({ flattenMaps: true }).attributes).toEqual({ sku: 'SKU-9', line: 'Matte' });
+  });
+
+  test('UID repetido (em outro formato) lança TAG_ALREADY_REGISTERED', async () => {
+    await createProduct(fields(), { key: 'none' });
+
+    await expect(createProduct(fields({ nfcUID: '04:a1:b2:c3:d4:e5:f6', productId: 'OUTRO' }), { key: 'none' }))
+      .rejects.toMatchObject({ name: 'ProductError', code: 'TAG_ALREADY_REGISTERED' });
+    expect(await Product.countDocuments()).toBe(1);
+  });
+
+  test('productId repetido também vira TAG_ALREADY_REGISTERED (índice único)', async () => {
+    await createProduct(fields({ productId: 'MESMO' }), { key: 'none' });
+
+    await expect(createProduct(fields({ nfcUID: '04FFFFFFFFFFFF', productId: 'MESMO' }), { key: 'none' }))
+      .rejects.toMatchObject({ code: 'TAG_ALREADY_REGISTERED' });
+  });
+
+  test('findProductByUID aceita qualquer formato', async () => {
+    await createProduct(fields(), { key: 'none' });
+
+    expect((await findProductByUID('04-a1-b2-c3-d4-e5-f6')).nfcUID).toBe(UID);
+    expect(await findProductByUID('04FFFFFFFFFFFF')).toBeNull();
+    expect(await findProductByUID('')).toBeNull();
+  });
+});
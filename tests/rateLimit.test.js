@@ -0,0 +1,193 @@
+const { silenceLogs } = require('./helpers/env');
+
+const express = require('express');
+const request = require('supertest');
+const rateLimit = require('../lib/rateLimit');
+const { getClientIP } = require('../lib/clientIP');
+const { languageMiddleware } = require('../lib/i18n');
+const app = require('../server');
+
+/**
+ * App mínimo com um limite por IP na política informada
+ */
+function limitedApp(policy, options = {}) {
+  const testApp = express();
+  testApp.use(languageMiddleware);
+  testApp.get('/', rateLimit.rateLimit({ policies: [{ name: policy, key: getClientIP }], ...options }), (req, res) => {
+    res.json({ success: true });
+  });
+  return testApp;
+}
+
+beforeAll(() => {
+  silenceLogs();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  process.env.RATE_LIMIT_ENABLED = 'true';
+  rateLimit.setStore(new rateLimit.MemoryStore());
+});
+
+afterEach(() => {
+  process.env.RATE_LIMIT_ENABLED = 'false';
+  for (const name of Object.keys(rateLimit.DEFAULT_POLICIES)) {
+    delete process.env[`RATE_LIMIT_${name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`];
+  }
+});
+
+describe('políticas', () => {
+  test('"máximo/segundos" vira max e windowMs', () => {
+    expect(rateLimit.parsePolicy('30/60')).toEqual({ max: 30, windowMs: 60000 });
+    expect(rateLimit.parsePolicy(' 5 / 900 ')).toEqual({ max: 5, windowMs: 900000 });
+  });
+
+  test('valor inválido é rejeitado', () => {
+    expect(rateLimit.parsePolicy('30')).toBeNull();
+    expect(rateLimit.parsePolicy('0/60')).toBeNull();
+    expect(rateLimit.parsePolicy('abc/60')).toBeNull();
+  });
+
+  test('variável de ambiente sobrepõe o padrão; inválida cai no padrão', () => {
+    process.env.RATE_LIMIT_VERIFY_UID = '3/10';
+    expect(rateLimit.getPolicy('verifyUid')).toEqual({ max: 3, windowMs: 10000 });
+
+    process.env.RATE_LIMIT_VERIFY_UID = 'muito';
+    expect(rateLimit.getPolicy('verifyUid')).toEqual(rateLimit.parsePolicy(rateLimit.DEFAULT_POLICIES.verifyUid));
+  });
+});
+
+describe('MemoryStore', () => {
+  test('conta por chave dentro da janela', async () => {
+    const store = new rateLimit.MemoryStore();
+
+    expect((await store.increment('a', 60000)).count).toBe(1);
+    expect((await store.increment('a', 60000)).count).toBe(2);
+    expect((await store.increment('b', 60000)).count).toBe(1);
+    expect((await store.get('a', 60000)).count).toBe(2);
+  });
+
+  test('janela nova zera o contador', async () => {
+    const store = new rateLimit.MemoryStore();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+    await store.increment('a', 1000);
+    now.mockReturnValue(1001000);
+    const next = await store.increment('a', 1000);
+    now.mockRestore();
+
+    expect(next).toEqual({ count: 1, resetAt: 1002000 });
+  });
+});
+
+describe('middleware', () => {
+  test('passou do limite → 429 com Retry-After e mensagem traduzida', async () => {
+    process.env.RATE_LIMIT_ADMIN = '2/60';
+    const testApp = limitedApp('admin');
+
+    expect((await request(testApp).get('/')).status).toBe(200);
+    expect((await request(testApp).get('/')).status).toBe(200);
+    const res = await request(testApp).get('/?lang=en');
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(60);
+    expect(res.body).toMatchObject({ success: false, code: 'RATE_LIMITED', error: 'Too many requests' });
+    expect(res.body.retryAfter).toBe(Number(res.headers['retry-after']));
+  });
+
+  test('log do limite atingido mascara o IP com LOG_REDACT_IPS', async () => {
+    process.env.RATE_LIMIT_ADMIN = '1/60';
+    process.env.LOG_REDACT_IPS = 'true';
+    const testApp = limitedApp('admin');
+    console.warn.mockClear();
+
+    await request(testApp).get('/');
+    await request(testApp).get('/');
+    delete process.env.LOG_REDACT_IPS;
+
+    const line = console.warn.mock.calls.map(([text]) => text).find(text => text.includes('Rate limit atingido'));
+    expect(JSON.parse(line)).toMatchObject({ policy: 'admin', ip: expect.stringMatching(/127\.0\.0\.0$/) });
+    expect(line).not.toContain('127.0.0.1');
+  });
+
+  test('RATE_LIMIT_ENABLED=false libera tudo', async () => {
+    process.env.RATE_LIMIT_ENABLED = 'false';
+    process.env.RATE_LIMIT_ADMIN = '1/60';
+    const testApp = limitedApp('admin');
+
+    await request(testApp).get('/');
+    expect((await request(testApp).get('/')).status).toBe(200);
+  });
+
+  test('store plugável recebe a chave com o nome da política', async () => {
+    const keys = [];
+    rateLimit.setStore({
+      async increment(key) {
+        keys.push(key);
+        return { count: 1, resetAt: Date.now() + 1000 };
+      },
+      async get() {
+        return { count: 0, resetAt: Date.now() + 1000 };
+      }
+    });
+
+    await request(limitedApp('admin')).get('/');
+
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatch(/^admin:/);
+  });
+
+  test('erro no store não bloqueia a requisição', async () => {
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+    rateLimit.setStore({
+      async increment() {
+        throw new Error('store fora do ar');
+      }
+    });
+
+    expect((await request(limitedApp('admin')).get('/')).status).toBe(200);
+  });
+});
+
+describe('rotas do servidor', () => {
+  test('POST /api/verify-product: limite por IP → 429 com authentic false', async () => {
+    process.env.RATE_LIMIT_VERIFY_IP = '1/60';
+
+    expect((await request(app).post('/api/verify-product').send({})).status).toBe(400);
+    const res = await request(app).post('/api/verify-product').send({});
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(res.body).toMatchObject({ success: false, authentic: false, code: 'RATE_LIMITED' });
+  });
+
+  test('GET /v: limite por IP → página HTML 429', async () => {
+    process.env.RATE_LIMIT_VERIFY_IP = '1/60';
+
+    await request(app).get('/v');
+    const res = await request(app).get('/v?lang=en');
+
+    expect(res.status).toBe(429);
+    expect(res.headers['content-type']).toMatch(/html/);
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(res.text).toContain('too many verifications');
+  });
+
+  test('POST /api/admin/login: política própria de login', async () => {
+    process.env.RATE_LIMIT_ADMIN_LOGIN = '1/900';
+
+    expect((await request(app).post('/api/admin/login').send({})).status).toBe(400);
+    const res = await request(app).post('/api/admin/login').send({});
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('/api/admin: limite por IP vale antes da autenticação', async () => {
+    process.env.RATE_LIMIT_ADMIN = '1/60';
+
+    expect((await request(app).get('/api/admin/products')).status).toBe(401);
+    expect((await request(app).get('/api/admin/products')).status).toBe(429);
+  });
+});
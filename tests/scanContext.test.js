@@ -0,0 +1,148 @@
+require('./helpers/env');
+
+const express = require('express');
+const request = require('supertest');
+const geoip = require('../lib/geoip');
+const { parseTrustProxy, configureTrustProxy, getClientIP } = require('../lib/clientIP');
+const { parseUserAgent } = require('../lib/device');
+const { getScanContext } = require('../lib/verification');
+
+const IPHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1';
+
+// Registro no formato de GeoLite2-City
+const SAO_PAULO = {
+  country: { iso_code: 'BR', names: { en: 'Brazil', 'pt-BR': 'Brasil' } },
+  subdivisions: [{ iso_code: 'SP', names: { en: 'Sao Paulo', 'pt-BR': 'São Paulo' } }],
+  city: { names: { en: 'São Paulo' } },
+  location: { latitude: -23.55, longitude: -46.63 }
+};
+
+/**
+ * App que devolve o contexto do scan montado para a requisição
+ */
+function contextApp(trustProxy) {
+  const app = express();
+  configureTrustProxy(app, trustProxy);
+  app.use(express.json());
+  app.post('/', (req, res) => res.json(getScanContext(req)));
+  return app;
+}
+
+afterEach(() => geoip.setReader(null));
+
+describe('TRUST_PROXY', () => {
+  test('vazio/false ignora X-Forwarded-For', () => {
+    expect(parseTrustProxy(undefined)).toBe(false);
+    expect(parseTrustProxy('false')).toBe(false);
+  });
+
+  test('true é aceito com aviso no log estruturado', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(parseTrustProxy('true')).toBe(true);
+    expect(JSON.parse(warn.mock.calls[0][0])).toMatchObject({ level: 'warn', msg: expect.stringContaining('TRUST_PROXY=true') });
+    warn.mockRestore();
+  });
+
+  test('número de proxies e lista de endereços', () => {
+    expect(parseTrustProxy('2')).toBe(2);
+    expect(parseTrustProxy('loopback, 10.0.0.0/8')).toEqual(['loopback', '10.0.0.0/8']);
+  });
+
+  test('sem proxy confiável, X-Forwarded-For forjado não vira o IP', async () => {
+    const res = await request(contextApp('')).post('/').set('X-Forwarded-For', '203.0.113.9');
+
+    expect(res.body.ipAddress).toBe('127.0.0.1');
+  });
+
+  test('com um proxy, vale o endereço que ele acrescentou (não a lista inteira)', async () => {
+    const res = await request(contextApp('1')).post('/').set('X-Forwarded-For', '198.51.100.1, 203.0.113.9');
+
+    expect(res.body.ipAddress).toBe('203.0.113.9');
+  });
+
+  test('getClientIP remove o prefixo IPv4 mapeado', () => {
+    expect(getClientIP({ ip: '::ffff:203.0.113.9' })).toBe('203.0.113.9');
+    expect(getClientIP({ ip: '2001:db8::1' })).toBe('2001:db8::1');
+  });
+});
+
+describe('GeoIP', () => {
+  test('sem base configurada → sem geo', () => {
+    expect(geoip.lookup('203.0.113.9')).toBeUndefined();
+  });
+
+  test('registro vira país/região/cidade, nomes em português', () => {
+    geoip.setReader({ get: () => SAO_PAULO });
+
+    expect(geoip.lookup('203.0.113.9')).toEqual({
+      country: 'BR',
+      countryName: 'Brasil',
+      region: 'SP',
+      city: 'São Paulo',
+      lat: -23.55,
+      lng: -46.63
+    });
+  });
+
+  test('IP fora da base ou inválido → sem geo', () => {
+    geoip.setReader({
+      get: ip => {
+        if (ip === 'lixo') throw new Error('formato inválido');
+        return null;
+      }
+    });
+
+    expect(geoip.lookup('10.0.0.1')).toBeUndefined();
+    expect(geoip.lookup('lixo')).toBeUndefined();
+  });
+});
+
+describe('dispositivo', () => {
+  test('iPhone com Safari', () => {
+    expect(parseUserAgent(IPHONE_UA)).toMatchObject({
+      type: 'mobile',
+      vendor: 'Apple',
+      os: 'iOS',
+      osVersion: '17.2',
+      browser: 'Mobile Safari',
+      browserVersion: '17'
+    });
+  });
+
+  test('navegador de desktop sem tipo → desktop; robôs → bot', () => {
+    expect(parseUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36').type).toBe('desktop');
+    expect(parseUserAgent('curl/8.4.0').type).toBe('bot');
+  });
+
+  test('user agent ausente → sem dispositivo', () => {
+    expect(parseUserAgent(undefined)).toBeUndefined();
+    expect(parseUserAgent('Unknown')).toBeUndefined();
+  });
+});
+
+describe('getScanContext', () => {
+  test('grava IP, geo e dispositivo estruturados', async () => {
+    geoip.setReader({ get: () => SAO_PAULO });
+
+    const res = await request(contextApp('1'))
+      .post('/')
+      .set('X-Forwarded-For', '203.0.113.9')
+      .set('User-Agent', IPHONE_UA)
+      .send({ location: '  Loja Paulista  ' });
+
+    expect(res.body).toMatchObject({
+      ipAddress: '203.0.113.9',
+      location: 'Loja Paulista',
+      geo: { country: 'BR', region: 'SP', city: 'São Paulo' },
+      device: { type: 'mobile', os: 'iOS' }
+    });
+  });
+
+  test('local do cliente: padrão "Web", só texto, tamanho limitado', async () => {
+    const app = contextApp('');
+
+    expect((await request(app).post('/').send({ location: { $ne: 1 } })).body.location).toBe('Web');
+    expect((await request(app).post('/').send({ location: 'x'.repeat(500) })).body.location).toHaveLength(100);
+  });
+});
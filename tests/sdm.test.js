@@ -0,0 +1,86 @@
+require('./helpers/env');
+
+const sdm = require('../lib/sdm');
+const { encryptPiccData, referenceCmac, referenceSdmMac } = require('./helpers/sun');
+
+// RFC 4493, seção 4 (AES-128)
+const RFC4493_KEY = Buffer.from('2b7e151628aed2a6abf7158809cf4f3c', 'hex');
+const RFC4493_MESSAGE = Buffer.from(
+  '6bc1bee22e409f96e93d7e117393172a' +
+  'ae2d8a571e03ac9c9eb76fac45af8e51' +
+  '30c81c46a35ce411e5fbc1191a0a52ef' +
+  'f69f2445df4f9b17ad2b417be66c3710',
+  'hex'
+);
+const RFC4493_VECTORS = [
+  [0, 'bb1d6929e95937287fa37d129b756746'],
+  [16, '070a16b46b4d4144f79bdd9dd04a287c'],
+  [40, 'dfa66747de9ae63030ca32611497c827'],
+  [64, '51f0bebf7e3b9d92fc49741779363cfe']
+];
+
+// AN12196, exemplo de mensagem SUN com PICCData criptografado:
+// ?e=EF963FF7828658A599F3041510671E88&c=94EED9EE65337086, chaves zeradas
+const ZERO_KEY = Buffer.alloc(16, 0);
+const AN12196 = {
+  piccData: 'EF963FF7828658A599F3041510671E88',
+  uid: '04DE5F1EACC040',
+  counter: 61,
+  sessionMacKey: '3fb5f6e3a807a03d5e3570ace393776f',
+  mac: '94EED9EE65337086'
+};
+
+describe('AES-CMAC (RFC 4493)', () => {
+  test.each(RFC4493_VECTORS)('mensagem de %i bytes', (length, expected) => {
+    const message = RFC4493_MESSAGE.subarray(0, length);
+
+    expect(sdm.aesCmac(RFC4493_KEY, message).toString('hex')).toBe(expected);
+    expect(referenceCmac(RFC4493_KEY, message).toString('hex')).toBe(expected);
+  });
+});
+
+describe('SUN/SDM (AN12196)', () => {
+  test('PICCData: UID e contador', () => {
+    expect(sdm.decryptPiccData(AN12196.piccData, ZERO_KEY)).toMatchObject({
+      uid: AN12196.uid,
+      counter: AN12196.counter,
+      counterBytes: Buffer.from('3d0000', 'hex')
+    });
+  });
+
+  test('chave de sessão KSesSDMFileReadMAC e SDMMAC', () => {
+    const uidBytes = Buffer.from(AN12196.uid, 'hex');
+    const counterBytes = Buffer.from('3d0000', 'hex');
+
+    expect(sdm.deriveSessionMacKey(ZERO_KEY, uidBytes, counterBytes).toString('hex')).toBe(AN12196.sessionMacKey);
+    expect(sdm.computeSdmMac(ZERO_KEY, uidBytes, counterBytes)).toBe(AN12196.mac);
+    expect(referenceSdmMac(ZERO_KEY.toString('hex'), AN12196.uid, AN12196.counter)).toBe(AN12196.mac);
+  });
+
+  test('verifySdmMac aceita o MAC do exemplo e recusa qualquer outro', () => {
+    const uidBytes = Buffer.from(AN12196.uid, 'hex');
+    const counterBytes = Buffer.from('3d0000', 'hex');
+
+    expect(sdm.verifySdmMac(AN12196.mac, ZERO_KEY, uidBytes, counterBytes)).toBe(true);
+    expect(sdm.verifySdmMac(AN12196.mac.toLowerCase(), ZERO_KEY, uidBytes, counterBytes)).toBe(true);
+    expect(sdm.verifySdmMac('94EED9EE65337087', ZERO_KEY, uidBytes, counterBytes)).toBe(false);
+    expect(sdm.verifySdmMac(AN12196.mac, ZERO_KEY, uidBytes, Buffer.from('3e0000', 'hex'))).toBe(false);
+    expect(sdm.verifySdmMac('94EED9EE6533', ZERO_KEY, uidBytes, counterBytes)).toBe(false);
+  });
+
+  test('PICCData com tag, UID ou tamanho inválidos → null', () => {
+    expect(sdm.decryptPiccData('EF963FF7828658A599F3041510671E', ZERO_KEY)).toBeNull();
+    expect(sdm.decryptPiccData('ZZ963FF7828658A599F3041510671E88', ZERO_KEY)).toBeNull();
+    expect(sdm.decryptPiccData(AN12196.piccData, Buffer.alloc(16, 1))).toBeNull();
+  });
+
+  test('helper de teste gera mensagens que a lib aceita', () => {
+    const piccData = encryptPiccData('04A1B2C3D4E5F6', 70000);
+    const picc = sdm.decryptPiccData(piccData, sdm.getMetaReadKey());
+    const tagKey = Buffer.from('00112233445566778899AABBCCDDEEFF', 'hex');
+
+    expect(picc).toMatchObject({ uid: '04A1B2C3D4E5F6', counter: 70000 });
+    expect(sdm.computeSdmMac(tagKey, picc.uidBytes, picc.counterBytes))
+      .toBe(referenceSdmMac(tagKey.toString('hex'), '04A1B2C3D4E5F6', 70000));
+  });
+});
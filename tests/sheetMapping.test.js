@@ -0,0 +1,135 @@
+const { silenceLogs } = require('./helpers/env');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateMappingConfig, loadMappingConfig, resolveTabMapping } = require('../lib/sheetMapping');
+const { readSource } = require('../sync-sheets');
+
+beforeAll(silenceLogs);
+
+const config = {
+  spreadsheetId: '1AbC',
+  tabs: [
+    {
+      name: 'Fabrica SP',
+      location: 'São Paulo, Brasil',
+      columns: { nfcUID: 'Código NFC', batchNumber: 'Lote Fabril' },
+      attributes: { sku: 'SKU' },
+      required: ['batchNumber', 'sku'],
+      writeBackColumn: 'J'
+    },
+    { name: 'Batons', range: 'Batons!A:E' }
+  ]
+};
+
+describe('validateMappingConfig', () => {
+  test('configuração válida: padrões por aba', () => {
+    expect(validateMappingConfig(config)).toEqual({
+      spreadsheetId: '1AbC',
+      tabs: [
+        {
+          name: 'Fabrica SP',
+          range: "'Fabrica SP'!A:Z",
+          location: 'São Paulo, Brasil',
+          writeBackColumn: 'J',
+          columns: { nfcUID: 'Código NFC', batchNumber: 'Lote Fabril' },
+          attributes: { sku: 'SKU' },
+          required: ['nfcUID', 'batchNumber', 'sku']
+        },
+        {
+          name: 'Batons',
+          range: 'Batons!A:E',
+          location: null,
+          writeBackColumn: null,
+          columns: {},
+          attributes: {},
+          required: ['nfcUID']
+        }
+      ]
+    });
+  });
+
+  test.each([
+    [{}, '"tabs" deve ser uma lista com pelo menos uma aba'],
+    [{ tabs: [] }, '"tabs" deve ser uma lista com pelo menos uma aba'],
+    [{ tabs: [{ name: ' ' }] }, 'aba #1 sem "name"'],
+    [{ tabs: [{ name: 'A' }, { name: 'A' }] }, 'aba "A" repetida'],
+    [{ tabs: [{ name: 'A', columns: { sku: 'SKU' } }] }, 'aba "A": campo desconhecido "sku" em columns'],
+    [{ tabs: [{ name: 'A', columns: { batchNumber: '' } }] }, 'aba "A": coluna de "batchNumber" deve ser o nome do cabeçalho'],
+    [{ tabs: [{ name: 'A', attributes: { 'cor-base': 'Cor' } }] }, 'aba "A": nome de atributo inválido "cor-base"'],
+    [{ tabs: [{ name: 'A', attributes: { batchNumber: 'Lote' } }] }, 'aba "A": nome de atributo inválido "batchNumber"'],
+    [{ tabs: [{ name: 'A', required: 'nfcUID' }] }, 'aba "A": "required" deve ser uma lista'],
+    [{ tabs: [{ name: 'A', required: ['cor'] }] }, 'aba "A": campo obrigatório desconhecido "cor"']
+  ])('%j → erro', (invalid, message) => {
+    expect(() => validateMappingConfig(invalid)).toThrow(`Configuração de mapeamento inválida: ${message}`);
+  });
+
+  test('loadMappingConfig: JSON ilegível cita o arquivo', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mapeamento-')), 'mapeamento.json');
+    fs.writeFileSync(file, '{ "tabs": [');
+
+    expect(() => loadMappingConfig(file)).toThrow(`Não foi possível ler o mapeamento ${file}`);
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
+
+describe('resolveTabMapping', () => {
+  const [fabrica, batons] = validateMappingConfig(config).tabs;
+
+  test('colunas configuradas por aba prevalecem; demais pelos apelidos', () => {
+    const headers = ['Código NFC', 'UID', 'Lote Fabril', 'Nome', 'Validade', 'SKU', 'Observação'];
+
+    expect(resolveTabMapping(headers, fabrica)).toEqual({
+      columns: {
+        UID: 'Código NFC',
+        Data_Hora: null,
+        Nome: 'Nome',
+        Lote: 'Lote Fabril',
+        Validade: 'Validade',
+        Local: null
+      },
+      attributes: { sku: 'SKU' },
+      errors: [],
+      ignored: ['UID', 'Observação']
+    });
+  });
+
+  test('mesmo cabeçalho, outra aba: só apelidos', () => {
+    const headers = ['Código NFC', 'UID', 'Lote Fabril', 'Nome'];
+
+    const { columns, errors } = resolveTabMapping(headers, batons);
+
+    expect(columns).toMatchObject({ UID: 'UID', Lote: null });
+    expect(errors).toEqual([]);
+  });
+
+  test('coluna configurada ausente e obrigatória não encontrada', () => {
+    const { errors } = resolveTabMapping(['Código NFC', 'Nome'], fabrica);
+
+    expect(errors).toEqual([
+      'coluna "Lote Fabril" (batchNumber) não existe no cabeçalho',
+      'coluna "SKU" (atributo sku) não existe no cabeçalho'
+    ]);
+    expect(resolveTabMapping(['Nome'], batons).errors).toEqual(['coluna obrigatória de nfcUID não encontrada']);
+  });
+
+  test('readSource: erro cita a aba', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const source = {
+      type: 'file',
+      label: 'arquivo tags.xlsx',
+      mapping: fabrica,
+      readRows: async () => [['Código NFC', 'Nome'], ['04A1B2C3D4E5F6', 'Batom']]
+    };
+
+    const error = await readSource(source).catch(e => e);
+
+    expect(error.message).toBe('Aba "Fabrica SP": coluna "Lote Fabril" (batchNumber) não existe no cabeçalho; coluna "SKU" (atributo sku) não existe no cabeçalho');
+    expect(error.tabErrors).toEqual([
+      'Aba "Fabrica SP": coluna "Lote Fabril" (batchNumber) não existe no cabeçalho',
+      'Aba "Fabrica SP": coluna "SKU" (atributo sku) não existe no cabeçalho'
+    ]);
+    console.error.mockRestore();
+  });
+});
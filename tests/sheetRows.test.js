@@ -0,0 +1,161 @@
+const {
+  parseDate,
+  findColumn,
+  normalizeHeader,
+  rowsToRecords,
+  hasAnyValue,
+  parseProductRow,
+  isStrictDate,
+  validateProductRow
+} = require('../lib/sheetRows');
+
+describe('parseDate', () => {
+  test('ISO com e sem horário (hora local)', () => {
+    expect(parseDate('2025-03-10 14:30:15')).toEqual(new Date(2025, 2, 10, 14, 30, 15));
+    expect(parseDate('2025-03-10')).toEqual(new Date(2025, 2, 10, 0, 0, 0));
+  });
+
+  test('ISO com "T" mantém o horário', () => {
+    expect(parseDate('2024-01-15T10:30')).toEqual(new Date(2024, 0, 15, 10, 30, 0));
+    expect(parseDate('2024-01-15T10:30:05')).toEqual(new Date(2024, 0, 15, 10, 30, 5));
+  });
+
+  test('DD/MM/AAAA com e sem horário', () => {
+    expect(parseDate('10/03/2025 08:05:00')).toEqual(new Date(2025, 2, 10, 8, 5, 0));
+    expect(parseDate('10/03/2025')).toEqual(new Date(2025, 2, 10));
+    expect(parseDate('10/03/2025 08:05')).toEqual(new Date(2025, 2, 10, 8, 5, 0));
+  });
+
+  test('MM/AA e MM/AAAA vão para o último dia do mês às 23:59:59', () => {
+    expect(parseDate('02/27', true)).toEqual(new Date(2027, 1, 28, 23, 59, 59));
+    expect(parseDate('02/2028', true)).toEqual(new Date(2028, 1, 29, 23, 59, 59));
+    expect(parseDate('12/26', true)).toEqual(new Date(2026, 11, 31, 23, 59, 59));
+  });
+
+  test('ignora espaços nas pontas', () => {
+    expect(parseDate('  10/03/2025  ')).toEqual(new Date(2025, 2, 10));
+  });
+
+  test('vazio ou ilegível devolve null', () => {
+    expect(parseDate('')).toBeNull();
+    expect(parseDate('   ')).toBeNull();
+    expect(parseDate(undefined)).toBeNull();
+    expect(parseDate('amanhã')).toBeNull();
+  });
+
+  test('outros formatos caem no parse do Date', () => {
+    expect(parseDate('March 10, 2025')).toEqual(new Date('March 10, 2025'));
+  });
+});
+
+describe('findColumn', () => {
+  const headers = ['UID', 'Data Hora', 'Nome do Produto', 'LOTE', 'validade'];
+
+  test('compara sem maiúsculas, espaços ou pontuação', () => {
+    expect(findColumn(headers, ['Data_Hora'])).toBe('Data Hora');
+    expect(findColumn(headers, ['lote'])).toBe('LOTE');
+    expect(findColumn(headers, ['Validade'])).toBe('validade');
+  });
+
+  test('devolve o cabeçalho original do primeiro apelido encontrado', () => {
+    expect(findColumn(headers, ['Produto', 'Nome_do_Produto', 'Nome'])).toBe('Nome do Produto');
+    expect(findColumn(['uid', 'UID '], ['UID'])).toBe('uid');
+  });
+
+  test('null quando nenhum apelido existe', () => {
+    expect(findColumn(headers, ['Local', 'Location'])).toBeNull();
+    expect(findColumn([], ['UID'])).toBeNull();
+  });
+
+  test('normalizeHeader remove tudo que não é letra/número', () => {
+    expect(normalizeHeader('Data_Hora (UTC)')).toBe('datahorautc');
+  });
+});
+
+describe('hasAnyValue', () => {
+  test('linha totalmente vazia é ignorada; atributo ou campo conta', () => {
+    const rows = [['UID', 'Lote', 'Cor'], ['', '', ''], ['', 'L001', ''], [null, null, 'Rosa']];
+    const mapping = { columns: { UID: 'UID', batchNumber: 'Lote' }, attributes: { cor: 'Cor' } };
+
+    const records = rowsToRecords(rows, mapping).records;
+
+    expect(records.map(hasAnyValue)).toEqual([false, true, true]);
+  });
+});
+
+describe('isStrictDate', () => {
+  test('aceita os formatos de parseDate, com ou sem horário', () => {
+    expect(isStrictDate('2025-03-10')).toBe(true);
+    expect(isStrictDate('2025-03-10 14:30')).toBe(true);
+    expect(isStrictDate('2024-01-15T10:30:05')).toBe(true);
+    expect(isStrictDate('10/03/2025 08:05:00')).toBe(true);
+  });
+
+  test('rejeita datas que não existem em vez de rolar o mês', () => {
+    expect(isStrictDate('31/02/2025')).toBe(false);
+    expect(isStrictDate('2025-13-01')).toBe(false);
+    expect(isStrictDate('2025-03-10 25:00')).toBe(false);
+  });
+
+  test('MM/AA só vale na validade', () => {
+    expect(isStrictDate('12/26')).toBe(false);
+    expect(isStrictDate('12/26', true)).toBe(true);
+    expect(isStrictDate('13/2026', true)).toBe(false);
+  });
+
+  test('formatos livres ficam de fora', () => {
+    expect(isStrictDate('March 10, 2025')).toBe(false);
+    expect(isStrictDate('2024-01-15T10:30:00Z')).toBe(false);
+    expect(isStrictDate('')).toBe(false);
+  });
+});
+
+describe('validateProductRow', () => {
+  const now = new Date(2025, 5, 1);
+  const validRow = { UID: '04A1B2C3D4E5F6', Data_Hora: '10/03/2025 08:00', Validade: '03/27', attributes: {} };
+  const codes = row => validateProductRow({ ...validRow, ...row }, { now }).map(reason => reason.code);
+
+  test('linha completa é válida', () => {
+    expect(validateProductRow(validRow, { now })).toEqual([]);
+  });
+
+  test('UID ausente ou fora do formato', () => {
+    expect(codes({ UID: null })).toEqual(['UID_MISSING']);
+    expect(codes({ UID: 'XYZ' })).toEqual(['UID_INVALID']);
+  });
+
+  test('data de fabricação ausente, inválida ou no futuro', () => {
+    expect(codes({ Data_Hora: null })).toEqual(['MANUFACTURE_DATE_MISSING']);
+    expect(codes({ Data_Hora: '31/02/2025' })).toEqual(['MANUFACTURE_DATE_INVALID']);
+    expect(codes({ Data_Hora: '10/03/2026' })).toEqual(['MANUFACTURE_DATE_FUTURE']);
+  });
+
+  test('validade ausente é rejeitada, sem o padrão de +2 anos', () => {
+    const reasons = validateProductRow({ ...validRow, Validade: null }, { now });
+    expect(reasons).toEqual([{ code: 'EXPIRY_DATE_MISSING', message: 'Validade ausente' }]);
+  });
+
+  test('validade inválida ou anterior à fabricação', () => {
+    expect(codes({ Validade: 'logo' })).toEqual(['EXPIRY_DATE_INVALID']);
+    expect(codes({ Validade: '02/25' })).toEqual(['EXPIRY_BEFORE_MANUFACTURE']);
+  });
+
+  test('horário com "T" conta na comparação com a validade', () => {
+    expect(codes({ Data_Hora: '2025-03-10T08:00', Validade: '2025-03-10T20:00' })).toEqual([]);
+    expect(codes({ Data_Hora: '2025-03-10T20:00', Validade: '2025-03-10T08:00' })).toEqual(['EXPIRY_BEFORE_MANUFACTURE']);
+  });
+
+  test('vários problemas na mesma linha vão juntos', () => {
+    expect(codes({ UID: '', Data_Hora: 'ontem', Validade: null }))
+      .toEqual(['UID_MISSING', 'MANUFACTURE_DATE_INVALID', 'EXPIRY_DATE_MISSING']);
+  });
+});
+
+describe('parseProductRow (política "defaults")', () => {
+  test('validade ausente recebe +2 anos com aviso', () => {
+    const parsed = parseProductRow({ UID: '04A1B2C3D4E5F6', Data_Hora: '2025-03-10', attributes: {} });
+
+    expect(parsed.expiryDate).toEqual(new Date(2027, 2, 10));
+    expect(parsed.warnings).toContain('Sem validade, calculando +2 anos');
+  });
+});
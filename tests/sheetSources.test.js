@@ -0,0 +1,34 @@
+const XLSX = require('xlsx');
+const { readSpreadsheetBuffer } = require('../lib/sheetSources');
+
+/**
+ * Monta um XLSX em memória a partir de uma matriz de células
+ */
+function buildXlsx(rows, formats = {}) {
+  const sheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true });
+  for (const [cell, format] of Object.entries(formats)) sheet[cell].z = format;
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Tags');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+describe('readSpreadsheetBuffer', () => {
+  test('XLSX: UID numérico mantém os zeros à esquerda do formato da célula', () => {
+    const buffer = buildXlsx(
+      [['UID', 'Fabricação', 'Qtd'], [4123456789012, new Date(2025, 2, 10, 14, 30), 3]],
+      { A2: '00000000000000' }
+    );
+
+    expect(readSpreadsheetBuffer(buffer)).toEqual([
+      ['UID', 'Fabricação', 'Qtd'],
+      ['04123456789012', '2025-03-10 14:30:00', '3']
+    ]);
+  });
+
+  test('CSV: células ficam como texto', () => {
+    const rows = readSpreadsheetBuffer(Buffer.from('UID,Lote\n04123456789012,007\n'), { format: 'csv' });
+
+    expect(rows).toEqual([['UID', 'Lote'], ['04123456789012', '007']]);
+  });
+});
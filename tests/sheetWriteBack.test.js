@@ -0,0 +1,107 @@
+const { silenceLogs } = require('./helpers/env');
+
+const { google } = require('googleapis');
+const { createSheetsApiStub } = require('../scripts/sheets-api-stub');
+const { createGoogleSheetsSource } = require('../lib/sheetSources');
+const { STATUS_HEADERS, writeBackStatus } = require('../lib/sheetWriteBack');
+
+beforeAll(silenceLogs);
+
+const HEADER = ['UID', 'Nome', 'Lote', 'Data_Hora', 'Validade'];
+const LAST_SCAN = new Date(2025, 5, 10, 14, 30);
+
+const STATUS = new Map([
+  ['04A1B2C3D4E5F6', { registered: true, scanCount: 3, lastScan: LAST_SCAN, isActive: true }],
+  ['04A1B2C3D4E5F7', { registered: true, scanCount: 1, isActive: true, recalled: true, alert: { status: 'open', score: 80 } }]
+]);
+
+let server;
+let rootUrl;
+let requestedUIDs;
+
+const getStatus = async uids => {
+  requestedUIDs = uids;
+  return STATUS;
+};
+
+// Cliente real da API apontado para o stub; fetch nativo porque o import
+// dinâmico do node-fetch (padrão do gaxios) não roda dentro do jest
+const getClient = async () => google.sheets({ version: 'v4', rootUrl, fetchImplementation: fetch });
+
+const writeBack = (options = {}) => writeBackStatus(
+  createGoogleSheetsSource({ spreadsheetId: 'stub', range: 'Sheet1!A:E', getClient }),
+  getStatus,
+  { minIntervalMs: 0, ...options }
+);
+
+beforeEach(async () => {
+  server = createSheetsApiStub({
+    Sheet1: [
+      [...HEADER], // cópia: o stub altera as linhas em memória
+      ['04A1B2C3D4E5F6', 'Batom Matte', 'L001', '10/03/2025 08:00', '03/27'],
+      ['04:a1:b2:c3:d4:e5:f7', 'Batom Matte', 'L002', '10/03/2025 08:00', '03/27'],
+      ['04A1B2C3D4E5F8', 'Base Líquida', 'L003', '10/03/2025 08:00', '03/27']
+    ]
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  rootUrl = `http://127.0.0.1:${server.address().port}/`;
+});
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('writeBackStatus (stub da API do Sheets)', () => {
+  test('escreve cabeçalho e status logo depois das colunas lidas', async () => {
+    const result = await writeBack();
+
+    expect(result).toEqual({ rowsUpdated: 3, requests: 1, column: 'F' });
+    expect(requestedUIDs.sort()).toEqual(['04A1B2C3D4E5F6', '04A1B2C3D4E5F7', '04A1B2C3D4E5F8']);
+    expect(server.sheets.Sheet1.map(row => row.slice(5))).toEqual([
+      STATUS_HEADERS,
+      [3, LAST_SCAN.toLocaleString('pt-BR'), 'Ativo', ''],
+      [1, '', 'Recolhido', 'Aberto (score 80)'],
+      ['', '', 'Não cadastrado', '']
+    ]);
+    // Colunas de origem intactas
+    expect(server.sheets.Sheet1[2].slice(0, 5)).toEqual(['04:a1:b2:c3:d4:e5:f7', 'Batom Matte', 'L002', '10/03/2025 08:00', '03/27']);
+  });
+
+  test('segunda execução sem mudanças não envia batchUpdate', async () => {
+    await writeBack();
+    server.requests.length = 0;
+
+    const result = await writeBack();
+
+    expect(result).toEqual({ rowsUpdated: 0, requests: 0, column: 'F' });
+    expect(server.requests.every(req => req.method === 'GET')).toBe(true);
+  });
+
+  test('só a linha alterada é reescrita', async () => {
+    await writeBack();
+    server.sheets.Sheet1[1][7] = 'Inativo';
+
+    const result = await writeBack();
+
+    expect(result.rowsUpdated).toBe(1);
+    expect(server.sheets.Sheet1[1][7]).toBe('Ativo');
+  });
+
+  test('coluna escolhida (--write-back-column)', async () => {
+    const result = await writeBack({ column: 'H' });
+
+    expect(result.column).toBe('H');
+    expect(server.sheets.Sheet1[0].slice(7)).toEqual(STATUS_HEADERS);
+    expect(server.sheets.Sheet1[1][10]).toBe('');
+  });
+
+  test('coluna sobre as de origem ou com outros dados → nada é escrito', async () => {
+    await expect(writeBack({ column: 'C' })).rejects.toThrow('Coluna C sobrepõe as colunas de origem (primeira livre: F)');
+
+    server.sheets.Sheet1[0][5] = 'Observações';
+    await expect(writeBack()).rejects.toThrow('Colunas F:I já contêm outros dados');
+
+    expect(server.requests.some(req => req.method === 'POST')).toBe(false);
+    expect(server.sheets.Sheet1[1]).toHaveLength(5);
+  });
+});
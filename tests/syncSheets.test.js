@@ -0,0 +1,124 @@
+const { silenceLogs } = require('./helpers/env');
+
+const signalListeners = { SIGTERM: process.listenerCount('SIGTERM'), SIGINT: process.listenerCount('SIGINT') };
+const {
+  EXIT_OK, EXIT_SYNC_ERRORS, EXIT_USAGE, EXIT_LOCKED, EXIT_REJECTED,
+  main, parseCommandLine, syncExitCode, validateRows
+} = require('../sync-sheets');
+
+beforeAll(silenceLogs);
+
+const row = (rowNumber, fields) => ({
+  rowNumber,
+  UID: '04A1B2C3D4E5F6',
+  Data_Hora: '10/03/2025 08:00',
+  Validade: '03/27',
+  attributes: {},
+  ...fields
+});
+
+describe('validateRows', () => {
+  test('separa válidas e rejeitadas com linha e motivos', () => {
+    const valid = row(2);
+    const { valid: rows, rejections } = validateRows([valid, row(3, { UID: '04A1B2C3D4E5F7', Validade: null })]);
+
+    expect(rows).toEqual([valid]);
+    expect(rejections).toEqual([{
+      tab: undefined,
+      row: 3,
+      nfcUID: '04A1B2C3D4E5F7',
+      reasons: [{ code: 'EXPIRY_DATE_MISSING', message: 'Validade ausente' }],
+      data: { UID: '04A1B2C3D4E5F7', Data_Hora: '10/03/2025 08:00', Validade: null, attributes: {} }
+    }]);
+  });
+
+  test('UID repetido (mesmo com outra grafia) rejeita todas as ocorrências', () => {
+    const { valid, rejections } = validateRows([
+      row(2),
+      row(3, { UID: '04:a1:b2:c3:d4:e5:f6' }),
+      row(4, { UID: '04A1B2C3D4E5F7' })
+    ]);
+
+    expect(valid.map(r => r.rowNumber)).toEqual([4]);
+    expect(rejections.map(r => [r.row, r.nfcUID, r.reasons.map(reason => reason.code)])).toEqual([
+      [2, '04A1B2C3D4E5F6', ['DUPLICATE_UID']],
+      [3, '04A1B2C3D4E5F6', ['DUPLICATE_UID']]
+    ]);
+    expect(rejections[0].reasons[0].message).toBe('UID repetido na planilha (linha 3)');
+  });
+
+  test('duplicata entre abas indica aba e linha', () => {
+    const { rejections } = validateRows([
+      row(2, { tab: { name: 'Batons' } }),
+      row(5, { tab: { name: 'Bases' } })
+    ]);
+
+    expect(rejections.map(r => r.tab)).toEqual(['Batons', 'Bases']);
+    expect(rejections[0].reasons[0].message).toBe('UID repetido na planilha (linha Bases:5)');
+  });
+});
+
+describe('parseCommandLine', () => {
+  test('sem comando → daemon com os padrões', () => {
+    const { command, options } = parseCommandLine([]);
+
+    expect(command).toBe('daemon');
+    expect(options).toMatchObject({ once: false, json: false, help: false, 'invalid-rows': 'reject' });
+  });
+
+  test('comando e opções', () => {
+    const { command, options } = parseCommandLine(['sync', '--once', '--file', 'tags.xlsx', '--invalid-rows', 'quarantine', '--json']);
+
+    expect(command).toBe('sync');
+    expect(options).toMatchObject({ once: true, json: true, file: 'tags.xlsx', 'invalid-rows': 'quarantine' });
+  });
+
+  test('formato antigo: ID da planilha como único argumento → daemon', () => {
+    expect(parseCommandLine(['1AbC_planilha'])).toMatchObject({
+      command: 'daemon',
+      options: { 'spreadsheet-id': '1AbC_planilha' }
+    });
+  });
+
+  test('--spreadsheet-id explícito prevalece sobre o argumento antigo', () => {
+    expect(parseCommandLine(['1AbC_planilha', '--spreadsheet-id', 'outra']).options['spreadsheet-id']).toBe('outra');
+  });
+
+  test('--help sem comando não assume daemon', () => {
+    expect(parseCommandLine(['--help'])).toMatchObject({ command: undefined, options: { help: true } });
+  });
+
+  test('comando desconhecido ou opção inválida lançam erro', () => {
+    expect(() => parseCommandLine(['limpar', 'tudo'])).toThrow('Comando desconhecido: limpar');
+    expect(() => parseCommandLine(['sync', '--nao-existe'])).toThrow();
+  });
+});
+
+describe('códigos de saída', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => console.error.mockRestore());
+
+  test('uso inválido → EXIT_USAGE; --help → EXIT_OK (sem conectar ao MongoDB)', async () => {
+    expect(await main(['limpar', 'tudo'])).toBe(EXIT_USAGE);
+    expect(await main(['sync', '--nao-existe'])).toBe(EXIT_USAGE);
+    expect(await main(['--help'])).toBe(EXIT_OK);
+    expect(await main(['status', '-h'])).toBe(EXIT_OK);
+  });
+
+  test('resultado da sincronização', () => {
+    const result = { erros: 0, rejeitados: 0 };
+
+    expect([EXIT_OK, EXIT_SYNC_ERRORS, EXIT_USAGE, EXIT_LOCKED, EXIT_REJECTED]).toEqual([0, 1, 2, 3, 4]);
+    expect(syncExitCode(null)).toBe(EXIT_LOCKED);
+    expect(syncExitCode(result)).toBe(EXIT_OK);
+    expect(syncExitCode({ ...result, rejeitados: 2 })).toBe(EXIT_REJECTED);
+    expect(syncExitCode({ ...result, erros: 1, rejeitados: 2 })).toBe(EXIT_SYNC_ERRORS);
+    expect(syncExitCode({ ...result, writeBack: { error: 'HTTP 403' } })).toBe(EXIT_SYNC_ERRORS);
+    expect(syncExitCode({ ...result, writeBack: { skipped: 'Escrita de status só é suportada para Google Sheets' } })).toBe(EXIT_OK);
+  });
+
+  test('importar o módulo não registra handlers de sinal', () => {
+    expect(process.listenerCount('SIGTERM')).toBe(signalListeners.SIGTERM);
+    expect(process.listenerCount('SIGINT')).toBe(signalListeners.SIGINT);
+  });
+});
@@ -0,0 +1,465 @@
+const { silenceLogs } = require('./helpers/env');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildSunMessage } = require('./helpers/sun');
+const app = require('../server');
+const Scan = require('../models/Scan');
+const Alert = require('../models/Alert');
+const BatchRecall = require('../models/BatchRecall');
+const { Product, createProduct } = require('../lib/products');
+const rateLimit = require('../lib/rateLimit');
+const cloneRules = require('../lib/cloneRules');
+const geoip = require('../lib/geoip');
+
+const SUN_UID = '04A1B2C3D4E5F6';
+const SHEETS_UID = '04AA000000AA01';
+const DEMO_UID = '04112233445566';
+
+const verify = body => request(app).post('/api/verify-product').send(body);
+
+const productFields = (nfcUID, overrides = {}) => ({
+  nfcUID,
+  productName: 'Batom Matte',
+  batchNumber: 'L001',
+  manufacturingDateTime: new Date('2025-03-10T14:30:00Z'),
+  expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+  manufacturingLocation: 'São Paulo, Brasil',
+  ...overrides
+});
+
+/**
+ * Produto com chave AES (verificado via SUN); devolve também a chave da tag
+ */
+async function createSunProduct(overrides = {}) {
+  return createProduct(productFields(SUN_UID, overrides), { key: 'generate' });
+}
+
+/**
+ * Produto vindo da planilha (sem chave AES, contador do servidor)
+ */
+async function createSheetsProduct(overrides = {}) {
+  const { product } = await createProduct(productFields(SHEETS_UID, overrides), {
+    key: 'placeholder',
+    syncedFromSheets: true
+  });
+  return product;
+}
+
+beforeAll(async () => {
+  silenceLogs();
+  await db.connect();
+});
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('POST /api/verify-product - entrada', () => {
+  test('sem UID → 400', async () => {
+    const res = await verify({});
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, authentic: false, code: 'UID_REQUIRED', error: 'UID da tag NFC é obrigatório' });
+  });
+
+  test('UID em formato inválido → 400', async () => {
+    const res = await verify({ uid: 'NAO-E-HEX' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Formato de UID inválido');
+  });
+
+  test('tag não cadastrada → 404', async () => {
+    const res = await verify({ uid: '04FFFFFFFFFFFF' });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ authentic: false, code: 'TAG_NOT_FOUND' });
+    expect(await Scan.countDocuments()).toBe(0);
+  });
+});
+
+describe('POST /api/verify-product - produto bloqueado', () => {
+  test('produto inativo → 403 e scan "inactive"', async () => {
+    await createSheetsProduct();
+    await Product.updateOne({ nfcUID: SHEETS_UID }, { isActive: false });
+
+    const res = await verify({ uid: SHEETS_UID });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Produto foi bloqueado ou recolhido');
+    expect(await Scan.findOne({ nfcUID: SHEETS_UID })).toMatchObject({ verdict: 'inactive' });
+  });
+
+  test('lote recolhido → 410 com a mensagem pública', async () => {
+    await createSheetsProduct();
+    await BatchRecall.create({
+      batchNumber: 'L001',
+      reason: 'Contaminação',
+      publicMessage: 'Não utilize este produto.',
+      createdBy: 'admin'
+    });
+
+    const res = await verify({ uid: SHEETS_UID });
+
+    expect(res.status).toBe(410);
+    expect(res.body).toMatchObject({ status: 'recalled', details: 'Não utilize este produto.' });
+    expect(await Scan.findOne({ nfcUID: SHEETS_UID })).toMatchObject({ verdict: 'recalled' });
+  });
+
+  test('lote recolhido: leitura forjada → 403 sem revelar o recolhimento', async () => {
+    const { secretKey } = await createSunProduct();
+    await BatchRecall.create({
+      batchNumber: 'L001',
+      reason: 'Contaminação',
+      publicMessage: 'Não utilize este produto.',
+      createdBy: 'admin'
+    });
+
+    const forged = await verify(buildSunMessage(SUN_UID, 1, '00112233445566778899AABBCCDDEEFF'));
+    const genuine = await verify(buildSunMessage(SUN_UID, 2, secretKey));
+
+    expect(forged.status).toBe(403);
+    expect(forged.body.authentic).toBe(false);
+    expect(forged.body.recall).toBeUndefined();
+    expect(genuine.status).toBe(410);
+    expect(genuine.body).toMatchObject({ authentic: true, status: 'recalled' });
+  });
+});
+
+describe('POST /api/verify-product - SUN/SDM', () => {
+  test('mensagem SUN válida → autêntico, contador da tag', async () => {
+    const { secretKey } = await createSunProduct();
+
+    const res = await verify(buildSunMessage(SUN_UID, 7, secretKey));
+
+    expect(res.status).toBe(200);
+    expect(res.body.authentic).toBe(true);
+    expect(res.body.product.scanCount).toBe(7);
+    expect(res.body.verification.counterPolicy).toBe('sun');
+    expect(await Scan.findOne({ nfcUID: SUN_UID })).toMatchObject({ verdict: 'authentic', counter: 7 });
+  });
+
+  test('primeira leitura aceita é a primeira mesmo com o contador da tag alto', async () => {
+    const { secretKey } = await createSunProduct();
+
+    const first = await verify(buildSunMessage(SUN_UID, 12, secretKey));
+    const second = await verify(buildSunMessage(SUN_UID, 13, secretKey));
+
+    expect(first.body.product).toMatchObject({ scanCount: 12, isFirstScan: true });
+    expect(second.body.product).toMatchObject({ scanCount: 13, isFirstScan: false });
+  });
+
+  test('CMAC de outra chave → 403 e scan "invalid_signature"', async () => {
+    await createSunProduct();
+    const message = buildSunMessage(SUN_UID, 1, '00112233445566778899AABBCCDDEEFF');
+
+    const res = await verify(message);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Assinatura criptográfica inválida');
+    expect(await Scan.findOne({ nfcUID: SUN_UID })).toMatchObject({ verdict: 'invalid_signature' });
+    expect((await Product.findOne({ nfcUID: SUN_UID })).scanCount).toBe(0);
+  });
+
+  test('PICCData ilegível → 403 sem consultar o produto', async () => {
+    const res = await verify({ picc_data: 'ZZ', cmac: '0011223344556677' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.authentic).toBe(false);
+  });
+
+  test('produto com chave AES lido só pelo UID → 403', async () => {
+    await createSunProduct();
+
+    const res = await verify({ uid: SUN_UID });
+
+    expect(res.status).toBe(403);
+    expect(await Scan.findOne({ nfcUID: SUN_UID })).toMatchObject({ verdict: 'invalid_signature' });
+  });
+
+  test('mesma mensagem duas vezes → 409 replay', async () => {
+    const { secretKey } = await createSunProduct();
+    const message = buildSunMessage(SUN_UID, 3, secretKey);
+
+    expect((await verify(message)).status).toBe(200);
+    const res = await verify(message);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ verdict: 'replay', code: 'COUNTER_REPLAY' });
+    expect(await Scan.countDocuments({ nfcUID: SUN_UID, verdict: 'replay' })).toBe(1);
+  });
+
+  test('contador menor que o último aceito → 409', async () => {
+    const { secretKey } = await createSunProduct();
+
+    expect((await verify(buildSunMessage(SUN_UID, 10, secretKey))).status).toBe(200);
+    const res = await verify(buildSunMessage(SUN_UID, 9, secretKey));
+
+    expect(res.status).toBe(409);
+    expect((await Product.findOne({ nfcUID: SUN_UID })).scanCount).toBe(10);
+  });
+});
+
+describe('POST /api/verify-product - sem assinatura', () => {
+  test('produto da planilha: UID basta e o servidor conta as leituras', async () => {
+    await createSheetsProduct();
+
+    const first = await verify({ uid: '04:aa:00:00:00:aa:01', counter: 999 });
+    const second = await verify({ uid: SHEETS_UID });
+
+    expect(first.status).toBe(200);
+    expect(first.body.product).toMatchObject({ scanCount: 1, isFirstScan: true });
+    expect(first.body.verification.counterPolicy).toBe('server');
+    expect(second.body.product).toMatchObject({ scanCount: 2, isFirstScan: false });
+
+    const firstScan = await Scan.findOne({ nfcUID: SHEETS_UID }).sort({ timestamp: 1 });
+    expect((await Product.findOne({ nfcUID: SHEETS_UID })).firstScanAt).toEqual(firstScan.timestamp);
+  });
+
+  test('UID de demonstração dispensa assinatura mesmo com chave AES', async () => {
+    await createProduct(productFields(DEMO_UID), { key: 'generate' });
+
+    const res = await verify({ uid: DEMO_UID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.authentic).toBe(true);
+    expect(res.body.verification.counterPolicy).toBe('server');
+  });
+});
+
+describe('POST /api/verify-product - validade e clonagem', () => {
+  test('produto vencido continua autêntico, com status "Vencido"', async () => {
+    await createSheetsProduct({ expiryDate: new Date('2024-01-31') });
+
+    const res = await verify({ uid: SHEETS_UID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.product).toMatchObject({ isExpired: true, status: 'Vencido', statusCode: 'PRODUCT_STATUS_EXPIRED' });
+    expect(res.body.verification.riskScore).toBeGreaterThan(0);
+  });
+
+  test('produto dentro da validade → "Válido"', async () => {
+    await createSheetsProduct();
+
+    const res = await verify({ uid: SHEETS_UID });
+
+    expect(res.body.product).toMatchObject({ isExpired: false, status: 'Válido' });
+    expect(res.body.verification.suspicious).toBe(false);
+    expect(res.body.warning).toBeUndefined();
+  });
+
+  test('rajada de leituras → aviso de clonagem e alerta aberto', async () => {
+    const product = await createSheetsProduct();
+    const now = Date.now();
+    await Scan.insertMany([1, 2, 3, 4, 5].map(i => ({
+      productId: product._id,
+      nfcUID: SHEETS_UID,
+      timestamp: new Date(now - i * 1000),
+      ipAddress: '10.0.0.1',
+      verdict: 'authentic'
+    })));
+
+    const res = await verify({ uid: SHEETS_UID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.verification.suspicious).toBe(true);
+    expect(res.body).toMatchObject({ warningCode: 'CLONE_SUSPECTED', warning: 'Padrão de leituras suspeito para esta tag' });
+    expect(res.body).not.toHaveProperty('warningDetails'); // motivo das regras fica só no alerta
+    expect(await Scan.findOne({ nfcUID: SHEETS_UID }).sort({ timestamp: -1 })).toMatchObject({ verdict: 'suspicious' });
+
+    const alert = await Alert.findOne({ nfcUID: SHEETS_UID });
+    expect(alert).toMatchObject({ status: 'open', occurrences: 1 });
+    expect(alert.rules.map(r => r.rule)).toContain('burst');
+    expect(alert.rules.find(r => r.rule === 'burst').reason).toMatch(/scans em 60s/);
+  });
+
+  test('leituras suspeitas simultâneas somam no mesmo alerta', async () => {
+    const product = await createSheetsProduct();
+    const evaluation = {
+      score: 50,
+      shouldDeactivate: false,
+      verdicts: [{ rule: 'burst', triggered: true, score: 50, reason: '6 scans em 60s' }]
+    };
+
+    await Promise.all([1, 2, 3, 4].map(() => cloneRules.recordAlert(product, evaluation, null)));
+
+    const alerts = await Alert.find({ productId: product._id });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ status: 'open', occurrences: 4 });
+  });
+
+  test('leituras rejeitadas não contam nas regras de volume (IPs, dispositivos, rajada)', async () => {
+    const product = await createSheetsProduct();
+    const now = Date.now();
+    await Scan.insertMany(Array.from({ length: 20 }, (_, i) => ({
+      productId: product._id,
+      nfcUID: SHEETS_UID,
+      timestamp: new Date(now - i * 1000),
+      ipAddress: `10.0.0.${i + 1}`,
+      userAgent: `forjado/${i}`,
+      verdict: i % 2 ? 'invalid_signature' : 'replay'
+    })));
+
+    const res = await verify({ uid: SHEETS_UID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.verification.suspicious).toBe(false);
+    expect(await Alert.countDocuments({ nfcUID: SHEETS_UID })).toBe(0);
+  });
+});
+
+describe('POST /api/verify-product - IP, geo e dispositivo', () => {
+  afterEach(() => geoip.setReader(null));
+
+  test('scan grava país pela base GeoIP e o dispositivo do User-Agent', async () => {
+    geoip.setReader({ get: () => ({ country: { iso_code: 'BR', names: { en: 'Brazil' } } }) });
+    await createSheetsProduct();
+
+    await verify({ uid: SHEETS_UID })
+      .set('X-Forwarded-For', '203.0.113.9')
+      .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1');
+
+    const scan = await Scan.findOne({ nfcUID: SHEETS_UID });
+    expect(scan.ipAddress).not.toBe('203.0.113.9'); // sem TRUST_PROXY o cabeçalho é ignorado
+    expect(scan.geo).toMatchObject({ country: 'BR', countryName: 'Brazil' });
+    expect(scan.device).toMatchObject({ type: 'mobile', os: 'iOS' });
+  });
+
+  test('leituras em muitos países → aviso de clonagem', async () => {
+    geoip.setReader({ get: () => ({ country: { iso_code: 'BR' } }) });
+    const product = await createSheetsProduct();
+    await Scan.insertMany(['AR', 'US'].map(country => ({
+      productId: product._id,
+      nfcUID: SHEETS_UID,
+      geo: { country },
+      verdict: 'authentic'
+    })));
+
+    const res = await verify({ uid: SHEETS_UID });
+
+    expect(res.body.verification.suspicious).toBe(true);
+    expect(JSON.stringify(res.body)).not.toMatch(/países/);
+    expect((await Alert.findOne({ nfcUID: SHEETS_UID })).rules[0].reason).toMatch(/3 países/);
+  });
+});
+
+describe('POST /api/verify-product - rate limit', () => {
+  beforeEach(() => {
+    process.env.RATE_LIMIT_ENABLED = 'true';
+    rateLimit.getStore().reset();
+  });
+  afterEach(() => {
+    process.env.RATE_LIMIT_ENABLED = 'false';
+    delete process.env.RATE_LIMIT_VERIFY_UID;
+    delete process.env.RATE_LIMIT_VERIFY_NOT_FOUND;
+  });
+
+  test('enxurrada de leituras autenticadas → 429 sem contar leitura, um scan "throttled"', async () => {
+    process.env.RATE_LIMIT_VERIFY_UID = '2/60';
+    const { secretKey } = await createSunProduct();
+
+    await verify(buildSunMessage(SUN_UID, 1, secretKey));
+    await verify(buildSunMessage(SUN_UID, 2, secretKey));
+    const res = await verify(buildSunMessage(SUN_UID, 3, secretKey));
+    await verify(buildSunMessage(SUN_UID, 4, secretKey));
+
+    expect(res.status).toBe(429);
+    expect(res.body).toMatchObject({ success: false, authentic: false, code: 'RATE_LIMITED' });
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect((await Product.findOne({ nfcUID: SUN_UID })).scanCount).toBe(2);
+    expect(await Scan.countDocuments({ verdict: 'throttled' })).toBe(1);
+  });
+
+  test('leituras só com o UID não gastam a cota da tag SUN verdadeira', async () => {
+    process.env.RATE_LIMIT_VERIFY_UID = '2/60';
+    const { secretKey } = await createSunProduct();
+
+    for (let i = 0; i < 4; i++) {
+      expect((await verify({ uid: SUN_UID })).status).toBe(403);
+    }
+    const res = await verify(buildSunMessage(SUN_UID, 1, secretKey));
+
+    expect(res.status).toBe(200);
+    expect(res.body.verification.riskScore).toBe(0);
+    expect(await Scan.countDocuments({ verdict: 'throttled' })).toBe(0);
+  });
+
+  test('replay de mensagem SUN capturada conta por IP, não na cota da tag', async () => {
+    process.env.RATE_LIMIT_VERIFY_UID = '2/60';
+    const { secretKey } = await createSunProduct();
+    const captured = buildSunMessage(SUN_UID, 1, secretKey);
+
+    await verify(captured);
+    await verify(captured);
+    await verify(captured);
+    const replayed = await verify(captured);
+    const genuine = await verify(buildSunMessage(SUN_UID, 2, secretKey));
+
+    expect(replayed.status).toBe(429);
+    expect(genuine.status).toBe(200);
+    expect(await Scan.countDocuments({ verdict: 'throttled' })).toBe(0);
+  });
+
+  test('produto sem chave: enxurrada do mesmo IP → 429 sem scan "throttled"', async () => {
+    process.env.RATE_LIMIT_VERIFY_UID = '2/60';
+    await createSheetsProduct();
+
+    await verify({ uid: SHEETS_UID });
+    await verify({ uid: SHEETS_UID });
+    const res = await verify({ uid: SHEETS_UID });
+
+    expect(res.status).toBe(429);
+    expect((await Product.findOne({ nfcUID: SHEETS_UID })).scanCount).toBe(2);
+    expect(await Scan.countDocuments({ verdict: 'throttled' })).toBe(0);
+  });
+
+  test('leitura depois de um throttle conta na regra "throttled"', async () => {
+    const product = await createSheetsProduct();
+    await Scan.create({ productId: product._id, nfcUID: SHEETS_UID, verdict: 'throttled' });
+
+    const res = await verify({ uid: SHEETS_UID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.verification.riskScore).toBe(30);
+    expect(res.body.verification.suspicious).toBe(false);
+  });
+
+  test('muitos UIDs inexistentes → 429 também para tags cadastradas', async () => {
+    process.env.RATE_LIMIT_VERIFY_NOT_FOUND = '2/600';
+    await createSheetsProduct();
+
+    expect((await verify({ uid: '04FFFFFFFFFF01' })).status).toBe(404);
+    expect((await verify({ uid: '04FFFFFFFFFF02' })).status).toBe(404);
+    const res = await verify({ uid: SHEETS_UID });
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('RATE_LIMITED');
+  });
+});
+
+describe('POST /api/verify-product - idioma', () => {
+  test('?lang=en traduz erro e detalhes, mantendo o código', async () => {
+    const res = await request(app).post('/api/verify-product?lang=en').send({ uid: '04FFFFFFFFFFFF' });
+
+    expect(res.body).toMatchObject({
+      code: 'TAG_NOT_FOUND',
+      error: 'NFC tag not registered in the Make Beauty system'
+    });
+    expect(res.headers['content-language']).toBe('en');
+  });
+
+  test('Accept-Language es traduz o status do produto', async () => {
+    await createSheetsProduct({ expiryDate: new Date('2024-01-31') });
+
+    const res = await verify({ uid: SHEETS_UID }).set('Accept-Language', 'es-ES,es;q=0.9');
+
+    expect(res.body).toMatchObject({ code: 'PRODUCT_AUTHENTIC', message: 'Producto auténtico' });
+    expect(res.body.product).toMatchObject({ status: 'Caducado', statusCode: 'PRODUCT_STATUS_EXPIRED' });
+  });
+
+  test('idioma sem tradução cai para português', async () => {
+    const res = await verify({ uid: 'XYZ', lang: 'de' }).set('Accept-Language', 'de-DE');
+
+    expect(res.body).toMatchObject({ code: 'UID_INVALID', error: 'Formato de UID inválido' });
+    expect(res.headers['content-language']).toBe('pt');
+  });
+});
@@ -0,0 +1,142 @@
+const { silenceLogs } = require('./helpers/env');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildSunMessage } = require('./helpers/sun');
+const app = require('../server');
+const Scan = require('../models/Scan');
+const BatchRecall = require('../models/BatchRecall');
+const { createProduct } = require('../lib/products');
+const { renderVerifyPage } = require('../lib/verifyPage');
+
+const SUN_UID = '04A1B2C3D4E5F6';
+const SHEETS_UID = '04AA000000AA01';
+
+const productFields = nfcUID => ({
+  nfcUID,
+  productName: 'Batom <Matte>',
+  batchNumber: 'L001',
+  manufacturingDateTime: new Date(2025, 2, 10, 14, 30),
+  expiryDate: new Date(2027, 2, 10)
+});
+
+describe('renderVerifyPage', () => {
+  const authentic = {
+    outcome: 'authentic',
+    body: { product: { name: '<script>x</script>', batchNumber: 'L1', scanCount: 1, isFirstScan: true } }
+  };
+
+  test('escapa os dados do produto', () => {
+    const html = renderVerifyPage(authentic, 'pt');
+    expect(html).toContain('&lt;script&gt;x&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+  });
+
+  test('idioma pedido é o principal e o outro vai escondido na mesma página', () => {
+    const html = renderVerifyPage(authentic, 'en');
+    expect(html).toContain('<html lang="en">');
+    expect(html.indexOf('Authentic product')).toBeLessThan(html.indexOf('Produto autêntico'));
+  });
+
+  test('idioma desconhecido cai para português', () => {
+    expect(renderVerifyPage(authentic, 'xx')).toContain('<html lang="pt-BR">');
+  });
+
+  test('textos vêm do catálogo de lib/i18n.js, espanhol incluído', () => {
+    const html = renderVerifyPage({ outcome: 'authentic', body: { product: { scanCount: 4, isFirstScan: false } } }, 'es');
+    expect(html).toContain('<html lang="es">');
+    expect(html).toContain('Producto auténtico');
+    expect(html).toContain('Leído 4 veces');
+    expect(html.indexOf('Leído 4 veces')).toBeLessThan(html.indexOf('Lido 4 vezes'));
+  });
+});
+
+describe('GET /v/:uid', () => {
+  beforeAll(async () => {
+    silenceLogs();
+    await db.connect();
+  });
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  test('produto autêntico: nome, lote, datas e selo de primeira leitura', async () => {
+    await createProduct(productFields(SHEETS_UID), { key: 'placeholder', syncedFromSheets: true });
+
+    const res = await request(app).get(`/v/${SHEETS_UID}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.text).toContain('Produto autêntico');
+    expect(res.text).toContain('Batom &lt;Matte&gt;');
+    expect(res.text).toContain('L001');
+    expect(res.text).toContain(new Date(2025, 2, 10).toLocaleDateString('pt-BR'));
+    expect(res.text).toContain(new Date(2027, 2, 10).toLocaleDateString('pt-BR'));
+    expect(res.text).toContain('Primeira leitura');
+    expect(await Scan.findOne({ nfcUID: SHEETS_UID })).toMatchObject({ verdict: 'authentic', location: 'Web /v' });
+  });
+
+  test('segunda leitura mostra a contagem; ?lang=en troca o idioma', async () => {
+    await createProduct(productFields(SHEETS_UID), { key: 'placeholder', syncedFromSheets: true });
+    await request(app).get(`/v/${SHEETS_UID}`);
+
+    const res = await request(app).get(`/v/${SHEETS_UID}?lang=en`);
+
+    expect(res.text).toContain('<html lang="en">');
+    expect(res.text).toContain('Scanned 2 times');
+  });
+
+  test('Accept-Language define o idioma', async () => {
+    const res = await request(app).get('/v/04FFFFFFFFFFFF').set('Accept-Language', 'en-US,en;q=0.9');
+
+    expect(res.status).toBe(404);
+    expect(res.text).toContain('<html lang="en">');
+    expect(res.text).toContain('This tag is not registered');
+  });
+
+  test('tag SUN: primeiro toque mostra o selo mesmo com o contador da tag alto', async () => {
+    const { secretKey } = await createProduct(productFields(SUN_UID), { key: 'generate' });
+    const { picc_data: piccData, cmac } = buildSunMessage(SUN_UID, 23, secretKey);
+
+    const res = await request(app).get(`/v?picc_data=${piccData}&cmac=${cmac}`);
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('Primeira leitura');
+    expect(res.text).not.toContain('Lido 23 vezes');
+  });
+
+  test('mensagem SUN na query; o mesmo link de novo é replay', async () => {
+    const { secretKey } = await createProduct(productFields(SUN_UID), { key: 'generate' });
+    const { picc_data: piccData, cmac } = buildSunMessage(SUN_UID, 5, secretKey);
+    const url = `/v?picc_data=${piccData}&cmac=${cmac}`;
+
+    const first = await request(app).get(url);
+    const second = await request(app).get(url);
+
+    expect(first.status).toBe(200);
+    expect(first.text).toContain('Produto autêntico');
+    expect(second.status).toBe(409);
+    expect(second.text).toContain('Link já utilizado');
+  });
+
+  test('assinatura inválida', async () => {
+    await createProduct(productFields(SUN_UID), { key: 'generate' });
+    const { picc_data: piccData, cmac } = buildSunMessage(SUN_UID, 1, '00112233445566778899AABBCCDDEEFF');
+
+    const res = await request(app).get(`/v/${SUN_UID}?picc_data=${piccData}&cmac=${cmac}`);
+
+    expect(res.status).toBe(403);
+    expect(res.text).toContain('Produto possivelmente falsificado');
+  });
+
+  test('lote recolhido mostra o aviso', async () => {
+    await createProduct(productFields(SHEETS_UID), { key: 'placeholder', syncedFromSheets: true });
+    await BatchRecall.create({ batchNumber: 'L001', reason: 'interno', publicMessage: 'Devolva na loja.' });
+
+    const res = await request(app).get(`/v/${SHEETS_UID}`);
+
+    expect(res.status).toBe(410);
+    expect(res.text).toContain('Produto recolhido');
+    expect(res.text).toContain('Devolva na loja.');
+  });
+});
@@ -0,0 +1,275 @@
+const { silenceLogs } = require('./helpers/env');
+
+const http = require('http');
+const request = require('supertest');
+const db = require('./helpers/db');
+const app = require('../server');
+const AdminUser = require('../models/AdminUser');
+const Scan = require('../models/Scan');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhooks = require('../lib/webhooks');
+const { hashPassword } = require('../lib/adminAuth');
+const { Product, createProduct } = require('../lib/products');
+
+const PASSWORD = 'senha-de-teste-123';
+const SHEETS_UID = '04AA000000AA01';
+
+let auth;
+let receiver;
+let receiverURL;
+let received;
+let replyStatus;
+
+/**
+ * Cria o usuário e devolve o header Authorization já logado
+ */
+async function loginAs(role) {
+  await AdminUser.create({ username: role, passwordHash: await hashPassword(PASSWORD), role });
+  const res = await request(app).post('/api/admin/login').send({ username: role, password: PASSWORD });
+  expect(res.status).toBe(200);
+  return `Bearer ${res.body.token}`;
+}
+
+const admin = (method, path) => request(app)[method](`/api/admin/webhooks${path}`).set('Authorization', auth);
+
+async function subscribe(events) {
+  const res = await admin('post', '').send({ url: receiverURL, events });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+async function createSheetsProduct() {
+  const { product } = await createProduct(
+    { nfcUID: SHEETS_UID, productName: 'Batom Matte', batchNumber: 'L001' },
+    { key: 'placeholder', syncedFromSheets: true }
+  );
+  return product;
+}
+
+/**
+ * Espera a condição (entregas sem await na verificação)
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error('Tempo esgotado esperando a condição');
+}
+
+beforeAll(async () => {
+  silenceLogs();
+  await db.connect();
+
+  // Receptor HTTP local: guarda cada requisição e responde replyStatus
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(replyStatus).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverURL = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+beforeEach(async () => {
+  received = [];
+  replyStatus = 200;
+  webhooks.invalidateSubscriptions();
+  auth = await loginAs('admin');
+});
+afterEach(db.clear);
+afterAll(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await db.close();
+});
+
+describe('assinatura HMAC', () => {
+  test('verifySignature aceita a assinatura e recusa corpo alterado ou antigo', () => {
+    const secret = webhooks.generateSecret();
+    const body = JSON.stringify({ event: 'scan.verified' });
+    const t = Math.floor(Date.now() / 1000);
+    const header = `t=${t},v1=${webhooks.signPayload(secret, t, body)}`;
+
+    expect(webhooks.verifySignature(secret, header, body)).toBe(true);
+    expect(webhooks.verifySignature(secret, header, body + ' ')).toBe(false);
+    expect(webhooks.verifySignature('outro', header, body)).toBe(false);
+
+    const old = t - 3600;
+    expect(webhooks.verifySignature(secret, `t=${old},v1=${webhooks.signPayload(secret, old, body)}`, body)).toBe(false);
+  });
+
+  test('URL: https, ou http só para localhost', () => {
+    expect(webhooks.isValidWebhookURL('https://hooks.exemplo.com/x')).toBe(true);
+    expect(webhooks.isValidWebhookURL('http://127.0.0.1:8080/x')).toBe(true);
+    expect(webhooks.isValidWebhookURL('http://hooks.exemplo.com/x')).toBe(false);
+    expect(webhooks.isValidWebhookURL('ftp://hooks.exemplo.com')).toBe(false);
+  });
+
+  test('espera entre tentativas cresce', () => {
+    expect(webhooks.retryDelayMs(1)).toBe(30000);
+    expect(webhooks.retryDelayMs(2)).toBe(120000);
+    expect(webhooks.retryDelayMs(20)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe('/api/admin/webhooks', () => {
+  test('criação devolve o segredo uma vez; listagem não expõe', async () => {
+    const { webhook, secret } = await subscribe(['scan.verified']);
+
+    expect(secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+    expect(webhook.encryptedSecret).toBeUndefined();
+
+    const res = await admin('get', '');
+    expect(res.body.webhooks).toHaveLength(1);
+    expect(JSON.stringify(res.body)).not.toContain(secret);
+  });
+
+  test('URL http externa ou evento desconhecido → 400', async () => {
+    const badURL = await admin('post', '').send({ url: 'http://hooks.exemplo.com', events: ['scan.verified'] });
+    const badEvent = await admin('post', '').send({ url: receiverURL, events: ['scan.tudo'] });
+
+    expect(badURL.body.code).toBe('WEBHOOK_URL_INVALID');
+    expect(badEvent.status).toBe(400);
+    expect(badEvent.body.code).toBe('WEBHOOK_EVENTS_INVALID');
+  });
+
+  test('operator não gerencia webhooks → 403', async () => {
+    auth = await loginAs('operator');
+
+    expect((await admin('get', '')).status).toBe(403);
+  });
+});
+
+describe('entregas', () => {
+  test('leitura aceita → scan.verified assinado no receptor local', async () => {
+    const { secret } = await subscribe(['scan.verified']);
+    await createSheetsProduct();
+
+    await request(app).post('/api/verify-product').send({ uid: SHEETS_UID });
+    const [delivery] = await waitFor(() => received.length > 0 && received);
+
+    expect(delivery.headers['x-webhook-event']).toBe('scan.verified');
+    expect(webhooks.verifySignature(secret, delivery.headers['x-webhook-signature'], delivery.body)).toBe(true);
+
+    const payload = JSON.parse(delivery.body);
+    expect(payload).toMatchObject({ event: 'scan.verified', data: { product: { nfcUID: SHEETS_UID, scanCount: 1 } } });
+    expect(payload.id).toBe(delivery.headers['x-webhook-id']);
+    expect(payload.data.scan.ipAddress).toBeUndefined();
+
+    await waitFor(() => WebhookDelivery.exists({ status: 'succeeded' }));
+  });
+
+  test('leitura recusada → scan.rejected; assinatura sem o evento não recebe', async () => {
+    await subscribe(['scan.rejected']);
+    await subscribe(['sync.completed']);
+    await createSheetsProduct();
+    await Product.updateOne({ nfcUID: SHEETS_UID }, { isActive: false });
+
+    await request(app).post('/api/verify-product').send({ uid: SHEETS_UID });
+    await waitFor(() => received.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(received).toHaveLength(1);
+    expect(JSON.parse(received[0].body)).toMatchObject({ event: 'scan.rejected', data: { scan: { verdict: 'inactive' } } });
+  });
+
+  test('rajada de leituras → clone.suspected', async () => {
+    await subscribe(['clone.suspected']);
+    const product = await createSheetsProduct();
+    await Scan.insertMany([1, 2, 3, 4, 5].map(i => ({
+      productId: product._id,
+      nfcUID: SHEETS_UID,
+      timestamp: new Date(Date.now() - i * 1000),
+      verdict: 'authentic'
+    })));
+
+    await request(app).post('/api/verify-product').send({ uid: SHEETS_UID });
+    await waitFor(() => received.length > 0);
+
+    const payload = JSON.parse(received[0].body);
+    expect(payload.event).toBe('clone.suspected');
+    expect(payload.data.rules.map(rule => rule.rule)).toContain('burst');
+  });
+
+  test('falha → nova tentativa agendada; worker entrega depois', async () => {
+    const { webhook } = await subscribe(['product.deactivated']);
+    replyStatus = 500;
+
+    await webhooks.emit('product.deactivated', { product: { nfcUID: SHEETS_UID } });
+
+    let delivery = await WebhookDelivery.findOne({ webhookId: webhook._id });
+    expect(delivery).toMatchObject({ status: 'pending', attemptCount: 1 });
+    expect(delivery.attempts[0]).toMatchObject({ statusCode: 500, error: 'HTTP 500' });
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    replyStatus = 200;
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { nextAttemptAt: new Date(Date.now() - 1000) });
+    expect(await webhooks.processDueDeliveries()).toBe(1);
+
+    delivery = await WebhookDelivery.findById(delivery._id);
+    expect(delivery).toMatchObject({ status: 'succeeded', attemptCount: 2 });
+    expect(received).toHaveLength(2);
+    expect(received[0].headers['x-webhook-id']).toBe(received[1].headers['x-webhook-id']);
+  });
+
+  test('tentativas esgotadas → failed', async () => {
+    const { webhook } = await subscribe(['product.deactivated']);
+    replyStatus = 503;
+
+    await webhooks.emit('product.deactivated', {});
+    await WebhookDelivery.updateOne(
+      { webhookId: webhook._id },
+      { attemptCount: webhooks.MAX_ATTEMPTS - 1, nextAttemptAt: new Date(0) }
+    );
+    await webhooks.processDueDeliveries();
+
+    expect(await WebhookDelivery.findOne({ webhookId: webhook._id })).toMatchObject({ status: 'failed' });
+  });
+
+  test('histórico e reenvio manual', async () => {
+    const { webhook } = await subscribe(['sync.completed']);
+    replyStatus = 500;
+    await webhooks.emit('sync.completed', { runId: 'r1' });
+
+    const list = await admin('get', `/${webhook._id}/deliveries`);
+    expect(list.body.total).toBe(1);
+    const original = list.body.deliveries[0];
+
+    replyStatus = 200;
+    const res = await admin('post', `/deliveries/${original._id}/replay`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.delivered).toBe(true);
+    expect(res.body.delivery).toMatchObject({ eventId: original.eventId, replayOf: original._id, replayedBy: 'admin' });
+    expect(JSON.parse(received[1].body).data).toEqual({ runId: 'r1' });
+  });
+
+  test('reenvio de entrega de assinatura excluída → failed, sem erro 500', async () => {
+    const { webhook } = await subscribe(['sync.completed']);
+    replyStatus = 500;
+    await webhooks.emit('sync.completed', { runId: 'r1' });
+    const original = await WebhookDelivery.findOne({ webhookId: webhook._id });
+
+    expect((await admin('delete', `/${webhook._id}`)).status).toBe(200);
+    const res = await admin('post', `/deliveries/${original._id}/replay`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.delivered).toBe(false);
+    expect(res.body.delivery).toMatchObject({ status: 'failed', replayOf: String(original._id) });
+    expect(res.body.delivery.attempts[0].error).toBe('Assinatura removida ou desativada');
+    expect(received).toHaveLength(1);
+  });
+
+  test('POST /:id/test envia webhook.test e devolve o resultado', async () => {
+    const { webhook } = await subscribe(['scan.verified']);
+
+    const res = await admin('post', `/${webhook._id}/test`);
+
+    expect(res.body).toMatchObject({ success: true, delivered: true });
+    expect(received[0].headers['x-webhook-event']).toBe('webhook.test');
+  });
+});